@@ -65,6 +65,22 @@ EOL
 
 writeHelp scripts/runScript.js
 
+cat >> $USAGE_FILE << EOL
+## licenseReport.js
+
+Reports on BIG-IQ license pool assignments which do not match a cloud instance and, optionally, revokes them.
+EOL
+
+writeHelp scripts/licenseReport.js
+
+cat >> $USAGE_FILE << EOL
+## checkLicense.js
+
+Reports the license on a BIG-IP and warns when the license, service check date or an add-on is about to expire, or has a date which can not be read.
+EOL
+
+writeHelp scripts/checkLicense.js
+
 # standalone licensing
 cat >> $USAGE_FILE << EOL
 ## Standalone licensing
@@ -0,0 +1,930 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+// Type definitions for the public API exported from index.js
+//
+// Methods on the top level exports return q promises. The same objects with native
+// Promises are under promises (see lib/promises.js).
+
+/// <reference types="node" />
+
+// Common types
+
+/** A q promise. Thenable, with q's catch / finally / done. */
+export interface QPromise<T> extends PromiseLike<T> {
+    catch<R = never>(onRejected?: (reason: any) => R | PromiseLike<R>): QPromise<T | R>;
+    finally(onFinally?: () => any): QPromise<T>;
+    done(onFulfilled?: (value: T) => any, onRejected?: (reason: any) => any): void;
+}
+
+/** Converts the methods of T which return q promises to return native Promises. */
+export type Native<T> = {
+    [K in keyof T]: T[K] extends (...args: infer A) => QPromise<infer R> ? (...args: A) => Promise<R> : T[K];
+};
+
+export interface Logger {
+    error(...args: any[]): void;
+    warn(...args: any[]): void;
+    info(...args: any[]): void;
+    verbose(...args: any[]): void;
+    debug(...args: any[]): void;
+    silly(...args: any[]): void;
+    [key: string]: any;
+}
+
+export interface LoggerOptions {
+    console?: boolean;
+    logLevel?: string;
+    fileName?: string;
+    module?: NodeModule;
+    json?: boolean;
+    verboseLabel?: boolean;
+}
+
+export interface LoggingOptions {
+    logger?: Logger;
+    loggerOptions?: LoggerOptions;
+}
+
+export interface ScriptOptions extends LoggingOptions {
+    clOptions?: { [option: string]: any };
+}
+
+export interface RetryInfo {
+    attempt: number;
+    delayMs: number;
+    retriesLeft: number;
+}
+
+export interface RetryOptions {
+    maxRetries: number;
+    retryIntervalMs: number;
+    backoff?: 'fixed' | 'exponential' | 'exponential-jitter';
+    backoffMultiplier?: number;
+    maxIntervalMs?: number;
+    deadlineMs?: number;
+    continueOnError?: boolean;
+    continueOnErrorMessage?: string | RegExp;
+    shouldRetry?: (err: any) => boolean | undefined;
+    onRetry?: (err: any, info: RetryInfo) => void;
+}
+
+/** TLS options as URIs. See lib/tlsUtil.js. */
+export interface TlsOptions {
+    cert?: string;
+    key?: string;
+    pfx?: string;
+    passphrase?: string;
+    ca?: string;
+    fingerprint?: string;
+    strict?: boolean;
+}
+
+/** TLS options with the data loaded. */
+export interface LoadedTlsOptions {
+    cert?: string;
+    key?: string;
+    pfx?: Buffer;
+    passphrase?: string;
+    ca?: string;
+    fingerprint?: string;
+    strict?: boolean;
+}
+
+export interface ConnectionOptions {
+    maxConcurrentRequests?: number;
+    requestTimeoutMs?: number;
+}
+
+export interface IControlRequestOptions {
+    headers?: { [header: string]: string };
+    noWait?: boolean;
+    timeout?: number;
+    [option: string]: any;
+}
+
+export interface BigIpRequestOptions {
+    silent?: boolean;
+    passwordIsToken?: boolean;
+    [option: string]: any;
+}
+
+// Classes
+
+export declare class ActiveError extends Error {
+    constructor(message?: string);
+}
+
+export interface LicensePoolCapacity {
+    total: number;
+    used: number;
+    available: number;
+}
+
+export interface LicensePool {
+    poolName: string;
+    skuKeyword1?: string;
+    skuKeyword2?: string;
+    unitOfMeasure?: string;
+}
+
+export interface LicensePoolResult {
+    poolName: string;
+    capacity?: LicensePoolCapacity;
+    error?: string;
+}
+
+export declare class LicensePoolsExhaustedError extends Error {
+    constructor(message: string, pools: LicensePoolResult[]);
+    pools: LicensePoolResult[];
+}
+
+export declare class AutoscaleInstance {
+    constructor();
+    setExternal(external?: boolean): this;
+    setHostname(hostname: string): this;
+    setMacAddress(macAddress: string): this;
+    setMachineId(machineId: string): this;
+    setIsPrimary(isPrimary: boolean): this;
+    setLastBackup(date: Date): this;
+    setMgmtIp(mgmtIp: string): this;
+    setPrivateIp(privateIp: string): this;
+    setProviderVisible(providerVisible?: boolean): this;
+    setPublicIp(publicIp: string): this;
+    setStatus(status: string): this;
+    setVersion(version: string): this;
+    setVersionOk(versionOk?: boolean): this;
+    [property: string]: any;
+}
+
+export interface IControlOptions extends ConnectionOptions {
+    host?: string;
+    port?: number;
+    user?: string;
+    password?: string;
+    authToken?: string;
+    refreshToken?: string;
+    basePath?: string;
+    strict?: boolean;
+    tls?: LoadedTlsOptions;
+    keepAlive?: boolean;
+    loginProviderName?: string;
+    tokenTimeout?: number;
+}
+
+export interface IControlStats {
+    requests: number;
+    retries: number;
+    errors: number;
+    timeouts: number;
+    active: number;
+    queued: number;
+    averageLatencyMs: number;
+}
+
+export declare class IControl {
+    constructor(options?: IControlOptions);
+    host: string;
+    port: number;
+    user: string;
+    password: string;
+    authToken?: string;
+    refreshToken?: string;
+    list(path: string, options?: IControlRequestOptions): QPromise<any>;
+    create(path: string, body?: any, options?: IControlRequestOptions): QPromise<any>;
+    modify(path: string, body?: any, options?: IControlRequestOptions): QPromise<any>;
+    replace(path: string, body?: any, options?: IControlRequestOptions): QPromise<any>;
+    delete(path: string, body?: any, options?: IControlRequestOptions): QPromise<any>;
+    request(method: string, path: string, body?: any, options?: IControlRequestOptions): QPromise<any>;
+    setAuthToken(authToken: string): void;
+    setRefreshToken(refreshToken: string): void;
+    extendAuthToken(timeout: number): QPromise<any>;
+    logout(): QPromise<void>;
+    getStats(): IControlStats;
+}
+
+export interface BigIpInitOptions extends ConnectionOptions {
+    port?: number;
+    passwordIsUrl?: boolean;
+    passwordIsToken?: boolean;
+    passwordEncrypted?: boolean;
+    product?: 'BIG-IP' | 'BIG-IQ';
+    clOptions?: { [option: string]: any };
+    tokenAuth?: boolean;
+    loginProviderName?: string;
+    tokenTimeout?: number;
+    tls?: TlsOptions;
+}
+
+export interface PlannedRequest {
+    method: string;
+    path: string;
+    body?: any;
+    host?: string;
+}
+
+export declare class BigIp {
+    constructor(options?: LoggingOptions);
+    host: string;
+    user: string;
+    port: number;
+    product: string;
+    password: string;
+    isInitialized: boolean;
+    icontrol: IControl;
+    cluster: BigIpCluster;
+    onboard: BigIpOnboard;
+    gtm: BigIpGtm;
+    logger: Logger;
+    init(host: string, user: string, password: string, options?: BigIpInitOptions): QPromise<any>;
+    logout(): QPromise<void>;
+    list(path: string, iControlOptions?: IControlRequestOptions, retryOptions?: RetryOptions,
+        options?: BigIpRequestOptions): QPromise<any>;
+    create(path: string, body?: any, iControlOptions?: IControlRequestOptions, retryOptions?: RetryOptions,
+        options?: BigIpRequestOptions): QPromise<any>;
+    modify(path: string, body?: any, iControlOptions?: IControlRequestOptions, retryOptions?: RetryOptions,
+        options?: BigIpRequestOptions): QPromise<any>;
+    replace(path: string, body?: any, iControlOptions?: IControlRequestOptions, retryOptions?: RetryOptions,
+        options?: BigIpRequestOptions): QPromise<any>;
+    delete(path: string, body?: any, iControlOptions?: IControlRequestOptions, retryOptions?: RetryOptions,
+        options?: BigIpRequestOptions): QPromise<any>;
+    createOrModify(path: string, body: any, iControlOptions?: IControlRequestOptions,
+        retryOptions?: RetryOptions, options?: BigIpRequestOptions): QPromise<any>;
+    setDryRun(dryRun: boolean, plan?: PlannedRequest[]): void;
+    addToPlan(method: string, path: string, body?: any, host?: string): void;
+    getPlan(): PlannedRequest[];
+    logPlan(logger?: Logger): void;
+    logRequestStats(logger?: Logger): void;
+    setChangeLog(changeLog: any): void;
+    active(retryOptions?: RetryOptions): QPromise<any>;
+    createFolder(folder: string, options?: { subPath?: string; deviceGroup?: string }): QPromise<any>;
+    deviceInfo(retryOptions?: RetryOptions): QPromise<any>;
+    deviceState(hostname: string, retryOptions?: RetryOptions): QPromise<any>;
+    getLicenseInfo(retryOptions?: RetryOptions): QPromise<LicenseInfo | undefined>;
+    checkLicenseExpiry(options?: { warningDays?: number }, retryOptions?: RetryOptions):
+        QPromise<LicenseExpiryReport>;
+    getPrivateKeyFilePath(folder: string, name: string): QPromise<string>;
+    installPrivateKey(privateKeyFile: string, folder: string, name: string,
+        options?: { passphrase?: string }): QPromise<any>;
+    getPrivateKeyMetadata(folder: string, name: string): QPromise<any>;
+    getPassword(): QPromise<string>;
+    isBigIp(): boolean;
+    isBigIq(): boolean;
+    loadConfig(file?: string, options?: { [option: string]: any }, retryOptions?: RetryOptions): QPromise<any>;
+    loadUcs(file: string, loadOptions?: { [option: string]: any }, options?: { [option: string]: any }):
+        QPromise<any>;
+    ping(address: string, retryOptions?: RetryOptions): QPromise<any>;
+    ready(retryOptions?: RetryOptions): QPromise<any>;
+    reboot(): QPromise<any>;
+    rebootRequired(retryOptions?: RetryOptions): QPromise<boolean>;
+    runTask(taskPath: string, taskConfig?: any, options?: { [option: string]: any }): QPromise<any>;
+    save(file?: string, retryOptions?: RetryOptions): QPromise<any>;
+    saveUcs(file: string): QPromise<any>;
+    setPort(port: number): QPromise<any>;
+    transaction(commands: { method: string; path: string; body?: any }[]): QPromise<any>;
+}
+
+export interface LicenseModule {
+    name: string;
+    key: string;
+    features: string[];
+    addOn: boolean;
+    expiration?: string;
+}
+
+export interface LicenseInfo {
+    registrationKey: string;
+    licensedVersion?: string;
+    platformId?: string;
+    licensedOnDate?: string;
+    licenseStartDate?: string;
+    licenseEndDate?: string;
+    serviceCheckDate?: string;
+    evaluationStart?: string;
+    evaluationEnd?: string;
+    expiration?: string;
+    activeModules: LicenseModule[];
+    addOnKeys: string[];
+}
+
+export interface LicenseExpiryReport {
+    license?: LicenseInfo;
+    warningDays: number;
+    expiring: Array<{
+        name: string;
+        key?: string;
+        module?: string;
+        date: string;
+        daysRemaining?: number;
+        expired: boolean;
+        invalid?: boolean;
+    }>;
+    ok: boolean;
+}
+
+export interface TrafficGroupOptions {
+    haOrder?: string[];
+    autoFailback?: boolean;
+    autoFailbackTime?: number;
+    haLoadFactor?: number;
+    failoverMethod?: 'ha-order' | 'ha-score';
+}
+
+export interface FailoverOptions {
+    trafficGroup?: string;
+    device?: string;
+    verify?: boolean;
+    retryOptions?: RetryOptions;
+}
+
+export interface CmSyncStatus {
+    connected: string[];
+    disconnected: string[];
+    status?: string;
+    color?: string;
+    summary?: string;
+}
+
+export interface ClusterHealth {
+    device?: string;
+    health: 'healthy' | 'degraded' | 'unhealthy';
+    problems: Array<{ severity: 'degraded' | 'unhealthy'; message: string }>;
+    trustDomain: { members: string[]; caDevices: string[]; nonCaDevices: string[] };
+    devices: Array<{
+        name: string;
+        hostname: string;
+        managementIp: string;
+        self: boolean;
+        failoverState: string;
+        version: string;
+        configSyncIp?: string;
+        failoverAddresses: string[];
+        mirrorIp?: string;
+        mirrorSecondaryIp?: string;
+    }>;
+    deviceGroups: Array<{
+        name: string;
+        type: string;
+        autoSync: boolean;
+        networkFailover: boolean;
+        devices: Array<{ name: string; lastSyncTime?: string; commitIdTime?: string }>;
+    }>;
+    syncStatus: CmSyncStatus;
+    trafficGroups: Array<{
+        name: string;
+        activeDevice?: string;
+        devices: Array<{ name: string; failoverState: string; nextActive: boolean }>;
+    }>;
+}
+
+export interface DeviceGroupMember {
+    host: string;
+    port?: number;
+    user?: string;
+    password?: string;
+}
+
+export interface DeviceGroupBootstrapOptions {
+    type?: 'sync-failover' | 'sync-only';
+    remoteUser?: string;
+    remotePassword?: string;
+    remotePort?: number;
+    passwordIsUrl?: boolean;
+    passwordEncrypted?: boolean;
+    concurrency?: number;
+    autoSync?: boolean;
+    saveOnAutoSync?: boolean;
+    fullLoadOnSync?: boolean;
+    asmSync?: boolean;
+    networkFailover?: boolean;
+    retryOptions?: RetryOptions;
+    syncRetryOptions?: RetryOptions;
+}
+
+export interface DeviceGroupBootstrapReport {
+    deviceGroup: string;
+    seed: string;
+    ok: boolean;
+    members: Array<{
+        host: string;
+        name?: string;
+        trusted: boolean;
+        inGroup: boolean;
+        inSync: boolean;
+        failedStep?: 'connect' | 'trust' | 'device-group' | 'sync';
+        error?: string;
+    }>;
+}
+
+export interface MemberReplacementOptions {
+    port?: number;
+    passwordIsUrl?: boolean;
+    passwordEncrypted?: boolean;
+    retryOptions?: RetryOptions;
+    syncRetryOptions?: RetryOptions;
+}
+
+export interface MemberReplacementReport {
+    oldDevice: string;
+    newDevice: string;
+    deviceGroups: string[];
+    trafficGroups: Array<{ name: string; activeDevice?: string }>;
+}
+
+export declare class BigIpCluster {
+    constructor(bigIpCore: BigIp, options?: LoggingOptions);
+    addToTrust(deviceName: string, remoteHost: string, remoteUser: string, remotePassword: string,
+        retryOptions?: RetryOptions): QPromise<any>;
+    addToDeviceGroup(deviceName: string, deviceGroup: string, retryOptions?: RetryOptions): QPromise<any>;
+    areInDeviceGroup(deviceNames: string[], deviceGroup: string, retryOptions?: RetryOptions):
+        QPromise<string[]>;
+    areInTrustGroup(deviceNames: string[], retryOptions?: RetryOptions): QPromise<string[]>;
+    bootstrapDeviceGroup(deviceGroup: string, members: Array<string | DeviceGroupMember>,
+        options?: DeviceGroupBootstrapOptions): QPromise<DeviceGroupBootstrapReport>;
+    configSyncIp(syncIp: string, retryOptions?: RetryOptions): QPromise<any>;
+    createDeviceGroup(deviceGroup: string, type: 'sync-failover' | 'sync-only', deviceNames?: string[],
+        options?: { [option: string]: any }, retryOptions?: RetryOptions): QPromise<any>;
+    createTrafficGroup(trafficGroup: string, options?: TrafficGroupOptions, retryOptions?: RetryOptions):
+        QPromise<any>;
+    deleteDeviceGroup(deviceGroup: string): QPromise<any>;
+    deleteTrafficGroup(trafficGroup: string, retryOptions?: RetryOptions): QPromise<any>;
+    failover(options?: FailoverOptions):
+        QPromise<Array<{ name: string; previousActiveDevice: string; activeDevice?: string }>>;
+    hasDeviceGroup(deviceGroup: string, retryOptions?: RetryOptions): QPromise<boolean>;
+    getClusterHealth(retryOptions?: RetryOptions): QPromise<ClusterHealth>;
+    getCmSyncStatus(retryOptions?: RetryOptions): QPromise<CmSyncStatus>;
+    isInDeviceGroup(deviceName: string, deviceGroup: string, retryOptions?: RetryOptions): QPromise<boolean>;
+    isInTrustGroup(deviceName: string, retryOptions?: RetryOptions): QPromise<boolean>;
+    joinCluster(deviceGroup: string, remoteHost: string, remoteUser: string, remotePassword: string,
+        isLocal: boolean, options?: { [option: string]: any }): QPromise<any>;
+    mirrorIp(primaryIp?: string, secondaryIp?: string, retryOptions?: RetryOptions): QPromise<any>;
+    multicastFailover(interfaceName: string, options?: { ip?: string; port?: number },
+        retryOptions?: RetryOptions): QPromise<any>;
+    modifyTrafficGroup(trafficGroup: string, options: TrafficGroupOptions, retryOptions?: RetryOptions):
+        QPromise<any>;
+    moveToTrafficGroup(trafficGroup: string, objects: { selfIps?: string[]; virtualAddresses?: string[] }):
+        QPromise<any>;
+    removeFromCluster(deviceNames: string | string[]): QPromise<any>;
+    removeFromDeviceGroup(deviceNames: string | string[], deviceGroup: string, retryOptions?: RetryOptions):
+        QPromise<any>;
+    removeAllFromDeviceGroup(deviceGroup: string, retryOptions?: RetryOptions): QPromise<any>;
+    removeFromTrust(deviceNames: string | string[], retryOptions?: RetryOptions): QPromise<any>;
+    replaceMember(oldDeviceName: string, newHost: string, newUser?: string, newPassword?: string,
+        options?: MemberReplacementOptions): QPromise<MemberReplacementReport>;
+    resetTrust(retryOptions?: RetryOptions): QPromise<any>;
+    sync(direction: 'to-group' | 'from-group', deviceGroup: string, forceFullLoadPush?: boolean,
+        retryOptions?: RetryOptions): QPromise<any>;
+    syncComplete(retryOptions?: RetryOptions, options?: { connectedOnly?: boolean }): QPromise<any>;
+    unicastFailoverAddresses(addresses: Array<string | { ip: string; port?: number }>,
+        retryOptions?: RetryOptions): QPromise<any>;
+}
+
+export declare class BigIpOnboard {
+    constructor(bigIpCore: BigIp, options?: LoggingOptions);
+    globalSettings(settings: { [setting: string]: any }, retryOptions?: RetryOptions): QPromise<any>;
+    hostname(name: string, retryOptions?: RetryOptions): QPromise<any>;
+    installLicense(licenseText: string): QPromise<any>;
+    license(options: { [option: string]: any }, retryOptions?: RetryOptions): QPromise<any>;
+    licenseViaBigIq(host: string, user: string, password: string,
+        poolName: string | Array<string | LicensePool>, cloud?: string,
+        options?: { [option: string]: any }): QPromise<any>;
+    revokeLicenseViaBigIq(host: string, user: string, password: string, poolName: string | string[],
+        options?: { [option: string]: any }): QPromise<any>;
+    updateUser(user: string, password?: string, role?: string, shell?: string,
+        options?: { [option: string]: any }): QPromise<any>;
+    password(user: string, newPassword: string, oldPassword?: string, retryOptions?: RetryOptions,
+        options?: { [option: string]: any }): QPromise<any>;
+    setRootPassword(newPassword: string, oldPassword?: string, options?: { [option: string]: any }):
+        QPromise<any>;
+    provision(provisionSettings: { [module: string]: string }, options?: { [option: string]: any }):
+        QPromise<any>;
+    installIlxPackage(packageUri: string, retryOptions?: RetryOptions): QPromise<any>;
+    setDbVars(dbVars: { [dbVar: string]: string }, retryOptions?: RetryOptions): QPromise<any>;
+    sslPort(port: number, retryOptions?: RetryOptions, noInit?: boolean): QPromise<any>;
+}
+
+export declare class BigIpGtm {
+    constructor(bigIpCore: BigIp, options?: LoggingOptions);
+    updateServer(serverName: string, virtualServers: any[], options?: { [option: string]: any }):
+        QPromise<any>;
+    updatePool(poolName: string, serverName: string, virtualServers: any[],
+        options?: { [option: string]: any }): QPromise<any>;
+    setPartition(partition: string): void;
+}
+
+export interface BigIqInitOptions {
+    passwordIsUri?: boolean;
+    passwordEncrypted?: boolean;
+    port?: number;
+    bigIp?: BigIp;
+    tls?: TlsOptions;
+}
+
+export declare class BigIq {
+    constructor(options?: LoggingOptions);
+    host: string;
+    user: string;
+    version: string;
+    icontrol: IControl;
+    init(host: string, user: string, passwordOrUri: string, options?: BigIqInitOptions): QPromise<any>;
+    licenseBigIp(poolName: string | Array<string | LicensePool>, bigIpMgmtAddress: string,
+        bigIpMgmtPort: string | number, options?: { [option: string]: any }): QPromise<any>;
+    revokeLicense(poolName: string | string[], instance: any, options?: { [option: string]: any }):
+        QPromise<any>;
+    getLicenseAssignments(poolName: string): QPromise<LicenseAssignment[]>;
+    reconcileLicenseAssignments(poolName: string, instances: { [instanceId: string]: AutoscaleInstance },
+        options?: { revoke?: boolean; noUnreachable?: boolean }): QPromise<LicenseReconcileReport>;
+}
+
+export interface LicenseAssignment {
+    id: string;
+    deviceName?: string;
+    deviceAddress?: string;
+    macAddress?: string;
+    machineId?: string;
+    regKey?: string;
+}
+
+export interface LicenseReconcileReport {
+    poolName: string;
+    dryRun: boolean;
+    assignments: Array<LicenseAssignment & { instanceId?: string; orphaned: boolean }>;
+    orphaned: number;
+    revoked: string[];
+    failed: Array<{ id: string; error: string }>;
+}
+
+export declare class CloudProvider {
+    constructor(options?: ScriptOptions);
+    static FEATURE_MESSAGING: string;
+    static FEATURE_ENCRYPTION: string;
+    static FEATURE_SHARED_PASSWORD: string;
+    static MESSAGE_ADD_TO_CLUSTER: string;
+    static MESSAGE_SYNC_COMPLETE: string;
+    static STATUS_OK: string;
+    static STATUS_NOT_EXTERNAL: string;
+    static STATUS_NOT_IN_CLOUD_LIST: string;
+    static STATUS_VERSION_NOT_UP_TO_DATE: string;
+    static STATUS_UNKNOWN: string;
+    options: { [option: string]: any };
+    clOptions: { [option: string]: any };
+    features: { [feature: string]: boolean };
+    logger: Logger;
+    init(providerOptions: any, options?: { autoscale?: boolean; [option: string]: any }): QPromise<any>;
+    bigIpReady(): QPromise<any>;
+    getDataFromUri(uri: string): QPromise<any>;
+    getInstanceId(): QPromise<string>;
+    getInstances(options?: { [option: string]: any }): QPromise<{ [instanceId: string]: AutoscaleInstance }>;
+    deleteStoredUcs(): QPromise<any>;
+    getNicsByTag(tag: { key: string; value: string }): QPromise<any[]>;
+    getVmsByTag(tag: { key: string; value: string }): QPromise<any[]>;
+    electPrimary(instances: { [instanceId: string]: AutoscaleInstance }): QPromise<string>;
+    getPrimaryCredentials(mgmtIp: string, mgmtPort: number): QPromise<{ username: string; password: string }>;
+    putPrimaryCredentials(): QPromise<any>;
+    getPrimaryStatus(): QPromise<any>;
+    getPublicKey(instanceId: string): QPromise<string>;
+    hasFeature(feature: string): boolean;
+    putPublicKey(instanceId: string, publicKey: string): QPromise<any>;
+    isValidPrimary(instanceId: string, instances: { [instanceId: string]: AutoscaleInstance }):
+        QPromise<boolean>;
+    primaryElected(instanceId: string): QPromise<any>;
+    tagPrimaryInstance(instanceId: string, instances: { [instanceId: string]: AutoscaleInstance }):
+        QPromise<any>;
+    primaryInvalidated(instanceId: string, instances: { [instanceId: string]: AutoscaleInstance }):
+        QPromise<any>;
+    getStoredUcs(): QPromise<any>;
+    storeUcs(file: string, maxCopies: number, prefix: string): QPromise<any>;
+    putInstance(instanceId: string, instance: AutoscaleInstance): QPromise<any>;
+    sendMessage(action: string, data?: any): QPromise<any>;
+    revokeLicenses(instances: AutoscaleInstance[], options?: { [option: string]: any }): QPromise<any>;
+    getMessages(actions: string[], options?: { [option: string]: any }): QPromise<any[]>;
+    syncComplete(fromUser: string, fromPassword: string): QPromise<any>;
+    signalInstanceProvisioned(instanceId: string): QPromise<any>;
+    isInstanceExpired(instance: AutoscaleInstance): boolean;
+    getNodesFromUri(uri: string, options?: { [option: string]: any }): QPromise<any[]>;
+    getNodesByResourceId(resourceId: string, resourceType: string, options?: { [option: string]: any }):
+        QPromise<any[]>;
+}
+
+export declare class DnsProvider {
+    constructor(options?: ScriptOptions);
+    init(providerOptions: any): QPromise<any>;
+    update(instances: any[]): QPromise<any>;
+}
+
+export declare class GenericNodeProvider extends CloudProvider {}
+export declare class GtmDnsProvider extends DnsProvider {}
+export declare class LocalProvider extends CloudProvider {}
+export declare class Rfc2136DnsProvider extends DnsProvider {}
+
+// Modules
+
+export interface LoggerModule {
+    getLogger(options?: LoggerOptions): Logger;
+}
+
+export interface LoggingModule {
+    setLogger(aLogger: Logger): void;
+    setLoggerOptions(loggerOptions: LoggerOptions): void;
+}
+
+export interface AuthnOptions extends ScriptOptions, ConnectionOptions {
+    product?: 'BIG-IP' | 'BIG-IQ';
+    port?: number;
+    passwordIsUri?: boolean;
+    passwordIsToken?: boolean;
+    passwordEncrypted?: boolean;
+    tokenAuth?: boolean;
+    loginProviderName?: string;
+    tokenTimeout?: number;
+    tls?: TlsOptions;
+}
+
+export interface AuthnModule extends LoggingModule {
+    authenticate(host: string, user: string, passwordOrUri: string, options?: AuthnOptions): QPromise<IControl>;
+}
+
+export interface BigIqOnboardMixins {
+    createLicensePool(name: string, regKey: string): QPromise<any>;
+    createRegKeyPool(name: string, regKeyList: string[]): QPromise<any>;
+    isPrimaryKeySet(): QPromise<boolean>;
+    setPrimaryPassphrase(passphrase: string): QPromise<any>;
+    setRandomPrimaryPassphrase(): QPromise<any>;
+}
+
+export interface BigIqClusterMixins {
+    addSecondary(failoverPeerIp: string, failoverPeerUsername: string, failoverPeerPassword: string,
+        rootPassword: string, testOpts?: any): QPromise<any>;
+    waitForPeered(task: any, retryOptions?: RetryOptions): QPromise<any>;
+    waitForPeerReady(remoteBigIp: BigIp, failoverPeerIp: string, failoverPeerUsername: string,
+        failoverPeerPassword: string, retryOptions?: RetryOptions): QPromise<any>;
+}
+
+export interface BigIqLicenseProviderFactory {
+    getLicenseProviderByVersion(bigIqVersion: string, bigIp: BigIp, options?: LoggingOptions): any;
+    getLicenseProviderByType(type: string, bigIp: BigIp, options?: LoggingOptions): any;
+}
+
+export interface CloudProviderFactory {
+    getCloudProvider(name?: string, options?: ScriptOptions, matchOptions?: { storageUri?: string }):
+        CloudProvider;
+    registerProvider(name: string, implementation?: Function,
+        options?: { uriMatcher?: ((uri: string) => boolean) | RegExp | string }): void;
+    unregisterProvider(name: string): void;
+    getRegisteredProviders(): string[];
+    setPluginPaths(paths: string[]): void;
+    getPluginPaths(): string[];
+    matchProvider(matchOptions?: { storageUri?: string }): string | null;
+}
+
+export interface ConfigDriftModule extends LoggingModule {
+    getDrift(bigIp: BigIp, desired: any): QPromise<any>;
+    reconcile(bigIp: BigIp, desired: any, drift?: any): QPromise<any>;
+}
+
+export interface CryptoUtil extends LoggingModule {
+    encrypt(publicKeyDataOrFile: string, data: string): QPromise<string>;
+    decrypt(privateKeyInFile: string, data: string, options?: { [option: string]: any }): QPromise<string>;
+    generateKeyPair(privateKeyOutFile?: string, options?: { [option: string]: any }): QPromise<any>;
+    generateRandomBytes(length: number, encoding: string): QPromise<string>;
+    checkPasswordStrength(length: number, password: string): QPromise<string>;
+    checkPasswordCrack(password: string): QPromise<any>;
+    checkPasswordAll(length: number, password: string): QPromise<any>;
+    createRandomUser(): QPromise<{ user: string; password: string }>;
+    nextRandomUser(iteration: number): QPromise<{ user: string; password: string }>;
+    generateRandomIntInRange(minimum: number, maximum: number): number;
+    symmetricEncrypt(publicKeyDataOrFile: string, data: string, options?: { [option: string]: any }):
+        QPromise<any>;
+    symmetricDecrypt(privateKeyFile: string, encryptedKey: string, iv: string, data: string,
+        options?: { [option: string]: any }): QPromise<string>;
+}
+
+export interface DnsProviderFactory {
+    getDnsProvider(name: string, options?: ScriptOptions): DnsProvider;
+    registerProvider(name: string, implementation: Function): void;
+    unregisterProvider(name: string): void;
+    getRegisteredProviders(): string[];
+}
+
+export interface EventLog extends LoggingModule {
+    start(script: string, options?: { [option: string]: any }): void;
+    isStarted(): boolean;
+    setInstanceId(instanceId: string): void;
+    step<T>(name: string, func: (...args: any[]) => T | PromiseLike<T>): (...args: any[]) => QPromise<T>;
+    finish(err?: any): { [field: string]: any } | undefined;
+}
+
+export interface LocalCryptoUtil {
+    decryptData(data: string, privateKeyFolder: string, privateKeyName: string,
+        options?: { [option: string]: any }): QPromise<string>;
+    decryptPassword(password: string): QPromise<string>;
+    symmetricDecryptPassword(data: any): QPromise<string>;
+    decryptDataFromFile(dataFile: string, options?: { [option: string]: any }): QPromise<string>;
+    decryptConfValue(value: string): QPromise<string>;
+    setLoggerOptions(loggerOptions: LoggerOptions): void;
+}
+
+export interface LocalKeyUtil extends LoggingModule {
+    generateAndInstallKeyPair(publicKeyDirectory: string, publicKeyOutFile: string, privateKeyFolder: string,
+        privateKeyName: string, options?: { [option: string]: any }): QPromise<any>;
+    getKeyFilePath(folder: string, keyType: string, name: string): QPromise<string>;
+    getPrivateKeyFilePath(folder: string, name: string): QPromise<string>;
+    getPrivateKeyMetadata(folder: string, name: string): QPromise<any>;
+    getExistingPrivateKeyName(folder: string, name: string): QPromise<string>;
+}
+
+export interface HttpRequestOptions {
+    headers?: { [header: string]: string };
+    body?: any;
+    tls?: LoadedTlsOptions;
+}
+
+export interface HttpUtil {
+    get(url: string, options?: HttpRequestOptions): QPromise<any>;
+    post(url: string, options?: HttpRequestOptions): QPromise<any>;
+    patch(url: string, options?: HttpRequestOptions): QPromise<any>;
+    put(url: string, options?: HttpRequestOptions): QPromise<any>;
+    delete(url: string, options?: HttpRequestOptions): QPromise<any>;
+    request(method: string, url: string, options?: HttpRequestOptions): QPromise<any>;
+}
+
+export interface Ipc extends LoggingModule {
+    signalBasePath: string;
+    once(signal: string): QPromise<any>;
+    send(signal: string): void;
+    clearSignals(): void;
+}
+
+export interface MetricsCollector extends LoggingModule {
+    upload(metrics: { [metric: string]: any }): QPromise<any>;
+}
+
+export interface OnboardConfig extends LoggingModule {
+    SCHEMA_PATH: string;
+    load(uri: string, options?: ScriptOptions): QPromise<any>;
+    parse(data: string): any;
+    validate(config: any): void;
+}
+
+export interface ProxyUtil extends LoggingModule {
+    setProxy(proxyUrl?: string, options?: { noProxy?: string }): void;
+    getProxy(url: string): any;
+    addProxyOptions(url: string, requestOptions: { [option: string]: any }): { [option: string]: any };
+    createTunnel(proxy: any, hostname: string, port: number,
+        callback: (err: Error | null, socket?: import('net').Socket) => void): void;
+}
+
+export interface SharedConstants {
+    KEYS: { [key: string]: string };
+    PRODUCTS: { BIGIP: 'BIG-IP'; BIGIQ: 'BIG-IQ' };
+    REG_EXPS: { [key: string]: RegExp };
+    LICENSE_API_TYPES: { [type: string]: string };
+    BACKUP: { [key: string]: string };
+    [constant: string]: any;
+}
+
+export interface Signals {
+    [signal: string]: string;
+}
+
+export interface TlsUtil {
+    readTlsOptions(tlsOptions: TlsOptions, options?: ScriptOptions): QPromise<LoadedTlsOptions | undefined>;
+    hasTlsOptions(tlsOptions?: TlsOptions | LoadedTlsOptions): boolean;
+    isStrict(tlsOptions?: TlsOptions | LoadedTlsOptions): boolean;
+    getRequestOptions(tlsOptions: LoadedTlsOptions | undefined, strict: boolean): { [option: string]: any };
+    pinCertificate(request: import('http').ClientRequest, fingerprint?: string): void;
+}
+
+export interface Util extends LoggingModule {
+    BACKOFF: { FIXED: 'fixed'; EXPONENTIAL: 'exponential'; EXPONENTIAL_JITTER: 'exponential-jitter' };
+    DEFAULT_RETRY: RetryOptions;
+    DEFAULT_RETRY_IGNORE_ERRORS: RetryOptions;
+    SHORT_RETRY: RetryOptions;
+    MEDIUM_RETRY: RetryOptions;
+    LONG_RETRY: RetryOptions;
+    QUICK_BUT_LONG_RETRY: RetryOptions;
+    NO_RETRY: RetryOptions;
+    getProduct(): QPromise<string>;
+    ipToNumber(ip: string): number;
+    getIpFamily(address: string): 4 | 6 | undefined;
+    addDefaultPrefixLength(address: string): string;
+    compareIps(ip1: string, ip2: string): number;
+    ipToBuffer(ip: string): Buffer | undefined;
+    tryUntil<T>(thisArg: any, retryOptions: RetryOptions, funcToTry: (...args: any[]) => PromiseLike<T>,
+        args?: any[]): QPromise<T>;
+    getShouldRetry(options: { neverRetry?: any[]; alwaysRetry?: any[] }): (err: any) => boolean | undefined;
+    callInSerial(thisArg: any, promises: { promise: Function; arguments?: any[] }[], delay?: number):
+        QPromise<any[]>;
+    deleteUser(user: string): QPromise<any>;
+    createBufferFrom(data: string, encoding?: string): Buffer;
+    createBufferAlloc(size: number): Buffer;
+    logAndExit(message: string, level?: string, code?: number): void;
+    logError(message: string, options?: { [option: string]: any }): void;
+    getProcessCount(grepCommand: string): QPromise<string>;
+    getProcessExecutionTimeWithPid(grepCommand: string): QPromise<string>;
+    terminateProcessById(pid: string): QPromise<any>;
+    reboot(bigIp: BigIp, options?: { signalOnly?: boolean }): QPromise<any>;
+    runInBackgroundAndExit(process: NodeJS.Process, logFileName: string): void;
+    getArgsToStripDuringForcedReboot(options: any, argsToKeep?: string[]): string[];
+    saveArgs(args: string[], id: string, argsToStrip?: string[]): QPromise<any>;
+    deleteArgs(id: string): void;
+    collect(val: string, collection: string[]): string[];
+    csv(val: string, collection: string[][]): string[][];
+    list(val: string): string[];
+    pair(pair: string, container: { [key: string]: string }): void;
+    map(mapString: string, container: { [key: string]: any }): { [key: string]: any };
+    mapArray(mapString: string, container: { [key: string]: any }[]): { [key: string]: any }[];
+    lowerCaseKeys(obj: any): any;
+    writeDataToFile(data: any, file: string): QPromise<any>;
+    readDataFromFile(file: string): QPromise<Buffer>;
+    writeDataToUrl(data: any, url: string): QPromise<any>;
+    readData(dataOrUri: string, dataIsUri?: boolean, options?: ScriptOptions): QPromise<any>;
+    getDataFromUrl(url: string, options?: { [option: string]: any }): QPromise<any>;
+    download(url: string): QPromise<string>;
+    removeDirectorySync(dir: string): void;
+    localReady(): QPromise<any>;
+    runShellCommand(command: string): QPromise<string>;
+    runTmshCommand(command: string): QPromise<string>;
+    parseTmshResponse(response: string): { [key: string]: string };
+    getProductString(): QPromise<string>;
+    versionCompare(v1: string, v2: string, options?: { [option: string]: any }): number;
+    writeUcsFile(ucsFilePath: string, ucsData: any): QPromise<any>;
+}
+
+// Native Promise API (lib/promises.js)
+
+export type NativeBigIp = Native<Pick<BigIp, Exclude<keyof BigIp, 'cluster' | 'onboard' | 'gtm'>>> & {
+    cluster: Native<BigIpCluster>;
+    onboard: Native<BigIpOnboard>;
+    gtm: Native<BigIpGtm>;
+};
+
+export interface Promises {
+    bigIp: new (options?: LoggingOptions) => NativeBigIp;
+    bigIpCluster: new (bigIpCore: BigIp | NativeBigIp, options?: LoggingOptions) => Native<BigIpCluster>;
+    bigIpOnboard: new (bigIpCore: BigIp | NativeBigIp, options?: LoggingOptions) => Native<BigIpOnboard>;
+    bigIq: new (options?: LoggingOptions) => Native<BigIq>;
+    cloudProviderFactory: {
+        getCloudProvider(name?: string, options?: ScriptOptions, matchOptions?: { storageUri?: string }):
+            Native<CloudProvider>;
+    };
+    util: Native<Util>;
+    wrap<T>(target: T, nested?: string[]): Native<T>;
+    unwrap<T>(wrapped: Native<T>): T;
+    toNative<T>(promiseOrValue: T | PromiseLike<T>): Promise<T>;
+}
+
+// Exports, as named in index.js
+
+export {
+    ActiveError as activeError,
+    AutoscaleInstance as autoscaleInstance,
+    CloudProvider as cloudProvider,
+    BigIp as bigIp,
+    BigIpCluster as bigIpCluster,
+    BigIpOnboard as bigIpOnboard,
+    BigIq as bigIq,
+    DnsProvider as dnsProvider,
+    GenericNodeProvider as genericNodeProvider,
+    GtmDnsProvider as gtmDnsProvider,
+    LocalProvider as localProvider,
+    IControl as iControl,
+    LicensePoolsExhaustedError as licensePoolsExhaustedError,
+    Rfc2136DnsProvider as rfc2136DnsProvider
+};
+
+export declare const authn: AuthnModule;
+export declare const bigIqOnboardMixins: BigIqOnboardMixins;
+export declare const bigIqClusterMixins: BigIqClusterMixins;
+export declare const bigIqLicenseProviderFactory: BigIqLicenseProviderFactory;
+export declare const cloudProviderFactory: CloudProviderFactory;
+export declare const configDrift: ConfigDriftModule;
+export declare const cryptoUtil: CryptoUtil;
+export declare const dnsProviderFactory: DnsProviderFactory;
+export declare const eventLog: EventLog;
+export declare const localCryptoUtil: LocalCryptoUtil;
+export declare const localKeyUtil: LocalKeyUtil;
+export declare const httpUtil: HttpUtil;
+export declare const ipc: Ipc;
+export declare const logger: LoggerModule;
+export declare const metricsCollector: MetricsCollector;
+export declare const onboardConfig: OnboardConfig;
+export declare const promises: Promises;
+export declare const proxyUtil: ProxyUtil;
+export declare const sharedConstants: SharedConstants;
+export declare const signals: Signals;
+export declare const tlsUtil: TlsUtil;
+export declare const util: Util;
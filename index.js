@@ -30,19 +30,28 @@ module.exports = {
     bigIqClusterMixins: require('./lib/bigIqClusterMixins'),
     bigIqLicenseProviderFactory: require('./lib/bigIqLicenseProviderFactory'),
     cloudProviderFactory: require('./lib/cloudProviderFactory'),
+    configDrift: require('./lib/configDrift'),
     cryptoUtil: require('./lib/cryptoUtil'),
     dnsProvider: require('./lib/dnsProvider'),
     dnsProviderFactory: require('./lib/dnsProviderFactory'),
+    eventLog: require('./lib/eventLog'),
     genericNodeProvider: require('./lib/genericNodeProvider'),
     gtmDnsProvider: require('./lib/gtmDnsProvider'),
     localCryptoUtil: require('./lib/localCryptoUtil'),
     localKeyUtil: require('./lib/localKeyUtil'),
+    localProvider: require('./lib/localProvider'),
     httpUtil: require('./lib/httpUtil'),
     iControl: require('./lib/iControl'),
     ipc: require('./lib/ipc'),
+    licensePoolsExhaustedError: require('./lib/licensePoolsExhaustedError'),
     logger: require('./lib/logger'),
     metricsCollector: require('./lib/metricsCollector'),
+    onboardConfig: require('./lib/onboardConfig'),
+    promises: require('./lib/promises'),
+    proxyUtil: require('./lib/proxyUtil'),
+    rfc2136DnsProvider: require('./lib/rfc2136DnsProvider'),
     sharedConstants: require('./lib/sharedConstants'),
     signals: require('./lib/signals'),
+    tlsUtil: require('./lib/tlsUtil'),
     util: require('./lib/util')
 };
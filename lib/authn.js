@@ -20,6 +20,7 @@ const q = require('q');
 const IControl = require('./iControl');
 const util = require('./util');
 const localCryptoUtil = require('./localCryptoUtil');
+const tlsUtil = require('./tlsUtil');
 const Logger = require('./logger');
 const PRODUCTS = require('./sharedConstants').PRODUCTS;
 
@@ -49,6 +50,20 @@ module.exports = {
      * @param {Boolean} [options.passwordIsToken]   - Indicates that the password is an auth token.
      * @param {Boolean} [options.passwordEncrypted] - Indicates that the password is encrypted.
      * @param {Object}  [options.clOptions]         - Command line options if called from a script.
+     * @param {Boolean} [options.tokenAuth]         - Use token auth for BIG-IP rather than basic auth.
+     *                                                BIG-IQ always uses token auth.
+     * @param {String}  [options.loginProviderName] - Login provider to authenticate with when using token
+     *                                                auth. Default is tmos for BIG-IP and the device
+     *                                                default for BIG-IQ.
+     * @param {Number}  [options.tokenTimeout]      - Seconds to extend the lifetime of the auth token to.
+     *                                                Default is the device default.
+     * @param {Object}  [options.tls]               - Client certificate, CA bundle and certificate pin as
+     *                                                URIs. See {@link module:tlsUtil}. Default is not to
+     *                                                validate the device certificate.
+     * @param {Number}  [options.maxConcurrentRequests] - Maximum number of requests to the device in flight
+     *                                                    at once. See {@link IControl}.
+     * @param {Number}  [options.requestTimeoutMs]  - Milliseconds a request may be idle before it fails.
+     *                                                See {@link IControl}.
      * @param {Object}  [options.logger]            - Logger to use. Or, pass loggerOptions to
      *                                                get your own logger.
      * @param {Object}  [options.loggerOptions]     - Options for the logger.
@@ -60,6 +75,7 @@ module.exports = {
     authenticate(host, user, passwordOrUri, options) {
         const optionalArgs = {};
         let password;
+        let icontrolOptions;
 
         Object.assign(optionalArgs, options);
         return util.readData(
@@ -81,6 +97,22 @@ module.exports = {
             .then((data) => {
                 password = data ? data.trim() : null;
 
+                return tlsUtil.readTlsOptions(
+                    optionalArgs.tls,
+                    {
+                        clOptions: optionalArgs.clOptions,
+                        logger: optionalArgs.logger,
+                        loggerOptions: optionalArgs.loggerOptions
+                    }
+                );
+            })
+            .then((data) => {
+                icontrolOptions = {
+                    tls: data,
+                    maxConcurrentRequests: optionalArgs.maxConcurrentRequests,
+                    requestTimeoutMs: optionalArgs.requestTimeoutMs
+                };
+
                 // If we're using port 8100 on localhost then no password is required
                 if (!password
                     && host !== 'localhost'
@@ -101,26 +133,37 @@ module.exports = {
                         optionalArgs.port,
                         user,
                         '',
-                        optionalArgs.loggerOptions
+                        optionalArgs.loggerOptions,
+                        icontrolOptions
                     );
                     icontrol.setAuthToken(password);
                     return q(icontrol);
                 }
 
-                if (product === PRODUCTS.BIGIQ && !(host === 'localhost' && optionalArgs.port === 8100)) {
+                if (host === 'localhost' && optionalArgs.port === 8100) {
+                    return localAuth.call(
+                        this,
+                        optionalArgs.loggerOptions
+                    );
+                }
+                if (product === PRODUCTS.BIGIQ || optionalArgs.tokenAuth) {
+                    let loginProviderName = optionalArgs.loginProviderName;
+                    if (!loginProviderName && product !== PRODUCTS.BIGIQ) {
+                        loginProviderName = 'tmos';
+                    }
+
                     return tokenAuth.call(
                         this,
                         host,
                         optionalArgs.port,
                         user,
                         password,
-                        optionalArgs.loggerOptions
-                    );
-                }
-                if (host === 'localhost' && optionalArgs.port === 8100) {
-                    return localAuth.call(
-                        this,
-                        optionalArgs.loggerOptions
+                        {
+                            loginProviderName,
+                            tokenTimeout: optionalArgs.tokenTimeout,
+                            loggerOptions: optionalArgs.loggerOptions,
+                            icontrolOptions
+                        }
                     );
                 }
                 return basicAuth.call(
@@ -129,7 +172,8 @@ module.exports = {
                     optionalArgs.port,
                     user,
                     password,
-                    optionalArgs.loggerOptions
+                    optionalArgs.loggerOptions,
+                    icontrolOptions
                 );
             })
             .catch((err) => {
@@ -154,22 +198,34 @@ module.exports = {
     }
 };
 
-function tokenAuth(host, port, user, password, loggerOptions) {
+function tokenAuth(host, port, user, password, options) {
     let icontrol;
 
     const login = function () {
-        return icontrol.create(
-            '/shared/authn/login',
-            {
-                password,
-                username: user,
-            }
-        );
+        const body = {
+            password,
+            username: user,
+        };
+
+        if (options.loginProviderName) {
+            body.loginProviderName = options.loginProviderName;
+        }
+
+        return icontrol.create('/shared/authn/login', body);
     };
 
     // this.icontrol can be set by test code
-    icontrol = this.icontrol || getIControl(host, port, user, password, loggerOptions);
+    icontrol = this.icontrol || getIControl(
+        host,
+        port,
+        user,
+        password,
+        options.loggerOptions,
+        options.icontrolOptions
+    );
     icontrol.authToken = null;
+    icontrol.loginProviderName = options.loginProviderName;
+    icontrol.tokenTimeout = options.tokenTimeout;
 
     logger.debug('Getting auth token.');
     const retryConfig = {
@@ -186,6 +242,14 @@ function tokenAuth(host, port, user, password, loggerOptions) {
                 if (response.refreshToken) {
                     icontrol.setRefreshToken(response.refreshToken.token);
                 }
+
+                if (options.tokenTimeout) {
+                    logger.debug('Extending auth token timeout to', options.tokenTimeout);
+                    return icontrol.extendAuthToken(options.tokenTimeout)
+                        .then(() => {
+                            return icontrol;
+                        });
+                }
                 return q(icontrol);
             }
 
@@ -195,21 +259,26 @@ function tokenAuth(host, port, user, password, loggerOptions) {
         });
 }
 
-function basicAuth(host, port, user, password, loggerOptions) {
-    return getIControl(host, port, user, password, loggerOptions);
+function basicAuth(host, port, user, password, loggerOptions, icontrolOptions) {
+    return getIControl(host, port, user, password, loggerOptions, icontrolOptions);
 }
 
 function localAuth(loggerOptions) {
     return getIControl('localhost', 8100, null, null, loggerOptions);
 }
 
-function getIControl(host, port, user, password, loggerOptions) {
+function getIControl(host, port, user, password, loggerOptions, icontrolOptions) {
+    const opts = icontrolOptions || {};
+
     return new IControl({
         loggerOptions,
         port,
+        tls: opts.tls,
+        maxConcurrentRequests: opts.maxConcurrentRequests,
+        requestTimeoutMs: opts.requestTimeoutMs,
         host: host ? host.trim() : null,
         user: user ? user.trim() : null,
         password: password ? password.trim() : null,
-        strict: false
+        strict: tlsUtil.isStrict(opts.tls)
     });
 }
@@ -38,6 +38,16 @@ const REG_EXPS = require('./sharedConstants').REG_EXPS;
 const BACKUP = require('../lib/sharedConstants').BACKUP;
 
 const UCS_TASK_PATH = '/tm/task/sys/ucs';
+const LICENSE_DATES = [
+    'licensedOnDate',
+    'licenseStartDate',
+    'licenseEndDate',
+    'serviceCheckDate',
+    'evaluationStart',
+    'evaluationEnd'
+];
+const LICENSE_EXPIRY_DATES = ['licenseEndDate', 'evaluationEnd', 'serviceCheckDate'];
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 /**
  * BigIp constructor
@@ -83,6 +93,13 @@ function BigIp(options) {
     // Must call init() to set this
     this.isInitialized = false;
 
+    // Write requests are recorded here rather than sent when in dry run mode (see setDryRun)
+    this.dryRun = false;
+    this.plan = [];
+
+    // Successful write requests are recorded here when set (see setChangeLog)
+    this.changeLog = undefined;
+
     this.cluster = new BigIpCluster(this, dependentOptions);
     this.gtm = new BigIpGtm(this, dependentOptions);
     this.onboard = new BigIpOnboard(this, dependentOptions);
@@ -104,6 +121,15 @@ function BigIp(options) {
  * @param {String}  [options.product]           - The product we are running on (BIG-IP | BIG-IQ). Default
  *                                                is to determine the product programmatically.
  * @param {Object}  [options.clOptions]         - Command line options
+ * @param {Boolean} [options.tokenAuth]         - Use token auth rather than basic auth.
+ * @param {String}  [options.loginProviderName] - Login provider for token auth. Default tmos.
+ * @param {Number}  [options.tokenTimeout]      - Seconds to extend the lifetime of the auth token to.
+ * @param {Object}  [options.tls]               - Client certificate, CA bundle and certificate pin as
+ *                                                URIs. See {@link module:tlsUtil}.
+ * @param {Number}  [options.maxConcurrentRequests] - Maximum number of requests to the device in flight
+ *                                                    at once. Default no limit.
+ * @param {Number}  [options.requestTimeoutMs]  - Milliseconds a request may be idle before it fails.
+ *                                                Default 300000.
  *
  * @returns {Promise} A promise which is resolved when initialization is complete
  *                    or rejected if an error occurs.
@@ -122,7 +148,13 @@ BigIp.prototype.init = function init(host, user, password, options) {
         passwordIsUri: this.initOptions.passwordIsUrl,
         passwordIsToken: this.initOptions.passwordIsToken,
         passwordEncrypted: this.initOptions.passwordEncrypted,
-        clOptions: this.initOptions.clOptions
+        clOptions: this.initOptions.clOptions,
+        tokenAuth: this.initOptions.tokenAuth,
+        loginProviderName: this.initOptions.loginProviderName,
+        tokenTimeout: this.initOptions.tokenTimeout,
+        tls: this.initOptions.tls,
+        maxConcurrentRequests: this.initOptions.maxConcurrentRequests,
+        requestTimeoutMs: this.initOptions.requestTimeoutMs
     };
 
     // Are we a BIG-IP or BIG-IQ?
@@ -158,6 +190,23 @@ BigIp.prototype.init = function init(host, user, password, options) {
         });
 };
 
+/**
+ * Deletes the auth token obtained by init, if any
+ *
+ * Not affected by dry run mode.
+ *
+ * @returns {Promise} A promise which is resolved when the token has been deleted. Failures
+ *                    to delete the token are logged but not rejected.
+ */
+BigIp.prototype.logout = function logout() {
+    if (!this.icontrol || !this.icontrol.authToken) {
+        return q();
+    }
+
+    this.logger.info('Logging out.');
+    return this.icontrol.logout();
+};
+
 /**
  * Low-level interface
  */
@@ -232,7 +281,7 @@ BigIp.prototype.create = function create(path, body, iControlOptions, retryOptio
 
         return isInitialized(this)
             .then(() => {
-                return this.icontrol.create(path, body, iControlOptions);
+                return send.call(this, 'create', path, body, iControlOptions);
             })
             .then((response) => {
                 if (!methodOptions.silent) {
@@ -274,7 +323,7 @@ BigIp.prototype.modify = function modify(path, body, iControlOptions, retryOptio
 
         return isInitialized(this)
             .then(() => {
-                return this.icontrol.modify(path, body, iControlOptions);
+                return send.call(this, 'modify', path, body, iControlOptions);
             })
             .then((response) => {
                 if (!methodOptions.silent) {
@@ -316,7 +365,7 @@ BigIp.prototype.replace = function replace(path, body, iControlOptions, retryOpt
 
         return isInitialized(this)
             .then(() => {
-                return this.icontrol.replace(path, body, iControlOptions);
+                return send.call(this, 'replace', path, body, iControlOptions);
             })
             .then((response) => {
                 if (!methodOptions.silent) {
@@ -358,7 +407,7 @@ BigIp.prototype.delete = function deletez(path, body, iControlOptions, retryOpti
 
         return isInitialized(this)
             .then(() => {
-                return this.icontrol.delete(path, body, iControlOptions);
+                return send.call(this, 'delete', path, body, iControlOptions);
             })
             .then((response) => {
                 if (!methodOptions.silent) {
@@ -437,7 +486,7 @@ BigIp.prototype.createOrModify = function createOrModify(path, body, iControlOpt
                 return deferred.promise;
             })
             .then((method) => {
-                return this.icontrol[method](finalPath, body, iControlOptions);
+                return send.call(this, method, finalPath, body, iControlOptions);
             })
             .then((response) => {
                 if (!methodOptions.silent) {
@@ -450,6 +499,112 @@ BigIp.prototype.createOrModify = function createOrModify(path, body, iControlOpt
     return util.tryUntil(this, retry, func);
 };
 
+/**
+ * Enables or disables dry run mode
+ *
+ * In dry run mode, create, modify, replace, delete, createOrModify and transaction
+ * requests are recorded rather than sent to the device. Reads are still sent to the device.
+ *
+ * @param {Boolean}  dryRun - Whether or not to run in dry run mode.
+ * @param {Object[]} [plan] - Array in which to record requests. Pass the plan of another
+ *                            BigIp to record the requests for both devices in order.
+ */
+BigIp.prototype.setDryRun = function setDryRun(dryRun, plan) {
+    this.dryRun = !!dryRun;
+    if (plan) {
+        this.plan = plan;
+    }
+};
+
+/**
+ * Records a request in the dry run plan
+ *
+ * Used for requests which do not go through the low-level interface (to a BIG-IQ, for example).
+ *
+ * @param {String} method - Method (create, modify, etc.) of the request.
+ * @param {String} path   - Path of the request.
+ * @param {Object} [body] - Body of the request.
+ * @param {String} [host] - Host to which the request would be sent. Default is this device.
+ */
+BigIp.prototype.addToPlan = function addToPlan(method, path, body, host) {
+    this.plan.push({
+        host: host || this.host,
+        method,
+        path,
+        body: typeof body === 'undefined' ? undefined : JSON.parse(JSON.stringify(body))
+    });
+};
+
+/**
+ * Gets the requests recorded in dry run mode
+ *
+ * @returns {Object[]} Array of requests in the order they would have been sent, each of the form
+ *                     {
+ *                         host: host to which the request would be sent,
+ *                         method: 'create' | 'modify' | 'replace' | 'delete' | 'transaction' | ...,
+ *                         path: path for request,
+ *                         body: body for request with passwords and passphrases masked
+ *                     }
+ */
+BigIp.prototype.getPlan = function getPlan() {
+    return this.plan.map((request) => {
+        return {
+            host: request.host,
+            method: request.method,
+            path: request.path,
+            body: maskSecrets(request.body)
+        };
+    });
+};
+
+/**
+ * Logs the request statistics of the connection to the device. See {@link IControl#getStats}.
+ *
+ * @param {Object} [logger] - Logger to log to. Default is the logger for this BigIp.
+ */
+BigIp.prototype.logRequestStats = function logRequestStats(logger) {
+    if (!this.icontrol || typeof this.icontrol.getStats !== 'function') {
+        return;
+    }
+
+    (logger || this.logger).info('Request stats:', JSON.stringify(this.icontrol.getStats()));
+};
+
+/**
+ * Logs the requests recorded in dry run mode, one per line, in the order they would have been sent
+ *
+ * @param {Object} [logger] - Logger to log to. Default is the logger for this BigIp.
+ */
+BigIp.prototype.logPlan = function logPlan(logger) {
+    const planLogger = logger || this.logger;
+
+    planLogger.info('Dry run. Requests that would have been made:');
+    this.getPlan().forEach((request, index) => {
+        planLogger.info(
+            `${index + 1}. ${request.method} ${request.host} ${request.path}`,
+            request.body ? JSON.stringify(request.body) : ''
+        );
+    });
+};
+
+/**
+ * Starts or stops recording successful write requests
+ *
+ * Lets callers report what was changed on the device, for example after
+ * rolling back to a saved config.
+ *
+ * @param {Object[]} [changeLog] - Array in which to record requests, each of the form
+ *                                 {
+ *                                     method: 'create' | 'modify' | 'replace' | 'delete',
+ *                                     path: path for request,
+ *                                     name: name from the request body, if any
+ *                                 }
+ *                                 Omit to stop recording.
+ */
+BigIp.prototype.setChangeLog = function setChangeLog(changeLog) {
+    this.changeLog = changeLog;
+};
+
 /**
  * Higher level interface
  */
@@ -585,6 +740,148 @@ BigIp.prototype.deviceState = function deviceState(hostname, retryOptions) {
     return util.tryUntil(this, retry, func);
 };
 
+/**
+ * Gets the license installed on the device
+ *
+ * Dates are returned as YYYY-MM-DD, or undefined if the license does not have them.
+ *
+ * @param {Object}  [retryOptions]                 - Options for retrying the request.
+ * @param {Integer} [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                   0 to not retry. Default 60.
+ * @param {Integer} [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 10000.
+ *
+ * @returns {Promise} A promise which is resolved with the license, or undefined if the device
+ *                    is not licensed. The license is of the form
+ *
+ *                    {
+ *                        registrationKey: <base registration key>,
+ *                        licensedVersion: <version the license is for>,
+ *                        platformId: <platform id>,
+ *                        licensedOnDate: <date>,
+ *                        licenseStartDate: <date>,
+ *                        licenseEndDate: <date>,
+ *                        serviceCheckDate: <date>,
+ *                        evaluationStart: <date>,
+ *                        evaluationEnd: <date>,
+ *                        expiration: <earliest of licenseEndDate and evaluationEnd>,
+ *                        activeModules: [
+ *                            {
+ *                                name: <module name>,
+ *                                key: <key the module is licensed with>,
+ *                                features: [<feature names>],
+ *                                addOn: <true if licensed with an add-on key>,
+ *                                expiration: <date the add-on expires, if it does>
+ *                            }
+ *                        ],
+ *                        addOnKeys: [<add-on keys>]
+ *                    }
+ */
+BigIp.prototype.getLicenseInfo = function getLicenseInfo(retryOptions) {
+    const retry = retryOptions || util.DEFAULT_RETRY;
+
+    const func = function () {
+        return this.list('/tm/sys/license', undefined, util.NO_RETRY);
+    };
+
+    return util.tryUntil(this, retry, func)
+        .then((response) => {
+            return parseLicense(response);
+        });
+};
+
+/**
+ * Checks whether the license on the device, its service check date, or any of its add-ons expire soon
+ *
+ * Dates which can not be parsed are reported as expiring, with invalid set, so that they are not
+ * silently ignored.
+ *
+ * @param {Object}  [options]             - Optional parameters.
+ * @param {Integer} [options.warningDays] - Warn about dates within this many days. Default 30.
+ * @param {Object}  [retryOptions]        - Options for retrying the request.
+ *                                          See {@link BigIp#getLicenseInfo}.
+ *
+ * @returns {Promise} A promise which is resolved with a report of the form
+ *
+ *                    {
+ *                        license: <license, see getLicenseInfo>,
+ *                        warningDays: <warning window in days>,
+ *                        expiring: [
+ *                            {
+ *                                name: <licenseEndDate | evaluationEnd | serviceCheckDate | addOnExpiration>,
+ *                                key: <add-on key, for addOnExpiration>,
+ *                                module: <add-on module name, for addOnExpiration>,
+ *                                date: <YYYY-MM-DD>,
+ *                                daysRemaining: <days until the date, negative if past>,
+ *                                expired: <true if the date has passed>,
+ *                                invalid: <true if the date could not be parsed>
+ *                            }
+ *                        ],
+ *                        ok: <true if the device is licensed and nothing expires within the window>
+ *                    }
+ */
+BigIp.prototype.checkLicenseExpiry = function checkLicenseExpiry(options, retryOptions) {
+    const warningDays = options && typeof options.warningDays !== 'undefined'
+        ? parseInt(options.warningDays, 10)
+        : 30;
+
+    return this.getLicenseInfo(retryOptions)
+        .then((license) => {
+            const report = {
+                license,
+                warningDays,
+                expiring: [],
+                ok: !!license
+            };
+
+            if (!license) {
+                this.logger.warn('Device is not licensed');
+                return report;
+            }
+
+            const now = new Date();
+            const today = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate());
+
+            const checkDate = (entry) => {
+                const daysRemaining = getDaysRemaining(entry.date, today);
+                const label = entry.key ? `${entry.name} ${entry.key}` : entry.name;
+
+                if (Number.isNaN(daysRemaining)) {
+                    this.logger.warn('License', label, 'has an invalid date:', entry.date);
+                    report.expiring.push(Object.assign(entry, { expired: false, invalid: true }));
+                } else if (daysRemaining <= warningDays) {
+                    const expired = daysRemaining < 0;
+                    this.logger.warn(
+                        'License',
+                        label,
+                        entry.date,
+                        expired ? 'has passed' : `is in ${daysRemaining} day(s)`
+                    );
+                    report.expiring.push(Object.assign(entry, { daysRemaining, expired }));
+                }
+            };
+
+            LICENSE_EXPIRY_DATES.forEach((name) => {
+                if (license[name]) {
+                    checkDate({ name, date: license[name] });
+                }
+            });
+
+            license.activeModules.forEach((activeModule) => {
+                if (activeModule.addOn && activeModule.expiration) {
+                    checkDate({
+                        name: 'addOnExpiration',
+                        key: activeModule.key,
+                        module: activeModule.name,
+                        date: activeModule.expiration
+                    });
+                }
+            });
+
+            report.ok = report.expiring.length === 0;
+            return report;
+        });
+};
+
 /**
  * Gets the path to the latest private key
  *
@@ -817,6 +1114,8 @@ BigIp.prototype.loadUcs = function loadUcs(file, loadOptions, options) {
 
         util.getDataFromUrl(this.initPassword)
             .then((password) => {
+                const previousIControl = this.icontrol || {};
+
                 this.password = password.trim();
                 this.icontrol = new IControl({
                     host: this.host,
@@ -824,8 +1123,16 @@ BigIp.prototype.loadUcs = function loadUcs(file, loadOptions, options) {
                     user: this.user,
                     password: this.password,
                     basePath: '/mgmt',
-                    strict: false
+                    strict: !!previousIControl.strict,
+                    tls: previousIControl.tls,
+                    maxConcurrentRequests: previousIControl.maxConcurrentRequests,
+                    requestTimeoutMs: previousIControl.requestTimeoutMs
                 });
+
+                // Keep counting from where the previous connection left off
+                if (previousIControl.stats) {
+                    this.icontrol.stats = previousIControl.stats;
+                }
                 this.isInitialized = true;
                 return this.ready();
             })
@@ -930,6 +1237,11 @@ BigIp.prototype.ping = function ping(address, retryOptions) {
         return q.reject(new Error('Address is required for ping.'));
     }
 
+    if (this.dryRun) {
+        this.logger.info('Dry run. Not pinging', address);
+        return q(true);
+    }
+
     const func = function () {
         return this.ready()
             .then(() => {
@@ -1148,6 +1460,18 @@ BigIp.prototype.rebootRequired = function rebootRequired(retryOptions) {
  */
 BigIp.prototype.runTask = function runTask(taskPath, taskConfig, options) {
     let taskId;
+
+    // In dry run mode there is no task to wait for
+    if (this.dryRun) {
+        return this.ready()
+            .then(() => {
+                return this.create(taskPath, taskConfig, undefined, util.NO_RETRY);
+            })
+            .then(() => {
+                return q();
+            });
+    }
+
     return this.ready()
         .then(() => {
             return this.create(taskPath, taskConfig, undefined, util.NO_RETRY);
@@ -1356,6 +1680,14 @@ BigIp.prototype.transaction = function transaction(commands) {
         return q();
     }
 
+    if (this.dryRun) {
+        return this.ready()
+            .then(() => {
+                this.logger.verbose('Dry run. Recording transaction', TRANSACTION_PATH);
+                this.addToPlan('transaction', TRANSACTION_PATH, commands);
+            });
+    }
+
     return this.ready()
         .then(() => {
             return startTransaction();
@@ -1432,6 +1764,59 @@ function checkTask(taskPath, taskIdToCheck, options) {
     return util.tryUntil(this, util.DEFAULT_RETRY, func);
 }
 
+/**
+ * Sends a write request to the device, or records it if in dry run mode.
+ * Successful requests are added to the change log, if there is one.
+ *
+ * @param {String} method            - IControl method (create, modify, replace, delete).
+ * @param {String} path              - The path for the request.
+ * @param {Object} body              - The body for the request.
+ * @param {Object} [iControlOptions] - Options for IControl.
+ *
+ * @returns {Promise} A promise which is resolved with the response (an empty
+ *                    object in dry run mode) or rejected if an error occurs.
+ */
+function send(method, path, body, iControlOptions) {
+    if (this.dryRun) {
+        this.logger.verbose('Dry run. Recording', method, path);
+        this.addToPlan(method, path, body);
+        return q({});
+    }
+
+    return this.icontrol[method](path, body, iControlOptions)
+        .then((response) => {
+            if (this.changeLog) {
+                this.changeLog.push({
+                    method,
+                    path,
+                    name: body && body.name ? body.name : undefined
+                });
+            }
+            return response;
+        });
+}
+
+/**
+ * Returns a copy of data with the values of password and passphrase keys masked
+ */
+function maskSecrets(data) {
+    const maskRegex = new RegExp('pass(word|phrase)', 'i');
+
+    if (Array.isArray(data)) {
+        return data.map(maskSecrets);
+    }
+
+    if (data && typeof data === 'object') {
+        const masked = {};
+        Object.keys(data).forEach((key) => {
+            masked[key] = maskRegex.test(key) ? '********' : maskSecrets(data[key]);
+        });
+        return masked;
+    }
+
+    return data;
+}
+
 function isInitialized(bigIp) {
     if (bigIp.isInitialized) {
         return q();
@@ -1554,4 +1939,110 @@ function runLoadUcs(file, ucsLoadOptions) {
     return deferred.promise;
 }
 
+/**
+ * Gets the number of days from today to a license date
+ *
+ * @param {String} date  - Date as YYYY-MM-DD.
+ * @param {Number} today - Milliseconds since the epoch of the start of today (UTC).
+ *
+ * @returns {Number} Days until the date, negative if it has passed, or NaN if the date can not be parsed.
+ */
+function getDaysRemaining(date, today) {
+    const dateParts = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date);
+    if (!dateParts) {
+        return NaN;
+    }
+
+    const month = parseInt(dateParts[2], 10);
+    const day = parseInt(dateParts[3], 10);
+    if (month < 1 || month > 12 || day < 1 || day > 31) {
+        return NaN;
+    }
+
+    return Math.round((Date.UTC(dateParts[1], month - 1, day) - today) / DAY_MS);
+}
+
+/**
+ * Parses the stats returned by /tm/sys/license
+ */
+function parseLicense(response) {
+    const licenseEntries = response && response.entries ? response.entries : {};
+    const firstEntry = licenseEntries[Object.keys(licenseEntries)[0]];
+
+    if (!firstEntry || !firstEntry.nestedStats) {
+        return undefined;
+    }
+
+    const stats = firstEntry.nestedStats.entries || {};
+    const getStat = function (name) {
+        return stats[name] ? stats[name].description : undefined;
+    };
+
+    const license = {
+        registrationKey: getStat('registrationKey'),
+        licensedVersion: getStat('licensedVersion'),
+        platformId: getStat('platformId')
+    };
+
+    LICENSE_DATES.forEach((name) => {
+        const date = getStat(name);
+        license[name] = date ? date.replace(/\//g, '-') : undefined;
+    });
+
+    license.expiration = [license.licenseEndDate, license.evaluationEnd]
+        .filter((date) => {
+            return !!date;
+        })
+        .sort()[0];
+
+    const moduleEntries = stats['active-modules'] && stats['active-modules'].nestedStats
+        ? stats['active-modules'].nestedStats.entries || {}
+        : {};
+
+    license.activeModules = Object.keys(moduleEntries).map((moduleLink) => {
+        const moduleStats = moduleEntries[moduleLink].nestedStats
+            ? moduleEntries[moduleLink].nestedStats.entries || {}
+            : {};
+
+        // The link ends in the quoted, URI encoded, module description, which looks like
+        //     "BIG-IP, VE|ABCDE-FGHIJ-KLMNO-PQRST-UVWXYZZ|Rate Shaping|APM, Limited"
+        const description = decodeURIComponent(moduleLink.substr(moduleLink.lastIndexOf('/') + 1))
+            .replace(/^"|"$/g, '');
+        const parts = description.split('|');
+        const key = moduleStats.key ? moduleStats.key.description : parts[1];
+
+        let features = [];
+        if (moduleStats.featureModules && moduleStats.featureModules.description) {
+            // featureModules looks like { "Rate Shaping" "APM, Limited" }
+            const featureRegex = /"([^"]*)"/g;
+            let match = featureRegex.exec(moduleStats.featureModules.description);
+            while (match) {
+                features.push(match[1]);
+                match = featureRegex.exec(moduleStats.featureModules.description);
+            }
+        } else {
+            features = parts.slice(2);
+        }
+
+        const expiration = moduleStats.expirationDate ? moduleStats.expirationDate.description : undefined;
+
+        return {
+            key,
+            features,
+            name: parts[0],
+            addOn: !!key && key !== license.registrationKey,
+            expiration: expiration ? expiration.replace(/\//g, '-') : undefined
+        };
+    });
+
+    license.addOnKeys = [];
+    license.activeModules.forEach((activeModule) => {
+        if (activeModule.addOn && license.addOnKeys.indexOf(activeModule.key) === -1) {
+            license.addOnKeys.push(activeModule.key);
+        }
+    });
+
+    return license;
+}
+
 module.exports = BigIp;
@@ -22,7 +22,12 @@ const util = require('./util');
 const Logger = require('./logger');
 
 const DEVICE_GROUP_PATH = '/tm/cm/device-group/';
+const TRAFFIC_GROUP_PATH = '/tm/cm/traffic-group';
 const TRUST_DOMAIN_NAME = 'Root';
+const DEFAULT_FAILOVER_PORT = 1026;
+const DEFAULT_MULTICAST_IP = '224.0.0.245';
+const DEFAULT_MULTICAST_PORT = 62960;
+const DEFAULT_BOOTSTRAP_CONCURRENCY = 4;
 
 let loggerOptions;
 
@@ -236,6 +241,254 @@ BigIpCluster.prototype.areInTrustGroup = function areInTrustGroup(deviceNames, r
     return util.tryUntil(this, retry, func);
 };
 
+/**
+ * Builds a multi-member device group from this device (the seed)
+ *
+ * Coordinates the whole process from the seed rather than having each member join:
+ *     - Connect to each member (in parallel) and make sure it has a config sync IP
+ *     - Add each member to the trust domain of the seed (one at a time)
+ *     - Create the device group on the seed, if necessary
+ *     - Add each member to the device group (in parallel)
+ *     - Sync the seed to the group
+ *     - Verify that every member reports that it is in sync (in parallel)
+ *
+ * Parallel steps run at most options.concurrency members at a time. A failure on one
+ * member does not stop the others - it is recorded in the result for that member.
+ *
+ * @param {String}   deviceGroup                          - Name of the device group.
+ * @param {Array}    members                              - Members to add. Each member is either a host
+ *                                                          string (host, host:port, IPv6 address or
+ *                                                          [IPv6 address]:port) or an object
+ *                                                          ({ host, port, user, password }).
+ * @param {Object}   [options]                            - Optional parameters.
+ * @param {String}   [options.type]                       - Type of device group (sync-only | sync-failover).
+ *                                                          Default sync-only.
+ * @param {String}   [options.remoteUser]                 - Admin user name on the members. Default is
+ *                                                          the user for this device.
+ * @param {String}   [options.remotePassword]             - Admin user password on the members. Default
+ *                                                          is the password for this device.
+ * @param {Integer}  [options.remotePort]                 - Port on the members. Default is the port
+ *                                                          for this device.
+ * @param {Boolean}  [options.passwordIsUrl]              - Indicates that remotePassword is a URL for
+ *                                                          the password.
+ * @param {Boolean}  [options.passwordEncrypted]          - Indicates that remotePassword is encrypted.
+ * @param {Integer}  [options.concurrency]                - Maximum number of members to work on at the
+ *                                                          same time. Default 4.
+ * @param {Boolean}  [options.autoSync]                   - Device group autoSync. See
+ *                                                          {@link BigIpCluster#createDeviceGroup}.
+ * @param {Boolean}  [options.saveOnAutoSync]             - Device group saveOnAutoSync.
+ * @param {Boolean}  [options.fullLoadOnSync]             - Device group fullLoadOnSync.
+ * @param {Boolean}  [options.asmSync]                    - Device group asmSync.
+ * @param {Boolean}  [options.networkFailover]            - Device group networkFailover.
+ * @param {Object}   [options.retryOptions]               - Options for retrying each per member request.
+ *                                                          Default util.MEDIUM_RETRY.
+ * @param {Object}   [options.syncRetryOptions]           - Options for retrying the in sync check on each
+ *                                                          member. Default 30 tries, 10 seconds apart.
+ *
+ * @returns {Promise} A promise which is resolved with a report of the form
+ *
+ *                        {
+ *                            deviceGroup: <device_group>,
+ *                            seed: <name_of_this_device>,
+ *                            ok: <true if every member is in the group and in sync>,
+ *                            members: [
+ *                                {
+ *                                    host, name, trusted, inGroup, inSync,
+ *                                    failedStep: <step that failed, if any>,
+ *                                    error: <error message, if any>
+ *                                }
+ *                            ]
+ *                        }
+ *
+ *                    or rejected if an error occurs on the seed.
+ */
+BigIpCluster.prototype.bootstrapDeviceGroup = function bootstrapDeviceGroup(deviceGroup, members, options) {
+    if (!deviceGroup) {
+        return q.reject(new Error('deviceGroup is required'));
+    }
+
+    if (!Array.isArray(members) || members.length === 0) {
+        return q.reject(new Error('members must be a non-empty array'));
+    }
+
+    const opts = options || {};
+    const type = opts.type || 'sync-only';
+    const concurrency = opts.concurrency || DEFAULT_BOOTSTRAP_CONCURRENCY;
+    const retry = opts.retryOptions || util.MEDIUM_RETRY;
+    const syncRetry = opts.syncRetryOptions || { maxRetries: 30, retryIntervalMs: 10000 };
+
+    let states;
+    try {
+        states = members.map((member) => {
+            return getMemberState.call(this, member, opts);
+        });
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    /* eslint-disable no-param-reassign */
+    const fail = (state, step, err) => {
+        state.failedStep = step;
+        state.error = err && err.message ? err.message : err;
+        this.logger.warn(`${state.host}: ${step} failed:`, state.error);
+    };
+
+    const pending = function () {
+        return states.filter((state) => {
+            return !state.failedStep;
+        });
+    };
+
+    let seed;
+
+    return this.core.ready()
+        .then(() => {
+            return this.core.deviceInfo();
+        })
+        .then((deviceInfo) => {
+            seed = deviceInfo.hostname;
+            this.logger.info('Bootstrapping device group', deviceGroup, 'from', seed, 'with', states.length,
+                'members.');
+
+            return mapWithConcurrency(pending(), concurrency, (state) => {
+                this.logger.info(`${state.host}: connecting.`);
+                return connectToMember.call(this, state, retry)
+                    .then(() => {
+                        this.logger.info(`${state.host}: connected as ${state.name}.`);
+                    })
+                    .catch((err) => {
+                        fail(state, 'connect', err);
+                    });
+            });
+        })
+        .then(() => {
+            // Trust changes on the seed are made one at a time
+            return pending().reduce((previous, state) => {
+                return previous
+                    .then(() => {
+                        this.logger.info(`${state.host}: adding to trust.`);
+                        return this.addToTrust(
+                            state.name,
+                            state.host,
+                            state.bigIp.user,
+                            state.bigIp.password,
+                            Object.assign({}, retry)
+                        );
+                    })
+                    .then(() => {
+                        state.trusted = true;
+                        this.logger.info(`${state.host}: trusted.`);
+                    })
+                    .catch((err) => {
+                        fail(state, 'trust', err);
+                    });
+            }, q());
+        })
+        .then(() => {
+            this.logger.info('Creating device group', deviceGroup);
+            return this.createDeviceGroup(
+                deviceGroup,
+                type,
+                [seed],
+                {
+                    autoSync: opts.autoSync,
+                    saveOnAutoSync: opts.saveOnAutoSync,
+                    fullLoadOnSync: opts.fullLoadOnSync,
+                    asmSync: opts.asmSync,
+                    networkFailover: opts.networkFailover
+                },
+                Object.assign({}, retry)
+            );
+        })
+        .then(() => {
+            return mapWithConcurrency(pending(), concurrency, (state) => {
+                this.logger.info(`${state.host}: adding to device group.`);
+                return this.addToDeviceGroup(state.name, deviceGroup, Object.assign({}, retry))
+                    .then(() => {
+                        state.inGroup = true;
+                        this.logger.info(`${state.host}: in device group.`);
+                    })
+                    .catch((err) => {
+                        fail(state, 'device-group', err);
+                    });
+            });
+        })
+        .then(() => {
+            if (pending().length === 0) {
+                this.logger.info('No members were added. Not syncing.');
+                return q();
+            }
+
+            this.logger.info('Syncing', deviceGroup, 'to group.');
+            return this.sync('to-group', deviceGroup, false, util.NO_RETRY)
+                .then(() => {
+                    // Nothing will actually sync in a dry run, so there is nothing to verify
+                    if (this.core.dryRun) {
+                        this.logger.info('Dry run. Skipping sync verification.');
+                        return q();
+                    }
+
+                    return mapWithConcurrency(pending(), concurrency, (state) => {
+                        this.logger.info(`${state.host}: waiting for sync.`);
+                        return state.bigIp.cluster.syncComplete(Object.assign({}, syncRetry))
+                            .then(() => {
+                                state.inSync = true;
+                                this.logger.info(`${state.host}: in sync.`);
+                            })
+                            .catch((err) => {
+                                let reason = err && err.message ? err.message : err;
+                                if (err && err.recommendedAction) {
+                                    reason = `recommended action: sync ${err.recommendedAction.sync}`;
+                                }
+                                fail(state, 'sync', new Error(`Not in sync: ${reason}`));
+                            });
+                    });
+                });
+        })
+        .then(() => {
+            const report = {
+                deviceGroup,
+                seed,
+                ok: states.every((state) => {
+                    return state.inGroup && (state.inSync || this.core.dryRun);
+                }),
+                members: states.map((state) => {
+                    return {
+                        host: state.host,
+                        name: state.name,
+                        trusted: state.trusted,
+                        inGroup: state.inGroup,
+                        inSync: state.inSync,
+                        failedStep: state.failedStep,
+                        error: state.error
+                    };
+                })
+            };
+
+            this.logger.info(
+                'Bootstrap of', deviceGroup, report.ok ? 'succeeded.' : 'had failures.',
+                `${states.filter((state) => { return state.inGroup; }).length} of ${states.length}`,
+                'members in group.'
+            );
+            return report;
+        })
+        .then(
+            (report) => {
+                return logoutMembers.call(this, states)
+                    .then(() => {
+                        return report;
+                    });
+            },
+            (err) => {
+                return logoutMembers.call(this, states)
+                    .then(() => {
+                        return q.reject(err);
+                    });
+            }
+        );
+    /* eslint-enable no-param-reassign */
+};
+
 /**
  * Sets the config sync ip
  *
@@ -249,24 +502,7 @@ BigIpCluster.prototype.areInTrustGroup = function areInTrustGroup(deviceNames, r
  *                    or rejected if an error occurs.
  */
 BigIpCluster.prototype.configSyncIp = function configSyncIp(syncIp, retryOptions) {
-    const retry = retryOptions || util.DEFAULT_RETRY;
-
-    const func = function () {
-        return this.core.ready()
-            .then(() => {
-                return this.core.deviceInfo(util.NO_RETRY);
-            })
-            .then((response) => {
-                return this.core.modify(
-                    `/tm/cm/device/~Common~${response.hostname}`,
-                    {
-                        configsyncIp: syncIp
-                    }
-                );
-            });
-    };
-
-    return util.tryUntil(this, retry, func);
+    return modifySelfDevice.call(this, { configsyncIp: syncIp }, retryOptions);
 };
 
 /**
@@ -384,6 +620,44 @@ BigIpCluster.prototype.createDeviceGroup = function createDeviceGroup(
     return util.tryUntil(this, retry, func);
 };
 
+/**
+ * Creates a floating traffic group, or updates it if it already exists
+ *
+ * @param {String}   trafficGroup                   - Name of the traffic group.
+ * @param {Object}   [options]                      - Traffic group options.
+ * @param {String[]} [options.haOrder]              - Device names in the order in which they should
+ *                                                    become active. Setting this sets the failover
+ *                                                    method to ha-order.
+ * @param {Boolean}  [options.autoFailback]         - Whether or not the traffic group should fail back
+ *                                                    to the first device in the HA order.
+ * @param {Integer}  [options.autoFailbackTime]     - Seconds to wait before failing back.
+ * @param {Integer}  [options.haLoadFactor]         - Relative load the traffic group puts on a device.
+ * @param {String}   [options.failoverMethod]       - Failover method (ha-order | ha-score). Default is
+ *                                                    ha-order if haOrder is set, otherwise the
+ *                                                    BIG-IP default.
+ * @param {Object}   [retryOptions]                 - Options for retrying the request.
+ * @param {Integer}  [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                    0 to not retry. Default 60.
+ * @param {Integer}  [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 10000.
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+BigIpCluster.prototype.createTrafficGroup = function createTrafficGroup(trafficGroup, options, retryOptions) {
+    if (!trafficGroup) {
+        return q.reject(new Error('trafficGroup is required'));
+    }
+
+    const body = getTrafficGroupBody(options);
+    body.name = trafficGroup;
+
+    return this.core.ready()
+        .then(() => {
+            this.logger.info('Creating or updating traffic group', trafficGroup);
+            return this.core.createOrModify(TRAFFIC_GROUP_PATH, body, undefined, retryOptions);
+        });
+};
+
 /**
  * Deletes a device group
  *
@@ -409,6 +683,191 @@ BigIpCluster.prototype.deleteDeviceGroup = function deleteDeviceGroup(deviceGrou
         });
 };
 
+/**
+ * Deletes a traffic group
+ *
+ * Objects (self IPs, virtual addresses) must be moved out of the traffic group first.
+ *
+ * @param {String}   trafficGroup                   - Name of the traffic group.
+ * @param {Object}   [retryOptions]                 - Options for retrying the request.
+ * @param {Integer}  [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                    0 to not retry. Default 3.
+ * @param {Integer}  [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 300.
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+BigIpCluster.prototype.deleteTrafficGroup = function deleteTrafficGroup(trafficGroup, retryOptions) {
+    if (!trafficGroup) {
+        return q.reject(new Error('trafficGroup is required'));
+    }
+
+    const retry = retryOptions || util.SHORT_RETRY;
+
+    return this.core.ready()
+        .then(() => {
+            return this.core.list(TRAFFIC_GROUP_PATH, undefined, retry);
+        })
+        .then((response) => {
+            const exists = (response || []).find((current) => {
+                return current.name === trafficGroup;
+            });
+
+            if (!exists) {
+                this.logger.silly('Traffic group', trafficGroup, 'does not exist');
+                return q();
+            }
+
+            this.logger.info('Deleting traffic group', trafficGroup);
+            return this.core.delete(
+                `${TRAFFIC_GROUP_PATH}/~Common~${trafficGroup}`,
+                undefined,
+                undefined,
+                retry
+            );
+        });
+};
+
+/**
+ * Fails over from this device in a controlled way
+ *
+ * Puts this device (or just one of its traffic groups) in standby and, unless told
+ * not to, waits until the traffic groups that were active here are active on a peer.
+ *
+ * @param {Object}  [options]                           - Optional parameters.
+ * @param {String}  [options.trafficGroup]              - Only fail over this traffic group. Default is
+ *                                                        to put the whole device in standby.
+ * @param {String}  [options.device]                    - Name of the device which should become active.
+ *                                                        Default is to let the BIG-IP choose.
+ * @param {Boolean} [options.verify]                    - Verify that a peer became active. Default true.
+ * @param {Object}  [options.retryOptions]              - Options for retrying the verification.
+ * @param {Integer} [options.retryOptions.maxRetries]   - Number of times to check. Default 30.
+ * @param {Integer} [options.retryOptions.retryIntervalMs] - Milliseconds between checks. Default 2000.
+ *
+ * @returns {Promise} A promise which is resolved with an array of
+ *
+ *                        {
+ *                            name: <traffic_group>,
+ *                            previousActiveDevice: <device_name>,
+ *                            activeDevice: <device_name, undefined if not verified>
+ *                        }
+ *
+ *                    for each traffic group that was failed over, or rejected if an error occurs
+ *                    or the peer did not become active.
+ */
+BigIpCluster.prototype.failover = function failover(options) {
+    const opts = options || {};
+    const verify = opts.verify !== false;
+    const retry = opts.retryOptions || util.MEDIUM_RETRY;
+
+    let selfDevice;
+    let targets;
+
+    return this.core.ready()
+        .then(() => {
+            return q.all([
+                this.core.deviceInfo(),
+                getTrafficGroupStates.call(this, util.SHORT_RETRY)
+            ]);
+        })
+        .then((responses) => {
+            const trafficGroups = responses[1];
+            selfDevice = responses[0].hostname;
+
+            if (opts.trafficGroup) {
+                const trafficGroup = trafficGroups.find((current) => {
+                    return current.name === opts.trafficGroup;
+                });
+
+                if (!trafficGroup) {
+                    return q.reject(new Error(`Traffic group ${opts.trafficGroup} not found`));
+                }
+
+                if (trafficGroup.activeDevice !== selfDevice) {
+                    return q.reject(new Error(
+                        `Traffic group ${opts.trafficGroup} is not active on this device (${selfDevice})`
+                    ));
+                }
+
+                targets = [trafficGroup];
+            } else {
+                targets = trafficGroups.filter((trafficGroup) => {
+                    return trafficGroup.activeDevice === selfDevice;
+                });
+            }
+
+            if (targets.length === 0) {
+                this.logger.info('No traffic groups are active on this device. Nothing to fail over.');
+                return q();
+            }
+
+            let utilCmdArgs = 'standby';
+            if (opts.trafficGroup) {
+                utilCmdArgs += ` traffic-group ${opts.trafficGroup}`;
+            }
+            if (opts.device) {
+                utilCmdArgs += ` device ${opts.device}`;
+            }
+
+            this.logger.info('Failing over:', utilCmdArgs);
+            return this.core.create(
+                '/tm/sys/failover',
+                {
+                    utilCmdArgs,
+                    command: 'run'
+                },
+                undefined,
+                util.NO_RETRY
+            );
+        })
+        .then(() => {
+            if (targets.length === 0 || !verify || this.core.dryRun) {
+                return q();
+            }
+
+            const checkFailover = function () {
+                return getTrafficGroupStates.call(this, util.NO_RETRY)
+                    .then((trafficGroups) => {
+                        const notFailedOver = targets.filter((target) => {
+                            const trafficGroup = trafficGroups.find((current) => {
+                                return current.name === target.name;
+                            }) || { devices: [] };
+                            const activeDevices = trafficGroup.devices.filter((device) => {
+                                return device.failoverState === 'active';
+                            });
+
+                            return activeDevices.length !== 1
+                                || activeDevices[0].name === selfDevice
+                                || (opts.device && activeDevices[0].name !== opts.device);
+                        });
+
+                        if (notFailedOver.length > 0) {
+                            const names = notFailedOver.map((trafficGroup) => { return trafficGroup.name; });
+                            this.logger.silly('Waiting for peer to become active for', names.join(', '));
+                            return q.reject(new Error(`Peer did not become active for ${names.join(', ')}`));
+                        }
+
+                        return trafficGroups;
+                    });
+            };
+
+            return util.tryUntil(this, retry, checkFailover);
+        })
+        .then((trafficGroups) => {
+            return targets.map((target) => {
+                const trafficGroup = (trafficGroups || []).find((current) => {
+                    return current.name === target.name;
+                }) || {};
+
+                return {
+                    name: target.name,
+                    previousActiveDevice: selfDevice,
+                    activeDevice: trafficGroup.activeDevice
+                };
+            });
+        });
+};
+
 /**
  * Checks for existence of a device group
  *
@@ -457,28 +916,180 @@ BigIpCluster.prototype.hasDeviceGroup = function hasDeviceGroup(deviceGroup, ret
     return util.tryUntil(this, retry, func);
 };
 
+/**
+ * Gets a report of the health of the cluster this device is in
+ *
+ * Gathers the trust domain, device group membership, sync status, failover state of
+ * each device, traffic group ownership, config sync/failover/mirroring addresses and
+ * last sync times and computes an overall verdict:
+ *     - healthy: in sync, all devices online and each traffic group active on exactly one device
+ *     - degraded: the cluster is working but needs attention (changes pending, a device offline,
+ *       missing config sync or failover addresses)
+ *     - unhealthy: devices are disconnected, sync is in error or a traffic group is not active
+ *       on exactly one device
+ *
+ * @param {Object}  [retryOptions]                 - Options for retrying the requests.
+ * @param {Integer} [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                   0 to not retry. Default 3.
+ * @param {Integer} [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 300.
+ *
+ * @returns {Promise} A promise which is resolved with the health report or rejected if an error occurs.
+ *                    The report is of the form
+ *
+ *                    {
+ *                        device: <name_of_this_device>,
+ *                        health: 'healthy' | 'degraded' | 'unhealthy',
+ *                        problems: [{ severity: 'degraded' | 'unhealthy', message: <message> }],
+ *                        trustDomain: { members, caDevices, nonCaDevices },
+ *                        devices: [{ name, hostname, managementIp, self, failoverState, version,
+ *                                    configSyncIp, failoverAddresses, mirrorIp, mirrorSecondaryIp }],
+ *                        deviceGroups: [{ name, type, autoSync, networkFailover,
+ *                                         devices: [{ name, lastSyncTime, commitIdTime }] }],
+ *                        syncStatus: { status, color, summary, connected, disconnected },
+ *                        trafficGroups: [{ name, activeDevice,
+ *                                          devices: [{ name, failoverState, nextActive }] }]
+ *                    }
+ */
+BigIpCluster.prototype.getClusterHealth = function getClusterHealth(retryOptions) {
+    const retry = retryOptions || util.SHORT_RETRY;
+    const health = {
+        problems: []
+    };
+
+    let deviceGroups;
+
+    return this.core.ready()
+        .then(() => {
+            return q.all([
+                this.core.list(`/tm/cm/trust-domain/${TRUST_DOMAIN_NAME}`, undefined, retry),
+                this.core.list('/tm/cm/device', undefined, retry),
+                this.core.list(DEVICE_GROUP_PATH, undefined, retry),
+                this.getCmSyncStatus(retry),
+                this.core.list(`${TRAFFIC_GROUP_PATH}/stats`, undefined, retry),
+                this.core.list('/tm/cm/device-group/stats', undefined, retry)
+                    .catch((err) => {
+                        this.logger.debug(
+                            'Unable to get device group stats:',
+                            err && err.message ? err.message : err
+                        );
+                        return undefined;
+                    })
+            ]);
+        })
+        .then((responses) => {
+            const trustDomain = responses[0] || {};
+            const devices = responses[1] || [];
+            const deviceGroupStats = getStatsEntries(responses[5]);
+
+            deviceGroups = responses[2] || [];
+
+            health.trustDomain = {
+                caDevices: (trustDomain.caDevices || []).map(stripPartition),
+                nonCaDevices: (trustDomain.nonCaDevices || []).map(stripPartition)
+            };
+            health.trustDomain.members = health.trustDomain.caDevices.concat(health.trustDomain.nonCaDevices);
+
+            health.devices = devices.map((device) => {
+                if (device.selfDevice === 'true') {
+                    health.device = device.name;
+                }
+
+                return {
+                    name: device.name,
+                    hostname: device.hostname,
+                    managementIp: device.managementIp,
+                    self: device.selfDevice === 'true',
+                    failoverState: device.failoverState,
+                    version: device.version,
+                    configSyncIp: getAddress(device.configsyncIp),
+                    failoverAddresses: getFailoverAddresses(device.unicastAddress),
+                    mirrorIp: getAddress(device.mirrorIp),
+                    mirrorSecondaryIp: getAddress(device.mirrorSecondaryIp)
+                };
+            });
+
+            health.syncStatus = responses[3];
+            health.trafficGroups = getTrafficGroups(getStatsEntries(responses[4]));
+
+            return q.all(deviceGroups.map((deviceGroup) => {
+                return this.core.list(`${DEVICE_GROUP_PATH}${deviceGroup.name}/devices`, undefined, retry);
+            }))
+                .then((groupDevices) => {
+                    health.deviceGroups = deviceGroups.map((deviceGroup, index) => {
+                        return {
+                            name: deviceGroup.name,
+                            type: deviceGroup.type,
+                            autoSync: deviceGroup.autoSync === 'enabled',
+                            networkFailover: deviceGroup.networkFailover === 'enabled',
+                            devices: (groupDevices[index] || []).map((groupDevice) => {
+                                const name = stripPartition(groupDevice.name);
+                                const stats = deviceGroupStats.find((deviceGroupStat) => {
+                                    return stripPartition(deviceGroupStat.device) === name
+                                        && stripPartition(deviceGroupStat.devicegroup) === deviceGroup.name;
+                                }) || {};
+
+                                return {
+                                    name,
+                                    lastSyncTime: stats.lssTime,
+                                    commitIdTime: stats.commitIdTime
+                                };
+                            })
+                        };
+                    });
+                });
+        })
+        .then(() => {
+            checkHealth(health);
+
+            health.health = 'healthy';
+            if (health.problems.find((problem) => { return problem.severity === 'unhealthy'; })) {
+                health.health = 'unhealthy';
+            } else if (health.problems.length > 0) {
+                health.health = 'degraded';
+            }
+
+            this.logger.debug('Cluster health:', health.health);
+            return health;
+        });
+};
+
 /**
  * Gets cm sync status
  *
+ * @param {Object}  [retryOptions]                 - Options for retrying the request.
+ * @param {Integer} [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                   0 to not retry. Default 120.
+ * @param {Integer} [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 10000.
+ *
  * @returns {Promise} Promise which is resolved with a list of connected and
- *                    disconnected host names
+ *                    disconnected host names along with the overall status, color
+ *                    and summary
  */
-BigIpCluster.prototype.getCmSyncStatus = function getCmSyncStatus() {
+BigIpCluster.prototype.getCmSyncStatus = function getCmSyncStatus(retryOptions) {
+    const retry = retryOptions || { maxRetries: 120, retryIntervalMs: 10000 };
     const cmSyncStatus = {
         connected: [],
         disconnected: []
     };
 
+    let mainEntries;
     let entries;
     let description;
     let descriptionTokens;
 
-    return this.core.list('/tm/cm/sync-status', undefined, { maxRetries: 120, retryIntervalMs: 10000 })
+    return this.core.list('/tm/cm/sync-status', undefined, retry)
         .then((response) => {
             this.logger.debug(response);
-            entries = response
+            mainEntries = response
                 .entries['https://localhost/mgmt/tm/cm/sync-status/0']
-                .nestedStats.entries['https://localhost/mgmt/tm/cm/syncStatus/0/details'];
+                .nestedStats.entries;
+            entries = mainEntries['https://localhost/mgmt/tm/cm/syncStatus/0/details'];
+
+            ['status', 'color', 'summary'].forEach((key) => {
+                if (mainEntries[key]) {
+                    cmSyncStatus[key] = mainEntries[key].description;
+                }
+            });
 
             if (entries) {
                 Object.keys(entries.nestedStats.entries).forEach((detail) => {
@@ -708,6 +1319,13 @@ BigIpCluster.prototype.joinCluster = function joinCluster(
             }
         )
             .then(() => {
+                // Config sync IPs set earlier in a dry run were only recorded, so readiness
+                // cannot be determined
+                if (this.core.dryRun) {
+                    this.logger.info('Dry run. Skipping cluster readiness check.');
+                    return q();
+                }
+
                 this.logger.info('Checking remote host for cluster readiness.');
                 return checkClusterReadiness(deviceGroup);
             })
@@ -883,6 +1501,15 @@ BigIpCluster.prototype.joinCluster = function joinCluster(
 
                 this.logger.debug(response);
 
+                // Nothing will actually sync in a dry run, so just record the sync request
+                if (normalizedOptions.sync && this.core.dryRun) {
+                    this.logger.info('Telling', isLocal ? 'local' : 'remote', 'to sync.');
+                    return clusteringBigIp.sync('to-group', deviceGroup, false, util.NO_RETRY)
+                        .then(() => {
+                            return true;
+                        });
+                }
+
                 if (normalizedOptions.sync) {
                     return this.core.deviceInfo()
                         .then((deviceInfo) => {
@@ -937,6 +1564,9 @@ BigIpCluster.prototype.joinCluster = function joinCluster(
         ctorOptions.logger = this.logger;
     }
     remoteBigIp = new BigIp(ctorOptions);
+    if (this.core.dryRun) {
+        remoteBigIp.setDryRun(true, this.core.plan);
+    }
     clusteringBigIp = isLocal ? this : remoteBigIp.cluster;
 
     // If we're adding to a local device group, make sure the device is not already in it
@@ -955,36 +1585,184 @@ BigIpCluster.prototype.joinCluster = function joinCluster(
 };
 
 /**
- * Removes a device from cluster
- *
- * This is a just a higher level function that calls other funcitons in this
- * and other bigIp* files:
- *     - Remove from device group
- *     - Remove from trust
+ * Sets the connection mirroring addresses
  *
- * @param {String|String[]} deviceNames    - Name or array of names of devices to remove
+ * @param {String}   [primaryIp]                    - The IP address to use for primary mirroring.
+ * @param {String}   [secondaryIp]                  - The IP address to use for secondary mirroring.
+ * @param {Object}   [retryOptions]                 - Options for retrying the request.
+ * @param {Integer}  [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                    0 to not retry. Default 60.
+ * @param {Integer}  [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 10000.
  *
  * @returns {Promise} A promise which is resolved when the request is complete
  *                    or rejected if an error occurs.
  */
-BigIpCluster.prototype.removeFromCluster = function removeFromCluster(deviceNames) {
-    let names;
-    if (!Array.isArray(deviceNames)) {
-        names = [deviceNames];
-    } else {
-        names = deviceNames.slice();
+BigIpCluster.prototype.mirrorIp = function mirrorIp(primaryIp, secondaryIp, retryOptions) {
+    const body = {};
+
+    if (primaryIp) {
+        body.mirrorIp = primaryIp;
     }
 
-    return this.core.ready()
-        .then(() => {
-            this.logger.info('Getting device groups');
-            return this.core.list(DEVICE_GROUP_PATH);
-        })
-        .then((response) => {
-            const promises = [];
-            response.forEach((deviceGroup) => {
-                promises.push(this.removeFromDeviceGroup(names, deviceGroup.name));
-            });
+    if (secondaryIp) {
+        body.mirrorSecondaryIp = secondaryIp;
+    }
+
+    if (Object.keys(body).length === 0) {
+        return q.reject(new Error('primaryIp or secondaryIp is required'));
+    }
+
+    return modifySelfDevice.call(this, body, retryOptions);
+};
+
+/**
+ * Sets the multicast failover settings
+ *
+ * @param {String}   interfaceName                  - Interface to use for multicast failover.
+ *                                                    Use 'none' to disable multicast failover.
+ * @param {Object}   [options]                      - Optional parameters.
+ * @param {String}   [options.ip]                   - Multicast address. Default 224.0.0.245.
+ * @param {Integer}  [options.port]                 - Multicast port. Default 62960.
+ * @param {Object}   [retryOptions]                 - Options for retrying the request.
+ * @param {Integer}  [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                    0 to not retry. Default 60.
+ * @param {Integer}  [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 10000.
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+BigIpCluster.prototype.multicastFailover = function multicastFailover(interfaceName, options, retryOptions) {
+    if (!interfaceName) {
+        return q.reject(new Error('interfaceName is required'));
+    }
+
+    const body = {
+        multicastInterface: interfaceName
+    };
+
+    if (interfaceName !== 'none') {
+        body.multicastIp = options && options.ip ? options.ip : DEFAULT_MULTICAST_IP;
+        body.multicastPort = options && options.port ? options.port : DEFAULT_MULTICAST_PORT;
+    }
+
+    return modifySelfDevice.call(this, body, retryOptions);
+};
+
+/**
+ * Modifies an existing traffic group
+ *
+ * @param {String}   trafficGroup                   - Name of the traffic group.
+ * @param {Object}   options                        - Traffic group options to change.
+ *                                                    See {@link BigIpCluster#createTrafficGroup}.
+ * @param {Object}   [retryOptions]                 - Options for retrying the request.
+ * @param {Integer}  [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                    0 to not retry. Default 60.
+ * @param {Integer}  [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 10000.
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+BigIpCluster.prototype.modifyTrafficGroup = function modifyTrafficGroup(trafficGroup, options, retryOptions) {
+    if (!trafficGroup) {
+        return q.reject(new Error('trafficGroup is required'));
+    }
+
+    return this.core.ready()
+        .then(() => {
+            this.logger.info('Modifying traffic group', trafficGroup);
+            return this.core.modify(
+                `${TRAFFIC_GROUP_PATH}/~Common~${trafficGroup}`,
+                getTrafficGroupBody(options),
+                undefined,
+                retryOptions
+            );
+        });
+};
+
+/**
+ * Moves floating self IPs and virtual addresses to a traffic group
+ *
+ * All of the objects are moved in a single transaction.
+ *
+ * @param {String}   trafficGroup               - Name of the traffic group to move the objects to.
+ * @param {Object}   objects                    - Objects to move.
+ * @param {String[]} [objects.selfIps]          - Names of self IPs to move.
+ * @param {String[]} [objects.virtualAddresses] - Names of virtual addresses to move.
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+BigIpCluster.prototype.moveToTrafficGroup = function moveToTrafficGroup(trafficGroup, objects) {
+    if (!trafficGroup) {
+        return q.reject(new Error('trafficGroup is required'));
+    }
+
+    const selfIps = objects && objects.selfIps ? objects.selfIps : [];
+    const virtualAddresses = objects && objects.virtualAddresses ? objects.virtualAddresses : [];
+    const body = {
+        trafficGroup: `/Common/${trafficGroup}`
+    };
+
+    const commands = selfIps.map((selfIp) => {
+        return {
+            body,
+            method: 'modify',
+            path: `/tm/net/self/~Common~${selfIp}`
+        };
+    }).concat(virtualAddresses.map((virtualAddress) => {
+        return {
+            body,
+            method: 'modify',
+            path: `/tm/ltm/virtual-address/~Common~${virtualAddress}`
+        };
+    }));
+
+    if (commands.length === 0) {
+        return q();
+    }
+
+    this.logger.info(
+        'Moving to traffic group',
+        trafficGroup,
+        'self IPs:',
+        selfIps.join(', ') || 'none',
+        'virtual addresses:',
+        virtualAddresses.join(', ') || 'none'
+    );
+    return this.core.transaction(commands);
+};
+
+/**
+ * Removes a device from cluster
+ *
+ * This is a just a higher level function that calls other funcitons in this
+ * and other bigIp* files:
+ *     - Remove from device group
+ *     - Remove from trust
+ *
+ * @param {String|String[]} deviceNames    - Name or array of names of devices to remove
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+BigIpCluster.prototype.removeFromCluster = function removeFromCluster(deviceNames) {
+    let names;
+    if (!Array.isArray(deviceNames)) {
+        names = [deviceNames];
+    } else {
+        names = deviceNames.slice();
+    }
+
+    return this.core.ready()
+        .then(() => {
+            this.logger.info('Getting device groups');
+            return this.core.list(DEVICE_GROUP_PATH);
+        })
+        .then((response) => {
+            const promises = [];
+            response.forEach((deviceGroup) => {
+                promises.push(this.removeFromDeviceGroup(names, deviceGroup.name));
+            });
             return q.all(promises);
         })
         .then((response) => {
@@ -1143,6 +1921,285 @@ BigIpCluster.prototype.removeFromTrust = function removeFromTrust(deviceNames, r
     return util.tryUntil(this, retry, func);
 };
 
+/**
+ * Replaces a failed cluster member with a new device
+ *
+ * Run this on a surviving member. In order, this:
+ *     - Verifies that the old device is no longer in the cluster or is offline
+ *     - Connects to the replacement and verifies that it has a config sync IP and is
+ *       not in trust with any other device
+ *     - Removes the old device from all device groups and from trust
+ *     - Resets trust on the replacement
+ *     - Adds the replacement to trust and to the device groups the old device was in
+ *       (or, if the old device is already gone, the device groups this device is in)
+ *     - Syncs this device to those device groups and waits for the replacement to be in sync
+ *     - Verifies that the active device for each traffic group has not changed
+ *
+ * Each step is only started if the previous step succeeded.
+ *
+ * @param {String}   oldDeviceName                        - Name of the device to replace.
+ * @param {String}   newHost                              - Management IP or host name of the replacement.
+ * @param {String}   [newUser]                            - Admin user name on the replacement. Default is
+ *                                                          the user for this device.
+ * @param {String}   [newPassword]                        - Admin user password on the replacement. Default
+ *                                                          is the password for this device.
+ * @param {Object}   [options]                            - Optional parameters.
+ * @param {Integer}  [options.port]                       - Port on the replacement. Default is the port
+ *                                                          for this device.
+ * @param {Boolean}  [options.passwordIsUrl]              - Indicates that newPassword is a URL for
+ *                                                          the password.
+ * @param {Boolean}  [options.passwordEncrypted]          - Indicates that newPassword is encrypted.
+ * @param {Object}   [options.retryOptions]               - Options for retrying each request.
+ *                                                          Default util.MEDIUM_RETRY.
+ * @param {Object}   [options.syncRetryOptions]           - Options for retrying the in sync check on the
+ *                                                          replacement. Default 30 tries, 10 seconds apart.
+ *
+ * @returns {Promise} A promise which is resolved with a report of the form
+ *
+ *                        {
+ *                            oldDevice: <old_device_name>,
+ *                            newDevice: <replacement_device_name>,
+ *                            deviceGroups: [<device_groups_the_replacement_was_added_to>],
+ *                            trafficGroups: [{ name, activeDevice }]
+ *                        }
+ *
+ *                    or rejected if a check or step fails.
+ */
+BigIpCluster.prototype.replaceMember = function replaceMember(
+    oldDeviceName,
+    newHost,
+    newUser,
+    newPassword,
+    options
+) {
+    if (!oldDeviceName) {
+        return q.reject(new Error('oldDeviceName is required'));
+    }
+
+    if (!newHost) {
+        return q.reject(new Error('newHost is required'));
+    }
+
+    const opts = options || {};
+    const retry = opts.retryOptions || util.MEDIUM_RETRY;
+    const syncRetry = opts.syncRetryOptions || { maxRetries: 30, retryIntervalMs: 10000 };
+
+    let replacement;
+    try {
+        replacement = getMemberState.call(
+            this,
+            { host: newHost, port: opts.port },
+            {
+                remoteUser: newUser,
+                remotePassword: newPassword,
+                passwordIsUrl: opts.passwordIsUrl,
+                passwordEncrypted: opts.passwordEncrypted
+            }
+        );
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    let selfName;
+    let devices;
+    let oldDevice;
+    let deviceGroups;
+    let trafficGroupsBefore;
+
+    return this.core.ready()
+        .then(() => {
+            return this.core.deviceInfo();
+        })
+        .then((deviceInfo) => {
+            selfName = deviceInfo.hostname;
+            if (selfName === oldDeviceName) {
+                return q.reject(
+                    new Error(`Can not replace this device (${selfName}). Run on a surviving member.`)
+                );
+            }
+
+            this.logger.info('Checking state of', oldDeviceName);
+            return q.all([
+                this.core.list('/tm/cm/device', undefined, retry),
+                this.getCmSyncStatus(retry),
+                getReplaceableDeviceGroups.call(this, retry),
+                getTrafficGroupStates.call(this, retry)
+            ]);
+        })
+        .then((responses) => {
+            const syncStatus = responses[1];
+            const groups = responses[2];
+
+            devices = responses[0] || [];
+            trafficGroupsBefore = responses[3];
+
+            oldDevice = devices.find((device) => {
+                return device.name === oldDeviceName;
+            });
+
+            if (oldDevice) {
+                const isOffline = oldDevice.failoverState === 'offline'
+                    || syncStatus.disconnected.indexOf(oldDeviceName) !== -1;
+                if (!isOffline) {
+                    return q.reject(new Error(
+                        `${oldDeviceName} is still online (${oldDevice.failoverState}). Not replacing it.`
+                    ));
+                }
+                this.logger.info(oldDeviceName, 'is offline.');
+            } else {
+                this.logger.info(oldDeviceName, 'is not in the cluster.');
+            }
+
+            deviceGroups = groups
+                .filter((group) => {
+                    return group.devices.indexOf(oldDeviceName) !== -1;
+                })
+                .map((group) => {
+                    return group.name;
+                });
+
+            if (deviceGroups.length === 0) {
+                deviceGroups = groups
+                    .filter((group) => {
+                        return group.devices.indexOf(selfName) !== -1;
+                    })
+                    .map((group) => {
+                        return group.name;
+                    });
+            }
+
+            this.logger.info('Connecting to replacement', newHost);
+            return connectToMember.call(this, replacement, retry);
+        })
+        .then(() => {
+            const inCluster = devices.find((device) => {
+                return device.name === replacement.name;
+            });
+
+            // The replacement may reuse the name of the device it replaces
+            if (inCluster && replacement.name !== oldDeviceName) {
+                return q.reject(new Error(
+                    `${replacement.name} is already in the cluster. Not replacing ${oldDeviceName}.`
+                ));
+            }
+
+            this.logger.info('Checking trust on', replacement.name);
+            return replacement.bigIp.list('/tm/cm/device', undefined, retry);
+        })
+        .then((replacementDevices) => {
+            const trustedDevices = (replacementDevices || [])
+                .map((device) => {
+                    return device.name;
+                })
+                .filter((deviceName) => {
+                    return deviceName !== replacement.name;
+                });
+
+            if (trustedDevices.length > 0) {
+                return q.reject(new Error(
+                    `${replacement.name} is in trust with ${trustedDevices.join(', ')}. `
+                    + `Not replacing ${oldDeviceName}.`
+                ));
+            }
+
+            // Devices in a device group are always in /tm/cm/device, so there is nothing to remove
+            if (!oldDevice) {
+                return q();
+            }
+
+            this.logger.info('Removing', oldDeviceName, 'from cluster.');
+            return this.removeFromCluster(oldDeviceName);
+        })
+        .then(() => {
+            this.logger.info('Resetting trust on', replacement.name);
+            return replacement.bigIp.cluster.resetTrust(retry);
+        })
+        .then(() => {
+            this.logger.info('Adding', replacement.name, 'to trust.');
+            return this.addToTrust(
+                replacement.name,
+                replacement.host,
+                replacement.bigIp.user,
+                replacement.bigIp.password,
+                Object.assign({}, retry)
+            );
+        })
+        .then(() => {
+            return deviceGroups.reduce((previous, deviceGroup) => {
+                return previous
+                    .then(() => {
+                        this.logger.info('Adding', replacement.name, 'to', deviceGroup);
+                        return this.addToDeviceGroup(replacement.name, deviceGroup, Object.assign({}, retry));
+                    })
+                    .then(() => {
+                        this.logger.info('Syncing', deviceGroup, 'to group.');
+                        return this.sync('to-group', deviceGroup, false, util.NO_RETRY);
+                    });
+            }, q());
+        })
+        .then(() => {
+            if (this.core.dryRun) {
+                this.logger.info('Dry run. Skipping sync verification.');
+                return q();
+            }
+
+            this.logger.info('Waiting for', replacement.name, 'to be in sync.');
+            return replacement.bigIp.cluster.syncComplete(Object.assign({}, syncRetry))
+                .catch((err) => {
+                    const reason = err && err.message ? err.message : err;
+                    return q.reject(new Error(`${replacement.name} did not sync: ${reason}`));
+                });
+        })
+        .then(() => {
+            this.logger.info('Checking traffic group ownership.');
+            return getTrafficGroupStates.call(this, retry);
+        })
+        .then((trafficGroupsAfter) => {
+            const changed = [];
+
+            trafficGroupsBefore.forEach((before) => {
+                const after = trafficGroupsAfter.find((trafficGroup) => {
+                    return trafficGroup.name === before.name;
+                }) || {};
+
+                if (after.activeDevice !== before.activeDevice) {
+                    changed.push(`${before.name} (${before.activeDevice} -> ${after.activeDevice})`);
+                }
+            });
+
+            if (changed.length > 0) {
+                return q.reject(new Error(`Traffic group ownership changed: ${changed.join(', ')}`));
+            }
+
+            this.logger.info('Replaced', oldDeviceName, 'with', replacement.name);
+            return {
+                oldDevice: oldDeviceName,
+                newDevice: replacement.name,
+                deviceGroups,
+                trafficGroups: trafficGroupsAfter.map((trafficGroup) => {
+                    return {
+                        name: trafficGroup.name,
+                        activeDevice: trafficGroup.activeDevice
+                    };
+                })
+            };
+        })
+        .then(
+            (report) => {
+                return logoutMembers.call(this, [replacement])
+                    .then(() => {
+                        return report;
+                    });
+            },
+            (err) => {
+                return logoutMembers.call(this, [replacement])
+                    .then(() => {
+                        return q.reject(err);
+                    });
+            }
+        );
+};
+
 /**
  * Resets the device trust
  *
@@ -1329,4 +2386,522 @@ BigIpCluster.prototype.syncComplete = function syncComplete(retryOptions, option
         });
 };
 
+/**
+ * Sets the unicast network failover addresses
+ *
+ * @param {Array}    addresses                      - Addresses to use. Each address is either an
+ *                                                    object ({ ip, port }) or a string (ip or ip:port,
+ *                                                    [ipv6]:port for IPv6 with a port). The port
+ *                                                    defaults to 1026. Pass an empty array to remove
+ *                                                    all unicast failover addresses.
+ * @param {Object}   [retryOptions]                 - Options for retrying the request.
+ * @param {Integer}  [retryOptions.maxRetries]      - Number of times to retry if first try fails.
+ *                                                    0 to not retry. Default 60.
+ * @param {Integer}  [retryOptions.retryIntervalMs] - Milliseconds between retries. Default 10000.
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+BigIpCluster.prototype.unicastFailoverAddresses = function unicastFailoverAddresses(addresses, retryOptions) {
+    if (!Array.isArray(addresses)) {
+        return q.reject(new Error('addresses must be an array'));
+    }
+
+    let unicastAddress;
+    try {
+        unicastAddress = addresses.map(parseFailoverAddress);
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    return modifySelfDevice.call(
+        this,
+        { unicastAddress: unicastAddress.length > 0 ? unicastAddress : 'none' },
+        retryOptions
+    );
+};
+
+/**
+ * Checks a cluster health report, adding any problems found
+ *
+ * @param {Object} health - The health report being built by getClusterHealth
+ */
+function checkHealth(health) {
+    const addProblem = function (severity, message) {
+        health.problems.push({ severity, message });
+    };
+
+    const syncStatus = health.syncStatus;
+    const failoverGroups = health.deviceGroups.filter((deviceGroup) => {
+        return deviceGroup.type === 'sync-failover';
+    });
+
+    if (syncStatus.disconnected.length > 0) {
+        addProblem('unhealthy', `Devices disconnected: ${syncStatus.disconnected.join(', ')}`);
+    }
+
+    if (syncStatus.color === 'red') {
+        addProblem('unhealthy', `Sync status is ${syncStatus.status}`);
+    } else if (syncStatus.color !== 'green') {
+        addProblem('degraded', `Sync status is ${syncStatus.status || 'unknown'}`);
+    }
+
+    health.devices.forEach((device) => {
+        if (['active', 'standby'].indexOf(device.failoverState) === -1) {
+            const state = device.failoverState || 'in an unknown state';
+            addProblem('degraded', `Device ${device.name} is ${state}`);
+        }
+
+        if (health.devices.length > 1 && !device.configSyncIp) {
+            addProblem('degraded', `Device ${device.name} has no config sync address`);
+        }
+    });
+
+    failoverGroups.forEach((deviceGroup) => {
+        deviceGroup.devices.forEach((groupDevice) => {
+            const device = health.devices.find((current) => {
+                return current.name === groupDevice.name;
+            });
+
+            if (health.trustDomain.members.indexOf(groupDevice.name) === -1) {
+                addProblem(
+                    'unhealthy',
+                    `Device ${groupDevice.name} is in ${deviceGroup.name} but not in the trust domain`
+                );
+            }
+
+            if (deviceGroup.networkFailover && device && device.failoverAddresses.length === 0) {
+                addProblem('degraded', `Device ${device.name} has no failover addresses`);
+            }
+        });
+    });
+
+    if (health.devices.length > 1) {
+        health.trafficGroups.forEach((trafficGroup) => {
+            const activeDevices = trafficGroup.devices.filter((device) => {
+                return device.failoverState === 'active';
+            });
+
+            if (activeDevices.length === 0) {
+                addProblem('unhealthy', `Traffic group ${trafficGroup.name} is not active on any device`);
+            } else if (activeDevices.length > 1) {
+                const names = activeDevices.map((device) => { return device.name; });
+                addProblem(
+                    'unhealthy',
+                    `Traffic group ${trafficGroup.name} is active on multiple devices: ${names.join(', ')}`
+                );
+            }
+        });
+    }
+}
+
+/**
+ * Creates the state used to track a member during bootstrapDeviceGroup
+ *
+ * @param {String|Object} member  - Member host string or object.
+ *                                  See {@link BigIpCluster#bootstrapDeviceGroup}.
+ * @param {Object}        options - Options passed to bootstrapDeviceGroup.
+ *
+ * @returns {Object} The member state.
+ */
+function getMemberState(member, options) {
+    const memberOptions = typeof member === 'string' ? {} : member || {};
+    let host = memberOptions.host;
+    let port = memberOptions.port;
+
+    if (typeof member === 'string') {
+        const hostAndPort = splitHostAndPort(member);
+        host = hostAndPort.host;
+        port = typeof hostAndPort.port === 'undefined' ? undefined : parseInt(hostAndPort.port, 10);
+    }
+
+    if (!host || Number.isNaN(port)) {
+        throw new Error(`Invalid member: ${JSON.stringify(member)}`);
+    }
+
+    return {
+        host,
+        port: port || options.remotePort || this.core.port,
+        user: memberOptions.user || options.remoteUser || this.core.user,
+        password: memberOptions.password || options.remotePassword || this.core.password,
+        passwordIsUrl: memberOptions.password ? false : !!(options.remotePassword && options.passwordIsUrl),
+        passwordEncrypted: memberOptions.password
+            ? false
+            : !!(options.remotePassword && options.passwordEncrypted),
+        trusted: false,
+        inGroup: false,
+        inSync: false
+    };
+}
+
+/**
+ * Connects to a member, gets its name and makes sure it is ready to be clustered
+ *
+ * @param {Object} state        - Member state. See {@link getMemberState}.
+ * @param {Object} retryOptions - Options for retrying the requests.
+ *
+ * @returns {Promise} A promise which is resolved when the member is ready
+ *                    or rejected if an error occurs.
+ */
+function connectToMember(state, retryOptions) {
+    /* eslint-disable no-param-reassign */
+    const BigIp = require('./bigIp'); // eslint-disable-line global-require
+    const ctorOptions = {};
+    if (loggerOptions) {
+        ctorOptions.loggerOptions = loggerOptions;
+    } else {
+        ctorOptions.logger = this.logger;
+    }
+
+    state.bigIp = new BigIp(ctorOptions);
+    if (this.core.dryRun) {
+        state.bigIp.setDryRun(true, this.core.plan);
+    }
+
+    return state.bigIp.init(
+        state.host,
+        state.user,
+        state.password,
+        {
+            port: state.port,
+            passwordIsUrl: state.passwordIsUrl,
+            passwordEncrypted: state.passwordEncrypted
+        }
+    )
+        .then(() => {
+            return state.bigIp.deviceInfo(retryOptions);
+        })
+        .then((deviceInfo) => {
+            state.name = deviceInfo.hostname;
+
+            // Config sync IPs set earlier in a dry run were only recorded
+            if (this.core.dryRun) {
+                return q();
+            }
+
+            return state.bigIp.deviceState(state.name, retryOptions)
+                .then((deviceState) => {
+                    if (!deviceState.configsyncIp || deviceState.configsyncIp === 'none') {
+                        return q.reject(new Error('No config sync IP.'));
+                    }
+                    return q();
+                });
+        });
+    /* eslint-enable no-param-reassign */
+}
+
+/**
+ * Gets the device groups that devices can be added to along with the devices in each
+ *
+ * Skips the groups which BIG-IP manages itself (device_trust_group and the ASM datasync groups).
+ *
+ * @param {Object} retryOptions - Options for retrying the requests.
+ *
+ * @returns {Promise} A promise which is resolved with an array of { name, devices }.
+ */
+function getReplaceableDeviceGroups(retryOptions) {
+    const asmDataSyncGroupRegPattern = new RegExp('^datasync-*.*-dg$');
+    let deviceGroups;
+
+    return this.core.list(DEVICE_GROUP_PATH, undefined, retryOptions)
+        .then((response) => {
+            deviceGroups = (response || []).filter((deviceGroup) => {
+                return deviceGroup.name !== 'device_trust_group'
+                    && !asmDataSyncGroupRegPattern.test(deviceGroup.name);
+            });
+
+            return q.all(deviceGroups.map((deviceGroup) => {
+                return this.core.list(
+                    `${DEVICE_GROUP_PATH}${deviceGroup.name}/devices`,
+                    undefined,
+                    retryOptions
+                );
+            }));
+        })
+        .then((groupDevices) => {
+            return deviceGroups.map((deviceGroup, index) => {
+                return {
+                    name: deviceGroup.name,
+                    devices: (groupDevices[index] || []).map((groupDevice) => {
+                        return stripPartition(groupDevice.name);
+                    })
+                };
+            });
+        });
+}
+
+/**
+ * Calls func for each item, with at most concurrency calls outstanding at a time
+ *
+ * @param {Array}    items       - Items to process.
+ * @param {Integer}  concurrency - Maximum number of outstanding calls.
+ * @param {Function} func        - Function to call with each item. Should return a promise.
+ *
+ * @returns {Promise} A promise which is resolved with the results in the order of items.
+ */
+function mapWithConcurrency(items, concurrency, func) {
+    const results = [];
+    let next = 0;
+
+    const worker = function () {
+        if (next >= items.length) {
+            return q();
+        }
+
+        const index = next;
+        next += 1;
+
+        return q(func(items[index], index))
+            .then((result) => {
+                results[index] = result;
+                return worker();
+            });
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.min(concurrency, items.length); i++) {
+        workers.push(worker());
+    }
+
+    return q.all(workers)
+        .then(() => {
+            return results;
+        });
+}
+
+/**
+ * Modifies the device object for this device
+ *
+ * @param {Object} body           - Properties to modify.
+ * @param {Object} [retryOptions] - Options for retrying the request. Default util.DEFAULT_RETRY.
+ *
+ * @returns {Promise} A promise which is resolved when the request is complete
+ *                    or rejected if an error occurs.
+ */
+function modifySelfDevice(body, retryOptions) {
+    const retry = retryOptions || util.DEFAULT_RETRY;
+
+    const func = function () {
+        return this.core.ready()
+            .then(() => {
+                return this.core.deviceInfo(util.NO_RETRY);
+            })
+            .then((response) => {
+                return this.core.modify(
+                    `/tm/cm/device/~Common~${response.hostname}`,
+                    body
+                );
+            });
+    };
+
+    return util.tryUntil(this, retry, func);
+}
+
+/**
+ * Logs out of the members that were connected to by connectToMember. Failures are
+ * logged and otherwise ignored.
+ *
+ * @param {Object[]} states - Member states. See {@link getMemberState}.
+ *
+ * @returns {Promise} A promise which is resolved when all of the members have been logged out.
+ */
+function logoutMembers(states) {
+    const connected = states.filter((state) => {
+        return state.bigIp;
+    });
+
+    return q.all(connected.map((state) => {
+        return state.bigIp.logout()
+            .catch((err) => {
+                this.logger.warn(`${state.host}: logout failed:`, err && err.message ? err.message : err);
+            });
+    }));
+}
+
+/**
+ * Splits a host string into host and port. IPv6 addresses must be in brackets to
+ * include a port ([2001:db8::1]:443). Anything else with more than one colon is a
+ * bare IPv6 address.
+ *
+ * @param {String} address - The host string.
+ *
+ * @returns {Object} The host and port strings. The port is undefined if there is none.
+ */
+function splitHostAndPort(address) {
+    const bracketed = address.match(/^\[(.+)\](?::(\d+))?$/);
+    if (bracketed) {
+        return {
+            host: bracketed[1],
+            port: bracketed[2]
+        };
+    }
+
+    const parts = address.split(':');
+    if (parts.length === 2) {
+        return {
+            host: parts[0],
+            port: parts[1]
+        };
+    }
+
+    return { host: address };
+}
+
+function parseFailoverAddress(address) {
+    let ip;
+    let port;
+
+    if (address && typeof address === 'object') {
+        ip = address.ip;
+        port = address.port;
+    } else if (typeof address === 'string') {
+        const hostAndPort = splitHostAndPort(address);
+        ip = hostAndPort.host;
+        port = hostAndPort.port;
+    }
+
+    if (!ip) {
+        throw new Error(`Invalid failover address: ${JSON.stringify(address)}`);
+    }
+
+    port = typeof port === 'undefined' ? DEFAULT_FAILOVER_PORT : parseInt(port, 10);
+    if (Number.isNaN(port)) {
+        throw new Error(`Invalid failover address: ${JSON.stringify(address)}`);
+    }
+
+    return { ip, port };
+}
+
+/**
+ * Gets the failover state of each traffic group on each device
+ *
+ * @param {Object} retryOptions - Options for retrying the request.
+ *
+ * @returns {Promise} A promise which is resolved with the traffic groups.
+ *                    See {@link getTrafficGroups}.
+ */
+function getTrafficGroupStates(retryOptions) {
+    return this.core.list(`${TRAFFIC_GROUP_PATH}/stats`, undefined, retryOptions)
+        .then((response) => {
+            return getTrafficGroups(getStatsEntries(response));
+        });
+}
+
+function getTrafficGroupBody(options) {
+    const opts = options || {};
+    const body = {};
+
+    if (opts.haOrder) {
+        body.haOrder = opts.haOrder.map((deviceName) => {
+            return deviceName.indexOf('/') === 0 ? deviceName : `/Common/${deviceName}`;
+        });
+        body.failoverMethod = 'ha-order';
+    }
+
+    if (opts.failoverMethod) {
+        body.failoverMethod = opts.failoverMethod;
+    }
+
+    if (typeof opts.autoFailback !== 'undefined') {
+        body.autoFailbackEnabled = opts.autoFailback ? 'true' : 'false';
+    }
+
+    if (typeof opts.autoFailbackTime !== 'undefined') {
+        body.autoFailbackTime = opts.autoFailbackTime;
+    }
+
+    if (typeof opts.haLoadFactor !== 'undefined') {
+        body.haLoadFactor = opts.haLoadFactor;
+    }
+
+    return body;
+}
+
+/**
+ * Groups traffic group stats by traffic group
+ *
+ * @param {Object[]} trafficGroupStats - Flattened stats entries from /tm/cm/traffic-group/stats
+ *
+ * @returns {Object[]} Array of { name, activeDevice, devices: [{ name, failoverState, nextActive }] }
+ */
+function getTrafficGroups(trafficGroupStats) {
+    const trafficGroups = [];
+
+    trafficGroupStats.forEach((stats) => {
+        const name = stripPartition(stats.trafficGroup);
+        let trafficGroup = trafficGroups.find((current) => {
+            return current.name === name;
+        });
+
+        if (!trafficGroup) {
+            trafficGroup = {
+                name,
+                devices: []
+            };
+            trafficGroups.push(trafficGroup);
+        }
+
+        trafficGroup.devices.push({
+            name: stripPartition(stats.deviceName),
+            failoverState: stats.failoverState,
+            nextActive: stats.nextActive === 'true'
+        });
+
+        if (stats.failoverState === 'active') {
+            trafficGroup.activeDevice = stripPartition(stats.deviceName);
+        }
+    });
+
+    return trafficGroups;
+}
+
+/**
+ * Flattens the entries of a stats response into an array of objects
+ * mapping stat name to description
+ *
+ * @param {Object} response - Response from a stats endpoint
+ *
+ * @returns {Object[]} One object per stats entry
+ */
+function getStatsEntries(response) {
+    if (!response || !response.entries) {
+        return [];
+    }
+
+    return Object.keys(response.entries).map((entryKey) => {
+        const nestedEntries = response.entries[entryKey].nestedStats.entries;
+        const stats = {};
+        Object.keys(nestedEntries).forEach((statName) => {
+            stats[statName] = nestedEntries[statName].description;
+        });
+        return stats;
+    });
+}
+
+function getFailoverAddresses(unicastAddress) {
+    if (!Array.isArray(unicastAddress)) {
+        return [];
+    }
+
+    return unicastAddress.map((address) => {
+        const ip = address.effectiveIp || address.ip;
+        const port = address.effectivePort || address.port;
+        return port ? `${ip}:${port}` : ip;
+    });
+}
+
+function getAddress(address) {
+    if (!address || address === 'none' || address === 'any6') {
+        return undefined;
+    }
+    return address;
+}
+
+function stripPartition(name) {
+    if (typeof name !== 'string') {
+        return name;
+    }
+    return name.replace(/^\/Common\//, '');
+}
+
 module.exports = BigIpCluster;
@@ -17,6 +17,7 @@
 'use strict';
 
 const assert = require('assert');
+const q = require('q');
 const util = require('./util');
 const Logger = require('./logger');
 
@@ -53,52 +54,102 @@ function BigIpGtm(bigIpCore, options) {
 
 /**
  * Updates a GTM server
+ *
+ * Virtual servers on the server which are not in the list are removed unless
+ * options.keepStale is set.
+ *
  * @param {String}   serverName      - Name of the server to update
  * @param {Object[]} virtualSservers - Array of virtual servers to set for the server
  *
  *     {
  *         name: <name>
- *         ip: <ip_address>
+ *         ip: <ip_address> (IPv4 or IPv6)
  *         port: <port>
+ *         enabled: <true | false> (optional, default is BIG-IP default)
  *     }
  * @param {Object}   [options]             - Optional parameters
  * @param {String}   [options.datacenter]  - Datacenter for server
  * @param {String}   [options.monitor]     - Full path to monitor for server
+ * @param {Boolean}  [options.keepStale]   - Keep virtual servers which are not in the list. Use this
+ *                                           to add virtual servers before removing pool members which
+ *                                           refer to the stale ones. Default false.
+ * @param {Object[]} [options.commands]    - If provided, the request is appended to this array
+ *                                           (see {@link BigIp#transaction}) rather than sent.
  *
- * @returns {Promise} A promise which is resolved if succssful or rejected if
- *                    an error occurs
+ * @returns {Promise} A promise which is resolved with a summary of the change or rejected if
+ *                    an error occurs. The summary is of the form
+ *
+ *     {
+ *         added: [<name>],
+ *         removed: [<name>],
+ *         unchanged: [<name>]
+ *     }
  */
 BigIpGtm.prototype.updateServer = function updateServer(serverName, virtualServers, options) {
-    const servers = [];
-    const payload = {};
-
     assert.equal(typeof serverName, 'string', 'serverName must be a string');
     assert.equal(Array.isArray(virtualServers), true, 'virtualServers must be an array');
 
     const datacenter = options ? options.datacenter : undefined;
     const monitor = options ? options.monitor : undefined;
+    const keepStale = options ? options.keepStale : undefined;
+    const commands = options ? options.commands : undefined;
 
-    virtualServers.forEach((virtualServer) => {
-        servers.push({
-            name: virtualServer.name,
-            destination: `${virtualServer.ip}:${virtualServer.port}`
-        });
-    });
-    payload.virtualServers = servers;
+    const serverPath = `/tm/gtm/server/~${this.partition}~${serverName}`;
 
-    if (datacenter) {
-        payload.datacenter = datacenter;
-    }
+    return this.core.list(`${serverPath}/virtual-servers`)
+        .then((currentVirtualServers) => {
+            const servers = [];
+            const payload = {};
 
-    if (monitor) {
-        payload.monitor = monitor;
-    }
+            virtualServers.forEach((virtualServer) => {
+                // BIG-IP separates an IPv6 address from its port with a '.'
+                const separator = util.getIpFamily(virtualServer.ip) === 6 ? '.' : ':';
+                const server = {
+                    name: virtualServer.name,
+                    destination: `${virtualServer.ip}${separator}${virtualServer.port}`
+                };
+                servers.push(Object.assign(server, getEnabledState(virtualServer.enabled)));
+            });
+
+            const summary = getSummary(
+                getNames(currentVirtualServers),
+                virtualServers.map((virtualServer) => {
+                    return virtualServer.name;
+                })
+            );
+
+            if (keepStale) {
+                // The request replaces all of the virtual servers on the server, so send
+                // the stale ones back as they are now
+                summary.removed.forEach((name) => {
+                    servers.push(getCurrentState(currentVirtualServers.find((currentVirtualServer) => {
+                        return currentVirtualServer.name === name;
+                    })));
+                });
+                summary.removed = [];
+            }
+
+            payload.virtualServers = servers;
+
+            if (datacenter) {
+                payload.datacenter = datacenter;
+            }
 
-    return this.core.modify(`/tm/gtm/server/~${this.partition}~${serverName}`, payload);
+            if (monitor) {
+                payload.monitor = monitor;
+            }
+
+            return sendOrQueue.call(this, serverPath, payload, commands)
+                .then(() => {
+                    return summary;
+                });
+        });
 };
 
 /**
- * Updates the A record for a GTM pool with the list of virtual servers
+ * Updates the A (or AAAA) record for a GTM pool with the list of virtual servers
+ *
+ * Members of the pool which are not in the list are removed.
  *
  * @param {String}   poolName                    - Name of pool to update
  * @param {String}   serverName                  - Name of the server to update
@@ -106,41 +157,81 @@ BigIpGtm.prototype.updateServer = function updateServer(serverName, virtualServe
  *
  *     {
  *         name: <name>
+ *         ratio: <ratio> (optional)
+ *         order: <member_order> (optional)
+ *         enabled: <true | false> (optional, default is BIG-IP default)
  *     }
  * @param {Object}   [options]                   - Optional parameters
  * @param {String}   [options.monitor]           - Full path to monitor for pool
  * @param {String}   [options.loadBalancingMode] - Load balancing mode for pool
+ * @param {String}   [options.recordType]        - Pool record type ('a' | 'aaaa'). Use 'aaaa' for
+ *                                                 IPv6 virtual servers. Default 'a'.
+ * @param {Object[]} [options.commands]          - If provided, the request is appended to this array
+ *                                                 (see {@link BigIp#transaction}) rather than sent.
+ *
+ * @returns {Promise} A promise which is resolved with a summary of the change or rejected if
+ *                    an error occurs. The summary is of the form
  *
- * @returns {Promise} A promise which is resolved if succssful or rejected if
- *                    an error occurs
+ *     {
+ *         added: [<member_name>],
+ *         removed: [<member_name>],
+ *         unchanged: [<member_name>]
+ *     }
  */
 BigIpGtm.prototype.updatePool = function updatePool(poolName, serverName, virtualServers, options) {
-    const members = [];
-    const payload = {};
-
     assert.equal(typeof poolName, 'string', 'poolName must be a string');
     assert.equal(typeof serverName, 'string', 'serverName must be a string');
     assert.equal(Array.isArray(virtualServers), true, 'virtualServers must be an array');
 
     const monitor = options ? options.monitor : undefined;
     const loadBalancingMode = options ? options.loadBalancingMode : undefined;
+    const recordType = options && options.recordType ? options.recordType : 'a';
+    const commands = options ? options.commands : undefined;
 
-    virtualServers.forEach((virtualServer) => {
-        members.push({
-            name: `${serverName}:${virtualServer.name}`
-        });
-    });
-    payload.members = members;
+    const poolPath = `/tm/gtm/pool/${recordType}/~${this.partition}~${poolName}`;
 
-    if (monitor) {
-        payload.monitor = monitor;
-    }
+    return this.core.list(`${poolPath}/members`)
+        .then((currentMembers) => {
+            const members = [];
+            const payload = {};
 
-    if (loadBalancingMode) {
-        payload.loadBalancingMode = loadBalancingMode;
-    }
+            virtualServers.forEach((virtualServer) => {
+                const member = {
+                    name: `${serverName}:${virtualServer.name}`
+                };
+
+                if (typeof virtualServer.ratio !== 'undefined') {
+                    member.ratio = parseInt(virtualServer.ratio, 10);
+                }
+
+                if (typeof virtualServer.order !== 'undefined') {
+                    member.memberOrder = parseInt(virtualServer.order, 10);
+                }
+
+                members.push(Object.assign(member, getEnabledState(virtualServer.enabled)));
+            });
+            payload.members = members;
 
-    return this.core.modify(`/tm/gtm/pool/a/~${this.partition}~${poolName}`, payload);
+            if (monitor) {
+                payload.monitor = monitor;
+            }
+
+            if (loadBalancingMode) {
+                payload.loadBalancingMode = loadBalancingMode;
+            }
+
+            const summary = getSummary(
+                getNames(currentMembers),
+                members.map((member) => {
+                    return member.name;
+                })
+            );
+
+            return sendOrQueue.call(this, poolPath, payload, commands)
+                .then(() => {
+                    return summary;
+                });
+        });
 };
 
 /**
@@ -152,4 +243,66 @@ BigIpGtm.prototype.setPartition = function setPartition(partition) {
     this.partition = partition;
 };
 
+function sendOrQueue(path, body, commands) {
+    if (commands) {
+        commands.push({
+            method: 'modify',
+            path,
+            body
+        });
+        return q();
+    }
+
+    return this.core.modify(path, body);
+}
+
+function getEnabledState(enabled) {
+    if (typeof enabled === 'undefined') {
+        return {};
+    }
+
+    if (enabled === false || enabled === 'false') {
+        return { disabled: true };
+    }
+
+    return { enabled: true };
+}
+
+function getCurrentState(virtualServer) {
+    const server = {
+        name: virtualServer.name,
+        destination: virtualServer.destination
+    };
+
+    if (virtualServer.disabled === true) {
+        return Object.assign(server, getEnabledState(false));
+    }
+
+    return Object.assign(server, getEnabledState(virtualServer.enabled));
+}
+
+function getNames(items) {
+    if (!Array.isArray(items)) {
+        return [];
+    }
+
+    return items.map((item) => {
+        return item.name;
+    });
+}
+
+function getSummary(currentNames, desiredNames) {
+    return {
+        added: desiredNames.filter((name) => {
+            return currentNames.indexOf(name) === -1;
+        }),
+        removed: currentNames.filter((name) => {
+            return desiredNames.indexOf(name) === -1;
+        }),
+        unchanged: desiredNames.filter((name) => {
+            return currentNames.indexOf(name) !== -1;
+        })
+    };
+}
+
 module.exports = BigIpGtm;
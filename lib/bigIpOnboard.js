@@ -293,6 +293,8 @@ BigIpOnboard.prototype.license = function license(options, retryOptions) {
                 } else if (alreadyLicensed) {
                     message = 'Device is already licensed. Use overwrite option to re-license.';
                     return message;
+                } else if (this.core.dryRun) {
+                    return 'Dry run. License not installed.';
                 }
                 message = response.commandResult.trim();
                 if (message.indexOf('New license installed') === -1) {
@@ -311,7 +313,8 @@ BigIpOnboard.prototype.license = function license(options, retryOptions) {
  * @param {String}  host                        - IP or FQDN of BIG-IQ.
  * @param {String}  user                        - BIG-IQ admin user name.
  * @param {String}  password                    - Password for BIG-IQ admin user.
- * @param {String}  poolName                    - Name of pool to license from.
+ * @param {String|String[]|Object[]} poolName  - Name of pool to license from, or an ordered list of
+ *                                                pools to try. See {@link BigIq#licenseBigIp}.
  * @param {String}  cloud                       - Name of cloud. Only BIG-IQ 5.4+ needs this but
  *                                                since we don't know what version we are using, this
  *                                                is required. Supported values are
@@ -359,6 +362,25 @@ BigIpOnboard.prototype.licenseViaBigIq = function licenseViaBigIq(
 
     return this.core.list('/tm/shared/licensing/registration', undefined, util.NO_RETRY)
         .then((response) => {
+            if ((!response.registrationKey || overwrite) && this.core.dryRun) {
+                this.logger.info('Dry run. Not licensing via BIG-IQ', host);
+                this.core.addToPlan(
+                    'licenseViaBigIq',
+                    poolName,
+                    {
+                        cloud,
+                        bigIpMgmtAddress,
+                        bigIpMgmtPort: bigIpMgmtPort || this.core.port,
+                        skuKeyword1,
+                        skuKeyword2,
+                        unitOfMeasure,
+                        tenant
+                    },
+                    host
+                );
+                return q();
+            }
+
             if (!response.registrationKey || overwrite) {
                 const bigIq = new BigIq(this.options);
                 return bigIq.init(
@@ -428,7 +450,8 @@ BigIpOnboard.prototype.licenseViaBigIq = function licenseViaBigIq(
  * @param {String}  host                        - IP or FQDN of BIG-IQ.
  * @param {String}  user                        - BIG-IQ admin user nam´.e
  * @param {String}  password                    - Password for BIG-IQ admin user.
- * @param {String}  poolName                    - Name of pool to license from.
+ * @param {String|String[]} poolName            - Name of pool to license from, or an ordered list of
+ *                                                pools. See {@link BigIq#revokeLicense}.
  * @param {Object}  [options]                   - Options for licenseViaBigIq.
  * @param {Boolean} [options.passwordIsUri]     - Indicates that password is a URI for the password.
  * @param {Boolean} [options.passwordEncrypted] - Indicates that the password is encrypted
@@ -452,6 +475,12 @@ BigIpOnboard.prototype.revokeLicenseViaBigIq = function revokeLicenseViaBigIq(
     const bigIq = new BigIq(this.options);
     const instance = new AutoscaleInstance();
 
+    if (this.core.dryRun) {
+        this.logger.info('Dry run. Not revoking license via BIG-IQ', host);
+        this.core.addToPlan('revokeLicenseViaBigIq', poolName, undefined, host);
+        return q();
+    }
+
     return this.core.ready()
         .then(() => {
             return this.core.deviceInfo();
@@ -539,8 +568,9 @@ BigIpOnboard.prototype.updateUser = function updateUser(user, password, role, sh
 
             if (currentUser !== -1) {
                 // If we're setting the password for our user, we need to
-                // re-initialize the bigIp core
-                if (user === this.core.user) {
+                // re-initialize the bigIp core (unless this is a dry run, in which
+                // case the password is not really changed)
+                if (user === this.core.user && !this.core.dryRun) {
                     methodOptions.port = this.core.port;
                     return this.core.init(this.core.host, this.core.user, password, methodOptions)
                         .then(() => {
@@ -608,8 +638,9 @@ BigIpOnboard.prototype.password = function password(user, newPassword, oldPasswo
             })
             .then((response) => {
                 // If we're setting the password for our user, we need to
-                // re-initialize the bigIp core
-                if (user === this.core.user) {
+                // re-initialize the bigIp core (unless this is a dry run, in which
+                // case the password is not really changed)
+                if (user === this.core.user && !this.core.dryRun) {
                     return this.core.init(
                         this.core.host,
                         this.core.user,
@@ -650,6 +681,10 @@ BigIpOnboard.prototype.setRootPassword = function setRootPassword(newPassword, o
     q()
         .then(() => {
             if (typeof oldPassword === 'undefined') {
+                if (this.core.dryRun) {
+                    this.logger.info('Dry run. Not resetting root password with passwd');
+                    return q('********');
+                }
                 this.logger.debug('Generating random temporary password for root user');
                 return forceResetUserPassword('root');
             }
@@ -896,7 +931,7 @@ BigIpOnboard.prototype.sslPort = function sslPort(port, retryOptions, noInit) {
                 );
             })
             .then(() => {
-                if (!noInit) {
+                if (!noInit && !this.core.dryRun) {
                     // Since we just reset our port, we need to update our BigIp
                     return this.core.setPort(port);
                 }
@@ -22,8 +22,16 @@ const authn = require('./authn');
 const sharedConstants = require('./sharedConstants');
 const bigIqLicenseProviderFactory = require('./bigIqLicenseProviderFactory');
 const Logger = require('./logger');
+const LicensePoolsExhaustedError = require('./licensePoolsExhaustedError');
 const PRODUCTS = require('./sharedConstants').PRODUCTS;
 
+// Default maximum number of orphaned license assignments to revoke at once
+const DEFAULT_MAX_REVOKE = 5;
+
+// Errors from BIG-IQ which mean that a pool has no licenses left to give out
+const POOL_EXHAUSTED_PATTERN =
+    /no (more )?(available )?(licenses|reg ?keys|offerings)|no license available|exhausted|pool is full/i;
+
 /**
  * BigIq constructor
  *
@@ -74,6 +82,8 @@ function BigIq(options) {
  * @param {Boolean} [options.passwordEncrypted] - Indicates that the password is encrypted
  * @param {Number}  [options.port]              - Port of management port. Default 443.
  * @param {Object}  [options.bigIp]             - {@link BigIp} object. BigIp to control.
+ * @param {Object}  [options.tls]               - Client certificate, CA bundle and certificate pin as
+ *                                                URIs. See {@link module:tlsUtil}.
  *
  * @returns {Promise} A promise which is resolved when initialization is complete
  *                    or rejected if an error occurs.
@@ -91,7 +101,8 @@ BigIq.prototype.init = function init(host, user, passwordOrUri, options) {
         product: PRODUCTS.BIGIQ,
         passwordIsUri: this.initOptions.passwordIsUri,
         passwordEncrypted: this.initOptions.passwordEncrypted,
-        port: this.initOptions.port
+        port: this.initOptions.port,
+        tls: this.initOptions.tls
     };
 
     return authn.authenticate(this.host, this.user, passwordOrUri, authnOptions)
@@ -120,7 +131,26 @@ BigIq.prototype.init = function init(host, user, passwordOrUri, options) {
 /**
  * Licenses a BIG-IP from a license pool
  *
- * @param {String}  poolName                 - Name of the BIG-IQ pool to license from.
+ * Pools may be given as an ordered list. Before requesting a license, the remaining capacity
+ * of each pool is checked (where the BIG-IQ version can report it). Pools which are full, or
+ * for which BIG-IQ reports that there are no licenses left, are skipped in favor of the next
+ * pool in the list. Any other error (timeouts, unreachable devices, authentication, etc.) is
+ * rejected right away - the license may already have been assigned, and moving on to the
+ * next pool could assign a second one.
+ *
+ * @param {String|String[]|Object[]} poolName - Name of the BIG-IQ pool to license from, or an ordered
+ *                                             list of pools to try. List entries may be pool names
+ *                                             or objects of the form
+ *
+ *                                             {
+ *                                                 poolName: <pool name>,
+ *                                                 skuKeyword1: <skuKeyword1 for this pool>,
+ *                                                 skuKeyword2: <skuKeyword2 for this pool>,
+ *                                                 unitOfMeasure: <unitOfMeasure for this pool>
+ *                                             }
+ *
+ *                                             SKU parameters not given for a pool default to
+ *                                             those in options.
  * @param {String}  bigIpMgmtAddress         - Management address of BIG-IP
  * @param {String}  bigIpMgmtPort            - Management port of BIG-IP
  * @param {Object}  [options]                - Optional parameters
@@ -130,48 +160,134 @@ BigIq.prototype.init = function init(host, user, passwordOrUri, options) {
  * @param {String}  [options.skuKeyword1]    - skuKeyword1 parameter for CLPv2 licensing. Default none.
  * @param {String}  [options.skuKeyword2]    - skuKeyword2 parameter for CLPv2 licensing. Default none.
  * @param {String}  [options.unitOfMeasure]  - unitOfMeasure parameter for CLPv2 licensing. Default none.
+ * @param {String}  [options.hypervisor]     - Hypervisor to report for unreachable licensing. Only
+ *                                             BIG-IQ 6.0+ uses this. Default is options.cloud.
+ * @param {String}  [options.macAddress]     - MAC address to report for unreachable licensing. Only BIG-IQ
+ *                                             6.0+ uses this. Default is the base MAC address of the BIG-IP.
  * @param {Boolean} [options.noUnreachable]  - Do not use the unreachable API even on BIG-IQs that support it.
  * @param {Boolean} [options.autoApiType]    - Automatically determine API type rather than basing on BIG-IQ
  *                                             version.
  *
  * @returns {Promise} A promise which is resolved when the licensing
- *                    is complete or rejected if an error occurs.
+ *                    is complete or rejected if an error occurs. If no pool can provide
+ *                    a license, the promise is rejected with a {@link LicensePoolsExhaustedError}.
+ *                    This includes a single pool which is full. When a single pool is given
+ *                    and BIG-IQ fails to license from it, the error from BIG-IQ is kept.
  */
 BigIq.prototype.licenseBigIp = function licenseBigIp(poolName, bigIpMgmtAddress, bigIpMgmtPort, options) {
     const methodOptions = {};
     Object.assign(methodOptions, options);
 
-    this.logger.debug('Getting license provider');
-    return getLicenseProvider.call(this, poolName, methodOptions)
-        .then((licenseProvider) => {
-            this.logger.debug('Getting license from provider.');
-            return licenseProvider.getUnmanagedDeviceLicense(
-                this.icontrol,
-                poolName,
-                bigIpMgmtAddress,
-                bigIpMgmtPort,
-                {
-                    cloud: methodOptions.cloud,
-                    skuKeyword1: methodOptions.skuKeyword1,
-                    skuKeyword2: methodOptions.skuKeyword2,
-                    unitOfMeasure: methodOptions.unitOfMeasure,
-                    tenant: methodOptions.tenant,
-                    noUnreachable: methodOptions.noUnreachable
-                }
+    const pools = getPoolList(poolName, methodOptions);
+    const results = [];
+    let licenseProvider;
+
+    const licenseFromPool = function (index) {
+        if (index > pools.length - 1) {
+            // Keep the original error for a single pool which failed to license
+            if (pools.length === 1 && results[0].error instanceof Error) {
+                return q.reject(results[0].error);
+            }
+
+            const err = new LicensePoolsExhaustedError(
+                `No license available in any pool: ${results.map(formatPoolResult).join(', ')}`,
+                results.map((result) => {
+                    return {
+                        poolName: result.poolName,
+                        capacity: result.capacity,
+                        error: result.error && result.error.message ? result.error.message : result.error
+                    };
+                })
             );
+            this.logger.warn(err.message);
+            return q.reject(err);
+        }
+
+        const pool = pools[index];
+        const result = { poolName: pool.poolName };
+        results.push(result);
+
+        return getPoolCapacity.call(this, licenseProvider, pool.poolName)
+            .then((capacity) => {
+                result.capacity = capacity;
+                if (capacity && capacity.available <= 0) {
+                    this.logger.info('License pool', pool.poolName, 'is full.');
+                    result.error = 'pool is full';
+                    return licenseFromPool.call(this, index + 1);
+                }
+
+                this.logger.debug('Getting license from provider using pool', pool.poolName);
+                return licenseProvider.getUnmanagedDeviceLicense(
+                    this.icontrol,
+                    pool.poolName,
+                    bigIpMgmtAddress,
+                    bigIpMgmtPort,
+                    {
+                        cloud: methodOptions.cloud,
+                        skuKeyword1: pool.skuKeyword1,
+                        skuKeyword2: pool.skuKeyword2,
+                        unitOfMeasure: pool.unitOfMeasure,
+                        tenant: methodOptions.tenant,
+                        hypervisor: methodOptions.hypervisor,
+                        macAddress: methodOptions.macAddress,
+                        noUnreachable: methodOptions.noUnreachable
+                    }
+                )
+                    .catch((err) => {
+                        const message = err && err.message ? err.message : err;
+                        this.logger.info('Unable to license from pool', pool.poolName, message);
+
+                        if (!POOL_EXHAUSTED_PATTERN.test(message)) {
+                            return q.reject(err || new Error('licensing failed'));
+                        }
+
+                        result.error = err;
+                        return licenseFromPool.call(this, index + 1);
+                    });
+            });
+    };
+
+    this.logger.debug('Getting license provider');
+    return getLicenseProvider.call(this, pools[0].poolName, methodOptions)
+        .then((response) => {
+            licenseProvider = response;
+            return licenseFromPool.call(this, 0);
         });
 };
 
 /**
  * Revokes a license for a BIG-IP
  *
- * @param {String}  poolName                 - The name of the license pool to revoke from
+ * If a list of pools is given (as for {@link BigIq#licenseBigIp}), the license is
+ * revoked from the first pool in the list which accepts the revoke.
+ *
+ * @param {String|String[]} poolName         - The name of the license pool to revoke from, or an
+ *                                             ordered list of pools.
  * @param {String}  instance                 - {@link AutoscaleInstance} to revoke license for
  * @param {Object}  [options]                - Optional parameters
  * @param {Boolean} [options.noUnreachable]  - Do not use the unreachable API even on BIG-IQs that support it.
  */
 BigIq.prototype.revokeLicense = function revokeLicense(poolName, instance, options) {
+    const poolNames = Array.isArray(poolName) ? poolName : [poolName];
     let licenseProvider;
+
+    const revokeFromPool = function (index) {
+        this.logger.silly('Calling license provider revoke for pool', poolNames[index]);
+        return licenseProvider.revoke(this.icontrol, poolNames[index], instance, options)
+            .catch((err) => {
+                if (index >= poolNames.length - 1) {
+                    return q.reject(err);
+                }
+
+                this.logger.debug(
+                    'Unable to revoke from pool',
+                    poolNames[index],
+                    err && err.message ? err.message : err
+                );
+                return revokeFromPool.call(this, index + 1);
+            });
+    };
+
     this.logger.silly('Revoking license for', instance);
     try {
         licenseProvider = bigIqLicenseProviderFactory.getLicenseProviderByVersion(
@@ -179,14 +295,174 @@ BigIq.prototype.revokeLicense = function revokeLicense(poolName, instance, optio
             this.bigIp,
             this.constructorOptions
         );
-        this.logger.silly('Calling license provider revoke');
-        return licenseProvider.revoke(this.icontrol, poolName, instance, options);
+        return revokeFromPool.call(this, 0);
     } catch (err) {
         this.logger.debug('Error revoking license', err && err.message ? err.message : err);
         return q.reject(err);
     }
 };
 
+/**
+ * Gets the license assignments in a pool
+ *
+ * @param {String} poolName - The name of the license pool
+ *
+ * @returns {Promise} A promise which is resolved with an array of assignments of the form
+ *
+ *                    {
+ *                        id: <assignment id>,
+ *                        deviceName: <hostname of the BIG-IP>,
+ *                        deviceAddress: <management address of the BIG-IP>,
+ *                        macAddress: <MAC address of the BIG-IP, if known>,
+ *                        machineId: <machine id of the BIG-IP, if known>,
+ *                        regKey: <reg key assigned, if known>
+ *                    }
+ */
+BigIq.prototype.getLicenseAssignments = function getLicenseAssignments(poolName) {
+    let licenseProvider;
+    this.logger.silly('Getting license assignments for pool', poolName);
+    try {
+        licenseProvider = bigIqLicenseProviderFactory.getLicenseProviderByVersion(
+            this.version,
+            this.bigIp,
+            this.constructorOptions
+        );
+        return licenseProvider.getAssignments(this.icontrol, poolName);
+    } catch (err) {
+        this.logger.debug('Error getting license assignments', err && err.message ? err.message : err);
+        return q.reject(err);
+    }
+};
+
+/**
+ * Cross references the license assignments in a pool with a set of instances
+ *
+ * An assignment is orphaned if it does not match any of the instances by machine id,
+ * MAC address, hostname or IP address. By default, this is a dry run and orphaned
+ * assignments are only reported.
+ *
+ * Pools may be shared with devices that are not in instances, so revoking is refused when
+ * no instances are given, or when more than options.maxRevoke assignments are orphaned.
+ * In either case, nothing is revoked.
+ *
+ * @param {String}  poolName                 - The name of the license pool
+ * @param {Object}  instances                - Instances which should hold licenses. Map of instance
+ *                                             id to {@link AutoscaleInstance}, as returned by
+ *                                             {@link CloudProvider#getInstances}.
+ * @param {Object}  [options]                - Optional parameters
+ * @param {Boolean} [options.revoke]         - Revoke orphaned assignments. Default false.
+ * @param {Number}  [options.maxRevoke]      - Maximum number of orphaned assignments to revoke.
+ *                                             Default 5.
+ * @param {Boolean} [options.noUnreachable]  - Do not use the unreachable API even on BIG-IQs that support it.
+ *
+ * @returns {Promise} A promise which is resolved with a report of the form
+ *
+ *                    {
+ *                        poolName: <pool name>,
+ *                        dryRun: <true if nothing was revoked on purpose>,
+ *                        assignments: [
+ *                            {
+ *                                <assignment fields, see getLicenseAssignments>,
+ *                                instanceId: <id of the matching instance, if any>,
+ *                                orphaned: <true if no instance matches>
+ *                            }
+ *                        ],
+ *                        orphaned: <number of orphaned assignments>,
+ *                        revoked: [<ids of revoked assignments>],
+ *                        failed: [
+ *                            {
+ *                                id: <assignment id>,
+ *                                error: <error message>
+ *                            }
+ *                        ]
+ *                    }
+ */
+BigIq.prototype.reconcileLicenseAssignments = function reconcileLicenseAssignments(
+    poolName,
+    instances,
+    options
+) {
+    const methodOptions = {};
+    Object.assign(methodOptions, options);
+
+    const report = {
+        poolName,
+        dryRun: !methodOptions.revoke,
+        assignments: [],
+        orphaned: 0,
+        revoked: [],
+        failed: []
+    };
+    const maxRevoke = typeof methodOptions.maxRevoke === 'number'
+        ? methodOptions.maxRevoke
+        : DEFAULT_MAX_REVOKE;
+
+    if (methodOptions.revoke && Object.keys(instances || {}).length === 0) {
+        return q.reject(new Error('No instances were given. Refusing to revoke license assignments.'));
+    }
+
+    return this.getLicenseAssignments(poolName)
+        .then((assignments) => {
+            assignments.forEach((assignment) => {
+                const instanceId = findInstanceForAssignment(assignment, instances || {});
+                const reportAssignment = {};
+                Object.assign(reportAssignment, assignment);
+                reportAssignment.instanceId = instanceId;
+                reportAssignment.orphaned = !instanceId;
+                if (reportAssignment.orphaned) {
+                    report.orphaned += 1;
+                }
+                report.assignments.push(reportAssignment);
+            });
+
+            if (report.dryRun) {
+                return q();
+            }
+
+            if (report.orphaned > maxRevoke) {
+                return q.reject(new Error(
+                    `${report.orphaned} license assignments are orphaned, which is more than the limit `
+                    + `of ${maxRevoke}. Nothing was revoked. Raise the limit to revoke them.`
+                ));
+            }
+
+            // Revoke one at a time so BIG-IQ is not flooded with tasks
+            let promise = q();
+            report.assignments
+                .filter((assignment) => {
+                    return assignment.orphaned;
+                })
+                .forEach((assignment) => {
+                    promise = promise.then(() => {
+                        this.logger.info('Revoking orphaned license assignment', assignment.id);
+                        return this.revokeLicense(
+                            poolName,
+                            {
+                                hostname: assignment.deviceName,
+                                mgmtIp: assignment.deviceAddress,
+                                macAddress: assignment.macAddress,
+                                machineId: assignment.machineId
+                            },
+                            { noUnreachable: methodOptions.noUnreachable }
+                        )
+                            .then(() => {
+                                report.revoked.push(assignment.id);
+                            })
+                            .catch((err) => {
+                                const message = err && err.message ? err.message : err;
+                                this.logger.info('Error revoking license assignment', assignment.id, message);
+                                report.failed.push({ id: assignment.id, error: message });
+                            });
+                    });
+                });
+
+            return promise;
+        })
+        .then(() => {
+            return report;
+        });
+};
+
 /**
  * Gets a license provider based on api type or version
  * @param {String} poolName                 - The name of the license pool
@@ -255,4 +531,76 @@ function getApiType(options) {
     return q.resolve(apiType);
 }
 
+/**
+ * Normalizes the poolName argument of licenseBigIp into an array of pools
+ */
+function getPoolList(poolName, options) {
+    const poolNames = Array.isArray(poolName) ? poolName : [poolName];
+    return poolNames.map((pool) => {
+        const poolOptions = typeof pool === 'object' && pool !== null ? pool : { poolName: pool };
+        return {
+            poolName: poolOptions.poolName,
+            skuKeyword1: poolOptions.skuKeyword1 || options.skuKeyword1,
+            skuKeyword2: poolOptions.skuKeyword2 || options.skuKeyword2,
+            unitOfMeasure: poolOptions.unitOfMeasure || options.unitOfMeasure
+        };
+    });
+}
+
+/**
+ * Gets the capacity of a pool, if the license provider can tell us
+ *
+ * Errors are logged and treated as unknown capacity so that we still try to license.
+ */
+function getPoolCapacity(licenseProvider, poolName) {
+    if (typeof licenseProvider.getCapacity !== 'function') {
+        return q();
+    }
+
+    return licenseProvider.getCapacity(this.icontrol, poolName)
+        .then((capacity) => {
+            if (capacity) {
+                this.logger.verbose(
+                    'License pool', poolName, 'capacity', capacity.total, 'available', capacity.available
+                );
+            }
+            return capacity;
+        })
+        .catch((err) => {
+            this.logger.debug(
+                'Unable to get capacity of pool', poolName, err && err.message ? err.message : err
+            );
+            return q();
+        });
+}
+
+function formatPoolResult(result) {
+    const capacity = result.capacity ?
+        `${result.capacity.available} of ${result.capacity.total} available` :
+        'capacity unknown';
+    const error = result.error && result.error.message ? result.error.message : result.error;
+    return `${result.poolName} (${capacity}${error ? `, ${error}` : ''})`;
+}
+
+function findInstanceForAssignment(assignment, instances) {
+    const lower = function (value) {
+        return typeof value === 'string' ? value.toLowerCase() : value;
+    };
+
+    return Object.keys(instances).find((instanceId) => {
+        const instance = instances[instanceId];
+        if (assignment.machineId && instance.machineId === assignment.machineId) {
+            return true;
+        }
+        if (assignment.macAddress && lower(instance.macAddress) === lower(assignment.macAddress)) {
+            return true;
+        }
+        if (assignment.deviceName && instance.hostname === assignment.deviceName) {
+            return true;
+        }
+        return !!assignment.deviceAddress && [instance.mgmtIp, instance.privateIp, instance.publicIp]
+            .indexOf(assignment.deviceAddress) !== -1;
+    });
+}
+
 module.exports = BigIq;
@@ -181,6 +181,41 @@ BigIq50LicenseProvider.prototype.revoke = function revoke(bigIqControl, poolName
         });
 };
 
+/**
+ * Gets the license assignments in a pool
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with an array of assignments of the form
+ *
+ *                    {
+ *                        id: <member uuid>,
+ *                        deviceName: <hostname of the BIG-IP>,
+ *                        deviceAddress: <management address of the BIG-IP>
+ *                    }
+ */
+BigIq50LicenseProvider.prototype.getAssignments = function getAssignments(bigIqControl, poolName) {
+    this.logger.debug('Getting BIG-IP license pool UUID.');
+    return getPoolUuid(bigIqControl, poolName)
+        .then((poolUuid) => {
+            this.logger.debug('Getting licenses in pool');
+            return bigIqControl.list(`${LICENSE_PATH}${poolUuid}/members/`);
+        })
+        .then((response) => {
+            const members = Array.isArray(response) ? response : [];
+            return members.map((member) => {
+                // deviceAddress is address:port in this API
+                const deviceAddress = member.deviceAddress ? member.deviceAddress.split(':')[0] : undefined;
+                return {
+                    deviceAddress,
+                    id: member.uuid,
+                    deviceName: member.deviceName
+                };
+            });
+        });
+};
+
 /**
  * Gets the license timeout to use
  *
@@ -209,6 +209,64 @@ BigIq52LicenseProvider.prototype.revoke = function revoke(bigIqControl, poolName
         });
 };
 
+/**
+ * Gets the license assignments in a pool
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with an array of assignments of the form
+ *
+ *                    {
+ *                        id: <member id>,
+ *                        deviceName: <hostname of the BIG-IP>,
+ *                        deviceAddress: <management address of the BIG-IP>,
+ *                        macAddress: <MAC address of the BIG-IP>,
+ *                        machineId: <machine id of the BIG-IP>,
+ *                        regKey: <reg key assigned>
+ *                    }
+ */
+BigIq52LicenseProvider.prototype.getAssignments = function getAssignments(bigIqControl, poolName) {
+    return getPoolAssignments(bigIqControl, poolName)
+        .then((poolAssignments) => {
+            return poolAssignments.assignments;
+        });
+};
+
+/**
+ * Gets the capacity of a pool
+ *
+ * Each reg key in a reg key pool can be assigned to one BIG-IP.
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with the capacity of the pool
+ *
+ *                    {
+ *                        total: <number of reg keys>,
+ *                        used: <number of reg keys assigned>,
+ *                        available: <number of reg keys not assigned>
+ *                    }
+ */
+BigIq52LicenseProvider.prototype.getCapacity = function getCapacity(bigIqControl, poolName) {
+    return getPoolAssignments(bigIqControl, poolName)
+        .then((poolAssignments) => {
+            const usedRegKeys = poolAssignments.regKeys.filter((regKey) => {
+                return poolAssignments.assignments.some((assignment) => {
+                    return assignment.regKey === regKey;
+                });
+            });
+            const total = poolAssignments.regKeys.length;
+
+            return {
+                total,
+                used: usedRegKeys.length,
+                available: total - usedRegKeys.length
+            };
+        });
+};
+
 /**
  * Gets the license timeout to use
  *
@@ -341,6 +399,70 @@ function getValidRegKey(bigIqControl, poolUuid) {
         });
 }
 
+function getPoolAssignments(bigIqControl, poolName) {
+    let poolUuid;
+    let regKeys;
+
+    return getPoolUuid(bigIqControl, poolName)
+        .then((uuid) => {
+            poolUuid = uuid;
+            return getLicensesInPool(bigIqControl, poolUuid);
+        })
+        .then((licensesInPool) => {
+            let licenses;
+
+            if (!licensesInPool) {
+                licenses = [];
+            } else if (!Array.isArray(licensesInPool)) {
+                licenses = [licensesInPool];
+            } else {
+                licenses = licensesInPool.slice();
+            }
+
+            regKeys = licenses
+                .filter((license) => {
+                    return license.licenseState && license.licenseState.registrationKey;
+                })
+                .map((license) => {
+                    return license.licenseState.registrationKey;
+                });
+
+            return q.all(regKeys.map((regKey) => {
+                return getMembersForKey(bigIqControl, poolUuid, regKey)
+                    .then((membersForKey) => {
+                        let members;
+
+                        if (!membersForKey) {
+                            members = [];
+                        } else if (!Array.isArray(membersForKey)) {
+                            members = [membersForKey];
+                        } else {
+                            members = membersForKey.slice();
+                        }
+
+                        return members.map((member) => {
+                            return {
+                                regKey,
+                                id: member.id,
+                                deviceName: member.deviceName,
+                                deviceAddress: member.deviceAddress,
+                                macAddress: member.macAddress,
+                                machineId: member.deviceMachineId
+                            };
+                        });
+                    });
+            }));
+        })
+        .then((assignmentsByKey) => {
+            return {
+                regKeys,
+                assignments: assignmentsByKey.reduce((assignments, assignmentsForKey) => {
+                    return assignments.concat(assignmentsForKey);
+                }, [])
+            };
+        });
+}
+
 function getLicensesInPool(bigIqControl, poolUuid) {
     return bigIqControl.list(`${LICENSE_PATH}${poolUuid}/offerings?$select=licenseState`);
 }
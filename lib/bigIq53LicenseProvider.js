@@ -23,6 +23,13 @@ const Logger = require('./logger');
 const LICENSE_PATH = '/cm/device/tasks/licensing/pool/member-management/';
 const LICENSE_TIMEOUT = { maxRetries: 40, retryIntervalMs: 5000 };
 const ALREADY_LICENSED_LIMIT = 5;
+const REG_KEY_POOL_PATH = '/cm/device/licensing/pool/regkey/licenses';
+const POOL_PATHS = [
+    '/cm/device/licensing/pool/purchased-pool/licenses',
+    REG_KEY_POOL_PATH,
+    '/cm/device/licensing/pool/utility/licenses',
+    '/cm/device/licensing/pool/volume/licenses'
+];
 
 let alreadyLicensedCount = 0;
 
@@ -97,18 +104,12 @@ BigIq53LicenseProvider.prototype.revoke = function revoke(bigIqControl, poolName
     this.logger.silly('BigIq53LicenseProvider.prototype.revoke');
 
     // get the self link of the reg key to delete
-    /* eslint-disable max-len */
-    let query = '/shared/index/config?$filter=( ( ';
-    query += "'kind' eq 'cm:device:licensing:pool:purchased-pool:licenses:licensepoolmemberstate'";
-    query += " or 'kind' eq 'cm:device:licensing:pool:utility:licenses:regkey:offerings:offering:members:grantmemberstate'";
-    query += " or 'kind' eq 'cm:device:licensing:pool:volume:licenses:regkey:offerings:offering:members:memberstate'";
-    query += " or 'kind' eq 'cm:device:licensing:pool:regkey:licenses:item:offerings:regkey:members:regkeypoollicensememberstate' )";
-    query += ` and 'deviceMachineId' eq '${instance.machineId}')`;
-    query += '&$select=deviceAddress,deviceMachineId,deviceName,selfLink';
-    /* eslint-enable max-len */
-
+    let query;
     try {
-        query = encodeURI(query);
+        query = getMemberQuery(
+            ` and 'deviceMachineId' eq '${instance.machineId}'`,
+            'deviceAddress,deviceMachineId,deviceName,selfLink'
+        );
     } catch (err) {
         this.logger.warn('BigIq53LicenseProvider unable to encode revoke query');
         return q.reject(err);
@@ -150,6 +151,129 @@ BigIq53LicenseProvider.prototype.revoke = function revoke(bigIqControl, poolName
         });
 };
 
+/**
+ * Gets the license assignments in a pool
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with an array of assignments of the form
+ *
+ *                    {
+ *                        id: <member id>,
+ *                        deviceName: <hostname of the BIG-IP>,
+ *                        deviceAddress: <management address of the BIG-IP>,
+ *                        macAddress: <MAC address of the BIG-IP>,
+ *                        machineId: <machine id of the BIG-IP>,
+ *                        regKey: <reg key assigned, if any>
+ *                    }
+ */
+BigIq53LicenseProvider.prototype.getAssignments = function getAssignments(bigIqControl, poolName) {
+    let poolIds;
+
+    return getPools(bigIqControl, poolName)
+        .then((pools) => {
+            poolIds = pools.map((pool) => {
+                return pool.id;
+            });
+            if (poolIds.length === 0) {
+                return q.reject(new Error(`No license pool found with name: ${poolName}`));
+            }
+
+            return bigIqControl.list(
+                getMemberQuery('', 'deviceAddress,deviceMachineId,deviceName,macAddress,selfLink')
+            );
+        })
+        .then((response) => {
+            const members = Array.isArray(response) ? response : [];
+            const assignments = [];
+
+            members.forEach((member) => {
+                const selfLink = member.selfLink || '';
+
+                // selfLink looks like:
+                //     .../licenses/<poolId>/offerings/<regKey>/members/<memberId>
+                // or, for purchased pools
+                //     .../licenses/<poolId>/members/<memberId>
+                const poolId = getPathSegmentAfter(selfLink, 'licenses');
+                if (poolIds.indexOf(poolId) === -1) {
+                    return;
+                }
+
+                assignments.push({
+                    id: selfLink.substr(selfLink.lastIndexOf('/') + 1),
+                    deviceName: member.deviceName,
+                    deviceAddress: member.deviceAddress,
+                    macAddress: member.macAddress,
+                    machineId: member.deviceMachineId,
+                    regKey: getPathSegmentAfter(selfLink, 'offerings')
+                });
+            });
+
+            return assignments;
+        });
+};
+
+/**
+ * Gets the capacity of a pool
+ *
+ * Capacity is only known for reg key pools, where each reg key can be assigned
+ * to one BIG-IP.
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with the capacity of the pool, or
+ *                    undefined if the capacity of this type of pool is not known.
+ *
+ *                    {
+ *                        total: <number of reg keys>,
+ *                        used: <number of reg keys assigned>,
+ *                        available: <number of reg keys not assigned>
+ *                    }
+ */
+BigIq53LicenseProvider.prototype.getCapacity = function getCapacity(bigIqControl, poolName) {
+    let regKeys;
+
+    return getPools(bigIqControl, poolName)
+        .then((pools) => {
+            const regKeyPool = pools.find((pool) => {
+                return pool.path === REG_KEY_POOL_PATH;
+            });
+
+            if (!regKeyPool) {
+                this.logger.debug('Capacity not known for pool', poolName);
+                return q();
+            }
+
+            return bigIqControl.list(`${REG_KEY_POOL_PATH}/${regKeyPool.id}/offerings?$select=licenseState`)
+                .then((offerings) => {
+                    regKeys = (Array.isArray(offerings) ? offerings : [])
+                        .filter((offering) => {
+                            return offering.licenseState && offering.licenseState.registrationKey;
+                        })
+                        .map((offering) => {
+                            return offering.licenseState.registrationKey;
+                        });
+
+                    return this.getAssignments(bigIqControl, poolName);
+                })
+                .then((assignments) => {
+                    const usedRegKeys = regKeys.filter((regKey) => {
+                        return assignments.some((assignment) => {
+                            return assignment.regKey === regKey;
+                        });
+                    });
+
+                    return {
+                        total: regKeys.length,
+                        used: usedRegKeys.length,
+                        available: regKeys.length - usedRegKeys.length
+                    };
+                });
+        });
+};
+
 /**
  * Gets the license timeout to use
  *
@@ -244,4 +368,67 @@ function licenseFromPool(bigIqControl, poolName, bigIpMgmtAddress, bigIpMgmtPort
         });
 }
 
+/**
+ * Builds the index query for pool members of any pool type
+ *
+ * @param {String} deviceFilter - Additional filter clause, starting with ' and', or ''
+ * @param {String} select       - Comma separated properties to select
+ *
+ * @returns {String} The URI encoded query
+ */
+function getMemberQuery(deviceFilter, select) {
+    /* eslint-disable max-len */
+    let query = '/shared/index/config?$filter=( ( ';
+    query += "'kind' eq 'cm:device:licensing:pool:purchased-pool:licenses:licensepoolmemberstate'";
+    query += " or 'kind' eq 'cm:device:licensing:pool:utility:licenses:regkey:offerings:offering:members:grantmemberstate'";
+    query += " or 'kind' eq 'cm:device:licensing:pool:volume:licenses:regkey:offerings:offering:members:memberstate'";
+    query += " or 'kind' eq 'cm:device:licensing:pool:regkey:licenses:item:offerings:regkey:members:regkeypoollicensememberstate' )";
+    query += `${deviceFilter})`;
+    query += `&$select=${select}`;
+    /* eslint-enable max-len */
+
+    return encodeURI(query);
+}
+
+/**
+ * Gets all pools with the given name
+ *
+ * Pools of each type live in their own collection, so look in all of them.
+ *
+ * @returns {Promise} A promise which is resolved with an array of
+ *
+ *                    {
+ *                        id: <pool id>,
+ *                        path: <path of the collection the pool is in>
+ *                    }
+ */
+function getPools(bigIqControl, poolName) {
+    return q.all(POOL_PATHS.map((poolPath) => {
+        return bigIqControl.list(`${poolPath}?$select=id,name`)
+            .catch(() => {
+                // Not every BIG-IQ version supports every pool type
+                return q([]);
+            });
+    }))
+        .then((responses) => {
+            const pools = [];
+            responses.forEach((response, index) => {
+                if (Array.isArray(response)) {
+                    response.forEach((pool) => {
+                        if (pool.name === poolName) {
+                            pools.push({ id: pool.id, path: POOL_PATHS[index] });
+                        }
+                    });
+                }
+            });
+            return pools;
+        });
+}
+
+function getPathSegmentAfter(path, segment) {
+    const segments = path.split('/');
+    const index = segments.indexOf(segment);
+    return index !== -1 ? segments[index + 1] : undefined;
+}
+
 module.exports = BigIq53LicenseProvider;
@@ -149,6 +149,45 @@ BigIq54LicenseProvider.prototype.revoke = function revoke(bigIqControl, poolName
     );
 };
 
+/**
+ * Gets the license assignments in a pool
+ *
+ * The member index did not change in 5.4, so this passes off to the 5.3 API.
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with an array of assignments.
+ *                    See {@link BigIq53LicenseProvider#getAssignments} for details.
+ */
+BigIq54LicenseProvider.prototype.getAssignments = function getAssignments(bigIqControl, poolName) {
+    const licenseProvider = new BigIq53LicenseProvider(
+        this.bigIp,
+        this.constructorOptions
+    );
+    return licenseProvider.getAssignments(bigIqControl, poolName);
+};
+
+/**
+ * Gets the capacity of a pool
+ *
+ * Pools did not change in 5.4, so this passes off to the 5.3 API.
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with the capacity of the pool, or
+ *                    undefined if it is not known.
+ *                    See {@link BigIq53LicenseProvider#getCapacity} for details.
+ */
+BigIq54LicenseProvider.prototype.getCapacity = function getCapacity(bigIqControl, poolName) {
+    const licenseProvider = new BigIq53LicenseProvider(
+        this.bigIp,
+        this.constructorOptions
+    );
+    return licenseProvider.getCapacity(bigIqControl, poolName);
+};
+
 /**
  * Gets the license timeout to use
  *
@@ -0,0 +1,364 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+const util = require('./util');
+const Logger = require('./logger');
+const BigIq53LicenseProvider = require('./bigIq53LicenseProvider');
+
+const LICENSE_PATH = '/cm/device/tasks/licensing/pool/member-management/';
+const LICENSE_TIMEOUT = { maxRetries: 40, retryIntervalMs: 5000 };
+const HYPERVISORS = ['aws', 'azure', 'gce', 'vmware', 'hyperv', 'kvm', 'xen'];
+
+/**
+ * BigIq 6.0 license provider constructor
+ *
+ * @class
+ * @classdesc
+ * Provides ability to get licenses from BIG-IQ 6.0 (and compatible versions, through 8.x).
+ *
+ * Licenses are assigned by creating a member management task and polling it until it
+ * completes. In reachable mode, BIG-IQ connects to the BIG-IP and installs the license.
+ * In unreachable mode, the BIG-IP reports its MAC address and hypervisor and installs the
+ * license text that BIG-IQ returns.
+ *
+ * @param {Object} bigIp                   - Base {@link BigIp} object.
+ * @param {Object} [options]               - Optional parameters.
+ * @param {Object} [options.logger]        - Logger to use. Or, pass loggerOptions to get your own logger.
+ * @param {Object} [options.loggerOptions] - Options for the logger.
+ *                                           See {@link module:logger.getLogger} for details.
+*/
+function BigIq60LicenseProvider(bigIp, options) {
+    const injectedLogger = options ? options.logger : undefined;
+    let loggerOptions = options ? options.loggerOptions : undefined;
+
+    this.constructorOptions = {};
+    if (options) {
+        Object.keys(options).forEach((option) => {
+            this.constructorOptions[option] = options[option];
+        });
+    }
+
+    if (injectedLogger) {
+        this.logger = injectedLogger;
+        util.setLogger(injectedLogger);
+    } else {
+        loggerOptions = loggerOptions || { logLevel: 'none' };
+        loggerOptions.module = module;
+        this.logger = Logger.getLogger(loggerOptions);
+        util.setLoggerOptions(loggerOptions);
+    }
+
+    this.bigIp = bigIp;
+}
+
+/**
+ * Gets a license from BIG-IQ for an unmanaged BIG-IP
+ *
+ * @param {Object}  bigIqControl             - iControl object for BIG-IQ
+ * @param {String}  poolName                 - Name of the BIG-IQ license pool to use
+ * @param {String}  bigIpMgmtAddress         - IP address of BIG-IP management port. In unreachable
+ *                                             mode, this is for display only. Default is the address
+ *                                             returned by device info.
+ * @param {String}  bigIpMgmtPort            - IP port of BIG-IP management port. Only used in
+ *                                             reachable mode.
+ * @param {Object}  options                  - Optional parameters
+ * @param {String}  [options.cloud]          - Cloud environment. Required in unreachable mode unless
+ *                                             hypervisor is given. Accepted values are:
+ *                                             aws, azure, gce, vmware, hyperv, kvm, xen
+ * @param {String}  [options.hypervisor]     - Hypervisor to report to BIG-IQ. Default is options.cloud.
+ * @param {String}  [options.macAddress]     - MAC address to report to BIG-IQ. Default is the base MAC
+ *                                             address returned by device info.
+ * @param {String}  [options.skuKeyword1]    - skuKeyword1 parameter for CLPv2 licensing. Default none.
+ * @param {String}  [options.skuKeyword2]    - skuKeyword2 parameter for CLPv2 licensing. Default none.
+ * @param {String}  [options.unitOfMeasure]  - unitOfMeasure parameter for CLPv2 licensing. Default none.
+ * @param {String}  [options.tenant]         - tenant parameter for CLPv2 licensing. Default in
+ *                                             unreachable mode is the management address and hostname
+ *                                             of the BIG-IP.
+ * @param {Boolean} [options.noUnreachable]  - Use reachable mode, in which BIG-IQ connects to the BIG-IP.
+ *
+ * @returns {Promise} A promise which is resolved when the BIG-IP has been licensed
+ *                    or rejected if an error occurs.
+ */
+BigIq60LicenseProvider.prototype.getUnmanagedDeviceLicense = function getUnmanagedDeviceLicense(
+    bigIqControl,
+    poolName,
+    bigIpMgmtAddress,
+    bigIpMgmtPort,
+    options
+) {
+    const methodOptions = {};
+    Object.assign(methodOptions, options);
+
+    this.logger.debug('Licensing from pool', poolName);
+
+    if (methodOptions.noUnreachable) {
+        return licenseReachable.call(
+            this,
+            bigIqControl,
+            poolName,
+            bigIpMgmtAddress,
+            bigIpMgmtPort,
+            methodOptions
+        );
+    }
+
+    const hypervisor = methodOptions.hypervisor || methodOptions.cloud;
+    if (!hypervisor) {
+        const message = 'Cloud name or hypervisor is required when licensing from BIG-IQ 6.0 or later';
+        this.logger.info(message);
+        return q.reject(new Error(message));
+    }
+
+    if (HYPERVISORS.indexOf(hypervisor) === -1) {
+        const message = `Unsupported hypervisor ${hypervisor}. `
+            + `Supported values are ${HYPERVISORS.join(', ')}`;
+        this.logger.info(message);
+        return q.reject(new Error(message));
+    }
+
+    methodOptions.hypervisor = hypervisor;
+    return licenseUnreachable.call(this, bigIqControl, poolName, bigIpMgmtAddress, methodOptions);
+};
+
+/**
+ * Revokes a license from a BIG-IP
+ *
+ * @param {Object}  bigIqControl            - iControl object for BIG-IQ
+ * @param {String}  poolName                - Name of the BIG-IQ license pool to use
+ * @param {String}  instance                - {@link AutoscaleInstance} to revoke license for
+ * @param {Object}  options                 - Optional parameters
+ * @param {Boolean} [options.noUnreachable] - Do not use the unreachable API.
+ *
+ * @returns {Promise} A promise which is resolved when the BIG-IP license has
+ *                    been revoked, or rejected if an error occurs.
+ */
+BigIq60LicenseProvider.prototype.revoke = function revoke(bigIqControl, poolName, instance, options) {
+    if (options && options.noUnreachable) {
+        this.logger.silly('noUnreachable specified, passing off to 5.3 revoke API');
+        const licenseProvider = new BigIq53LicenseProvider(
+            this.bigIp,
+            this.constructorOptions
+        );
+        return licenseProvider.revoke(bigIqControl, poolName, instance, options);
+    }
+
+    if (!instance.macAddress) {
+        const message = 'MAC address is required to revoke an unreachable license';
+        this.logger.info(message);
+        return q.reject(new Error(message));
+    }
+
+    return createTask.call(
+        this,
+        bigIqControl,
+        {
+            command: 'revoke',
+            licensePoolName: poolName,
+            address: instance.mgmtIp || '192.0.2.1',
+            assignmentType: 'UNREACHABLE',
+            macAddress: instance.macAddress
+        }
+    )
+        .then((taskId) => {
+            return waitForTask.call(this, bigIqControl, taskId);
+        })
+        .then(() => {
+            this.logger.info('Successfully revoked license');
+        });
+};
+
+/**
+ * Gets the license assignments in a pool
+ *
+ * The member index did not change in 6.0, so this passes off to the 5.3 API.
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with an array of assignments.
+ *                    See {@link BigIq53LicenseProvider#getAssignments} for details.
+ */
+BigIq60LicenseProvider.prototype.getAssignments = function getAssignments(bigIqControl, poolName) {
+    const licenseProvider = new BigIq53LicenseProvider(
+        this.bigIp,
+        this.constructorOptions
+    );
+    return licenseProvider.getAssignments(bigIqControl, poolName);
+};
+
+/**
+ * Gets the capacity of a pool
+ *
+ * Pools did not change in 6.0, so this passes off to the 5.3 API.
+ *
+ * @param {Object} bigIqControl     - iControl object for BIG-IQ
+ * @param {String} poolName         - Name of the BIG-IQ license pool
+ *
+ * @returns {Promise} A promise which is resolved with the capacity of the pool, or
+ *                    undefined if it is not known.
+ *                    See {@link BigIq53LicenseProvider#getCapacity} for details.
+ */
+BigIq60LicenseProvider.prototype.getCapacity = function getCapacity(bigIqControl, poolName) {
+    const licenseProvider = new BigIq53LicenseProvider(
+        this.bigIp,
+        this.constructorOptions
+    );
+    return licenseProvider.getCapacity(bigIqControl, poolName);
+};
+
+/**
+ * Gets the license timeout to use
+ *
+ * This is here so that it can be overridden by test code
+ *
+ * @returns the license timeout
+ */
+BigIq60LicenseProvider.prototype.getLicenseTimeout = function getLicenseTimeout() {
+    return LICENSE_TIMEOUT;
+};
+
+function licenseReachable(bigIqControl, poolName, bigIpMgmtAddress, bigIpMgmtPort, options) {
+    this.logger.debug('Requesting reachable license assignment for', bigIpMgmtAddress);
+    return createTask.call(
+        this,
+        bigIqControl,
+        {
+            command: 'assign',
+            licensePoolName: poolName,
+            address: bigIpMgmtAddress,
+            port: bigIpMgmtPort,
+            user: this.bigIp.user,
+            password: this.bigIp.password,
+            skuKeyword1: options.skuKeyword1,
+            skuKeyword2: options.skuKeyword2,
+            unitOfMeasure: options.unitOfMeasure,
+            tenant: options.tenant
+        }
+    )
+        .then((taskId) => {
+            return waitForTask.call(this, bigIqControl, taskId);
+        })
+        .then(() => {
+            this.logger.info('Successfully licensed');
+        })
+        .catch((err) => {
+            this.logger.info('Failed to license:', err && err.message ? err.message : err);
+            return q.reject(err);
+        });
+}
+
+function licenseUnreachable(bigIqControl, poolName, bigIpMgmtAddress, options) {
+    return this.bigIp.deviceInfo()
+        .then((deviceInfo) => {
+            const macAddress = options.macAddress || deviceInfo.baseMac;
+            if (!macAddress) {
+                return q.reject(new Error('Unable to determine MAC address to report to BIG-IQ'));
+            }
+
+            const address = bigIpMgmtAddress || deviceInfo.managementAddress || '192.0.2.1';
+            const tenant = options.tenant ||
+                `mgmtAddress=${deviceInfo.managementAddress},hostname=${deviceInfo.hostname}`;
+
+            this.logger.debug(
+                'Requesting unreachable license assignment for MAC address',
+                macAddress,
+                'hypervisor',
+                options.hypervisor
+            );
+            return createTask.call(
+                this,
+                bigIqControl,
+                {
+                    address,
+                    macAddress,
+                    tenant,
+                    command: 'assign',
+                    licensePoolName: poolName,
+                    assignmentType: 'UNREACHABLE',
+                    hypervisor: options.hypervisor,
+                    skuKeyword1: options.skuKeyword1,
+                    skuKeyword2: options.skuKeyword2,
+                    unitOfMeasure: options.unitOfMeasure
+                }
+            );
+        })
+        .then((taskId) => {
+            return waitForTask.call(this, bigIqControl, taskId);
+        })
+        .then((task) => {
+            if (!task.licenseText) {
+                return q.reject(new Error('No license text returned from BIG-IQ'));
+            }
+
+            this.logger.silly('License text', task.licenseText);
+            return this.bigIp.onboard.installLicense(task.licenseText);
+        })
+        .then(() => {
+            this.logger.info('Successfully licensed');
+        })
+        .catch((err) => {
+            this.logger.info('Failed to license:', err && err.message ? err.message : err);
+            return q.reject(err);
+        });
+}
+
+/**
+ * Creates a member management task
+ *
+ * @returns {Promise} A promise which is resolved with the id of the task
+ */
+function createTask(bigIqControl, body) {
+    // This is not retried. If BIG-IQ created the task but the response was lost, another
+    // request would create a second task (and, for assign, use a second license).
+    return bigIqControl.create(LICENSE_PATH, body)
+        .then((response) => {
+            this.logger.debug(response);
+            return response.id;
+        });
+}
+
+/**
+ * Polls a member management task until it is finished
+ *
+ * @returns {Promise} A promise which is resolved with the finished task or
+ *                    rejected if the task fails or does not finish in time.
+ */
+function waitForTask(bigIqControl, taskId) {
+    const getTask = function () {
+        return bigIqControl.list(LICENSE_PATH + taskId)
+            .then((task) => {
+                const status = task.status;
+                this.logger.verbose('Current licensing task status:', status);
+                if (status === 'FINISHED' || status === 'FAILED') {
+                    return q(task);
+                }
+                return q.reject(new Error(`Licensing task ${taskId} status is ${status}`));
+            });
+    };
+
+    return util.tryUntil(this, this.getLicenseTimeout(), getTask)
+        .then((task) => {
+            if (task.status === 'FAILED') {
+                return q.reject(new Error(task.errorMessage || `Licensing task ${taskId} failed`));
+            }
+            return q(task);
+        });
+}
+
+module.exports = BigIq60LicenseProvider;
@@ -22,6 +22,7 @@ const BigIq50LicenseProvider = require('./bigIq50LicenseProvider');
 const BigIq52LicenseProvider = require('./bigIq52LicenseProvider');
 const BigIq53LicenseProvider = require('./bigIq53LicenseProvider');
 const BigIq54LicenseProvider = require('./bigIq54LicenseProvider');
+const BigIq60LicenseProvider = require('./bigIq60LicenseProvider');
 
 /**
  * @module
@@ -51,8 +52,10 @@ module.exports = {
         } else if (util.versionCompare(bigIqVersion, '5.3.0') >= 0
             && util.versionCompare(bigIqVersion, '5.4.0') < 0) {
             return new BigIq53LicenseProvider(bigIp, options);
+        } else if (util.versionCompare(bigIqVersion, '6.0.0') < 0) {
+            return new BigIq54LicenseProvider(bigIp, options);
         }
-        return new BigIq54LicenseProvider(bigIp, options);
+        return new BigIq60LicenseProvider(bigIp, options);
     },
 
     /**
@@ -68,6 +71,15 @@ module.exports = {
      * @param {String} [options.version]       - The version of BIG-IQ.
      */
     getLicenseProviderByType(type, bigIp, options) {
+        const version = options ? options.version : undefined;
+
+        // BIG-IQ 6.0 and later handle both reachable and unreachable in one API
+        if (version && util.versionCompare(version, '6.0.0') >= 0
+            && (type === sharedConstants.LICENSE_API_TYPES.UTILITY
+                || type === sharedConstants.LICENSE_API_TYPES.UTILITY_UNREACHABLE)) {
+            return new BigIq60LicenseProvider(bigIp, options);
+        }
+
         switch (type) {
         case sharedConstants.LICENSE_API_TYPES.UTILITY:
             return new BigIq53LicenseProvider(bigIp, options);
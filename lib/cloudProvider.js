@@ -172,8 +172,10 @@ CloudProvider.prototype.getInstanceId = function getInstanceId() {
  *                       isPrimary: <Boolean>,
  *                       hostname: <String>,
  *                       mgmtIp: <String>,
- *                       privateIp: <String>,
- *                       publicIp: <String>,
+ *                       privateIp: <String> (IPv4 or IPv6),
+ *                       publicIp: <String> (IPv4 or IPv6),
+ *                       privateIpv6: <String> (optional, IPv6 address of a dual-stack instance),
+ *                       publicIpv6: <String> (optional, IPv6 address of a dual-stack instance),
  *                       providerVisible: <Boolean> (does the cloud provider know about this instance),
  *                       external: <Boolean> (true if this instance is external to the autoscale group/set)
  *                   }
@@ -252,6 +254,9 @@ CloudProvider.prototype.getVmsByTag = function getVmsByTag(tag) {
 /**
  * Elects a new primary instance from the available instances
  *
+ * Providers which elect by IP address should compare addresses with
+ * util.compareIps, which handles both IPv4 and IPv6.
+ *
  * @abstract
  *
  * @param {Object} instances - Dictionary of instances as returned by getInstances.
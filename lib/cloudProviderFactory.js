@@ -16,10 +16,37 @@
 
 'use strict';
 
+const fs = require('fs');
+const path = require('path');
+
+// Directories to search for f5-cloud-libs-<name> provider packages, in addition
+// to the default location next to f5-cloud-libs and the normal node module
+// search path (including NODE_PATH)
+const PLUGIN_PATH_ENV = 'F5_CLOUD_LIBS_PROVIDER_PATH';
+const PLUGIN_PREFIX = 'f5-cloud-libs-';
+
+// Registered providers, keyed by name. Built in providers are loaded lazily since
+// they depend on util, which depends on this module.
+const providers = {};
+
+let pluginPaths = [];
+let pluginPathsScanned = false;
+
+/**
+ * Creates cloud providers by name or storage URI and keeps the registry
+ * of known providers
+ *
+ * @module
+ */
 module.exports = {
     /**
      * Creates a cloud provider for the given name or match option
      *
+     * Providers are looked up in the registry first. If a provider with the
+     * name is not registered, the f5-cloud-libs-<name> package is loaded from
+     * the plugin paths, the directory containing f5-cloud-libs, or the node
+     * module search path (including NODE_PATH), in that order.
+     *
      * @param {String} name                         - Name of the provider
      * @param {Ojbect} [options]                    - Options for the instance.
      * @param {Object} [options.clOptions]          - Command line options if called from a script.
@@ -31,44 +58,242 @@ module.exports = {
      * @param {String} [matchOptions.storageUri]   - Provider specific storage URI
      */
     getCloudProvider(name, options, matchOptions) {
-        let ProviderImplementation;
-        const matchedProvider = matchProvider(matchOptions);
+        const providerName = name || this.matchProvider(matchOptions);
 
-        if (!name && !matchedProvider) {
+        if (!providerName) {
             throw new Error('Unavailable cloud provider');
         }
 
-        if (name === 'generic') {
-            // eslint-disable-next-line global-require
-            ProviderImplementation = require('./genericNodeProvider');
-        } else {
-            // eslint-disable-next-line global-require
-            ProviderImplementation = require(`../../f5-cloud-libs-${name || matchedProvider}`).provider;
-        }
+        const ProviderImplementation = getImplementation(providerName);
 
         if (ProviderImplementation) {
             return new ProviderImplementation(options);
         }
 
         throw new Error('Unsupported cloud provider');
+    },
+
+    /**
+     * Registers a cloud provider implementation
+     *
+     * @param {String}                 name                 - Name of the provider (as used in --cloud).
+     * @param {Function}               [implementation]     - Provider constructor, which should inherit
+     *                                                        from {@link CloudProvider}. If not given,
+     *                                                        the f5-cloud-libs-<name> package is loaded
+     *                                                        when the provider is requested.
+     * @param {Object}                 [options]            - Optional parameters.
+     * @param {Function|RegExp|String} [options.uriMatcher] - Matches storage URIs handled by the
+     *                                                        provider. A function called with the URI
+     *                                                        which returns a boolean, a RegExp, or a
+     *                                                        prefix string.
+     */
+    registerProvider(name, implementation, options) {
+        const uriMatcher = options ? options.uriMatcher : undefined;
+
+        if (!name || typeof name !== 'string') {
+            throw new Error('Provider name is required');
+        }
+
+        if (implementation && typeof implementation !== 'function') {
+            throw new Error('Provider implementation must be a constructor');
+        }
+
+        if (uriMatcher
+            && typeof uriMatcher !== 'function'
+            && typeof uriMatcher !== 'string'
+            && !(uriMatcher instanceof RegExp)) {
+            throw new Error('uriMatcher must be a function, RegExp or string');
+        }
+
+        providers[name] = {
+            implementation,
+            uriMatcher
+        };
+    },
+
+    /**
+     * Removes a cloud provider from the registry
+     *
+     * @param {String} name - Name of the provider.
+     */
+    unregisterProvider(name) {
+        delete providers[name];
+    },
+
+    /**
+     * Gets the names of the registered providers
+     *
+     * @returns {String[]} The provider names.
+     */
+    getRegisteredProviders() {
+        return Object.keys(providers);
+    },
+
+    /**
+     * Sets the directories in which to look for f5-cloud-libs-<name> provider packages
+     *
+     * Defaults to the directories in the F5_CLOUD_LIBS_PROVIDER_PATH environment
+     * variable (separated like PATH).
+     *
+     * @param {String[]} paths - Directories to search.
+     */
+    setPluginPaths(paths) {
+        pluginPaths = (paths || []).slice();
+        pluginPathsScanned = false;
+    },
+
+    /**
+     * Gets the directories in which to look for provider packages
+     *
+     * @returns {String[]} The directories.
+     */
+    getPluginPaths() {
+        return pluginPaths.slice();
+    },
+
+    /**
+     * Determines the provider for a storage URI
+     *
+     * Provider packages in the plugin paths which export a uriMatcher are
+     * registered the first time no registered provider matches.
+     *
+     * @param {Object} [matchOptions]            - String matching options for determing Cloud Provider
+     * @param {String} [matchOptions.storageUri] - Provider specific storage URI
+     *
+     * @returns {String} The name of the matching provider, or null if there is no match.
+     */
+    matchProvider(matchOptions) {
+        if (!matchOptions || !matchOptions.storageUri) {
+            return null;
+        }
+
+        let providerName = findMatchingProvider(matchOptions.storageUri);
+
+        if (!providerName && !pluginPathsScanned) {
+            pluginPathsScanned = true;
+            registerPluginMatchers();
+            providerName = findMatchingProvider(matchOptions.storageUri);
+        }
+
+        return providerName;
     }
 };
 
-function matchProvider(opts) {
-    if (opts && opts.storageUri) {
-        const uri = opts.storageUri;
+function findMatchingProvider(uri) {
+    const names = Object.keys(providers);
 
-        const awsPrefix = 'arn';
-        const azureRegex = /https:\/\/[a-z0-9]+\.blob\.core\.windows\.net/;
-        const gcePrefix = 'gs://';
+    for (let i = 0; i < names.length; i++) {
+        const uriMatcher = providers[names[i]].uriMatcher;
 
-        if (uri.startsWith(awsPrefix)) {
-            return 'aws';
-        } else if (uri.match(azureRegex)) {
-            return 'azure';
-        } else if (uri.startsWith(gcePrefix)) {
-            return 'gce';
+        if (typeof uriMatcher === 'function' && uriMatcher(uri)) {
+            return names[i];
+        } else if (typeof uriMatcher === 'string' && uri.startsWith(uriMatcher)) {
+            return names[i];
+        } else if (uriMatcher instanceof RegExp && uri.match(uriMatcher)) {
+            return names[i];
         }
     }
+
     return null;
 }
+
+/**
+ * Gets the constructor for a provider, from the registry or by loading
+ * the provider package
+ */
+function getImplementation(name) {
+    const provider = providers[name];
+
+    if (provider && provider.implementation) {
+        return provider.implementation;
+    }
+
+    if (provider && provider.load) {
+        return provider.load();
+    }
+
+    const candidates = pluginPaths.map((pluginPath) => {
+        return path.resolve(pluginPath, `${PLUGIN_PREFIX}${name}`);
+    });
+    candidates.push(`../../${PLUGIN_PREFIX}${name}`);
+    candidates.push(`${PLUGIN_PREFIX}${name}`);
+
+    for (let i = 0; i < candidates.length; i++) {
+        const plugin = loadPlugin(candidates[i]);
+        if (plugin) {
+            return plugin.provider;
+        }
+    }
+
+    return undefined;
+}
+
+/**
+ * Loads a provider package. Returns undefined if the package is not
+ * found, but throws if the package itself fails to load.
+ */
+function loadPlugin(modulePath) {
+    try {
+        // eslint-disable-next-line global-require, import/no-dynamic-require
+        return require(modulePath);
+    } catch (err) {
+        if (err.code === 'MODULE_NOT_FOUND' && err.message.indexOf(modulePath) !== -1) {
+            return undefined;
+        }
+        throw err;
+    }
+}
+
+/**
+ * Registers the uriMatcher of each provider package in the plugin paths
+ * which is not already registered
+ */
+function registerPluginMatchers() {
+    pluginPaths.forEach((pluginPath) => {
+        let files = [];
+
+        try {
+            files = fs.readdirSync(pluginPath);
+        } catch (err) {
+            return;
+        }
+
+        files.forEach((file) => {
+            const name = file.substring(PLUGIN_PREFIX.length);
+
+            if (!file.startsWith(PLUGIN_PREFIX) || providers[name]) {
+                return;
+            }
+
+            const plugin = loadPlugin(path.resolve(pluginPath, file));
+            if (plugin && plugin.uriMatcher) {
+                module.exports.registerProvider(name, plugin.provider, { uriMatcher: plugin.uriMatcher });
+            }
+        });
+    });
+}
+
+providers.generic = {
+    load() {
+        // eslint-disable-next-line global-require
+        return require('./genericNodeProvider');
+    }
+};
+
+providers.local = {
+    load() {
+        // eslint-disable-next-line global-require
+        return require('./localProvider');
+    }
+};
+
+// Storage URIs of the cloud specific provider packages
+providers.aws = { uriMatcher: 'arn' };
+providers.azure = { uriMatcher: /https:\/\/[a-z0-9]+\.blob\.core\.windows\.net/ };
+providers.gce = { uriMatcher: 'gs://' };
+
+if (process.env[PLUGIN_PATH_ENV]) {
+    pluginPaths = process.env[PLUGIN_PATH_ENV].split(path.delimiter).filter((pluginPath) => {
+        return !!pluginPath;
+    });
+}
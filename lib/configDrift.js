@@ -0,0 +1,650 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+const util = require('./util');
+const Logger = require('./logger');
+
+let logger = Logger.getLogger({
+    logLevel: 'none',
+    module
+});
+
+/**
+ * Compares the desired onboarding state of a device with its current state
+ * as used by onboard.js and network.js --check and --reconcile
+ *
+ * The desired state is an object with any of the following properties:
+ *
+ *     {
+ *         hostname: 'bigip1.example.com',
+ *         globalSettings: { guiSetup: 'disabled' },
+ *         dbVars: { 'ui.advisory.enabled': 'true' },
+ *         provision: { ltm: 'nominal' },
+ *         ntp: ['0.pool.ntp.org'],
+ *         timezone: 'UTC',
+ *         dns: ['8.8.8.8'],
+ *         users: [{ user, password, passwordUrl, role, shell }],
+ *         vlans: [{ name, nic, mtu, tag }],
+ *         selfIps: [{ name, address, vlan, allow, trafficGroup }],
+ *         routes: [{ name, network, gw, interface }]
+ *     }
+ *
+ * Drift is reported as an array of
+ *
+ *     {
+ *         type: <property of the desired state - 'dbVars', 'vlans', etc.>,
+ *         name: <setting or object name>,
+ *         desired: <desired value>,
+ *         current: <current value - undefined if the object does not exist>
+ *     }
+ *
+ * Users are only checked for existence since role and shell only apply when
+ * a user is created. User passwords are never compared or reported.
+ *
+ * @module
+ */
+module.exports = {
+    /**
+     * Gets the differences between the desired state and the device
+     *
+     * @param {Object} bigIp   - Initialized and ready {@link BigIp} object.
+     * @param {Object} desired - Desired state. See module description.
+     *
+     * @returns {Promise} A promise which is resolved with the drift array (empty if there is no drift)
+     *                    or rejected if an error occurs.
+     */
+    getDrift(bigIp, desired) {
+        const state = desired || {};
+        const checks = [
+            getGlobalSettingsDrift,
+            getDbVarsDrift,
+            getProvisionDrift,
+            getNtpDrift,
+            getDnsDrift,
+            getUsersDrift,
+            getVlansDrift,
+            getSelfIpsDrift,
+            getRoutesDrift
+        ];
+
+        return q.all(checks.map((check) => {
+            return check(bigIp, state);
+        }))
+            .then((results) => {
+                const drift = flatten(results);
+                logger.silly('Drift:', drift);
+                return drift;
+            });
+    },
+
+    /**
+     * Applies only the settings which have drifted, then saves the config
+     *
+     * @param {Object}   bigIp   - Initialized and ready {@link BigIp} object.
+     * @param {Object}   desired - Desired state. See module description.
+     * @param {Object[]} drift   - Drift as returned by {@link module:configDrift.getDrift}.
+     *
+     * @returns {Promise} A promise which is resolved when the drift has been applied
+     *                    or rejected if an error occurs.
+     */
+    reconcile(bigIp, desired, drift) {
+        const promises = [];
+        const byType = {};
+
+        if (!drift || drift.length === 0) {
+            logger.info('No drift to reconcile.');
+            return q();
+        }
+
+        drift.forEach((entry) => {
+            byType[entry.type] = byType[entry.type] || [];
+            byType[entry.type].push(entry);
+        });
+
+        if (byType.hostname) {
+            promises.push({
+                promise: () => {
+                    return bigIp.onboard.hostname(desired.hostname);
+                },
+                message: `Setting hostname to ${desired.hostname}`
+            });
+        }
+
+        if (byType.globalSettings) {
+            promises.push({
+                promise: () => {
+                    return bigIp.onboard.globalSettings(getDesiredValues(byType.globalSettings));
+                },
+                message: 'Reconciling global settings.'
+            });
+        }
+
+        if (byType.dbVars) {
+            promises.push({
+                promise: () => {
+                    return bigIp.onboard.setDbVars(getDesiredValues(byType.dbVars));
+                },
+                message: 'Reconciling DB vars.'
+            });
+        }
+
+        if (byType.provision) {
+            promises.push({
+                promise: () => {
+                    return bigIp.onboard.provision(getDesiredValues(byType.provision));
+                },
+                message: 'Reconciling provisioning.'
+            });
+        }
+
+        if (byType.ntp || byType.timezone) {
+            const ntpBody = {};
+            if (byType.ntp) {
+                ntpBody.servers = desired.ntp;
+            }
+            if (byType.timezone) {
+                ntpBody.timezone = desired.timezone;
+            }
+            promises.push({
+                promise: bigIp.modify,
+                arguments: ['/tm/sys/ntp', ntpBody],
+                message: 'Reconciling NTP.'
+            });
+        }
+
+        if (byType.dns) {
+            promises.push({
+                promise: bigIp.modify,
+                arguments: ['/tm/sys/dns', { 'name-servers': desired.dns }],
+                message: 'Reconciling DNS.'
+            });
+        }
+
+        (byType.users || []).forEach((entry) => {
+            const user = findByKey(desired.users, 'user', entry.name);
+            promises.push({
+                promise: () => {
+                    return bigIp.onboard.updateUser(
+                        user.user,
+                        user.password || user.passwordUrl,
+                        user.role,
+                        user.shell,
+                        {
+                            passwordIsUrl: typeof user.passwordUrl !== 'undefined'
+                        }
+                    );
+                },
+                message: `Creating user ${user.user}`
+            });
+        });
+
+        (byType.vlans || []).forEach((entry) => {
+            promises.push({
+                promise: bigIp.createOrModify,
+                arguments: ['/tm/net/vlan', getVlanBody(findByKey(desired.vlans, 'name', entry.name))],
+                message: `Reconciling vlan ${entry.name}`
+            });
+        });
+
+        (byType.selfIps || []).forEach((entry) => {
+            promises.push({
+                promise: bigIp.createOrModify,
+                arguments: ['/tm/net/self', getSelfIpBody(findByKey(desired.selfIps, 'name', entry.name))],
+                message: `Reconciling self IP ${entry.name}`
+            });
+        });
+
+        (byType.routes || []).forEach((entry) => {
+            promises.push({
+                promise: bigIp.createOrModify,
+                arguments: ['/tm/net/route', getRouteBody(findByKey(desired.routes, 'name', entry.name))],
+                message: `Reconciling route ${entry.name}`
+            });
+        });
+
+        promises.push({
+            promise: bigIp.save,
+            message: 'Saving config.'
+        });
+
+        return util.callInSerial(bigIp, promises);
+    },
+
+    setLogger(aLogger) {
+        logger = aLogger;
+    },
+
+    setLoggerOptions(loggerOptions) {
+        const loggerOpts = Object.assign({}, loggerOptions);
+        loggerOpts.module = module;
+        logger = Logger.getLogger(loggerOpts);
+    }
+};
+
+function getGlobalSettingsDrift(bigIp, desired) {
+    const settings = desired.globalSettings || {};
+
+    if (!desired.hostname && Object.keys(settings).length === 0) {
+        return q([]);
+    }
+
+    return bigIp.list('/tm/sys/global-settings')
+        .then((response) => {
+            const current = response || {};
+            const drift = [];
+
+            if (desired.hostname && !isSame(desired.hostname, current.hostname)) {
+                drift.push(getEntry('hostname', 'hostname', desired.hostname, current.hostname));
+            }
+
+            Object.keys(settings).forEach((key) => {
+                if (!isSame(settings[key], current[key])) {
+                    drift.push(getEntry('globalSettings', key, settings[key], current[key]));
+                }
+            });
+
+            return drift;
+        });
+}
+
+function getDbVarsDrift(bigIp, desired) {
+    const dbVars = desired.dbVars || {};
+
+    return q.all(Object.keys(dbVars).map((key) => {
+        return listIfExists(bigIp, `/tm/sys/db/${key}`)
+            .then((response) => {
+                const current = response ? response.value : undefined;
+                if (!isSame(dbVars[key], current)) {
+                    return [getEntry('dbVars', key, dbVars[key], current)];
+                }
+                return [];
+            });
+    }))
+        .then(flatten);
+}
+
+function getProvisionDrift(bigIp, desired) {
+    const provision = desired.provision || {};
+
+    if (Object.keys(provision).length === 0) {
+        return q([]);
+    }
+
+    return bigIp.list('/tm/sys/provision/')
+        .then((response) => {
+            const currentProvisioning = {};
+            const drift = [];
+
+            (Array.isArray(response) ? response : []).forEach((module) => {
+                currentProvisioning[module.name] = module.level;
+            });
+
+            Object.keys(provision).forEach((module) => {
+                if (!isSame(provision[module], currentProvisioning[module])) {
+                    drift.push(getEntry('provision', module, provision[module], currentProvisioning[module]));
+                }
+            });
+
+            return drift;
+        });
+}
+
+function getNtpDrift(bigIp, desired) {
+    const servers = desired.ntp || [];
+
+    if (servers.length === 0 && !desired.timezone) {
+        return q([]);
+    }
+
+    return bigIp.list('/tm/sys/ntp')
+        .then((response) => {
+            const current = response || {};
+            const drift = [];
+
+            if (servers.length > 0 && !isSame(servers, current.servers || [])) {
+                drift.push(getEntry('ntp', 'servers', servers, current.servers));
+            }
+
+            if (desired.timezone && !isSame(desired.timezone, current.timezone)) {
+                drift.push(getEntry('timezone', 'timezone', desired.timezone, current.timezone));
+            }
+
+            return drift;
+        });
+}
+
+function getDnsDrift(bigIp, desired) {
+    const nameServers = desired.dns || [];
+
+    if (nameServers.length === 0) {
+        return q([]);
+    }
+
+    return bigIp.list('/tm/sys/dns')
+        .then((response) => {
+            const current = response || {};
+
+            if (!isSame(nameServers, current.nameServers || [])) {
+                return [getEntry('dns', 'nameServers', nameServers, current.nameServers)];
+            }
+            return [];
+        });
+}
+
+function getUsersDrift(bigIp, desired) {
+    return q.all((desired.users || []).map((user) => {
+        return listIfExists(bigIp, `/tm/auth/user/${user.user}`)
+            .then((response) => {
+                const wanted = {};
+
+                if (response) {
+                    return [];
+                }
+
+                if (user.role) {
+                    wanted.role = user.role;
+                }
+                if (user.shell) {
+                    wanted.shell = user.shell;
+                }
+
+                return [getEntry('users', user.user, wanted, undefined)];
+            });
+    }))
+        .then(flatten);
+}
+
+function getVlansDrift(bigIp, desired) {
+    return q.all((desired.vlans || []).map((vlan) => {
+        const path = `/tm/net/vlan/~Common~${vlan.name}`;
+        const wanted = {
+            nic: vlan.nic,
+            tagged: !!vlan.tag
+        };
+
+        if (vlan.mtu) {
+            wanted.mtu = vlan.mtu;
+        }
+        if (vlan.tag) {
+            wanted.tag = vlan.tag;
+        }
+
+        return listIfExists(bigIp, path)
+            .then((response) => {
+                if (!response) {
+                    return getObjectDrift('vlans', vlan.name, wanted);
+                }
+
+                return bigIp.list(`${path}/interfaces`)
+                    .then((interfaces) => {
+                        const nic = Array.isArray(interfaces) && interfaces.length > 0
+                            ? interfaces[0]
+                            : {};
+                        const current = {
+                            nic: nic.name,
+                            tagged: !!nic.tagged,
+                            mtu: response.mtu,
+                            tag: response.tag
+                        };
+
+                        return getObjectDrift('vlans', vlan.name, wanted, current);
+                    });
+            });
+    }))
+        .then(flatten);
+}
+
+function getSelfIpsDrift(bigIp, desired) {
+    return q.all((desired.selfIps || []).map((selfIp) => {
+        const body = getSelfIpBody(selfIp);
+        const wanted = {
+            address: body.address,
+            vlan: stripPartition(body.vlan),
+            allowService: sortIfArray(body.allowService)
+        };
+
+        if (body.trafficGroup) {
+            wanted.trafficGroup = stripPartition(body.trafficGroup);
+        }
+
+        return listIfExists(bigIp, `/tm/net/self/~Common~${selfIp.name}`)
+            .then((response) => {
+                let current;
+
+                if (response) {
+                    current = {
+                        address: response.address,
+                        vlan: stripPartition(response.vlan),
+                        allowService: sortIfArray(response.allowService || 'none'),
+                        trafficGroup: stripPartition(response.trafficGroup)
+                    };
+                }
+
+                return getObjectDrift('selfIps', selfIp.name, wanted, current);
+            });
+    }))
+        .then(flatten);
+}
+
+function getRoutesDrift(bigIp, desired) {
+    return q.all((desired.routes || []).map((route) => {
+        const body = getRouteBody(route);
+        const wanted = {
+            network: body.network
+        };
+
+        if (body.gw) {
+            wanted.gw = body.gw;
+        } else {
+            wanted.interface = stripPartition(body.interface);
+        }
+
+        return listIfExists(bigIp, `/tm/net/route/~Common~${route.name}`)
+            .then((response) => {
+                let current;
+
+                if (response) {
+                    current = {
+                        network: response.network,
+                        gw: response.gw,
+                        interface: stripPartition(response.interface)
+                    };
+                }
+
+                return getObjectDrift('routes', route.name, wanted, current);
+            });
+    }))
+        .then(flatten);
+}
+
+/**
+ * Builds the same vlan body that network.js creates
+ */
+function getVlanBody(vlan) {
+    const vlanBody = {
+        name: vlan.name,
+        interfaces: [
+            {
+                name: vlan.nic,
+                tagged: !!vlan.tag
+            }
+        ]
+    };
+
+    if (vlan.mtu) {
+        vlanBody.mtu = vlan.mtu;
+    }
+
+    if (vlan.tag) {
+        vlanBody.tag = vlan.tag;
+    }
+
+    return vlanBody;
+}
+
+/**
+ * Builds the same self IP body that network.js creates
+ */
+function getSelfIpBody(selfIp) {
+    const address = selfIp.address ? util.addDefaultPrefixLength(selfIp.address) : selfIp.address;
+    let portLockdown = 'default';
+
+    if (selfIp.allow) {
+        portLockdown = selfIp.allow.split(/\s+/);
+        if (portLockdown.length === 1 && portLockdown[0].indexOf(':') === -1) {
+            portLockdown = portLockdown[0];
+        }
+    }
+
+    const selfIpBody = {
+        name: selfIp.name,
+        address,
+        vlan: `/Common/${selfIp.vlan}`,
+        allowService: portLockdown
+    };
+
+    if (selfIp.trafficGroup) {
+        selfIpBody.trafficGroup = selfIp.trafficGroup;
+    }
+
+    return selfIpBody;
+}
+
+/**
+ * Builds the same route body that network.js creates
+ */
+function getRouteBody(route) {
+    const routeBody = {
+        name: route.name,
+        network: route.network ? util.addDefaultPrefixLength(route.network) : route.network
+    };
+
+    if (route.gw) {
+        routeBody.gw = route.gw;
+    } else if (route.interface) {
+        routeBody.interface = route.interface;
+    }
+
+    return routeBody;
+}
+
+/**
+ * Lists a path, resolving with undefined rather than rejecting if it does not exist
+ */
+function listIfExists(bigIp, path) {
+    return bigIp.list(path, undefined, util.NO_RETRY)
+        .catch((err) => {
+            if (err && err.code === 404) {
+                return q();
+            }
+            return q.reject(err);
+        });
+}
+
+/**
+ * Compares the properties of a wanted object with the current object.
+ * Only properties present in the wanted object are compared.
+ */
+function getObjectDrift(type, name, wanted, current) {
+    if (!current) {
+        return [getEntry(type, name, wanted, undefined)];
+    }
+
+    const currentSubset = {};
+    let drifted = false;
+
+    Object.keys(wanted).forEach((key) => {
+        currentSubset[key] = current[key];
+        if (!isSame(wanted[key], current[key])) {
+            drifted = true;
+        }
+    });
+
+    return drifted ? [getEntry(type, name, wanted, currentSubset)] : [];
+}
+
+function getEntry(type, name, desired, current) {
+    return {
+        type,
+        name,
+        desired,
+        current
+    };
+}
+
+/**
+ * Compares values as strings since the device reports numbers and booleans
+ * that may have been given to us as strings (and vice versa). Arrays must
+ * have the same order.
+ */
+function isSame(desired, current) {
+    if (Array.isArray(desired) || Array.isArray(current)) {
+        if (!Array.isArray(desired) || !Array.isArray(current) || desired.length !== current.length) {
+            return false;
+        }
+        return desired.every((value, index) => {
+            return isSame(value, current[index]);
+        });
+    }
+
+    if (typeof desired === 'undefined' || typeof current === 'undefined') {
+        return desired === current;
+    }
+
+    // IPv6 addresses can be written more than one way
+    if (util.getIpFamily(desired) === 6 && util.getIpFamily(current) === 6) {
+        return util.compareIps(desired, current) === 0
+            && desired.split('/')[1] === current.split('/')[1];
+    }
+
+    return String(desired) === String(current);
+}
+
+function getDesiredValues(entries) {
+    const values = {};
+    entries.forEach((entry) => {
+        values[entry.name] = entry.desired;
+    });
+    return values;
+}
+
+function findByKey(items, key, value) {
+    return (items || []).find((item) => {
+        return item[key] === value;
+    });
+}
+
+function stripPartition(name) {
+    if (typeof name === 'string' && name.indexOf('/Common/') === 0) {
+        return name.substring('/Common/'.length);
+    }
+    return name;
+}
+
+function sortIfArray(value) {
+    return Array.isArray(value) ? value.slice().sort() : value;
+}
+
+function flatten(results) {
+    const flattened = [];
+    results.forEach((result) => {
+        Array.prototype.push.apply(flattened, result);
+    });
+    return flattened;
+}
@@ -17,14 +17,20 @@
 'use strict';
 
 const gtmDnsProvider = require('./gtmDnsProvider');
+const rfc2136DnsProvider = require('./rfc2136DnsProvider');
 
-module.exports = {
-    // It is envisioned that in the future, when there are non-F5 DNS providers,
-    // those providers will live in their own repositories, or perhaps in the
-    // repository of a cloud provider (f5-cloud-libs-aws, for example).
-    // At that time, this function should take a name and path. The path will be
-    // expected to live under f5-cloud-libs/node_modules
+// Registered providers, keyed by name
+const providers = {
+    gtm: gtmDnsProvider,
+    rfc2136: rfc2136DnsProvider
+};
 
+/**
+ * Creates DNS providers by name and keeps the registry of known providers
+ *
+ * @module
+ */
+module.exports = {
     /**
      * Creates a DNS provider for the given name
      *
@@ -36,16 +42,49 @@ module.exports = {
      *                                           See {@link module:logger.getLogger} for details.
      */
     getDnsProvider(name, options) {
-        let DnsProvider;
-
-        if (name === 'gtm') {
-            DnsProvider = gtmDnsProvider;
-        }
+        const DnsProvider = providers[name];
 
         if (DnsProvider) {
             return new DnsProvider(options);
         }
 
         throw new Error('Unsupported DNS provider');
+    },
+
+    /**
+     * Registers a DNS provider implementation
+     *
+     * @param {String}   name           - Name of the provider (as used in --dns).
+     * @param {Function} implementation - Provider constructor, which should inherit
+     *                                    from {@link DnsProvider}.
+     */
+    registerProvider(name, implementation) {
+        if (!name || typeof name !== 'string') {
+            throw new Error('Provider name is required');
+        }
+
+        if (typeof implementation !== 'function') {
+            throw new Error('Provider implementation must be a constructor');
+        }
+
+        providers[name] = implementation;
+    },
+
+    /**
+     * Removes a DNS provider from the registry
+     *
+     * @param {String} name - Name of the provider.
+     */
+    unregisterProvider(name) {
+        delete providers[name];
+    },
+
+    /**
+     * Gets the names of the registered providers
+     *
+     * @returns {String[]} The provider names.
+     */
+    getRegisteredProviders() {
+        return Object.keys(providers);
     }
 };
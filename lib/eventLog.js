@@ -0,0 +1,295 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const q = require('q');
+const Logger = require('./logger');
+
+let logger = Logger.getLogger({
+    logLevel: 'none',
+    module
+});
+
+let run;
+
+/**
+ * Structured event stream and run report for the scripts
+ *
+ * Events are appended to the event log file as JSON lines, each of the form
+ *
+ *     {
+ *         timestamp: <ISO time>,
+ *         event: 'run-started' | 'run-finished' | 'run-failed' |
+ *                'step-started' | 'step-finished' | 'step-failed',
+ *         script: <script name>,
+ *         instanceId: <instance ID>,
+ *         pid: <process ID>,
+ *         step: <step name> (step events only),
+ *         durationMs: <milliseconds> (finished and failed events only),
+ *         errorCode: <error code> (failed events only, if the error has one),
+ *         error: <error message> (failed events only)
+ *     }
+ *
+ * When the run ends, the run report file is written with the outcome of the
+ * run and of each step. Nothing is written unless {@link module:eventLog.start}
+ * is called with a file name.
+ *
+ * @module
+ */
+module.exports = {
+    /**
+     * Starts recording events for a script run
+     *
+     * @param {String} script                - Name of the script.
+     * @param {Object} [options]             - Optional parameters.
+     * @param {String} [options.fileName]    - File to append JSON line events to.
+     * @param {String} [options.reportFile]  - File to write the run report to when the run ends.
+     * @param {String} [options.instanceId]  - ID of the instance the script is running on.
+     *                                         Default is the host name.
+     */
+    start(script, options) {
+        const opts = options || {};
+
+        run = {
+            script,
+            instanceId: opts.instanceId || os.hostname(),
+            fileName: opts.fileName,
+            reportFile: opts.reportFile,
+            startTime: Date.now(),
+            steps: []
+        };
+
+        emit({ event: 'run-started' });
+    },
+
+    /**
+     * Whether or not a run is being recorded
+     *
+     * @returns {Boolean} True if start has been called and the run has not finished.
+     */
+    isStarted() {
+        return !!run;
+    },
+
+    /**
+     * Sets the instance ID for this and future events, for scripts which only learn
+     * it part way through the run
+     *
+     * @param {String} instanceId - ID of the instance the script is running on.
+     */
+    setInstanceId(instanceId) {
+        if (run) {
+            run.instanceId = instanceId;
+        }
+    },
+
+    /**
+     * Wraps a function as a named step
+     *
+     * Emits step-started when the function is called and step-finished or step-failed
+     * when the promise it returns is settled. The result or error is passed through, so
+     * the wrapped function can be used in place of the original in a promise chain:
+     *
+     *     .then(eventLog.step('ntp', (response) => { ... }))
+     *
+     * @param {String}   name - Name of the step.
+     * @param {Function} func - Function to call. May return a value or a promise.
+     *
+     * @returns {Function} Function which takes the same arguments as func and returns
+     *                     a promise for its result.
+     */
+    step(name, func) {
+        return function stepFunc() {
+            const step = startStep(name);
+            let promise;
+
+            try {
+                promise = q(func.apply(this, arguments));
+            } catch (err) {
+                promise = q.reject(err);
+            }
+
+            return promise
+                .then((response) => {
+                    finishStep(step);
+                    return response;
+                })
+                .catch((err) => {
+                    failStep(step, err);
+                    return q.reject(err);
+                });
+        };
+    },
+
+    /**
+     * Ends the run, emitting run-finished or run-failed and writing the run report
+     *
+     * @param {Object} [err] - Error which caused the run to fail. Omit if the run succeeded.
+     *
+     * @returns {Object} The run report, or undefined if no run was started.
+     */
+    finish(err) {
+        if (!run) {
+            return undefined;
+        }
+
+        const durationMs = Date.now() - run.startTime;
+        const event = { durationMs };
+
+        if (err) {
+            event.event = 'run-failed';
+            Object.assign(event, getErrorFields(err));
+        } else {
+            event.event = 'run-finished';
+        }
+        emit(event);
+
+        const report = {
+            script: run.script,
+            instanceId: run.instanceId,
+            status: err ? 'failed' : 'finished',
+            startTime: new Date(run.startTime).toISOString(),
+            endTime: new Date(run.startTime + durationMs).toISOString(),
+            durationMs,
+            steps: run.steps.map((step) => {
+                const stepReport = {
+                    name: step.name,
+                    status: step.status,
+                    durationMs: step.durationMs
+                };
+
+                if (step.error) {
+                    stepReport.error = step.error;
+                    stepReport.errorCode = step.errorCode;
+                }
+
+                return stepReport;
+            })
+        };
+
+        if (err) {
+            Object.assign(report, getErrorFields(err));
+        }
+
+        if (run.reportFile) {
+            try {
+                fs.writeFileSync(run.reportFile, JSON.stringify(report, null, 4));
+            } catch (writeErr) {
+                logger.warn('Unable to write run report', run.reportFile, writeErr.message);
+            }
+        }
+
+        run = undefined;
+        return report;
+    },
+
+    setLogger(aLogger) {
+        logger = aLogger;
+    },
+
+    setLoggerOptions(loggerOptions) {
+        const loggerOpts = Object.assign({}, loggerOptions);
+        loggerOpts.module = module;
+        logger = Logger.getLogger(loggerOpts);
+    }
+};
+
+function startStep(name) {
+    const step = {
+        name,
+        status: 'started',
+        startTime: Date.now()
+    };
+
+    if (run) {
+        run.steps.push(step);
+        emit({ event: 'step-started', step: name });
+    }
+
+    return step;
+}
+
+function finishStep(step) {
+    /* eslint-disable no-param-reassign */
+    step.status = 'finished';
+    step.durationMs = Date.now() - step.startTime;
+    /* eslint-enable no-param-reassign */
+
+    emit({
+        event: 'step-finished',
+        step: step.name,
+        durationMs: step.durationMs
+    });
+}
+
+function failStep(step, err) {
+    const errorFields = getErrorFields(err);
+
+    /* eslint-disable no-param-reassign */
+    step.status = 'failed';
+    step.durationMs = Date.now() - step.startTime;
+    step.error = errorFields.error;
+    step.errorCode = errorFields.errorCode;
+    /* eslint-enable no-param-reassign */
+
+    emit(Object.assign(
+        {
+            event: 'step-failed',
+            step: step.name,
+            durationMs: step.durationMs
+        },
+        errorFields
+    ));
+}
+
+function getErrorFields(err) {
+    const fields = {
+        error: err && err.message ? err.message : String(err)
+    };
+
+    if (err && typeof err.code !== 'undefined') {
+        fields.errorCode = err.code;
+    }
+
+    return fields;
+}
+
+function emit(fields) {
+    if (!run || !run.fileName) {
+        return;
+    }
+
+    const event = Object.assign(
+        {
+            timestamp: new Date().toISOString(),
+            event: fields.event,
+            script: run.script,
+            instanceId: run.instanceId,
+            pid: process.pid
+        },
+        fields
+    );
+
+    // Written synchronously so that events are not lost when the script exits
+    try {
+        fs.appendFileSync(run.fileName, `${JSON.stringify(event)}\n`);
+    } catch (err) {
+        logger.warn('Unable to write event log', run.fileName, err.message);
+    }
+}
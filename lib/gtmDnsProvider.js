@@ -21,6 +21,7 @@ const q = require('q');
 const util = require('util');
 const BigIp = require('./bigIp');
 const DnsProvider = require('./dnsProvider');
+const cloudUtil = require('./util');
 
 util.inherits(GtmDnsProvider, DnsProvider);
 
@@ -75,6 +76,8 @@ function GtmDnsProvider(options) {
  * @param {String} [providerOptions.loadBalancingMode] - Load balancing mode for the pool.
  *                                                       Default is existing load balancing mode.
  * @param {String} [providerOptions.partition]         - Partition of pool and server. Default is Common.
+ * @param {Boolean} [providerOptions.transaction]      - Apply the server and pool changes in a single
+ *                                                       transaction. Default false.
  *
  * @returns {Promise} A promise which will be resolved when init is complete.
  */
@@ -90,18 +93,53 @@ GtmDnsProvider.prototype.init = function init(providerOptions) {
 /**
  * Updates DNS records with the given instances
  *
+ * Instances with IPv4 addresses are members of the A pool and instances with
+ * IPv6 addresses are members of the AAAA pool of the same name. Virtual servers
+ * and pool members for instances which are no longer in the list are removed.
+ *
  * @param {Object} instances - Array of instances, each having the form
  *
  *     {
  *         name: name for instance,
- *         ip: ip address,
- *         port: port
+ *         ip: ip address (IPv4 or IPv6),
+ *         port: port,
+ *         ratio: pool member ratio (optional),
+ *         order: pool member order (optional),
+ *         enabled: whether or not the virtual server and pool member are enabled (optional)
  *     }
  *
- * @returns {Promise} A promise which will be resolved with the instance ID of the
- *                    elected primary.
+ * @returns {Promise} A promise which will be resolved with a summary of the change, of the form
+ *
+ *     {
+ *         virtualServers: {
+ *             added: [<name>],
+ *             removed: [<name>],
+ *             unchanged: [<name>]
+ *         },
+ *         pools: {
+ *             a: { added, removed, unchanged },
+ *             aaaa: { added, removed, unchanged } (if the AAAA pool exists)
+ *         }
+ *     }
  */
 GtmDnsProvider.prototype.update = function update(instances) {
+    const instancesByRecordType = getInstancesByRecordType(instances);
+    const useTransaction = this.providerOptions.transaction === true
+        || this.providerOptions.transaction === 'true';
+    const commands = useTransaction ? [] : undefined;
+    const recordTypesToUpdate = [];
+    const summary = {
+        pools: {}
+    };
+
+    const serverOptions = {
+        datacenter: this.providerOptions.datacenter,
+        monitor: this.providerOptions.vsMonitor
+    };
+    if (commands) {
+        serverOptions.commands = commands;
+    }
+
     this.logger.info('Initializing BIG-IP.');
     return this.bigIp.init(
         this.providerOptions.host,
@@ -125,35 +163,103 @@ GtmDnsProvider.prototype.update = function update(instances) {
             return verifyGtmServer.call(this);
         })
         .then(() => {
-            // Create the pool if it does not exist
-            return verifyPool.call(this);
+            // Create the pools which have instances if they do not exist
+            return q.all(Object.keys(instancesByRecordType).map((recordType) => {
+                return verifyPool.call(this, recordType, instancesByRecordType[recordType].length > 0)
+                    .then((poolExists) => {
+                        if (poolExists) {
+                            recordTypesToUpdate.push(recordType);
+                        }
+                    });
+            }));
         })
         .then(() => {
-            const options = {
-                datacenter: this.providerOptions.datacenter,
-                monitor: this.providerOptions.vsMonitor
-            };
-
             if (this.providerOptions.partition) {
                 this.bigIp.gtm.setPartition(this.providerOptions.partition);
             }
 
-            return this.bigIp.gtm.updateServer(this.providerOptions.serverName, instances, options);
+            // Add new virtual servers first, leaving stale ones in place until
+            // the pool members which refer to them are removed
+            return this.bigIp.gtm.updateServer(
+                this.providerOptions.serverName,
+                instances || [],
+                Object.assign({ keepStale: true }, serverOptions)
+            );
+        })
+        .then((serverSummary) => {
+            summary.virtualServers = serverSummary || {};
+
+            // Update the pools in a fixed order so that the requests are predictable
+            recordTypesToUpdate.sort();
+            return cloudUtil.callInSerial(this.bigIp.gtm, recordTypesToUpdate.map((recordType) => {
+                const options = {
+                    recordType,
+                    monitor: this.providerOptions.poolMonitor,
+                    loadBalancingMode: this.providerOptions.loadBalancingMode
+                };
+                if (commands) {
+                    options.commands = commands;
+                }
+
+                return {
+                    promise: this.bigIp.gtm.updatePool,
+                    arguments: [
+                        this.providerOptions.poolName,
+                        this.providerOptions.serverName,
+                        instancesByRecordType[recordType],
+                        options
+                    ]
+                };
+            }));
         })
-        .then(() => {
-            const options = {
-                monitor: this.providerOptions.poolMonitor,
-                loadBalancingMode: this.providerOptions.loadBalancingMode
-            };
-            return this.bigIp.gtm.updatePool(
-                this.providerOptions.poolName,
+        .then((poolSummaries) => {
+            recordTypesToUpdate.forEach((recordType, index) => {
+                summary.pools[recordType] = (poolSummaries || [])[index] || {};
+            });
+
+            // Now remove the stale virtual servers
+            return this.bigIp.gtm.updateServer(
                 this.providerOptions.serverName,
-                instances,
-                options
+                instances || [],
+                serverOptions
             );
+        })
+        .then((serverSummary) => {
+            summary.virtualServers.removed = (serverSummary || {}).removed || [];
+
+            if (commands) {
+                this.logger.info('Applying GTM changes in a transaction.');
+                return this.bigIp.transaction(commands);
+            }
+            return q();
+        })
+        .then(() => {
+            this.logger.info('GTM update summary:', JSON.stringify(summary));
+            return summary;
         });
 };
 
+/**
+ * Splits instances by the pool record type for their address family. Includes
+ * both record types so that a pool with no instances left is emptied.
+ */
+function getInstancesByRecordType(instances) {
+    const instancesByRecordType = {
+        a: [],
+        aaaa: []
+    };
+
+    (instances || []).forEach((instance) => {
+        if (cloudUtil.getIpFamily(instance.ip) === 6) {
+            instancesByRecordType.aaaa.push(instance);
+        } else {
+            instancesByRecordType.a.push(instance);
+        }
+    });
+
+    return instancesByRecordType;
+}
+
 function verifyDatacenter() {
     if (this.providerOptions.datacenter) {
         return this.bigIp.list('/tm/gtm/datacenter')
@@ -196,6 +302,10 @@ function verifyGtmServer() {
     function getFirstAvailableAddress() {
         let highestLastOctet = 0;
         usedAddresses.forEach((address) => {
+            if (cloudUtil.getIpFamily(address) !== 4) {
+                return;
+            }
+
             const octets = address.split('.');
             const thisLastOctet = parseInt(octets[3], 10);
             if (thisLastOctet > highestLastOctet) {
@@ -243,23 +353,35 @@ function verifyGtmServer() {
         });
 }
 
-function verifyPool() {
-    return this.bigIp.list('/tm/gtm/pool/a')
+/**
+ * Resolves with true if the pool exists (or was created), false otherwise
+ */
+function verifyPool(recordType, create) {
+    const poolPath = `/tm/gtm/pool/${recordType}`;
+
+    return this.bigIp.list(poolPath)
         .then((pools) => {
-            if (pools) {
+            if (Array.isArray(pools)) {
                 for (let i = 0; i < pools.length; i++) {
                     if (pools[i].name === this.providerOptions.poolName) {
-                        return q();
+                        return q(true);
                     }
                 }
             }
 
+            if (!create) {
+                return q(false);
+            }
+
             return this.bigIp.create(
-                '/tm/gtm/pool/a',
+                poolPath,
                 {
                     name: this.providerOptions.poolName
                 }
-            );
+            )
+                .then(() => {
+                    return true;
+                });
         })
         .catch((err) => {
             this.logger.info('Error verifying GTM pool', err);
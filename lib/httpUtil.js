@@ -20,6 +20,8 @@ const URL = require('url');
 const http = require('http');
 const https = require('https');
 const q = require('q');
+const proxyUtil = require('./proxyUtil');
+const tlsUtil = require('./tlsUtil');
 
 /**
  * @module
@@ -124,6 +126,23 @@ module.exports = {
         return this.request('DELETE', url, options);
     },
 
+    /**
+     * Sends a request to a URL.
+     *
+     * The request goes through the proxy, if any. See {@link module:proxyUtil}.
+     *
+     * @param {String}   method            - HTTP method.
+     * @param {String}   url               - URL to send the request to.
+     * @param {Object}   [options]         - Optional parameters
+     * @param {Object}   [options.headers] - Map of headers to add to the request.
+     * @param {Object}   [options.body]    - Body to send with request
+     * @param {Object}   [options.tls]     - Client certificate, CA bundle and certificate pin for
+     *                                       https URLs, already read. See {@link module:tlsUtil}.
+     *                                       Default is to validate against the default CA store.
+     *
+     * @returns {String} A promise which will be resolved with the data
+     *                   or rejected if an error occurs.
+     */
     request(method, url, options) {
         const parsedUrl = URL.parse(url);
         const deferred = q.defer();
@@ -132,6 +151,7 @@ module.exports = {
         let executor;
 
         const headers = options ? options.headers : undefined;
+        const tls = options ? options.tls : undefined;
         let body = options ? options.body : undefined;
 
         try {
@@ -144,6 +164,10 @@ module.exports = {
                 requestOptions.headers = headers || {};
                 requestOptions.method = method;
 
+                if (tls && parsedUrl.protocol === 'https:') {
+                    Object.assign(requestOptions, tlsUtil.getRequestOptions(tls, true));
+                }
+
                 if (body) {
                     if (requestOptions.headers['Content-Type'] === 'application/json') {
                         body = JSON.stringify(body);
@@ -151,6 +175,8 @@ module.exports = {
                     requestOptions.headers['Content-Length'] = Buffer.byteLength(body);
                 }
 
+                proxyUtil.addProxyOptions(url, requestOptions);
+
                 httpRequest = executor.request(requestOptions, (response) => {
                     const statusCode = response.statusCode;
                     const contentType = response.headers['content-type'];
@@ -182,6 +208,10 @@ module.exports = {
                         deferred.reject(err);
                     });
 
+                if (tls && parsedUrl.protocol === 'https:') {
+                    tlsUtil.pinCertificate(httpRequest, tls.fingerprint);
+                }
+
                 if (body) {
                     httpRequest.write(body);
                 }
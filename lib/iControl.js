@@ -20,6 +20,9 @@ const Logger = require('./logger');
 const http = require('http');
 const https = require('https');
 const q = require('q');
+const tlsUtil = require('./tlsUtil');
+
+const DEFAULT_REQUEST_TIMEOUT_MS = 300000;
 
 /**
  * Creates an IControl object
@@ -31,8 +34,22 @@ const q = require('q');
  * @param {String}  [options.user]          - User to use for auth. Default admin.
  * @param {String}  [options.password]      - Password to use for auth. Default admin.
  * @param {String}  [options.authToken]     - Auth token to use rather than user and password.
+ * @param {String}  [options.loginProviderName] - Login provider with which to log in again when the auth
+ *                                               token expires and there is no refresh token. Default is
+ *                                               not to log in again.
+ * @param {Number}  [options.tokenTimeout]  - Seconds to extend the lifetime of auth tokens from a login
+ *                                           to. Default is the device default.
  * @param {String}  [options.basePath]      - Base path to prepend to paths for all requests. Default /mgmt
  * @param {Boolean} [options.strict]        - Whether or not to validate SSL certificates.
+ * @param {Object}  [options.tls]           - Client certificate, CA bundle and certificate pin, already
+ *                                           read. See {@link module:tlsUtil} for details.
+ * @param {Boolean} [options.keepAlive]     - Whether or not to re-use connections between requests.
+ *                                           Default true.
+ * @param {Number}  [options.maxConcurrentRequests] - Maximum number of requests in flight at once. Further
+ *                                                   requests are queued. Default no limit.
+ * @param {Number}  [options.requestTimeoutMs] - Milliseconds a connection may be idle while waiting for
+ *                                              a response before the request fails. 0 for no timeout.
+ *                                              Default 300000.
  * @param {Object}  [options.logger]        - Logger to use. Or, pass loggerOptions to get your own logger.
  * @param {Object}  [options.loggerOptions] - Options for the logger.
  *                                           See {@link module:logger.getLogger} for details.
@@ -57,8 +74,15 @@ function IControl(options) {
     this.user = opts.user || 'admin';
     this.password = opts.password || 'admin';
     this.authToken = opts.authToken;
+    this.loginProviderName = opts.loginProviderName;
+    this.tokenTimeout = opts.tokenTimeout;
     this.basePath = opts.basePath || getBasePath.call(this, opts);
     this.strict = typeof opts.strict !== 'undefined' ? opts.strict : true;
+    this.tls = opts.tls;
+    this.maxConcurrentRequests = opts.maxConcurrentRequests ? parseInt(opts.maxConcurrentRequests, 10) : 0;
+    this.requestTimeoutMs = typeof opts.requestTimeoutMs !== 'undefined'
+        ? parseInt(opts.requestTimeoutMs, 10)
+        : DEFAULT_REQUEST_TIMEOUT_MS;
 
     if (this.host !== 'localhost' || this.port !== 8100) {
         this.auth = `${this.user}:${this.password}`;
@@ -66,6 +90,24 @@ function IControl(options) {
 
     this.http = http;
     this.https = https;
+
+    const keepAlive = typeof opts.keepAlive !== 'undefined' ? !!opts.keepAlive : true;
+    const agentOptions = {
+        keepAlive,
+        maxSockets: this.maxConcurrentRequests || Infinity
+    };
+    this.httpAgent = new http.Agent(agentOptions);
+    this.httpsAgent = new https.Agent(agentOptions);
+
+    this.activeRequests = 0;
+    this.requestQueue = [];
+    this.stats = {
+        requests: 0,
+        retries: 0,
+        errors: 0,
+        timeouts: 0,
+        totalLatencyMs: 0
+    };
 }
 
 /**
@@ -173,6 +215,85 @@ IControl.prototype.setRefreshToken = function setRefreshToken(refreshToken) {
     this.refreshToken = refreshToken;
 };
 
+/**
+ * Gets statistics on the requests made by this instance
+ *
+ * @returns {Object} Request statistics:
+ *
+ *     {
+ *         requests: <number of requests sent, including retries>,
+ *         retries: <number of requests re-sent after an auth failure>,
+ *         errors: <number of requests which failed>,
+ *         timeouts: <number of requests which timed out>,
+ *         active: <number of requests in flight now>,
+ *         queued: <number of requests waiting for a free slot now>,
+ *         averageLatencyMs: <average milliseconds from sending a request to its response>
+ *     }
+ */
+IControl.prototype.getStats = function getStats() {
+    const completed = this.stats.requests - this.activeRequests;
+
+    return {
+        requests: this.stats.requests,
+        retries: this.stats.retries,
+        errors: this.stats.errors,
+        timeouts: this.stats.timeouts,
+        active: this.activeRequests,
+        queued: this.requestQueue.length,
+        averageLatencyMs: completed > 0 ? Math.round(this.stats.totalLatencyMs / completed) : 0
+    };
+};
+
+/**
+ * Extends the lifetime of the current auth token
+ *
+ * @param {Number} timeout - Seconds from now after which the token expires. BIG-IP allows
+ *                           up to 36000.
+ *
+ * @returns {Promise} A promise which is resolved when the token has been modified
+ *                    or rejected if an error occurs.
+ */
+IControl.prototype.extendAuthToken = function extendAuthToken(timeout) {
+    if (!this.authToken) {
+        return q();
+    }
+
+    return this.modify(
+        `/shared/authz/tokens/${this.authToken}`,
+        {
+            timeout: parseInt(timeout, 10)
+        },
+        {
+            noRefresh: true
+        }
+    );
+};
+
+/**
+ * Deletes the current auth token, if there is one
+ *
+ * Subsequent requests use basic auth.
+ *
+ * @returns {Promise} A promise which is resolved when the token has been deleted.
+ *                    Failures are logged but not rejected.
+ */
+IControl.prototype.logout = function logout() {
+    const authToken = this.authToken;
+
+    if (!authToken) {
+        return q();
+    }
+
+    return this.delete(`/shared/authz/tokens/${authToken}`, undefined, { noRefresh: true })
+        .catch((err) => {
+            this.logger.info('Unable to delete auth token', err && err.message ? err.message : err);
+        })
+        .then(() => {
+            this.authToken = undefined;
+            this.refreshToken = undefined;
+        });
+};
+
 /**
  * Executes a request
  *
@@ -191,6 +312,8 @@ IControl.prototype.setRefreshToken = function setRefreshToken(refreshToken) {
  *                                       for recursion (for retrying the request).
  *
  * @param {Boolean} [options.noRefresh] - Do not try to refresh the auth token if the request gets a 401
+ * @param {Number}  [options.timeout]   - Milliseconds a connection may be idle while waiting for a
+ *                                        response. Default is the requestTimeoutMs of this instance.
  *
  * @returns {Promise} A promise which is resolved with the results of the request
  *                    or rejected if an error occurs.
@@ -202,12 +325,13 @@ IControl.prototype.request = function request(method, path, body, options, exist
         hostname: this.host,
         port: this.port,
         path: this.basePath + path,
-        rejectUnauthorized: this.strict,
         headers: {
             'Content-Type': 'application/json'
         }
     };
 
+    Object.assign(requestOptions, tlsUtil.getRequestOptions(this.tls, this.strict));
+
     if (this.authToken) {
         requestOptions.headers['X-F5-Auth-Token'] = this.authToken;
     } else {
@@ -217,6 +341,26 @@ IControl.prototype.request = function request(method, path, body, options, exist
     const noWait = options ? options.noWait : undefined;
     const headers = options ? options.headers : undefined;
     const noRefresh = options ? options.noRefresh : undefined;
+    const timeout = options && typeof options.timeout !== 'undefined'
+        ? options.timeout
+        : this.requestTimeoutMs;
+
+    let startTime;
+    let finished = false;
+
+    // Frees our slot for the next queued request. Called once, however the request ends.
+    const finish = (err) => {
+        if (finished) {
+            return;
+        }
+        finished = true;
+
+        this.stats.totalLatencyMs += Date.now() - startTime;
+        if (err) {
+            this.stats.errors += 1;
+        }
+        releaseSlot.call(this);
+    };
 
     let mungedBody = body;
 
@@ -248,6 +392,8 @@ IControl.prototype.request = function request(method, path, body, options, exist
         });
 
         response.on('end', () => {
+            finish(response.statusCode >= 300 ? response.statusCode : undefined);
+
             const responseHeaders = response.headers;
             let parsedResponse;
             let contentType;
@@ -287,18 +433,22 @@ IControl.prototype.request = function request(method, path, body, options, exist
                         this.authToken = undefined;
                         this.refreshToken = undefined;
 
+                        this.stats.retries += 1;
                         this.request(method, path, body, retryOptions, deferred);
-                    } else if (this.refreshToken) {
+                    } else if (this.refreshToken || this.loginProviderName) {
                         // Our auth token expired - try to refresh
                         this.logger.debug('auth token expired, refreshing');
                         refreshAuthToken.call(this)
                             .then(() => {
+                                this.stats.retries += 1;
                                 this.request(method, path, body, retryOptions, deferred);
                             })
                             .catch((err) => {
                                 this.logger.info('auth token expired and refresh failed');
                                 deferred.reject(err);
                             });
+                    } else {
+                        deferred.reject(parseError.call(this, response, parsedResponse, contentType));
                     }
                 } else {
                     const error = parseError.call(this, response, parsedResponse, contentType);
@@ -310,27 +460,66 @@ IControl.prototype.request = function request(method, path, body, options, exist
         });
     };
 
-    const httpRequest = getRequest.call(this, requestOptions, responseHandler);
+    const send = () => {
+        startTime = Date.now();
+        this.stats.requests += 1;
 
-    if (mungedBody) {
-        httpRequest.write(mungedBody);
-    }
+        const httpRequest = getRequest.call(this, requestOptions, responseHandler);
 
-    httpRequest.on('error', (err) => {
-        if (!noWait) {
-            deferred.reject(err);
+        if (mungedBody) {
+            httpRequest.write(mungedBody);
         }
-    });
 
-    httpRequest.end();
+        httpRequest.on('error', (err) => {
+            finish(err);
+            if (!noWait) {
+                deferred.reject(err);
+            }
+        });
 
-    if (noWait) {
-        deferred.resolve();
-    }
+        if (timeout) {
+            httpRequest.setTimeout(timeout, () => {
+                const err = new Error(`Request timed out after ${timeout}ms: ${method} ${path}`);
+                err.code = 'ETIMEDOUT';
+                this.stats.timeouts += 1;
+                httpRequest.destroy(err);
+            });
+        }
+
+        httpRequest.end();
+
+        if (noWait) {
+            finish();
+            deferred.resolve();
+        }
+    };
+
+    acquireSlot.call(this, send);
 
     return deferred.promise;
 };
 
+/**
+ * Runs a function now if there is a free request slot, or queues it until there is one
+ */
+function acquireSlot(func) {
+    if (!this.maxConcurrentRequests || this.activeRequests < this.maxConcurrentRequests) {
+        this.activeRequests += 1;
+        func();
+    } else {
+        this.logger.silly('Queueing request, active:', this.activeRequests);
+        this.requestQueue.push(func);
+    }
+}
+
+function releaseSlot() {
+    this.activeRequests -= 1;
+    if (this.requestQueue.length > 0) {
+        this.activeRequests += 1;
+        this.requestQueue.shift()();
+    }
+}
+
 function parseError(response, parsedResponse, contentType) {
     let error;
 
@@ -351,6 +540,11 @@ function parseError(response, parsedResponse, contentType) {
 }
 
 function refreshAuthToken() {
+    // BIG-IP does not issue refresh tokens, so log in again
+    if (!this.refreshToken) {
+        return login.call(this);
+    }
+
     return this.create(
         '/shared/authn/exchange',
         {
@@ -372,6 +566,32 @@ function refreshAuthToken() {
         });
 }
 
+function login() {
+    this.authToken = undefined;
+
+    return this.create(
+        '/shared/authn/login',
+        {
+            username: this.user,
+            password: this.password,
+            loginProviderName: this.loginProviderName
+        },
+        {
+            noRefresh: true
+        }
+    )
+        .then((response) => {
+            if (response && response.token && response.token.token) {
+                this.setAuthToken(response.token.token);
+                if (this.tokenTimeout) {
+                    return this.extendAuthToken(this.tokenTimeout);
+                }
+                return q();
+            }
+            return q.reject(new Error('Did not receive auth token while logging in'));
+        });
+}
+
 function getBasePath(options) {
     if (options.host === 'localhost' && options.port === 8100) {
         return '';
@@ -381,9 +601,17 @@ function getBasePath(options) {
 
 function getRequest(requestOptions, responseHandler) {
     if (this.host === 'localhost' && this.port === 8100) {
-        return this.http.request(requestOptions, responseHandler);
+        return this.http.request(Object.assign({ agent: this.httpAgent }, requestOptions), responseHandler);
+    }
+
+    const httpsRequest = this.https.request(
+        Object.assign({ agent: this.httpsAgent }, requestOptions),
+        responseHandler
+    );
+    if (this.tls) {
+        tlsUtil.pinCertificate(httpsRequest, this.tls.fingerprint);
     }
-    return this.https.request(requestOptions, responseHandler);
+    return httpsRequest;
 }
 
 module.exports = IControl;
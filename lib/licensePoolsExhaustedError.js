@@ -0,0 +1,39 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+/**
+ * Error raised when a BIG-IP could not be licensed from any of the given BIG-IQ pools
+ *
+ * @param {String}   message - Error message
+ * @param {Object[]} pools   - Result for each pool that was tried, in order, of the form
+ *
+ *                             {
+ *                                 poolName: <pool name>,
+ *                                 capacity: <capacity of the pool, or undefined if unknown>,
+ *                                 error: <reason the pool could not be used>
+ *                             }
+ */
+function LicensePoolsExhaustedError(message, pools) {
+    this.message = message;
+    this.pools = pools;
+    this.stack = Error().stack;
+}
+LicensePoolsExhaustedError.prototype = Object.create(Error.prototype);
+LicensePoolsExhaustedError.prototype.name = 'LicensePoolsExhaustedError';
+
+module.exports = LicensePoolsExhaustedError;
@@ -0,0 +1,733 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+const q = require('q');
+
+const CloudProvider = require('./cloudProvider');
+const AutoscaleInstance = require('./autoscaleInstance');
+const Logger = require('./logger');
+const cloudUtil = require('./util');
+const cryptoUtil = require('./cryptoUtil');
+const localCryptoUtil = require('./localCryptoUtil');
+
+const INSTANCES_DIR = 'instances';
+const KEYS_DIR = 'keys';
+const MESSAGES_DIR = 'messages';
+const BACKUP_DIR = 'backup';
+const CREDENTIALS_DIR = 'credentials';
+
+const PRIMARY_FILE = 'primary.json';
+const CREDENTIALS_FILE = 'primary.json';
+
+let logger;
+let messageSequence = 0;
+
+util.inherits(LocalProvider, CloudProvider);
+
+/**
+ * Constructor
+ * @class
+ * @classdesc
+ * Local (file based) cloud provider implementation.
+ *
+ * Stores instances, primary status, credentials, public keys, UCS backups and
+ * messages in a directory shared by all members of the group (an NFS mount, for
+ * example). Useful for on-prem clusters and for testing autoscale without a cloud.
+ *
+ * The storage directory is laid out as
+ *
+ *     <storagePath>/instances/<instanceId>.json
+ *     <storagePath>/keys/<instanceId>.pub
+ *     <storagePath>/messages/<timestamp>_<sequence>_<id>.json
+ *     <storagePath>/backup/<ucs_files>
+ *     <storagePath>/credentials/primary.json
+ *     <storagePath>/primary.json
+ *
+ * @param {Object} [options]               - Options for the instance.
+ * @param {Object} [options.clOptions]     - Command line options if called from a script.
+ * @param {Object} [options.logger]        - Logger to use. Or, pass loggerOptions to get your own logger.
+ * @param {Object} [options.loggerOptions] - Options for the logger.
+ *                                           See {@link module:logger.getLogger} for details.
+ */
+function LocalProvider(options) {
+    LocalProvider.super_.call(this, options);
+
+    this.features[CloudProvider.FEATURE_MESSAGING] = true;
+    this.features[CloudProvider.FEATURE_ENCRYPTION] = true;
+
+    this.loggerOptions = options ? options.loggerOptions : undefined;
+
+    logger = options ? options.logger : undefined;
+
+    if (logger) {
+        this.logger = logger;
+        cloudUtil.setLogger(logger);
+        cryptoUtil.setLogger(logger);
+    } else if (this.loggerOptions) {
+        this.loggerOptions.module = module;
+        logger = Logger.getLogger(this.loggerOptions);
+        cloudUtil.setLoggerOptions(this.loggerOptions);
+        cryptoUtil.setLoggerOptions(this.loggerOptions);
+        this.logger = logger;
+    } else {
+        // use super's logger
+        logger = this.logger;
+        cloudUtil.setLogger(logger);
+        cryptoUtil.setLogger(logger);
+    }
+}
+
+/**
+ * Initialize class
+ *
+ * Creates the storage directories if needed. When used for autoscale,
+ * also registers this instance so that other instances can see it.
+ *
+ * @param {Object}  providerOptions               - Provider specific options.
+ * @param {String}  providerOptions.storagePath   - Shared directory in which to store data.
+ * @param {String}  [providerOptions.instanceId]  - ID of this instance. Default is the hostname.
+ * @param {String}  [providerOptions.mgmtIp]      - Management IP of this instance.
+ * @param {String}  [providerOptions.privateIp]   - Private IP of this instance. Default is mgmtIp.
+ * @param {String}  [providerOptions.publicIp]    - Public IP of this instance.
+ * @param {Object}  [options]                     - Options for this instance.
+ * @param {Boolean} [options.autoscale]           - Whether or not this instance will be used for autoscaling.
+ *
+ * @returns {Promise} A promise which will be resolved when init is complete.
+ */
+LocalProvider.prototype.init = function init(providerOptions, options) {
+    this.initOptions = options || {};
+    this.providerOptions = providerOptions || {};
+
+    if (typeof this.providerOptions.storagePath !== 'string') {
+        return q.reject(new Error('ProviderOptions.storagePath required for local provider'));
+    }
+
+    this.storagePath = this.providerOptions.storagePath;
+    this.instanceId = this.providerOptions.instanceId || os.hostname();
+
+    try {
+        [INSTANCES_DIR, KEYS_DIR, MESSAGES_DIR, BACKUP_DIR, CREDENTIALS_DIR].forEach((dir) => {
+            makeDirectory(path.join(this.storagePath, dir));
+        });
+    } catch (err) {
+        return q.reject(err);
+    }
+
+    if (!this.initOptions.autoscale) {
+        return q();
+    }
+
+    return readJson(getInstancePath.call(this, this.instanceId))
+        .then((storedInstance) => {
+            const instance = storedInstance || new AutoscaleInstance();
+
+            ['mgmtIp', 'privateIp', 'publicIp'].forEach((field) => {
+                if (this.providerOptions[field]) {
+                    instance[field] = this.providerOptions[field];
+                }
+            });
+            instance.privateIp = instance.privateIp || instance.mgmtIp;
+
+            return this.putInstance(this.instanceId, instance);
+        });
+};
+
+/**
+ * Gets the instance ID of this instance
+ *
+ * @returns {Promise} A promise which will be resolved with the instance ID of this instance
+ */
+LocalProvider.prototype.getInstanceId = function getInstanceId() {
+    return q(this.instanceId);
+};
+
+/**
+ * Gets info for each instance from the stored instance files
+ *
+ * Instances which have not been updated recently are not provider visible.
+ *
+ * @returns {Promise} A promise which will be resolved with a dictionary of instances
+ *                    keyed by instance ID. See {@link CloudProvider#getInstances}.
+ */
+LocalProvider.prototype.getInstances = function getInstances() {
+    const instances = {};
+    let primaryId;
+
+    return readJson(path.join(this.storagePath, PRIMARY_FILE))
+        .then((primary) => {
+            primaryId = primary ? primary.instanceId : undefined;
+            return readJsonDir(path.join(this.storagePath, INSTANCES_DIR));
+        })
+        .then((storedInstances) => {
+            storedInstances.forEach((storedInstance) => {
+                const instanceId = path.basename(storedInstance.file, '.json');
+                const instance = storedInstance.data;
+
+                instance.isPrimary = instanceId === primaryId;
+                instance.providerVisible = !this.isInstanceExpired(instance);
+                instances[instanceId] = instance;
+            });
+
+            return instances;
+        });
+};
+
+/**
+ * Saves instance info
+ *
+ * @param {String} instanceId - ID of instance
+ * @param {Object} instance   - Instance information as returned by getInstances.
+ *
+ * @returns {Promise} A promise which will be resolved when the instance is stored.
+ */
+LocalProvider.prototype.putInstance = function putInstance(instanceId, instance) {
+    const instanceToStore = Object.assign({}, instance);
+    instanceToStore.lastUpdate = new Date();
+
+    return writeJson(getInstancePath.call(this, instanceId), instanceToStore);
+};
+
+/**
+ * Elects a new primary instance from the available instances
+ *
+ * The provider visible instance with the lowest private IP is elected. If any
+ * instances are external, only external instances are considered.
+ *
+ * @param {Object} instances - Dictionary of instances as returned by getInstances.
+ *
+ * @returns {Promise} A promise which will be resolved with the instance ID of the
+ *                    elected primary.
+ */
+LocalProvider.prototype.electPrimary = function electPrimary(instances) {
+    let candidateIds = Object.keys(instances).filter((instanceId) => {
+        const instance = instances[instanceId];
+        return instance.providerVisible && instance.versionOk !== false;
+    });
+
+    const externalIds = candidateIds.filter((instanceId) => {
+        return instances[instanceId].external;
+    });
+
+    if (externalIds.length > 0) {
+        candidateIds = externalIds;
+    }
+
+    if (candidateIds.length === 0) {
+        return q.reject(new Error('No possible primary found'));
+    }
+
+    candidateIds.sort((id1, id2) => {
+        return cloudUtil.compareIps(instances[id1].privateIp, instances[id2].privateIp)
+            || id1.localeCompare(id2);
+    });
+
+    return q(candidateIds[0]);
+};
+
+/**
+ * Stores the elected primary
+ *
+ * @param {String} instanceId - Instance ID that was elected primary.
+ *
+ * @returns {Promise} A promise which will be resolved when processing is complete.
+ */
+LocalProvider.prototype.primaryElected = function primaryElected(instanceId) {
+    return writeJson(
+        path.join(this.storagePath, PRIMARY_FILE),
+        {
+            instanceId,
+            lastUpdate: new Date()
+        }
+    );
+};
+
+/**
+ * Clears the stored primary if it is the given instance
+ *
+ * @param {String} instanceId - Instance ID of instance that is no longer a valid primary.
+ *
+ * @returns {Promise} A promise which will be resolved when processing is complete.
+ */
+LocalProvider.prototype.primaryInvalidated = function primaryInvalidated(instanceId) {
+    const primaryFile = path.join(this.storagePath, PRIMARY_FILE);
+
+    return readJson(primaryFile)
+        .then((primary) => {
+            if (primary && primary.instanceId === instanceId) {
+                return removeFile(primaryFile);
+            }
+            return q();
+        });
+};
+
+/**
+ * Gets the stored primary status
+ *
+ * @returns {Promise} A promise which will be resolved with the primary status
+ *                    (see {@link CloudProvider#getPrimaryStatus}) or undefined if
+ *                    no primary has been elected.
+ */
+LocalProvider.prototype.getPrimaryStatus = function getPrimaryStatus() {
+    return readJson(path.join(this.storagePath, PRIMARY_FILE))
+        .then((primary) => {
+            if (!primary) {
+                return undefined;
+            }
+
+            return {
+                instanceId: primary.instanceId,
+                status: CloudProvider.STATUS_OK,
+                lastUpdate: primary.lastUpdate,
+                lastStatusChange: primary.lastUpdate
+            };
+        });
+};
+
+/**
+ * Stores the user and password from the command line options of the primary
+ *
+ * @returns {Promise} A promise which will be resolved when the operation
+ *                    is complete
+ */
+LocalProvider.prototype.putPrimaryCredentials = function putPrimaryCredentials() {
+    let passwordPromise;
+
+    if (this.clOptions.password) {
+        passwordPromise = q(this.clOptions.password);
+    } else if (this.clOptions.passwordUrl) {
+        passwordPromise = cloudUtil.getDataFromUrl(this.clOptions.passwordUrl);
+    } else {
+        return q.reject(new Error('No password available to store'));
+    }
+
+    return passwordPromise
+        .then((password) => {
+            if (this.clOptions.passwordEncrypted) {
+                return localCryptoUtil.decryptPassword(password);
+            }
+            return password;
+        })
+        .then((password) => {
+            return writeJson(
+                path.join(this.storagePath, CREDENTIALS_DIR, CREDENTIALS_FILE),
+                {
+                    username: this.clOptions.user,
+                    password: password.trim()
+                },
+                0o600
+            );
+        });
+};
+
+/**
+ * Gets the stored primary credentials
+ *
+ * @returns {Promise} A promise which will be resolved with:
+ *
+ *                    {
+ *                        username: <admin_user>,
+ *                        password: <admin_password>
+ *                    }
+ */
+LocalProvider.prototype.getPrimaryCredentials = function getPrimaryCredentials() {
+    return readJson(path.join(this.storagePath, CREDENTIALS_DIR, CREDENTIALS_FILE))
+        .then((credentials) => {
+            if (!credentials) {
+                return q.reject(new Error('No primary credentials stored'));
+            }
+            return credentials;
+        });
+};
+
+/**
+ * Gets the public key for an instanceId.
+ *
+ * @param {String} instanceId - Instance ID of the key owner.
+ *
+ * @returns {Promise} A promise which will be resolved with the public key
+ *                    or rejected if the key is not stored.
+ */
+LocalProvider.prototype.getPublicKey = function getPublicKey(instanceId) {
+    return readFile(path.join(this.storagePath, KEYS_DIR, `${instanceId}.pub`))
+        .then((publicKey) => {
+            if (!publicKey) {
+                return q.reject(new Error(`No public key for ${instanceId}`));
+            }
+            return publicKey.toString();
+        });
+};
+
+/**
+ * Stores the public key for an instanceId.
+ *
+ * @param {String} instanceId - Instance ID of the key owner.
+ * @param {String} publicKey  - The public key
+ *
+ * @returns {Promise} A promise which will be resolved when the operation
+ *                    is complete
+ */
+LocalProvider.prototype.putPublicKey = function putPublicKey(instanceId, publicKey) {
+    return writeFile(path.join(this.storagePath, KEYS_DIR, `${instanceId}.pub`), publicKey);
+};
+
+/**
+ * Sends a message to other instances by writing it to the messages directory
+ *
+ * @param {String} action                   - Action id of message to send
+ * @param {Object} [options]                - Optional parameters
+ * @param {String} [options.toInstanceId]   - Instance ID that message is for
+ * @param {String} [options.fromInstanceId] - Instance ID that message is from
+ * @param {Object} [options.data]           - Message specific data
+ *
+ * @returns {Promise} A promise which will be resolved when the message
+ *                    has been sent or rejected if an error occurs
+ */
+LocalProvider.prototype.sendMessage = function sendMessage(action, options) {
+    const messageOptions = options || {};
+
+    return cryptoUtil.generateRandomBytes(4, 'hex')
+        .then((id) => {
+            // zero padded time stamp and sequence so that file names sort in the order sent
+            messageSequence += 1;
+            const timestamp = zeroPad(Date.now(), 15);
+            const sequence = zeroPad(messageSequence, 6);
+            const fileName = `${timestamp}_${sequence}_${id}.json`;
+            return writeJson(
+                path.join(this.storagePath, MESSAGES_DIR, fileName),
+                {
+                    action,
+                    toInstanceId: messageOptions.toInstanceId,
+                    fromInstanceId: messageOptions.fromInstanceId,
+                    data: messageOptions.data
+                }
+            );
+        });
+};
+
+/**
+ * Gets messages from other instances. Messages which are returned are removed
+ * from storage.
+ *
+ * @param {String[]} actions               - Array of actions to get. Other messages will be ignored.
+ *                                           Default (empty or undefined) is all actions.
+ * @param {Object}  [options]              - Optional parameters
+ * @param {String}  [options.toInstanceId] - toInstanceId of messsages we are interested in
+ *
+ * @returns {Promise} A promise which will be resolved with an array of messages.
+ *                    See {@link CloudProvider#getMessages}.
+ */
+LocalProvider.prototype.getMessages = function getMessages(actions, options) {
+    const toInstanceId = options ? options.toInstanceId : undefined;
+    const messages = [];
+    const removePromises = [];
+
+    return readJsonDir(path.join(this.storagePath, MESSAGES_DIR))
+        .then((storedMessages) => {
+            storedMessages.forEach((storedMessage) => {
+                const message = storedMessage.data;
+
+                if (actions && actions.length > 0 && actions.indexOf(message.action) === -1) {
+                    return;
+                }
+
+                if (toInstanceId && message.toInstanceId !== toInstanceId) {
+                    return;
+                }
+
+                messages.push(message);
+                removePromises.push(removeFile(storedMessage.file));
+            });
+
+            return q.all(removePromises);
+        })
+        .then(() => {
+            return messages;
+        });
+};
+
+/**
+ * Stores a UCS file in the backup directory
+ *
+ * @param {String} file      - Full path to file to store.
+ * @param {Number} maxCopies - Number of files to store. Oldest files over
+ *                             this number are deleted.
+ * @param {String} prefix    - The common prefix for autosaved UCS files
+ *
+ * @returns {Promise} A promise which is resolved when processing is complete.
+ */
+LocalProvider.prototype.storeUcs = function storeUcs(file, maxCopies, prefix) {
+    const backupDir = path.join(this.storagePath, BACKUP_DIR);
+
+    return copyFile(file, path.join(backupDir, path.basename(file)))
+        .catch((err) => {
+            this.logger.info('Error storing ucs', err);
+            return q.reject(err);
+        })
+        .then(() => {
+            return getUcsFiles(backupDir, prefix);
+        })
+        .then((ucsFiles) => {
+            const promises = ucsFiles.slice(0, Math.max(ucsFiles.length - maxCopies, 0))
+                .map((ucsFile) => {
+                    return removeFile(path.join(backupDir, ucsFile));
+                });
+            return q.all(promises);
+        })
+        .then(() => {
+            return q();
+        });
+};
+
+/**
+ * Gets the most recently stored UCS file
+ *
+ * @returns {Promise} A promise which will be resolved with a ReadableStream of the
+ *                    UCS data, resolved with undefined if there is no stored UCS,
+ *                    or rejected if an error occurs.
+ */
+LocalProvider.prototype.getStoredUcs = function getStoredUcs() {
+    const backupDir = path.join(this.storagePath, BACKUP_DIR);
+
+    return getUcsFiles(backupDir)
+        .then((ucsFiles) => {
+            if (ucsFiles.length === 0) {
+                this.logger.debug('No stored ucs files');
+                return undefined;
+            }
+
+            const latest = ucsFiles[ucsFiles.length - 1];
+            this.logger.silly('Using stored ucs', latest);
+            return fs.createReadStream(path.join(backupDir, latest));
+        });
+};
+
+/**
+ * Deletes a stored UCS file
+ *
+ * @param {String} fileName - Name of UCS file (no path).
+ *
+ * @returns {Promise} A promise which will be resolved when the file is deleted.
+ */
+LocalProvider.prototype.deleteStoredUcs = function deleteStoredUcs(fileName) {
+    return removeFile(path.join(this.storagePath, BACKUP_DIR, path.basename(fileName)));
+};
+
+/**
+ * Creates a directory and any missing parent directories
+ */
+function makeDirectory(dir) {
+    try {
+        fs.mkdirSync(dir);
+    } catch (err) {
+        if (err.code === 'ENOENT' && path.dirname(dir) !== dir) {
+            makeDirectory(path.dirname(dir));
+            makeDirectory(dir);
+        } else if (err.code !== 'EEXIST') {
+            throw err;
+        }
+    }
+}
+
+/**
+ * Left pads a number with zeros to the given length
+ */
+function zeroPad(value, length) {
+    let padded = String(value);
+    while (padded.length < length) {
+        padded = `0${padded}`;
+    }
+    return padded;
+}
+
+function getInstancePath(instanceId) {
+    return path.join(this.storagePath, INSTANCES_DIR, `${instanceId}.json`);
+}
+
+/**
+ * Gets the UCS files in a directory, oldest first
+ */
+function getUcsFiles(dir, prefix) {
+    const deferred = q.defer();
+
+    fs.readdir(dir, (err, files) => {
+        if (err) {
+            deferred.reject(err);
+            return;
+        }
+
+        const ucsFiles = files.filter((file) => {
+            return file.endsWith('.ucs') && (!prefix || file.startsWith(prefix));
+        });
+
+        const mtimes = {};
+        ucsFiles.forEach((file) => {
+            mtimes[file] = fs.statSync(path.join(dir, file)).mtime.getTime();
+        });
+
+        deferred.resolve(ucsFiles.sort((file1, file2) => {
+            return mtimes[file1] - mtimes[file2] || file1.localeCompare(file2);
+        }));
+    });
+
+    return deferred.promise;
+}
+
+/**
+ * Reads a file. Resolves with undefined if the file does not exist.
+ */
+function readFile(file) {
+    const deferred = q.defer();
+
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            if (err.code === 'ENOENT') {
+                deferred.resolve();
+            } else {
+                deferred.reject(err);
+            }
+            return;
+        }
+        deferred.resolve(data);
+    });
+
+    return deferred.promise;
+}
+
+function readJson(file) {
+    return readFile(file)
+        .then((data) => {
+            return data ? JSON.parse(data.toString()) : undefined;
+        });
+}
+
+/**
+ * Reads all the JSON files in a directory, sorted by file name
+ *
+ * @returns {Promise} A promise which will be resolved with an array of
+ *                    { file: <full_path>, data: <parsed_data> }
+ */
+function readJsonDir(dir) {
+    const deferred = q.defer();
+
+    fs.readdir(dir, (err, files) => {
+        if (err) {
+            deferred.reject(err);
+            return;
+        }
+
+        const jsonFiles = files.filter((file) => {
+            return file.endsWith('.json');
+        }).sort();
+
+        q.all(jsonFiles.map((file) => {
+            return readJson(path.join(dir, file));
+        }))
+            .then((data) => {
+                const results = [];
+                jsonFiles.forEach((file, index) => {
+                    // the file may have been removed by another instance
+                    if (data[index]) {
+                        results.push({ file: path.join(dir, file), data: data[index] });
+                    }
+                });
+                deferred.resolve(results);
+            })
+            .catch((readErr) => {
+                deferred.reject(readErr);
+            });
+    });
+
+    return deferred.promise;
+}
+
+/**
+ * Writes a file. Data is written to a temp file and renamed so that readers
+ * on other instances never see a partial file.
+ */
+function writeFile(file, data, mode) {
+    const deferred = q.defer();
+    const tempFile = `${file}.${process.pid}.tmp`;
+
+    fs.writeFile(tempFile, data, { mode: mode || 0o644 }, (writeErr) => {
+        if (writeErr) {
+            deferred.reject(writeErr);
+            return;
+        }
+
+        fs.rename(tempFile, file, (renameErr) => {
+            if (renameErr) {
+                deferred.reject(renameErr);
+                return;
+            }
+            deferred.resolve();
+        });
+    });
+
+    return deferred.promise;
+}
+
+function writeJson(file, data, mode) {
+    return writeFile(file, JSON.stringify(data, null, 4), mode);
+}
+
+/**
+ * Copies a file. The destination is only created once the source is open.
+ */
+function copyFile(source, destination) {
+    const deferred = q.defer();
+    const reader = fs.createReadStream(source);
+
+    reader.on('error', (err) => {
+        deferred.reject(err);
+    });
+
+    reader.on('open', () => {
+        const writer = fs.createWriteStream(destination);
+
+        writer.on('error', (err) => {
+            deferred.reject(err);
+        });
+        writer.on('close', () => {
+            deferred.resolve();
+        });
+
+        reader.pipe(writer);
+    });
+
+    return deferred.promise;
+}
+
+function removeFile(file) {
+    const deferred = q.defer();
+
+    fs.unlink(file, (err) => {
+        if (err && err.code !== 'ENOENT') {
+            deferred.reject(err);
+            return;
+        }
+        deferred.resolve();
+    });
+
+    return deferred.promise;
+}
+
+module.exports = LocalProvider;
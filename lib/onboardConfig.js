@@ -0,0 +1,146 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const URL = require('url');
+const path = require('path');
+const q = require('q');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const util = require('./util');
+const Logger = require('./logger');
+const schema = require('../schema/onboard.schema.json');
+
+let moduleLogger = Logger.getLogger({
+    logLevel: 'none',
+    module
+});
+
+let ajv;
+let validator;
+
+/**
+ * Reads and validates declarative onboarding documents (JSON or YAML)
+ * as used by onboard.js --config-file
+ *
+ * @module
+ */
+module.exports = {
+    /** @constant */
+    SCHEMA_PATH: path.resolve(__dirname, '../schema/onboard.schema.json'),
+
+    /**
+     * Reads, parses and validates an onboard config document
+     *
+     * @param {String}  uri                     - Path or URI (file, http, https, arn, etc.) of
+     *                                            the document.
+     * @param {Object}  [options]               - Optional parameters.
+     * @param {Object}  [options.clOptions]     - Command line options if called from a script.
+     *                                            Required for Azure Storage URIs
+     * @param {Object}  [options.logger]        - Logger to use. Or, pass loggerOptions to
+     *                                            get your own logger.
+     * @param {Object}  [options.loggerOptions] - Options for the logger.
+     *                                            See {@link module:logger.getLogger} for details.
+     *
+     * @returns {Promise} A promise which is resolved with the validated config
+     *                    or rejected if the document cannot be read or is invalid.
+     */
+    load(uri, options) {
+        const logger = getLogger(options);
+        let configUri = uri;
+
+        if (!URL.parse(uri).protocol) {
+            configUri = `file://${path.resolve(uri)}`;
+        }
+
+        logger.silly('Reading onboard config from', configUri);
+        return util.readData(configUri, true, options)
+            .then((data) => {
+                const config = this.parse(data);
+                this.validate(config);
+                return config;
+            })
+            .catch((err) => {
+                logger.info('Unable to load onboard config', err && err.message ? err.message : err);
+                return q.reject(err);
+            });
+    },
+
+    /**
+     * Parses an onboard config document
+     *
+     * Since JSON is a subset of YAML, both formats are handled by the YAML parser.
+     *
+     * @param {String|Buffer|Object} data - The document. Objects are returned as is.
+     *
+     * @returns {Object} The parsed document.
+     */
+    parse(data) {
+        if (data && typeof data === 'object' && !Buffer.isBuffer(data)) {
+            return data;
+        }
+
+        try {
+            return yaml.safeLoad(data.toString());
+        } catch (err) {
+            throw new Error(`Unable to parse onboard config: ${err.message}`);
+        }
+    },
+
+    /**
+     * Validates an onboard config against the published schema
+     *
+     * @param {Object} config - The parsed document.
+     *
+     * @throws {Error} If the config does not match the schema.
+     */
+    validate(config) {
+        if (!validator) {
+            ajv = new Ajv({ allErrors: true });
+            validator = ajv.compile(schema);
+        }
+
+        if (!validator(config)) {
+            const message = ajv.errorsText(validator.errors, { dataVar: 'config' });
+            throw new Error(`Invalid onboard config: ${message}`);
+        }
+    },
+
+    setLogger(aLogger) {
+        moduleLogger = aLogger;
+    },
+
+    setLoggerOptions(loggerOptions) {
+        const loggerOpts = Object.assign({}, loggerOptions);
+        loggerOpts.module = module;
+        moduleLogger = Logger.getLogger(loggerOpts);
+    }
+};
+
+function getLogger(options) {
+    if (options && options.logger) {
+        return options.logger;
+    }
+
+    if (options && options.loggerOptions) {
+        const loggerOpts = Object.assign({}, options.loggerOptions);
+        loggerOpts.module = module;
+        return Logger.getLogger(loggerOpts);
+    }
+
+    return moduleLogger;
+}
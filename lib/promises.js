@@ -0,0 +1,214 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const BigIp = require('./bigIp');
+const BigIpCluster = require('./bigIpCluster');
+const BigIpOnboard = require('./bigIpOnboard');
+const BigIq = require('./bigIq');
+const cloudProviderFactory = require('./cloudProviderFactory');
+const util = require('./util');
+
+// Properties of wrapped objects which hold other objects to wrap
+const NESTED = {
+    BigIp: ['cluster', 'gtm', 'onboard']
+};
+
+// Wrapped objects, so that the same object always gets the same wrapper
+const wrappers = new WeakMap();
+const targets = new WeakMap();
+
+/**
+ * Native Promise versions of the main classes and modules
+ *
+ * The library uses q promises internally. The objects here work the same as the
+ * ones exported from the top level, but every method which returns a promise returns
+ * a native Promise instead, so they can be used with async / await without any q
+ * interop:
+ *
+ *     const promises = require('@f5devcentral/f5-cloud-libs').promises;
+ *
+ *     const bigIp = new promises.bigIp({ loggerOptions });
+ *     await bigIp.init('localhost', 'admin', 'admin', { port: 8443 });
+ *     await bigIp.onboard.hostname('bigip1.example.com');
+ *
+ * Methods run against the underlying object, so internal calls still use q. Methods
+ * which do not return a promise, and properties, are passed through. Wrapped instances
+ * are still instances of the underlying classes.
+ *
+ * Wrappers are built when an object is first wrapped, without Proxy, so that this works
+ * on Node 4. Methods added to the underlying object after that are not converted, and
+ * properties it did not have are set on the wrapper only. Use {@link module:promises.unwrap}
+ * to modify the underlying object in those cases.
+ *
+ * @module
+ */
+module.exports = {
+    bigIp: wrapClass(BigIp, NESTED.BigIp),
+    bigIpCluster: wrapClass(BigIpCluster),
+    bigIpOnboard: wrapClass(BigIpOnboard),
+    bigIq: wrapClass(BigIq),
+
+    cloudProviderFactory: {
+        /**
+         * Creates a cloud provider whose methods return native Promises
+         *
+         * {@link CloudProvider} is an abstract class, so providers are created with the
+         * factory (or wrapped with {@link module:promises.wrap}) rather than constructed here.
+         * See {@link module:cloudProviderFactory.getCloudProvider} for the parameters.
+         *
+         * @returns {CloudProvider} The wrapped provider.
+         */
+        getCloudProvider(name, options, matchOptions) {
+            return wrap(cloudProviderFactory.getCloudProvider(name, options, matchOptions));
+        }
+    },
+
+    util: wrap(util),
+
+    /**
+     * Wraps an object so that its methods return native Promises
+     *
+     * Use this for objects created elsewhere, for example providers from
+     * a provider package.
+     *
+     * @param {Object}   target   - Object to wrap.
+     * @param {String[]} [nested] - Names of properties holding other objects to wrap.
+     *
+     * @returns {Object} The wrapped object.
+     */
+    wrap(target, nested) {
+        return wrap(target, nested);
+    },
+
+    /**
+     * Gets the underlying q based object of a wrapped object
+     *
+     * @param {Object} wrapped - Object returned from this module.
+     *
+     * @returns {Object} The underlying object, or the argument if it is not wrapped.
+     */
+    unwrap(wrapped) {
+        return targets.get(wrapped) || wrapped;
+    },
+
+    /**
+     * Converts a q promise (or any thenable or value) to a native Promise
+     *
+     * @param {Object} promiseOrValue - q promise, thenable or value.
+     *
+     * @returns {Promise} A native Promise which settles the same way.
+     */
+    toNative(promiseOrValue) {
+        return Promise.resolve(promiseOrValue);
+    }
+};
+
+function isThenable(value) {
+    return !!value && (typeof value === 'object' || typeof value === 'function')
+        && typeof value.then === 'function';
+}
+
+function wrap(target, nested) {
+    if (!target || (typeof target !== 'object' && typeof target !== 'function')) {
+        return target;
+    }
+
+    if (targets.has(target)) {
+        return target;
+    }
+
+    if (wrappers.has(target)) {
+        return wrappers.get(target);
+    }
+
+    const nestedProperties = nested || [];
+
+    // Inheriting from the target keeps instanceof and any properties added later
+    const wrapper = Object.create(target);
+
+    /* eslint-disable no-param-reassign */
+    getPropertyNames(target).forEach((property) => {
+        if (nestedProperties.indexOf(property) !== -1) {
+            Object.defineProperty(wrapper, property, {
+                get() {
+                    return wrap(target[property]);
+                },
+                set(value) {
+                    target[property] = value;
+                }
+            });
+        } else if (typeof target[property] === 'function') {
+            // Look the method up on each call so that replaced methods are used
+            Object.defineProperty(wrapper, property, {
+                value: function method() {
+                    const func = target[property];
+                    const result = func.apply(target, arguments);
+                    return isThenable(result) ? Promise.resolve(result) : result;
+                },
+                configurable: true,
+                writable: true
+            });
+        } else if (Object.prototype.hasOwnProperty.call(target, property)) {
+            Object.defineProperty(wrapper, property, {
+                get() {
+                    return target[property];
+                },
+                set(value) {
+                    target[property] = value;
+                }
+            });
+        }
+    });
+    /* eslint-enable no-param-reassign */
+
+    wrappers.set(target, wrapper);
+    targets.set(wrapper, target);
+    return wrapper;
+}
+
+/**
+ * Gets the names of the properties of an object and its prototypes, not
+ * including those of Object and Function
+ */
+function getPropertyNames(target) {
+    const names = [];
+    let obj = target;
+
+    while (obj && obj !== Object.prototype && obj !== Function.prototype) {
+        Object.getOwnPropertyNames(obj).forEach((name) => {
+            if (name !== 'constructor' && names.indexOf(name) === -1) {
+                names.push(name);
+            }
+        });
+        obj = Object.getPrototypeOf(obj);
+    }
+
+    return names;
+}
+
+function wrapClass(Class, nested) {
+    // Returning an object from a constructor makes it the result of new
+    function NativeClass() {
+        const args = [null].concat(Array.prototype.slice.call(arguments));
+        const BoundClass = Function.prototype.bind.apply(Class, args);
+        return wrap(new BoundClass(), nested);
+    }
+
+    NativeClass.prototype = Class.prototype;
+    return NativeClass;
+}
@@ -0,0 +1,575 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const assert = require('assert');
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const q = require('q');
+const util = require('util');
+const DnsProvider = require('./dnsProvider');
+const cloudUtil = require('./util');
+
+const DEFAULT_PORT = 53;
+const DEFAULT_TTL = 30;
+const DEFAULT_TIMEOUT = 5000;
+const DEFAULT_KEY_ALGORITHM = 'hmac-sha256';
+const TSIG_FUDGE = 300;
+
+const OPCODE_UPDATE = 5;
+const FLAG_QR = 0x8000;
+const FLAG_TC = 0x0200;
+
+const TYPE_A = 1;
+const TYPE_SOA = 6;
+const TYPE_AAAA = 28;
+const TYPE_TSIG = 250;
+const CLASS_IN = 1;
+const CLASS_ANY = 255;
+
+// TSIG algorithm names and the matching node crypto digests
+const KEY_ALGORITHMS = {
+    'hmac-md5': { name: 'hmac-md5.sig-alg.reg.int', digest: 'md5' },
+    'hmac-sha1': { name: 'hmac-sha1', digest: 'sha1' },
+    'hmac-sha256': { name: 'hmac-sha256', digest: 'sha256' },
+    'hmac-sha512': { name: 'hmac-sha512', digest: 'sha512' }
+};
+
+const RCODES = [
+    'NOERROR', 'FORMERR', 'SERVFAIL', 'NXDOMAIN', 'NOTIMP', 'REFUSED',
+    'YXDOMAIN', 'YXRRSET', 'NXRRSET', 'NOTAUTH', 'NOTZONE'
+];
+
+const TSIG_ERRORS = {
+    16: 'BADSIG',
+    17: 'BADKEY',
+    18: 'BADTIME',
+    22: 'BADTRUNC'
+};
+
+util.inherits(Rfc2136DnsProvider, DnsProvider);
+
+/**
+ * Constructor.
+ * @class
+ * @classdesc
+ * DNS provider which sends RFC 2136 dynamic updates, optionally signed with
+ * TSIG (RFC 8945), to a BIND compatible server.
+ *
+ * @param {Ojbect} [options]               - Options for the instance.
+ * @param {Object} [options.clOptions]     - Command line options if called from a script.
+ * @param {Object} [options.logger]        - Logger to use. Or, pass loggerOptions to get your own logger.
+ * @param {Object} [options.loggerOptions] - Options for the logger.
+ *                                           See {@link module:logger.getLogger} for details.
+ */
+function Rfc2136DnsProvider(options) {
+    Rfc2136DnsProvider.super_.call(this, options);
+}
+
+/**
+ * Initialize class
+ *
+ * @param {Object} providerOptions                - Provider specific options.
+ * @param {String} providerOptions.server         - DNS server IP address or hostname to send updates to.
+ * @param {String} [providerOptions.port]         - DNS server port. Default 53.
+ * @param {String} providerOptions.zone           - Zone to update.
+ * @param {String} providerOptions.recordName     - Name of the A/AAAA records. Names not ending
+ *                                                  in the zone are relative to the zone.
+ * @param {String} [providerOptions.ttl]          - TTL for the records. Default 30.
+ * @param {String} [providerOptions.keyName]      - TSIG key name. If not set, updates are not signed.
+ * @param {String} [providerOptions.keySecret]    - Base64 TSIG key secret. Use this or keySecretUrl.
+ * @param {String} [providerOptions.keySecretUrl] - URL (file, http(s), arn) to location that contains
+ *                                                  the base64 TSIG key secret. Use this or keySecret.
+ * @param {String} [providerOptions.keyAlgorithm] - TSIG algorithm (hmac-md5 | hmac-sha1 | hmac-sha256 |
+ *                                                  hmac-sha512). Default hmac-sha256.
+ * @param {String} [providerOptions.protocol]     - udp | tcp. Default udp. Truncated udp responses
+ *                                                  are retried over tcp.
+ * @param {String} [providerOptions.timeout]      - Milliseconds to wait for a response. Default 5000.
+ *
+ * @returns {Promise} A promise which will be resolved when init is complete.
+ */
+Rfc2136DnsProvider.prototype.init = function init(providerOptions) {
+    assert.equal(typeof providerOptions, 'object', 'providerOptions is required');
+    assert.equal(typeof providerOptions.server, 'string', 'providerOptions.server is required');
+    assert.equal(typeof providerOptions.zone, 'string', 'providerOptions.zone is required');
+    assert.equal(typeof providerOptions.recordName, 'string', 'providerOptions.recordName is required');
+
+    this.providerOptions = providerOptions;
+    this.zone = stripTrailingDot(providerOptions.zone);
+    this.recordName = stripTrailingDot(providerOptions.recordName);
+    if (this.recordName !== this.zone && !this.recordName.endsWith(`.${this.zone}`)) {
+        this.recordName = `${this.recordName}.${this.zone}`;
+    }
+
+    if (!providerOptions.keyName) {
+        return q();
+    }
+
+    this.keyAlgorithm = KEY_ALGORITHMS[providerOptions.keyAlgorithm || DEFAULT_KEY_ALGORITHM];
+    if (!this.keyAlgorithm) {
+        return q.reject(new Error(`Unsupported TSIG algorithm ${providerOptions.keyAlgorithm}`));
+    }
+
+    if (!providerOptions.keySecret && !providerOptions.keySecretUrl) {
+        return q.reject(new Error('keySecret or keySecretUrl is required with keyName'));
+    }
+
+    return cloudUtil.readData(
+        providerOptions.keySecret || providerOptions.keySecretUrl,
+        !providerOptions.keySecret
+    )
+        .then((keySecret) => {
+            this.keySecret = cloudUtil.createBufferFrom(keySecret.toString().trim(), 'base64');
+        });
+};
+
+/**
+ * Updates DNS records with the given instances
+ *
+ * Replaces the A records of recordName with the IPv4 addresses of the instances
+ * and the AAAA records with the IPv6 addresses. Record types for which there
+ * are no instances are deleted. All changes are made in a single update.
+ *
+ * @param {Object} instances - Array of instances, each having the form
+ *
+ *     {
+ *         name: name for instance,
+ *         ip: ip address (IPv4 or IPv6),
+ *         port: port (not used)
+ *     }
+ *
+ * @returns {Promise} A promise which will be resolved when the update has been
+ *                    accepted by the server or rejected if an error occurs.
+ */
+Rfc2136DnsProvider.prototype.update = function update(instances) {
+    const ttl = parseInt(this.providerOptions.ttl, 10) || DEFAULT_TTL;
+    const records = {};
+
+    records[TYPE_A] = [];
+    records[TYPE_AAAA] = [];
+
+    (instances || []).forEach((instance) => {
+        const family = cloudUtil.getIpFamily(instance.ip);
+        if (!family || instance.ip.indexOf('/') !== -1) {
+            this.logger.warn('Ignoring instance with bad ip', instance.name, instance.ip);
+            return;
+        }
+        records[family === 6 ? TYPE_AAAA : TYPE_A].push(cloudUtil.ipToBuffer(instance.ip));
+    });
+
+    const id = crypto.randomBytes(2).readUInt16BE(0);
+    const updates = [];
+
+    // delete each RRset, then add the current addresses, which replaces the RRset atomically
+    [TYPE_A, TYPE_AAAA].forEach((type) => {
+        updates.push(encodeRecord(this.recordName, type, CLASS_ANY, 0, cloudUtil.createBufferAlloc(0)));
+        records[type].forEach((address) => {
+            updates.push(encodeRecord(this.recordName, type, CLASS_IN, ttl, address));
+        });
+    });
+
+    this.logger.info(
+        'Updating', this.recordName, 'with', records[TYPE_A].length, 'A and',
+        records[TYPE_AAAA].length, 'AAAA record(s)'
+    );
+
+    const header = cloudUtil.createBufferAlloc(12);
+    header.writeUInt16BE(id, 0);
+    header.writeUInt16BE(OPCODE_UPDATE << 11, 2); // eslint-disable-line no-bitwise
+    header.writeUInt16BE(1, 4); // zone count
+    header.writeUInt16BE(0, 6); // prerequisite count
+    header.writeUInt16BE(updates.length, 8);
+    header.writeUInt16BE(0, 10); // additional count
+
+    let message = Buffer.concat(
+        [header, encodeName(this.zone), uint16(TYPE_SOA), uint16(CLASS_IN)].concat(updates)
+    );
+    let requestMac;
+
+    if (this.keySecret) {
+        const signed = sign.call(this, message, id);
+        message = signed.message;
+        requestMac = signed.mac;
+    }
+
+    return send.call(this, message, this.providerOptions.protocol === 'tcp')
+        .then((response) => {
+            return checkResponse.call(this, response, id, requestMac);
+        });
+};
+
+/**
+ * Adds a TSIG record to a message
+ *
+ * @returns {Object} { message: <signed_message>, mac: <request_mac> }
+ */
+function sign(message, id) {
+    const timeSigned = Math.floor(Date.now() / 1000);
+    const keyName = encodeName(this.providerOptions.keyName.toLowerCase());
+    const algorithmName = encodeName(this.keyAlgorithm.name);
+    const otherData = cloudUtil.createBufferAlloc(0);
+
+    const mac = crypto.createHmac(this.keyAlgorithm.digest, this.keySecret)
+        .update(message)
+        .update(getTsigVariables(keyName, algorithmName, timeSigned, TSIG_FUDGE, 0, otherData))
+        .digest();
+
+    const rdata = Buffer.concat([
+        algorithmName,
+        uint48(timeSigned),
+        uint16(TSIG_FUDGE),
+        uint16(mac.length),
+        mac,
+        uint16(id),
+        uint16(0), // error
+        uint16(0) // other length
+    ]);
+
+    const signedMessage = Buffer.concat([message, encodeRecord(keyName, TYPE_TSIG, CLASS_ANY, 0, rdata)]);
+    signedMessage.writeUInt16BE(message.readUInt16BE(10) + 1, 10);
+
+    return {
+        mac,
+        message: signedMessage
+    };
+}
+
+/**
+ * Checks the response code and, for signed requests, the response TSIG
+ */
+function checkResponse(response, id, requestMac) {
+    if (response.length < 12 || response.readUInt16BE(0) !== id) {
+        return q.reject(new Error('Unexpected DNS response'));
+    }
+
+    const flags = response.readUInt16BE(2);
+    // eslint-disable-next-line no-bitwise
+    const rcode = flags & 0x000f;
+    const rcodeName = RCODES[rcode] || `RCODE ${rcode}`;
+    let tsig;
+
+    try {
+        tsig = findTsig(response);
+    } catch (err) {
+        return q.reject(new Error(`Unable to parse DNS response: ${err.message}`));
+    }
+
+    if (tsig && tsig.error) {
+        return q.reject(new Error(`DNS update failed: ${rcodeName} (${TSIG_ERRORS[tsig.error] ||
+            tsig.error})`));
+    }
+
+    if (requestMac && rcode === 0) {
+        if (!tsig) {
+            return q.reject(new Error('DNS update response is not signed'));
+        }
+
+        const verifyError = verifyResponseTsig.call(this, response, tsig, requestMac);
+        if (verifyError) {
+            return q.reject(new Error(`DNS update response ${verifyError}`));
+        }
+    }
+
+    if (rcode !== 0) {
+        return q.reject(new Error(`DNS update failed: ${rcodeName}`));
+    }
+
+    this.logger.info('DNS update succeeded');
+    return q();
+}
+
+function verifyResponseTsig(response, tsig, requestMac) {
+    const unsigned = cloudUtil.createBufferAlloc(tsig.offset);
+    response.copy(unsigned, 0, 0, tsig.offset);
+    unsigned.writeUInt16BE(response.readUInt16BE(10) - 1, 10);
+    unsigned.writeUInt16BE(tsig.originalId, 0);
+
+    const expectedMac = crypto.createHmac(this.keyAlgorithm.digest, this.keySecret)
+        .update(uint16(requestMac.length))
+        .update(requestMac)
+        .update(unsigned)
+        .update(getTsigVariables(
+            encodeName(this.providerOptions.keyName.toLowerCase()),
+            encodeName(this.keyAlgorithm.name),
+            tsig.timeSigned,
+            tsig.fudge,
+            tsig.error,
+            tsig.otherData
+        ))
+        .digest();
+
+    if (!macsEqual(tsig.mac, expectedMac)) {
+        return 'signature is not valid';
+    }
+
+    if (Math.abs((Date.now() / 1000) - tsig.timeSigned) > tsig.fudge) {
+        return 'signature time is out of range';
+    }
+
+    return undefined;
+}
+
+/**
+ * Compares two MACs in time which does not depend on where they differ
+ */
+function macsEqual(mac1, mac2) {
+    if (mac1.length !== mac2.length) {
+        return false;
+    }
+
+    let difference = 0;
+    for (let i = 0; i < mac1.length; i++) {
+        // eslint-disable-next-line no-bitwise
+        difference |= mac1[i] ^ mac2[i];
+    }
+    return difference === 0;
+}
+
+/**
+ * Finds the TSIG record, which must be the last record of the message
+ *
+ * @returns {Object} The parsed TSIG record, or undefined if there is none.
+ */
+function findTsig(message) {
+    const counts = [4, 6, 8, 10].map((offset) => {
+        return message.readUInt16BE(offset);
+    });
+    let offset = 12;
+    let recordOffset;
+    let type;
+    let rdataOffset;
+    let rdataLength;
+
+    for (let i = 0; i < counts[0]; i++) {
+        offset = skipName(message, offset) + 4;
+    }
+
+    const numRecords = counts[1] + counts[2] + counts[3];
+    for (let i = 0; i < numRecords; i++) {
+        recordOffset = offset;
+        offset = skipName(message, offset);
+        type = message.readUInt16BE(offset);
+        rdataLength = message.readUInt16BE(offset + 8);
+        rdataOffset = offset + 10;
+        offset = rdataOffset + rdataLength;
+    }
+
+    if (numRecords === 0 || counts[3] === 0 || type !== TYPE_TSIG) {
+        return undefined;
+    }
+
+    let rdata = skipName(message, rdataOffset);
+    const timeSigned = (message.readUInt16BE(rdata) * 0x100000000) + message.readUInt32BE(rdata + 2);
+    const fudge = message.readUInt16BE(rdata + 6);
+    const macSize = message.readUInt16BE(rdata + 8);
+    const mac = message.slice(rdata + 10, rdata + 10 + macSize);
+    rdata += 10 + macSize;
+
+    const otherLength = message.readUInt16BE(rdata + 4);
+
+    return {
+        timeSigned,
+        fudge,
+        mac,
+        offset: recordOffset,
+        originalId: message.readUInt16BE(rdata),
+        error: message.readUInt16BE(rdata + 2),
+        otherData: message.slice(rdata + 6, rdata + 6 + otherLength)
+    };
+}
+
+function skipName(message, start) {
+    let offset = start;
+
+    while (offset < message.length) {
+        const length = message[offset];
+
+        if (length === 0) {
+            return offset + 1;
+        }
+
+        // compression pointer
+        // eslint-disable-next-line no-bitwise
+        if ((length & 0xc0) === 0xc0) {
+            return offset + 2;
+        }
+
+        offset += length + 1;
+    }
+
+    throw new Error('name extends past end of message');
+}
+
+/**
+ * Sends a message, over tcp if requested or if the udp response is truncated
+ */
+function send(message, useTcp) {
+    const port = parseInt(this.providerOptions.port, 10) || DEFAULT_PORT;
+    const timeout = parseInt(this.providerOptions.timeout, 10) || DEFAULT_TIMEOUT;
+    const server = this.providerOptions.server;
+
+    if (useTcp) {
+        return sendTcp(server, port, message, timeout);
+    }
+
+    return sendUdp(server, port, message, timeout)
+        .then((response) => {
+            // eslint-disable-next-line no-bitwise
+            if (response.length >= 4 && (response.readUInt16BE(2) & FLAG_TC)) {
+                this.logger.debug('DNS response truncated, retrying over tcp');
+                return sendTcp(server, port, message, timeout);
+            }
+            return response;
+        });
+}
+
+function sendUdp(server, port, message, timeout) {
+    const deferred = q.defer();
+    const socket = dgram.createSocket(cloudUtil.getIpFamily(server) === 6 ? 'udp6' : 'udp4');
+
+    const timer = setTimeout(() => {
+        socket.close();
+        deferred.reject(new Error(`No response from DNS server ${server}:${port}`));
+    }, timeout);
+
+    socket.on('message', (response) => {
+        // eslint-disable-next-line no-bitwise
+        if (response.length < 4 || !(response.readUInt16BE(2) & FLAG_QR)) {
+            return;
+        }
+        clearTimeout(timer);
+        socket.close();
+        deferred.resolve(response);
+    });
+
+    socket.on('error', (err) => {
+        clearTimeout(timer);
+        socket.close();
+        deferred.reject(err);
+    });
+
+    socket.send(message, port, server);
+
+    return deferred.promise;
+}
+
+function sendTcp(server, port, message, timeout) {
+    const deferred = q.defer();
+    let data = cloudUtil.createBufferAlloc(0);
+    let responded = false;
+
+    const socket = net.connect(port, server, () => {
+        socket.write(Buffer.concat([uint16(message.length), message]));
+    });
+
+    socket.setTimeout(timeout, () => {
+        socket.destroy();
+        deferred.reject(new Error(`No response from DNS server ${server}:${port}`));
+    });
+
+    socket.on('data', (chunk) => {
+        data = Buffer.concat([data, chunk]);
+        if (!responded && data.length >= 2 && data.length >= data.readUInt16BE(0) + 2) {
+            responded = true;
+            socket.end();
+            deferred.resolve(data.slice(2, data.readUInt16BE(0) + 2));
+        }
+    });
+
+    socket.on('error', (err) => {
+        deferred.reject(err);
+    });
+
+    // The server may close the connection without sending a full response
+    socket.on('close', () => {
+        if (!responded) {
+            deferred.reject(
+                new Error(`Connection to DNS server ${server}:${port} closed without a response`)
+            );
+        }
+    });
+
+    return deferred.promise;
+}
+
+function getTsigVariables(keyName, algorithmName, timeSigned, fudge, error, otherData) {
+    return Buffer.concat([
+        keyName,
+        uint16(CLASS_ANY),
+        cloudUtil.createBufferAlloc(4), // ttl
+        algorithmName,
+        uint48(timeSigned),
+        uint16(fudge),
+        uint16(error),
+        uint16(otherData.length),
+        otherData
+    ]);
+}
+
+function encodeRecord(name, type, recordClass, ttl, rdata) {
+    const fixed = cloudUtil.createBufferAlloc(10);
+    fixed.writeUInt16BE(type, 0);
+    fixed.writeUInt16BE(recordClass, 2);
+    fixed.writeUInt32BE(ttl, 4);
+    fixed.writeUInt16BE(rdata.length, 8);
+
+    return Buffer.concat([Buffer.isBuffer(name) ? name : encodeName(name), fixed, rdata]);
+}
+
+function encodeName(name) {
+    const labels = stripTrailingDot(name).split('.').filter((label) => {
+        return !!label;
+    });
+    const buffers = [];
+
+    labels.forEach((label) => {
+        const labelBuffer = cloudUtil.createBufferFrom(label);
+        if (labelBuffer.length > 63) {
+            throw new Error(`DNS label too long: ${label}`);
+        }
+        buffers.push(uint8(labelBuffer.length), labelBuffer);
+    });
+    buffers.push(uint8(0));
+
+    return Buffer.concat(buffers);
+}
+
+function stripTrailingDot(name) {
+    return name.endsWith('.') ? name.slice(0, -1) : name;
+}
+
+function uint8(value) {
+    const buffer = cloudUtil.createBufferAlloc(1);
+    buffer.writeUInt8(value, 0);
+    return buffer;
+}
+
+function uint16(value) {
+    const buffer = cloudUtil.createBufferAlloc(2);
+    buffer.writeUInt16BE(value, 0);
+    return buffer;
+}
+
+function uint48(value) {
+    const buffer = cloudUtil.createBufferAlloc(6);
+    buffer.writeUInt16BE(Math.floor(value / 0x100000000), 0);
+    buffer.writeUInt32BE(value % 0x100000000, 2);
+    return buffer;
+}
+
+module.exports = Rfc2136DnsProvider;
@@ -0,0 +1,220 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const q = require('q');
+
+const URI_OPTIONS = ['cert', 'key', 'pfx', 'passphrase', 'ca'];
+
+/**
+ * Helpers for client certificates, CA bundles and certificate pinning
+ *
+ * TLS options are passed around in two forms. Callers which read their configuration
+ * (authn, BigIp.init, BigIq.init, scripts) take URIs:
+ *
+ *     {
+ *         cert: <URI of PEM client certificate>,
+ *         key: <URI of PEM client private key>,
+ *         pfx: <URI of base64 encoded PKCS#12 client certificate and key>,
+ *         passphrase: <URI of passphrase for key or pfx>,
+ *         ca: <URI of PEM CA bundle to validate the server against>,
+ *         fingerprint: <SHA-256 fingerprint of the server certificate>,
+ *         strict: <Boolean - validate the server certificate against the default CA store>
+ *     }
+ *
+ * {@link module:tlsUtil.readTlsOptions} turns these into the loaded form, with the same
+ * keys holding the data itself, which is what {@link IControl} and {@link module:httpUtil} take.
+ *
+ * @module
+ */
+module.exports = {
+    /**
+     * Reads the data for TLS options given as URIs
+     *
+     * @param {Object}  tlsOptions              - TLS options with URIs. See above.
+     * @param {Object}  [options]               - Optional parameters.
+     * @param {Object}  [options.clOptions]     - Command line options if called from a script.
+     * @param {Object}  [options.logger]        - Logger to use. Or, pass loggerOptions to
+     *                                            get your own logger.
+     * @param {Object}  [options.loggerOptions] - Options for the logger.
+     *                                            See {@link module:logger.getLogger} for details.
+     *
+     * @returns {Promise} A promise which is resolved with the loaded TLS options, or undefined if
+     *                    no TLS options were given, or rejected if an error occurs.
+     */
+    readTlsOptions(tlsOptions, options) {
+        if (!this.hasTlsOptions(tlsOptions)) {
+            return q();
+        }
+
+        // Required here because util requires modules which require us
+        const util = require('./util'); // eslint-disable-line global-require
+
+        const loaded = {
+            fingerprint: tlsOptions.fingerprint,
+            strict: !!tlsOptions.strict
+        };
+        const promises = [];
+
+        URI_OPTIONS.forEach((option) => {
+            if (tlsOptions[option]) {
+                promises.push(
+                    util.readData(tlsOptions[option], true, options)
+                        .then((data) => {
+                            if (option === 'pfx') {
+                                loaded[option] = util.createBufferFrom(data, 'base64');
+                            } else if (option === 'passphrase') {
+                                // Passphrase files usually end with a newline
+                                loaded[option] = data.trim();
+                            } else {
+                                loaded[option] = data;
+                            }
+                        })
+                        .catch((err) => {
+                            const message = err && err.message ? err.message : err;
+                            return q.reject(new Error(`Unable to read TLS ${option}: ${message}`));
+                        })
+                );
+            }
+        });
+
+        return q.all(promises)
+            .then(() => {
+                if (loaded.cert && !loaded.key) {
+                    return q.reject(new Error('A client key is required with a client certificate'));
+                }
+                return loaded;
+            });
+    },
+
+    /**
+     * Whether or not any TLS options are set
+     *
+     * @param {Object} [tlsOptions] - TLS options, with URIs or loaded.
+     *
+     * @returns {Boolean} True if any option is set.
+     */
+    hasTlsOptions(tlsOptions) {
+        if (!tlsOptions) {
+            return false;
+        }
+
+        return URI_OPTIONS.concat(['fingerprint', 'strict']).some((option) => {
+            return !!tlsOptions[option];
+        });
+    },
+
+    /**
+     * Whether or not the server certificate will be verified with these options
+     *
+     * @param {Object} [tlsOptions] - TLS options, with URIs or loaded.
+     *
+     * @returns {Boolean} True if the server is validated against a CA or pinned.
+     */
+    isStrict(tlsOptions) {
+        return !!(tlsOptions && (tlsOptions.strict || tlsOptions.ca || tlsOptions.fingerprint));
+    },
+
+    /**
+     * Gets the options to add to an https request
+     *
+     * When the server certificate is pinned and there is no CA bundle, the pin replaces
+     * validation of the certificate chain, so that self-signed certificates can be pinned.
+     * The pin itself is checked by {@link module:tlsUtil.pinCertificate}.
+     *
+     * @param {Object}  [tlsOptions] - Loaded TLS options.
+     * @param {Boolean} strict       - Whether or not to validate the server certificate.
+     *
+     * @returns {Object} Options for https.request.
+     */
+    getRequestOptions(tlsOptions, strict) {
+        const requestOptions = {
+            rejectUnauthorized: strict
+        };
+
+        if (!tlsOptions) {
+            return requestOptions;
+        }
+
+        URI_OPTIONS.forEach((option) => {
+            if (tlsOptions[option]) {
+                requestOptions[option] = tlsOptions[option];
+            }
+        });
+
+        if (tlsOptions.fingerprint && !tlsOptions.ca) {
+            requestOptions.rejectUnauthorized = false;
+        }
+
+        return requestOptions;
+    },
+
+    /**
+     * Checks the server certificate of a request against a SHA-256 fingerprint
+     *
+     * The check is made as soon as the TLS handshake completes, before the request
+     * is sent. If the fingerprint does not match, the request is destroyed with an error.
+     *
+     * @param {Object} request       - Request returned by https.request.
+     * @param {String} [fingerprint] - SHA-256 fingerprint, in hex with or without colons.
+     *                                 Nothing is checked if this is not set.
+     */
+    pinCertificate(request, fingerprint) {
+        if (!fingerprint) {
+            return;
+        }
+
+        request.on('socket', (socket) => {
+            const check = () => {
+                const cert = socket.getPeerCertificate();
+                const actual = cert && cert.raw ? getFingerprint(cert.raw) : '';
+
+                if (actual !== normalizeFingerprint(fingerprint)) {
+                    const err = new Error(`Server certificate fingerprint ${actual} does not match pin`);
+                    err.code = 'CERT_FINGERPRINT_MISMATCH';
+                    request.destroy(err);
+                }
+            };
+
+            // Sockets re-used by an agent have already completed the handshake
+            const peerCert = socket.getPeerCertificate();
+            if (peerCert && Object.keys(peerCert).length > 0) {
+                check();
+            } else {
+                socket.once('secureConnect', check);
+            }
+        });
+    }
+};
+
+/**
+ * Calculates the SHA-256 fingerprint of a certificate
+ *
+ * cert.fingerprint256 would do this for us, but it is not available until node 9.8.
+ *
+ * @param {Buffer} raw - DER encoded certificate.
+ *
+ * @returns {String} The fingerprint, in upper case hex without colons.
+ */
+function getFingerprint(raw) {
+    return crypto.createHash('sha256').update(raw).digest('hex').toUpperCase();
+}
+
+function normalizeFingerprint(fingerprint) {
+    return fingerprint ? fingerprint.replace(/:/g, '').toUpperCase() : '';
+}
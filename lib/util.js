@@ -23,11 +23,14 @@ const path = require('path');
 const childProcess = require('child_process');
 const http = require('http');
 const https = require('https');
+const net = require('net');
 const q = require('q');
 const Logger = require('./logger');
+const eventLog = require('./eventLog');
 const ipc = require('./ipc');
 const signals = require('./signals');
 const cloudProviderFactory = require('./cloudProviderFactory');
+const proxyUtil = require('./proxyUtil');
 
 const REBOOT_SCRIPTS_DIR = '/tmp/rebootScripts/';
 
@@ -57,46 +60,60 @@ let logger = Logger.getLogger({
  */
 module.exports = {
 
+    // Backoff strategies for tryUntil
+    BACKOFF: {
+        FIXED: 'fixed',
+        EXPONENTIAL: 'exponential',
+        EXPONENTIAL_JITTER: 'exponential-jitter'
+    },
+
     // 15 minutes
     DEFAULT_RETRY: {
         maxRetries: 90,
-        retryIntervalMs: 10000
+        retryIntervalMs: 10000,
+        backoff: 'fixed'
     },
 
     // 15 minutes - explicit continue on all error codes
     DEFAULT_RETRY_IGNORE_ERRORS: {
         maxRetries: 90,
         retryIntervalMs: 10000,
+        backoff: 'fixed',
         continueOnError: true
     },
 
     // 1 secondish
     SHORT_RETRY: {
         maxRetries: 3,
-        retryIntervalMs: 300
+        retryIntervalMs: 300,
+        backoff: 'fixed'
     },
 
     // 1 minute
     MEDIUM_RETRY: {
         maxRetries: 30,
-        retryIntervalMs: 2000
+        retryIntervalMs: 2000,
+        backoff: 'fixed'
     },
 
     // 5 minutes, 5 second interval
     LONG_RETRY: {
         maxRetries: 60,
-        retryIntervalMs: 5000
+        retryIntervalMs: 5000,
+        backoff: 'fixed'
     },
 
     // 5 minutes, 1 second interval
     QUICK_BUT_LONG_RETRY: {
         maxRetries: 300,
-        retryIntervalMs: 1000
+        retryIntervalMs: 1000,
+        backoff: 'fixed'
     },
 
     NO_RETRY: {
         maxRetries: 0,
-        retryIntervalMs: 0
+        retryIntervalMs: 0,
+        backoff: 'fixed'
     },
 
     getProduct() {
@@ -123,7 +140,23 @@ module.exports = {
             });
     },
 
+    /**
+     * Converts an IPv4 address to a number
+     *
+     * IPv6 addresses do not fit in a number. Use {@link module:util.compareIps}
+     * to compare or sort addresses of either family.
+     *
+     * @param {String} ip - IPv4 address.
+     *
+     * @returns {Number} The address as a number.
+     *
+     * @throws {Error} If the address is an IPv6 address.
+     */
     ipToNumber(ip) {
+        if (this.getIpFamily(ip) === 6) {
+            throw new Error(`ipToNumber does not support IPv6 addresses (${ip}). Use compareIps.`);
+        }
+
         const d = ip.split('.');
         let n = d[0] * Math.pow(256, 3); // eslint-disable-line no-restricted-properties
         n += d[1] * Math.pow(256, 2); // eslint-disable-line no-restricted-properties
@@ -132,6 +165,130 @@ module.exports = {
         return n;
     },
 
+    /**
+     * Determines the address family of an IP address
+     *
+     * The address may have a route domain (10.0.0.1%1) and/or a prefix
+     * length (10.0.0.0/24, 2001:db8::/64).
+     *
+     * @param {String} address - The address.
+     *
+     * @returns {Number} 4 or 6, or undefined if the address is not a valid IP address.
+     */
+    getIpFamily(address) {
+        if (typeof address !== 'string') {
+            return undefined;
+        }
+
+        const parts = address.split('/');
+        const ip = parts[0].replace(/%\d+$/, '');
+        let family;
+
+        if (parts.length > 2) {
+            return undefined;
+        }
+
+        if (net.isIPv4(ip)) {
+            family = 4;
+        } else if (net.isIPv6(ip)) {
+            family = 6;
+        } else {
+            return undefined;
+        }
+
+        if (parts.length === 2) {
+            const prefixLength = parts[1];
+            if (!/^\d+$/.test(prefixLength) || parseInt(prefixLength, 10) > (family === 4 ? 32 : 128)) {
+                return undefined;
+            }
+        }
+
+        return family;
+    },
+
+    /**
+     * Adds the default prefix length to an address or network which does not have one
+     *
+     * The BIG-IP default route networks (default and default-inet6) are returned as is.
+     *
+     * @param {String} address - The address or network.
+     *
+     * @returns {String} The address with /64 (IPv6) or /24 (otherwise) appended if
+     *                   it did not have a prefix length.
+     */
+    addDefaultPrefixLength(address) {
+        if (address.indexOf('/') !== -1 || address === 'default' || address === 'default-inet6') {
+            return address;
+        }
+
+        return `${address}${this.getIpFamily(address) === 6 ? '/64' : '/24'}`;
+    },
+
+    /**
+     * Compares two IP addresses, for sorting or electing by IP
+     *
+     * IPv4 addresses sort before IPv6 addresses. Within a family, addresses
+     * are compared numerically. Invalid addresses sort after valid ones.
+     *
+     * @param {String} ip1 - First address.
+     * @param {String} ip2 - Second address.
+     *
+     * @returns {Number} A negative number if ip1 sorts first, a positive number if
+     *                   ip2 sorts first, or 0 if they are the same address.
+     */
+    compareIps(ip1, ip2) {
+        const groups1 = ipToGroups(ip1);
+        const groups2 = ipToGroups(ip2);
+
+        if (!groups1 || !groups2) {
+            if (groups1) {
+                return -1;
+            }
+            if (groups2) {
+                return 1;
+            }
+            return String(ip1).localeCompare(String(ip2));
+        }
+
+        for (let i = 0; i < Math.max(groups1.length, groups2.length); i++) {
+            if (groups1[i] !== groups2[i]) {
+                return (groups1[i] || 0) - (groups2[i] || 0);
+            }
+        }
+
+        return 0;
+    },
+
+    /**
+     * Converts an IP address to network byte order, as used in DNS A and AAAA records
+     *
+     * @param {String} ip - IPv4 or IPv6 address.
+     *
+     * @returns {Buffer} A 4 byte (IPv4) or 16 byte (IPv6) buffer, or undefined if
+     *                   the address is not valid.
+     */
+    ipToBuffer(ip) {
+        const groups = ipToGroups(ip);
+
+        if (!groups) {
+            return undefined;
+        }
+
+        if (groups[0] === 4) {
+            const buffer = this.createBufferAlloc(4);
+            groups.slice(1).forEach((octet, index) => {
+                buffer.writeUInt8(octet, index);
+            });
+            return buffer;
+        }
+
+        const buffer = this.createBufferAlloc(16);
+        groups.slice(1).forEach((group, index) => {
+            buffer.writeUInt16BE(group, index * 2);
+        });
+        return buffer;
+    },
+
     setLogger(aLogger) {
         logger = aLogger;
     },
@@ -154,12 +311,35 @@ module.exports = {
      * @param {Integer}          retryOptions.maxRetries               - Number of times to retry if first
      *                                                                   try fails. 0 to not retry.
      *                                                                   Default 60.
-     * @param {Integer}          retryOptions.retryIntervalMs          - Milliseconds between retries.
+     * @param {Integer}          retryOptions.retryIntervalMs          - Milliseconds between retries. For
+     *                                                                   exponential backoff, milliseconds
+     *                                                                   before the first retry.
      *                                                                   Default 10000.
+     * @param {String}           [retryOptions.backoff]                - Backoff strategy. One of
+     *                                                                   {@link module:util.BACKOFF}:
+     *                                                                   fixed, exponential or
+     *                                                                   exponential-jitter (a random
+     *                                                                   delay up to the exponential one).
+     *                                                                   Default fixed.
+     * @param {Number}           [retryOptions.backoffMultiplier]      - Factor by which the interval grows
+     *                                                                   for exponential backoff. Default 2.
+     * @param {Integer}          [retryOptions.maxIntervalMs]          - Cap on the interval for exponential
+     *                                                                   backoff. Default no cap.
+     * @param {Integer}          [retryOptions.deadlineMs]             - Milliseconds from the first try after
+     *                                                                   which no more retries are started.
+     *                                                                   Default no deadline.
      * @param {Boolean}          [retryOptions.continueOnError]        - Continue even if we get an
      *                                                                   HTTP BAD_REQUEST code. Default false.
      * @param {String | RegExp}  [retryOptions.continueOnErrorMessage] - Continue on error if the 400 error
      *                                                                   message matches this regex
+     * @param {Function}         [retryOptions.shouldRetry]            - Called with each error. Return true
+     *                                                                   to retry, false to reject now, or
+     *                                                                   undefined to decide on the 400 rules
+     *                                                                   above. See
+     *                                                                   {@link module:util.getShouldRetry}.
+     * @param {Function}         [retryOptions.onRetry]                - Called with the error and
+     *                                                                   { attempt, delayMs, retriesLeft }
+     *                                                                   before each retry is scheduled.
      * @param {Function}         funcToTry                             - Function to try. Function should
      *                                                                   return a Promise which is later
      *                                                                   resolved or rejected.
@@ -170,9 +350,18 @@ module.exports = {
      *                    if funcToTry is resolved within maxRetries.
      */
     tryUntil(thisArg, retryOptions, funcToTry, args) {
-        let deferred;
+        const deferred = q.defer();
+        const startTime = Date.now();
+        let attempt = 0;
 
         const shouldReject = function (err) {
+            if (retryOptions.shouldRetry) {
+                const shouldRetry = retryOptions.shouldRetry(err);
+                if (typeof shouldRetry !== 'undefined') {
+                    return !shouldRetry;
+                }
+            }
+
             if (err && err.code && err.code === 400) {
                 if (retryOptions.continueOnError) {
                     return false;
@@ -189,8 +378,18 @@ module.exports = {
             return false;
         };
 
-        const tryIt = function tryIt(maxRetries, interval, theFunc, deferredOrNull) {
-            let numRemaining = maxRetries;
+        const rejectWithReason = function (err, reason) {
+            logger.verbose(`${reason[0].toUpperCase()}${reason.slice(1)}.`);
+            const originalMessage = err && err.message ? err.message : 'unknown';
+            const updatedError = {};
+            Object.assign(updatedError, err);
+            updatedError.message = `tryUntil: ${reason}: ${originalMessage}`;
+            updatedError.name = err && err.name ? err.name : '';
+            deferred.reject(updatedError);
+        };
+
+        const tryIt = function tryIt() {
+            const numRemaining = retryOptions.maxRetries - attempt;
             let promise;
 
             const retryOrReject = function (err) {
@@ -203,25 +402,31 @@ module.exports = {
                     logger.verbose('Unrecoverable error from HTTP request. Not retrying.');
                     deferred.reject(err);
                 } else if (numRemaining > 0) {
-                    numRemaining -= 1;
-                    setTimeout(tryIt, interval, numRemaining, interval, theFunc, deferred);
+                    attempt += 1;
+                    const delayMs = getRetryDelay(retryOptions, attempt);
+
+                    const elapsedMs = (Date.now() + delayMs) - startTime;
+                    if (retryOptions.deadlineMs && elapsedMs > retryOptions.deadlineMs) {
+                        rejectWithReason(err, 'deadline reached');
+                        return;
+                    }
+
+                    if (retryOptions.onRetry) {
+                        try {
+                            retryOptions.onRetry(err, { attempt, delayMs, retriesLeft: numRemaining - 1 });
+                        } catch (hookErr) {
+                            logger.debug('tryUntil: onRetry failed:', hookErr.message);
+                        }
+                    }
+
+                    setTimeout(tryIt, delayMs);
                 } else {
-                    logger.verbose('Max tries reached.');
-                    const originalMessage = err && err.message ? err.message : 'unknown';
-                    const updatedError = {};
-                    Object.assign(updatedError, err);
-                    updatedError.message = `tryUntil: max tries reached: ${originalMessage}`;
-                    updatedError.name = err && err.name ? err.name : '';
-                    deferred.reject(updatedError);
+                    rejectWithReason(err, 'max tries reached');
                 }
             };
 
-            if (!deferredOrNull) {
-                deferred = q.defer();
-            }
-
             try {
-                promise = theFunc.apply(thisArg, args)
+                promise = funcToTry.apply(thisArg, args)
                     .then((response) => {
                         deferred.resolve(response);
                     })
@@ -232,7 +437,7 @@ module.exports = {
                         if (err) {
                             message = err.message ? err.message : err;
                         }
-                        logger.verbose('tryUntil error:', message, 'tries left:', maxRetries.toString());
+                        logger.verbose('tryUntil error:', message, 'tries left:', numRemaining.toString());
                         retryOrReject(err);
                     });
 
@@ -243,11 +448,49 @@ module.exports = {
             } catch (err) {
                 retryOrReject(err);
             }
-
-            return deferred.promise;
         };
 
-        return tryIt(retryOptions.maxRetries, retryOptions.retryIntervalMs, funcToTry);
+        tryIt();
+        return deferred.promise;
+    },
+
+    /**
+     * Gets a shouldRetry function for {@link module:util.tryUntil} which classifies errors by code
+     *
+     * For example, to never retry auth and not found errors but always retry dropped
+     * connections and unavailable services:
+     *
+     *     util.getShouldRetry({
+     *         neverRetry: [401, 403, 404],
+     *         alwaysRetry: ['ECONNRESET', 503]
+     *     })
+     *
+     * Errors with other codes are left to the default rules.
+     *
+     * @param {Object}   options               - Classification of error codes.
+     * @param {Array}    [options.neverRetry]  - Error codes (err.code) for which not to retry.
+     * @param {Array}    [options.alwaysRetry] - Error codes (err.code) for which to always retry.
+     *
+     * @returns {Function} Function which takes an error and returns true, false or undefined.
+     */
+    getShouldRetry(options) {
+        const neverRetry = options && options.neverRetry ? options.neverRetry : [];
+        const alwaysRetry = options && options.alwaysRetry ? options.alwaysRetry : [];
+
+        return function shouldRetry(err) {
+            const code = err ? err.code : undefined;
+
+            if (typeof code === 'undefined') {
+                return undefined;
+            }
+            if (neverRetry.indexOf(code) !== -1) {
+                return false;
+            }
+            if (alwaysRetry.indexOf(code) !== -1) {
+                return true;
+            }
+            return undefined;
+        };
     },
 
     /**
@@ -261,6 +504,8 @@ module.exports = {
      *                                  arguments: Array of arguments to pass to the function,
      *                                  message: An optional message to display at the start of this promise
      *                              }
+     *                              If an event log run has been started (see {@link module:eventLog}), each
+     *                              call is recorded as a step named by its message.
      * @param {Integer}  [delay]  - Delay in milliseconds to use between calls.
      */
     callInSerial(thisArg, promises, delay) {
@@ -279,7 +524,12 @@ module.exports = {
                 logger.info(promises[index].message);
             }
 
-            promises[index].promise.apply(thisArg, promises[index].arguments)
+            let func = promises[index].promise;
+            if (eventLog.isStarted()) {
+                func = eventLog.step(promises[index].message || func.name || `call ${index + 1}`, func);
+            }
+
+            func.apply(thisArg, promises[index].arguments)
                 .then((response) => {
                     results.push(response);
 
@@ -332,6 +582,22 @@ module.exports = {
         return new Buffer(data, encoding || 'utf8');
     },
 
+    /**
+     * Create a zero filled buffer.
+     * Buffer.alloc() is used in versions of NodeJS that support it (see createBufferFrom).
+     *
+     * @param {Number} size - size of the buffer in bytes
+     */
+    createBufferAlloc(size) {
+        if (typeof Buffer.alloc === 'function') {
+            return Buffer.alloc(size);
+        }
+        // eslint-disable-next-line
+        const buffer = new Buffer(size);
+        buffer.fill(0);
+        return buffer;
+    },
+
     /**
      * Log a message and exit.
      *
@@ -720,6 +986,24 @@ module.exports = {
         return collection;
     },
 
+    /**
+     * Parses a comma separated list
+     *
+     * Typically used by the option parser for options which
+     * take an ordered list of values.
+     *
+     * Leading and trailing spaces are removed from the values
+     *
+     * @param {String} val - The comma separated list
+     *
+     * @returns {String[]} The values in the list
+     */
+    list(val) {
+        return val.split(',').map((value) => {
+            return value.trim();
+        });
+    },
+
     /**
      * Parses a ':' deliminated key-value pair and stores them
      * in a container.
@@ -929,7 +1213,9 @@ module.exports = {
     /**
     * Disambiguates data that is either raw data or in a URI.
     *
-    * @param {String}  dataOrUri               - Data URI (file, http, https, AWS arn) to
+    * @param {String}  dataOrUri               - Data URI (file, http, https, or a storage URI
+    *                                            matched by a provider registered with
+    *                                            {@link module:cloudProviderFactory}) to
     *                                            location containing data.
     * @param {Boolean} dataIsUri               - Indicates that password is a URI for the password
     * @param {Object}  [options]               - Optional parameters.
@@ -996,7 +1282,8 @@ module.exports = {
     /**
      * Gets data from a URL.
      *
-     * Only file, http, https URLs are supported for now.
+     * Only file, http, https URLs are supported for now. http and https requests
+     * go through the proxy, if any. See {@link module:proxyUtil}.
      *
      * @param {String}   url               - URL from which to get the data. Only
      *                                       file, http, https URLs are supported for now.
@@ -1026,6 +1313,7 @@ module.exports = {
                 requestOptions.hostname = parsedUrl.hostname;
                 requestOptions.port = parsedUrl.port;
                 requestOptions.path = parsedUrl.pathname + (parsedUrl.search ? parsedUrl.search : '');
+                proxyUtil.addProxyOptions(url, requestOptions);
 
                 executor.get(requestOptions, (response) => {
                     const statusCode = response.statusCode;
@@ -1072,6 +1360,8 @@ module.exports = {
     /**
      * Downloads a file from a URL
      *
+     * The request goes through the proxy, if any. See {@link module:proxyUtil}.
+     *
      * @param {String} url - URL to download from
      *
      * @returns {Promise} A promise which is resolved with the file name the file was downloaded to
@@ -1091,10 +1381,26 @@ module.exports = {
             return deferred.promise;
         }
 
+        let requestOptions;
+        try {
+            requestOptions = proxyUtil.addProxyOptions(
+                url,
+                {
+                    protocol: parsedUrl.protocol,
+                    hostname: parsedUrl.hostname,
+                    port: parsedUrl.port,
+                    path: parsedUrl.path
+                }
+            );
+        } catch (err) {
+            deferred.reject(err);
+            return deferred.promise;
+        }
+
         const fileName = `/tmp/f5-cloud-libs_'${Date.now()}`;
         const file = fs.createWriteStream(fileName);
 
-        executor.get(url, (response) => {
+        executor.get(requestOptions, (response) => {
             response.pipe(file);
             file.on('finish', () => {
                 file.close(() => {
@@ -1399,6 +1705,35 @@ module.exports = {
 
 };
 
+/**
+ * Gets the delay before a retry in tryUntil
+ *
+ * @param {Object}  retryOptions - Retry options passed to tryUntil.
+ * @param {Integer} attempt      - Which retry this is, starting at 1.
+ *
+ * @returns {Integer} Milliseconds to wait before the retry.
+ */
+function getRetryDelay(retryOptions, attempt) {
+    const interval = retryOptions.retryIntervalMs || 0;
+    const backoff = retryOptions.backoff || module.exports.BACKOFF.FIXED;
+
+    if (backoff === module.exports.BACKOFF.FIXED) {
+        return interval;
+    }
+
+    const multiplier = retryOptions.backoffMultiplier || 2;
+    let delay = interval * Math.pow(multiplier, attempt - 1); // eslint-disable-line no-restricted-properties
+    if (retryOptions.maxIntervalMs) {
+        delay = Math.min(delay, retryOptions.maxIntervalMs);
+    }
+
+    if (backoff === module.exports.BACKOFF.EXPONENTIAL_JITTER) {
+        delay *= Math.random();
+    }
+
+    return Math.round(delay);
+}
+
 /**
  * Copies all the saved arguments (from saveArgs) to the startup file
  * so that when the box reboots, the arguments are executed.
@@ -1468,3 +1803,47 @@ function prepareArgsForReboot() {
 
     return deferred.promise;
 }
+
+/**
+ * Splits an address into comparable numbers, starting with its family
+ * (IPv4 octets or expanded IPv6 groups). Returns undefined for invalid addresses.
+ */
+function ipToGroups(address) {
+    const family = module.exports.getIpFamily(address);
+    const ip = family ? address.split('/')[0].replace(/%\d+$/, '') : undefined;
+
+    if (family === 4) {
+        return [4].concat(ip.split('.').map((octet) => {
+            return parseInt(octet, 10);
+        }));
+    }
+
+    if (family === 6) {
+        const toGroups = function (part) {
+            const groups = [];
+            if (!part) {
+                return groups;
+            }
+            part.split(':').forEach((group) => {
+                // embedded IPv4 (::ffff:10.0.0.1) is 2 groups
+                if (group.indexOf('.') !== -1) {
+                    const octets = group.split('.').map((octet) => {
+                        return parseInt(octet, 10);
+                    });
+                    groups.push((octets[0] * 256) + octets[1], (octets[2] * 256) + octets[3]);
+                } else {
+                    groups.push(parseInt(group, 16));
+                }
+            });
+            return groups;
+        };
+
+        const halves = ip.split('::');
+        const head = toGroups(halves[0]);
+        const tail = halves.length > 1 ? toGroups(halves[1]) : [];
+        const zeros = new Array(8 - head.length - tail.length).fill(0);
+        return [6].concat(head, zeros, tail);
+    }
+
+    return undefined;
+}
@@ -20,6 +20,8 @@ const fs = require('fs');
 const q = require('q');
 const CloudProvider = require('../lib/cloudProvider');
 const util = require('../lib/util');
+const eventLog = require('../lib/eventLog');
+const proxyUtil = require('../lib/proxyUtil');
 const cryptoUtil = require('../lib/cryptoUtil');
 const childProcess = require('child_process');
 
@@ -47,6 +49,14 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
     const UCS_BACKUP_DIRECTORY = '/var/local/ucs';
     const DEFAULT_AUTOSCALE_TIMEOUT_IN_MINUTES = 10;
 
+    // --dns-ip-type values and the instance field each one uses
+    const DNS_IP_TYPES = {
+        public: 'publicIp',
+        private: 'privateIp',
+        'public-ipv6': 'publicIpv6',
+        'private-ipv6': 'privateIpv6'
+    };
+
     let logger;
 
     const runner = {
@@ -78,6 +88,9 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
             const loggerOptions = {};
             const providerOptions = {};
             const dnsProviderOptions = {};
+            const dnsMemberRatios = {};
+            const dnsMemberOrders = {};
+            const dnsDisabledMembers = [];
             const optionsForTest = {};
 
             let externalTag = {};
@@ -97,9 +110,17 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
             try {
                 /* eslint-disable max-len */
                 const options = commonOptions.getCommonOptions(DEFAULT_LOG_FILE)
+                    .option(
+                        '--event-log <file>',
+                        'Append structured JSON line events (step started/finished/failed) to file.'
+                    )
+                    .option(
+                        '--run-report <file>',
+                        'Write a JSON report of the outcome of each step to file when the script finishes.'
+                    )
                     .option(
                         '--cloud <cloud_provider>',
-                        'Cloud provider (aws | azure | etc.)'
+                        'Cloud provider (aws | azure | local | etc.)'
                     )
                     .option(
                         '--provider-options <cloud_options>',
@@ -173,7 +194,8 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                     )
                     .option(
                         '    --license-pool-name <pool_name>',
-                        '    Name of BIG-IQ license pool.'
+                        '    Name of BIG-IQ license pool. For fallback pools, use a comma separated list of pools to try in order.',
+                        util.list
                     )
                     .option(
                         '    --big-ip-mgmt-address <big_ip_address>',
@@ -189,11 +211,11 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                     )
                     .option(
                         '--dns <dns_provider>',
-                        '    Update the specified DNS provider when autoscaling occurs (gtm is the only current provider)'
+                        '    Update the specified DNS provider when autoscaling occurs (gtm | rfc2136)'
                     )
                     .option(
                         '    --dns-ip-type <address_type>',
-                        '    Type of ip address to use (public | private).'
+                        '    Type of ip address to use (public | private | public-ipv6 | private-ipv6).'
                     )
                     .option(
                         '    --dns-app-port <port>',
@@ -205,6 +227,24 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         util.map,
                         dnsProviderOptions
                     )
+                    .option(
+                        '    --dns-member-ratio <hostname:ratio>',
+                        '    Ratio for the DNS pool member of the instance with the given hostname (gtm only). For multiple instances, use multiple --dns-member-ratio entries.',
+                        util.pair,
+                        dnsMemberRatios
+                    )
+                    .option(
+                        '    --dns-member-order <hostname:order>',
+                        '    Order for the DNS pool member of the instance with the given hostname (gtm only). For multiple instances, use multiple --dns-member-order entries.',
+                        util.pair,
+                        dnsMemberOrders
+                    )
+                    .option(
+                        '    --dns-disabled-member <hostname>',
+                        '    Disable the DNS virtual server and pool member of the instance with the given hostname (gtm only). For multiple instances, use multiple --dns-disabled-member entries.',
+                        util.collect,
+                        dnsDisabledMembers
+                    )
                     .option(
                         '--max-ucs-files <max_ucs_files_to_save>',
                         'When running cluster action backup-ucs, maximum number of backup files to keep.',
@@ -233,6 +273,9 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
 
                 logger = Logger.getLogger(loggerOptions);
                 util.setLoggerOptions(loggerOptions);
+                eventLog.setLoggerOptions(loggerOptions);
+                proxyUtil.setLoggerOptions(loggerOptions);
+                proxyUtil.setProxy(options.proxy, { noProxy: options.proxyBypass });
                 cryptoUtil.setLoggerOptions(loggerOptions);
 
                 // Remove specific options with no provided value
@@ -267,6 +310,8 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                 }
                 logger.info(`${loggableArgs[1]} called with`, loggableArgs.join(' '));
 
+                eventLog.start('autoscale', { fileName: options.eventLog, reportFile: options.runReport });
+
                 // Get the concrete autoscale provider instance
                 cloudProvider = optionsForTest.cloudProvider;
                 if (!cloudProvider) {
@@ -292,24 +337,24 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
 
                 // Save args in restart script in case we need to reboot to recover from an error
                 util.saveArgs(argv, ARGS_FILE_ID)
-                    .then(() => {
+                    .then(eventLog.step('wait-for-signal', () => {
                         if (options.waitFor) {
                             logger.info('Waiting for', options.waitFor);
                             return ipc.once(options.waitFor);
                         }
                         return q();
-                    })
+                    }))
                     .then(() => {
                         // Whatever we're waiting for is done, so don't wait for
                         // that again in case of a reboot
                         return util.saveArgs(argv, ARGS_FILE_ID, ['--wait-for']);
                     })
-                    .then(() => {
+                    .then(eventLog.step('check-running-processes', () => {
                         if (options.clusterAction === 'join' || options.clusterAction === 'update') {
                             return getAutoscaleProcessInfo();
                         }
                         return q();
-                    })
+                    }))
                     .then((results) => {
                         // Stop processing if there is an other running Autoscale process
                         // with cluster action of join or update
@@ -329,24 +374,25 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         }
                         return q();
                     })
-                    .then(() => {
+                    .then(eventLog.step('init-cloud-provider', () => {
                         logger.info('Initializing autoscale provider');
                         return cloudProvider.init(providerOptions, { autoscale: true });
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('init-dns-provider', () => {
                         if (options.dns) {
                             logger.info('Initializing DNS provider');
                             return dnsProvider.init(dnsProviderOptions);
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('get-instance-id', () => {
                         logger.info('Getting this instance ID.');
                         return cloudProvider.getInstanceId();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('get-instances', (response) => {
                         logger.debug('This instance ID:', response);
                         this.instanceId = response;
+                        eventLog.setInstanceId(response);
 
                         logger.info('Getting info on all instances.');
                         if (Object.keys(externalTag).length === 0) {
@@ -356,7 +402,7 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                             externalTag,
                             instanceId: response
                         });
-                    })
+                    }))
                     .then((response) => {
                         this.instances = response || {};
                         logger.debug('instances:', this.instances);
@@ -395,7 +441,13 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                             {
                                 port: options.port,
                                 passwordIsUrl: typeof options.passwordUrl !== 'undefined',
-                                passwordEncrypted: options.passwordEncrypted
+                                passwordEncrypted: options.passwordEncrypted,
+                                tokenAuth: options.tokenAuth,
+                                loginProviderName: options.loginProviderName,
+                                tokenTimeout: options.tokenTimeout,
+                                maxConcurrentRequests: options.maxConcurrentRequests,
+                                requestTimeoutMs: options.requestTimeoutMs,
+                                tls: commonOptions.getTlsOptions(options)
                             }
                         );
                     })
@@ -406,12 +458,12 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         this.instance.hostname = globalSettings.hostname;
                         return cloudProvider.putInstance(this.instanceId, this.instance);
                     })
-                    .then(() => {
+                    .then(eventLog.step('cloud-provider-ready', () => {
                         return cloudProvider.bigIpReady();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('device-info', () => {
                         return bigIp.deviceInfo();
-                    })
+                    }))
                     .then((response) => {
                         this.instance.machineId = response.machineId; // we need this for revoke on BIG-IQ 5.3
                         this.instance.macAddress = response.hostMac; // we need this for revoke on BIG-IQ 5.4
@@ -419,7 +471,7 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         markVersions(this.instances);
                         return cloudProvider.putInstance(this.instanceId, this.instance);
                     })
-                    .then(() => {
+                    .then(eventLog.step('determine-primary', () => {
                         let status = CloudProvider.STATUS_UNKNOWN;
 
                         logger.info('Determining primary instance id.');
@@ -454,7 +506,7 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         }
 
                         return updatePrimaryStatus.call(this, cloudProvider, status);
-                    })
+                    }))
                     .then(() => {
                         // If the primary is not visible, check to see if it's been gone
                         // for a while or if this is a random error
@@ -474,7 +526,7 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         logger.info('No primary ID found.');
                         return q();
                     })
-                    .then((validPrimary) => {
+                    .then(eventLog.step('elect-primary', (validPrimary) => {
                         logger.silly(
                             'validPrimary:',
                             validPrimary,
@@ -504,7 +556,7 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                             return cloudProvider.electPrimary(this.instances);
                         }
                         return q();
-                    })
+                    }))
                     .then((response) => {
                         const now = new Date();
 
@@ -542,12 +594,12 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         }
                         return q();
                     })
-                    .then(() => {
+                    .then(eventLog.step('become-primary', () => {
                         if (this.instance.isPrimary && newPrimary) {
                             return becomePrimary.call(this, cloudProvider, bigIp, options);
                         }
                         return q();
-                    })
+                    }))
                     .then((response) => {
                         if (
                             this.instance.status === AutoscaleInstance.INSTANCE_STATUS_BECOMING_PRIMARY &&
@@ -561,19 +613,19 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                         }
                         return q();
                     })
-                    .then(() => {
+                    .then(eventLog.step('primary-elected', () => {
                         if (primaryIid && this.instance.status === AutoscaleInstance.INSTANCE_STATUS_OK) {
                             return cloudProvider.primaryElected(primaryIid);
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('tag-primary', () => {
                         if (primaryIid && this.instance.status === AutoscaleInstance.INSTANCE_STATUS_OK) {
                             return cloudProvider.tagPrimaryInstance(primaryIid, this.instances);
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('cluster-action', () => {
                         let message;
                         if (this.instance.status === AutoscaleInstance.INSTANCE_STATUS_OK) {
                             switch (options.clusterAction) {
@@ -590,7 +642,10 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                                 logger.info('Cluster action update');
                                 return bigIp.deviceState(this.instance.hostname)
                                     .then((response) => {
-                                        if (response && response.configsyncIp !== this.instance.privateIp) {
+                                        if (response
+                                            && util.compareIps(
+                                                response.configsyncIp, this.instance.privateIp
+                                            ) !== 0) {
                                             return bigIp.cluster.configSyncIp(this.instance.privateIp);
                                         }
                                         return q();
@@ -632,8 +687,8 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                             logger.debug('Instance status not OK. Waiting.', this.instance.status);
                             return q();
                         }
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('handle-messages', () => {
                         if (this.instance.status === AutoscaleInstance.INSTANCE_STATUS_OK) {
                             if (cloudProvider.hasFeature(CloudProvider.FEATURE_MESSAGING)
                                 && (options.clusterAction === 'join' || options.clusterAction === 'update')) {
@@ -644,8 +699,8 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
                             logger.debug('Instance status not OK. Waiting.', this.instance.status);
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('update-dns', () => {
                         if (options.dns
                             && (options.clusterAction === 'join' || options.clusterAction === 'update')) {
                             logger.info('Updating DNS');
@@ -654,32 +709,66 @@ const BACKUP = require('../lib/sharedConstants').BACKUP;
 
                             Object.keys(this.instances).forEach((instanceId) => {
                                 const instance = this.instances[instanceId];
-                                const ip =
-                                    (options.dnsIpType === 'public' ? instance.publicIp : instance.privateIp);
+                                const ip = instance[DNS_IP_TYPES[options.dnsIpType] || 'privateIp'];
 
                                 if (instance.hostname) {
-                                    instancesForDns.push(
-                                        {
-                                            ip,
-                                            name: instance.hostname,
-                                            port: options.dnsAppPort
-                                        }
-                                    );
+                                    const instanceForDns = {
+                                        ip,
+                                        name: instance.hostname,
+                                        port: options.dnsAppPort
+                                    };
+
+                                    if (dnsMemberRatios[instance.hostname]) {
+                                        instanceForDns.ratio = dnsMemberRatios[instance.hostname];
+                                    }
+
+                                    if (dnsMemberOrders[instance.hostname]) {
+                                        instanceForDns.order = dnsMemberOrders[instance.hostname];
+                                    }
+
+                                    if (dnsDisabledMembers.indexOf(instance.hostname) !== -1) {
+                                        instanceForDns.enabled = false;
+                                    }
+
+                                    instancesForDns.push(instanceForDns);
                                 }
                             });
-                            return dnsProvider.update(instancesForDns);
+                            return dnsProvider.update(instancesForDns)
+                                .then(() => {
+                                    // Don't pass the update summary on - done treats it as an error
+                                    return q();
+                                });
                         }
                         return q();
-                    })
+                    }))
                     .catch((err) => {
                         if (err && err.code && err.message) {
                             logger.error('autoscaling error code:', err.code, 'message:', err.message);
                         } else {
                             logger.error('autoscaling error:', err && err.message ? err.message : err);
                         }
+                        eventLog.finish(err || new Error('unknown reason'));
                         return err;
                     })
+                    .then((err) => {
+                        if (!bigIp) {
+                            return err;
+                        }
+
+                        bigIp.logRequestStats(logger);
+                        return bigIp.logout()
+                            .catch((logoutErr) => {
+                                logger.warn(
+                                    'Logout failed:',
+                                    logoutErr && logoutErr.message ? logoutErr.message : logoutErr
+                                );
+                            })
+                            .then(() => {
+                                return err;
+                            });
+                    })
                     .done((err) => {
+                        eventLog.finish();
                         util.deleteArgs(ARGS_FILE_ID);
 
                         if (cb) {
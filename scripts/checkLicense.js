@@ -0,0 +1,242 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+const options = require('commander');
+const path = require('path');
+const fs = require('fs');
+
+const LOG_ID = 'checkLicense.js';
+
+const util = require('../lib/util');
+const BigIp = require('../lib/bigIp');
+const Logger = require('../lib/logger');
+
+(function run() {
+    const runner = {
+        /**
+         * Runs the check license script
+         *
+         * @param {String[]} argv - The process arguments
+         * @param {Object}   testOpts - Options used during testing
+         * @param {Object}   testOpts.bigIp - BigIp object to use for testing
+         * @param {Function} cb - Optional cb to call when done
+         */
+        run(argv, testOpts, cb) {
+            const DEFAULT_LOG_FILE = '/var/log/cloudlibs/checkLicense.log';
+            const REQUIRED_OPTIONS = ['host', 'user'];
+            const REQUIRED_UNIQUE_OPTIONS = [['password', 'passwordUrl']];
+            const KEYS_TO_MASK = ['-p', '--password'];
+
+            const loggerOptions = {};
+            const optionsForTest = {};
+
+            let bigIp;
+            let loggableArgs;
+
+            Object.assign(optionsForTest, testOpts);
+
+            try {
+                /* eslint-disable max-len */
+                options
+                    .version('4.22.0')
+                    .option(
+                        '--host <ip_address>',
+                        'BIG-IP management IP to which to send commands. Default localhost.', 'localhost'
+                    )
+                    .option(
+                        '-u, --user <user>',
+                        'BIG-IP admin user name.'
+                    )
+                    .option(
+                        '-p, --password [password]',
+                        'BIG-IP admin user password. Use this or --password-url.'
+                    )
+                    .option(
+                        '--password-url [password_url]',
+                        'URL (file, http(s)) to location that contains BIG-IP admin user password. Use this or --password.'
+                    )
+                    .option(
+                        '--password-encrypted',
+                        'Indicates that the password is encrypted (either with encryptDataToFile or generatePassword)'
+                    )
+                    .option(
+                        '--port <port>',
+                        'BIG-IP management SSL port to connect to. Default 443.',
+                        parseInt
+                    )
+                    .option(
+                        '--warning-days <days>',
+                        'Warn when a license expiry date is within this many days. Default 30.',
+                        (days) => {
+                            return parseInt(days, 10);
+                        },
+                        30
+                    )
+                    .option(
+                        '--fail-on-warning',
+                        'Exit with a non-zero status if any license expiry date is within the warning window or can not be read.'
+                    )
+                    .option(
+                        '--log-level <level>',
+                        'Log level (none, error, warn, info, verbose, debug, silly). Default is info.', 'info'
+                    )
+                    .option(
+                        '-o, --output <file>',
+                        `Log to file. Default is ${DEFAULT_LOG_FILE}`, DEFAULT_LOG_FILE
+                    )
+                    .option(
+                        'console',
+                        'Log to console. Default false (log to file only).'
+                    )
+                    .parse(argv);
+                /* eslint-enable max-len */
+
+                loggerOptions.console = options.console;
+                loggerOptions.logLevel = options.logLevel;
+                loggerOptions.fileName = options.output;
+                loggerOptions.module = module;
+
+                if (loggerOptions.fileName) {
+                    const dirName = path.dirname(loggerOptions.fileName);
+                    if (!fs.existsSync(dirName)) {
+                        fs.mkdirSync(dirName);
+                    }
+                }
+
+                this.logger = Logger.getLogger(loggerOptions);
+                util.setLoggerOptions(loggerOptions);
+
+                // Log the input, but don't log passwords
+                loggableArgs = argv.slice();
+                for (let i = 0; i < loggableArgs.length; i++) {
+                    if (KEYS_TO_MASK.indexOf(loggableArgs[i]) !== -1) {
+                        loggableArgs[i + 1] = '*******';
+                    }
+                }
+                this.logger.info(LOG_ID, `${loggableArgs[1]} called with`, loggableArgs.join(' '));
+
+                for (let i = 0; i < REQUIRED_OPTIONS.length; i++) {
+                    if (!options[REQUIRED_OPTIONS[i]]) {
+                        util.logAndExit(
+                            `${REQUIRED_OPTIONS[i]} is a required command line option.`,
+                            'error',
+                            1
+                        );
+                        return;
+                    }
+                }
+
+                for (let i = 0; i < REQUIRED_UNIQUE_OPTIONS.length; i++) {
+                    const foundOpts = Object.keys(options).filter((opt) => {
+                        return REQUIRED_UNIQUE_OPTIONS[i].indexOf(opt) > -1;
+                    });
+                    if (foundOpts.length !== 1) {
+                        const opts = (foundOpts.length > 0 ? foundOpts : REQUIRED_UNIQUE_OPTIONS[i]);
+                        util.logAndExit(
+                            `Must include ${foundOpts.length > 1 ? 'only ' : ''}one of the `
+                            + `following command line options: ${opts.join(', ')}`,
+                            'error',
+                            1
+                        );
+                        return;
+                    }
+                }
+
+                if (Number.isNaN(options.warningDays) || options.warningDays < 0) {
+                    util.logAndExit('warning-days must be a non-negative number', 'error', 1);
+                    return;
+                }
+
+                bigIp = optionsForTest.bigIp || new BigIp({ loggerOptions });
+
+                this.logger.info(LOG_ID, 'Initializing BIG-IP.');
+                bigIp.init(
+                    options.host,
+                    options.user,
+                    options.password || options.passwordUrl,
+                    {
+                        port: options.port,
+                        passwordIsUrl: typeof options.passwordUrl !== 'undefined',
+                        passwordEncrypted: options.passwordEncrypted
+                    }
+                )
+                    .then(() => {
+                        this.logger.info(LOG_ID, 'Checking license expiry.');
+                        return bigIp.checkLicenseExpiry({ warningDays: options.warningDays });
+                    })
+                    .then((report) => {
+                        console.log(JSON.stringify(report)); // eslint-disable-line no-console
+
+                        if (!report.license) {
+                            return q.reject(new Error('BIG-IP is not licensed'));
+                        }
+
+                        if (!report.ok && options.failOnWarning) {
+                            const names = report.expiring.map((expiring) => {
+                                let name = expiring.name;
+                                if (expiring.key) {
+                                    name += ` ${expiring.key}`;
+                                }
+                                return expiring.invalid ? `${name} (invalid date)` : name;
+                            });
+                            return q.reject(new Error(`License expiring: ${names.join(', ')}`));
+                        }
+
+                        return q();
+                    })
+                    .catch((err) => {
+                        if (err && err.code && err.message) {
+                            this.logger.error(LOG_ID, 'error code:', err.code, 'message:', err.message);
+                        } else {
+                            this.logger.error(LOG_ID, 'error:', err && err.message ? err.message : err);
+                        }
+                        return err;
+                    })
+                    .done((err) => {
+                        if (cb) {
+                            cb(err);
+                        }
+
+                        // Exit so that any listeners don't keep us alive
+                        util.logAndExit(
+                            err ? `checkLicense failed: ${err.message}` : 'checkLicense finished.',
+                            err ? 'error' : undefined,
+                            err ? 1 : 0
+                        );
+                    });
+            } catch (err) {
+                if (this.logger) {
+                    this.logger.error(LOG_ID, 'error:', err && err.message ? err.message : err);
+                }
+
+                if (cb) {
+                    cb();
+                }
+            }
+        }
+    };
+
+    module.exports = runner;
+
+    // If we're called from the command line, run
+    // This allows for test code to call us as a module
+    if (!module.parent) {
+        runner.run(process.argv);
+    }
+}());
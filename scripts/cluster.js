@@ -24,6 +24,8 @@ const cloudProviderFactory = require('../lib/cloudProviderFactory');
 const ipc = require('../lib/ipc');
 const signals = require('../lib/signals');
 const util = require('../lib/util');
+const eventLog = require('../lib/eventLog');
+const proxyUtil = require('../lib/proxyUtil');
 const commonOptions = require('./commonOptions');
 const localCryptoUtil = require('../lib/localCryptoUtil');
 
@@ -35,6 +37,7 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
          * @param {String[]} argv - The process arguments
          * @param {Object}   testOpts - Options used during testing
          * @param {Object}   testOpts.bigIp - BigIp object to use for testing
+         * @param {Object}   testOpts.nodeProvider - Node provider to use for --member-uri testing
          * @param {Function} cb - Optional cb to call when done
          */
         run(argv, testOpts, cb) {
@@ -43,6 +46,24 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
             const KEYS_TO_MASK = ['-p', '--password', '--remote-password'];
             const REQUIRED_OPTIONS = ['host', 'user'];
 
+            const STATUS_CONFLICTING_OPTIONS = [
+                'createGroup',
+                'joinGroup',
+                'bootstrapGroup',
+                'removeFromCluster',
+                'replaceMember',
+                'configSyncIp',
+                'failoverAddress',
+                'multicastInterface',
+                'mirrorIp',
+                'mirrorSecondaryIp',
+                'bigIqFailoverPeerIp',
+                'primary',
+                'trafficGroup',
+                'deleteTrafficGroup',
+                'failover'
+            ];
+
             const OPTIONS_TO_UNDEFINE = [
                 'remotePassword',
                 'remotePasswordUrl',
@@ -60,7 +81,7 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
             let logFileName;
             let bigIp;
             let rebooting;
-            let exiting;
+            let failure;
 
             let bigIqPasswordData = {};
 
@@ -69,17 +90,60 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
             try {
                 /* eslint-disable max-len */
                 const options = commonOptions.getCommonOptions(DEFAULT_LOG_FILE)
+                    .option(
+                        '--event-log <file>',
+                        'Append structured JSON line events (step started/finished/failed) to file.'
+                    )
+                    .option(
+                        '--run-report <file>',
+                        'Write a JSON report of the outcome of each step to file when the script finishes.'
+                    )
+                    .option(
+                        '--dry-run',
+                        'Do not make any changes. Log the ordered list of requests that would have been made (passwords masked) instead. Devices are still read from and no reboot is done.'
+                    )
+                    .option(
+                        '--status',
+                        'Print a JSON report of the health of the cluster (trust domain, device groups, sync status, failover and traffic group state) and exit. No changes are made.'
+                    )
                     .option(
                         '--config-sync-ip <config_sync_ip>',
                         'IP address for config sync.'
                     )
+                    .option(
+                        '--failover-address <address>',
+                        'Unicast network failover address (ip or ip:port, [ipv6]:port for IPv6 with a port. Default port 1026). For multiple addresses, use multiple --failover-address entries.',
+                        util.collect,
+                        []
+                    )
+                    .option(
+                        '--multicast-interface <interface>',
+                        'Interface for multicast network failover (none to disable) with the options:'
+                    )
+                    .option(
+                        '    --multicast-ip <multicast_ip>',
+                        '    Multicast address. Default 224.0.0.245.'
+                    )
+                    .option(
+                        '    --multicast-port <multicast_port>',
+                        '    Multicast port. Default 62960.',
+                        parseInt
+                    )
+                    .option(
+                        '--mirror-ip <mirror_ip>',
+                        'IP address for primary connection mirroring.'
+                    )
+                    .option(
+                        '--mirror-secondary-ip <mirror_secondary_ip>',
+                        'IP address for secondary connection mirroring.'
+                    )
                     .option(
                         '--big-iq-failover-peer-ip <peer_ip>',
                         'If configuring a BIG-IQ failover primary, this is the management IP address for the secondary'
                     )
                     .option(
                         '--cloud <provider>',
-                        'Cloud provider (aws | azure | etc.). Optionally use this if passwords are stored in cloud storage. This replaces the need for --remote-user/--remote-password(-url). An implemetation of cloudProvider must exist at the correct location.'
+                        'Cloud provider (aws | azure | local | etc.). Optionally use this if passwords are stored in cloud storage. This replaces the need for --remote-user/--remote-password(-url). An implemetation of cloudProvider must exist at the correct location.'
                     )
                     .option(
                         '   --big-iq-password-data-uri <key_uri>',
@@ -170,6 +234,89 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                         '    --sync',
                         '    Tell the remote to sync to us after joining the group.'
                     )
+                    .option(
+                        '--bootstrap-group',
+                        'Create a device group on this device and add all of the members to it, in parallel, with the options (--remote-user, --remote-password(-url), --remote-port and the --create-group options also apply):'
+                    )
+                    .option(
+                        '    --device-group <device_group>',
+                        '    Name of the device group.'
+                    )
+                    .option(
+                        '    --sync-type <sync_type>',
+                        '    Type of sync this cluster is for ("sync-only" | "sync-failover"). Default sync-only.'
+                    )
+                    .option(
+                        '    --member <host[:port]>',
+                        '    Management address of a member. Put IPv6 addresses in brackets to add a port ([2001:db8::1]:443). For multiple members, use multiple --member entries.',
+                        util.collect,
+                        []
+                    )
+                    .option(
+                        '    --member-uri <uri>',
+                        '    URI (file, http(s)) of a JSON array of members. Use --provider-options to give propertyPathId, propertyPathIpPrivate and propertyPathIpPublic. See getNodes.js.'
+                    )
+                    .option(
+                        '    --member-address-type <private | public>',
+                        '    Address from --member-uri to use. Default private.'
+                    )
+                    .option(
+                        '    --concurrency <number>',
+                        '    Maximum number of members to work on at the same time. Default 4.',
+                        parseInt
+                    )
+                    .option(
+                        '--traffic-group <traffic_group>',
+                        'Create or update a floating traffic group with the options:'
+                    )
+                    .option(
+                        '    --ha-order <device_name>',
+                        '    A device name in the order in which devices should become active. For multiple devices, use multiple --ha-order entries.',
+                        util.collect,
+                        []
+                    )
+                    .option(
+                        '    --auto-failback',
+                        '    Enable auto failback to the first device in the HA order.'
+                    )
+                    .option(
+                        '    --auto-failback-time <seconds>',
+                        '    Seconds to wait before failing back.',
+                        parseInt
+                    )
+                    .option(
+                        '    --ha-load-factor <load_factor>',
+                        '    Relative load the traffic group puts on a device.',
+                        parseInt
+                    )
+                    .option(
+                        '    --floating-self-ip <self_ip_name>',
+                        '    Name of a self IP to move to the traffic group. For multiple self IPs, use multiple --floating-self-ip entries.',
+                        util.collect,
+                        []
+                    )
+                    .option(
+                        '    --virtual-address <address>',
+                        '    Virtual address to move to the traffic group. For multiple addresses, use multiple --virtual-address entries.',
+                        util.collect,
+                        []
+                    )
+                    .option(
+                        '--delete-traffic-group <traffic_group>',
+                        'Delete a traffic group. Objects in the traffic group must be moved first.'
+                    )
+                    .option(
+                        '--failover [traffic_group]',
+                        'Put this device, or only the given traffic group, in standby with the options:'
+                    )
+                    .option(
+                        '    --failover-device <device_name>',
+                        '    Device which should become active. Default is to let the BIG-IP choose.'
+                    )
+                    .option(
+                        '    --no-verify-failover',
+                        '    Do not wait for a peer to become active.'
+                    )
                     .option(
                         '--remove-from-cluster',
                         'Remove a device from the cluster'
@@ -182,6 +329,14 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                         '    --device <device_name>',
                         '    Device name to remove.'
                     )
+                    .option(
+                        '--replace-member <device_name>',
+                        'Replace a failed member of the cluster. Run on a surviving member. The failed member must be offline or already removed. Use --dry-run to see the changes first. Options (--remote-user, --remote-password(-url) and --remote-port also apply):'
+                    )
+                    .option(
+                        '    --new-host <ip_address or FQDN>',
+                        '    Management IP or host name of the replacement BIG-IP.'
+                    )
                     .parse(argv);
                 /* eslint-enable max-len */
 
@@ -202,6 +357,9 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                 logger = Logger.getLogger(loggerOptions);
                 ipc.setLoggerOptions(loggerOptions);
                 util.setLoggerOptions(loggerOptions);
+                eventLog.setLoggerOptions(loggerOptions);
+                proxyUtil.setLoggerOptions(loggerOptions);
+                proxyUtil.setProxy(options.proxy, { noProxy: options.proxyBypass });
 
                 // Remove specific options with no provided value
                 OPTIONS_TO_UNDEFINE.forEach((opt) => {
@@ -254,6 +412,20 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                     util.logAndExit(error, 'error', 1);
                 }
 
+                if (options.status) {
+                    const conflicting = STATUS_CONFLICTING_OPTIONS.filter((opt) => {
+                        return Array.isArray(options[opt]) ? options[opt].length > 0 : options[opt];
+                    });
+                    if (conflicting.length > 0) {
+                        const error = `--status can not be combined with: ${conflicting.join(', ')}`;
+
+                        ipc.send(signals.CLOUD_LIBS_ERROR);
+
+                        util.logError(error, loggerOptions);
+                        util.logAndExit(error, 'error', 1);
+                    }
+                }
+
                 // When running in cloud init, we need to exit so that cloud init can complete and
                 // allow the BIG-IP services to start
                 if (options.background) {
@@ -276,21 +448,23 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                     }
                 }
 
+                eventLog.start('cluster', { fileName: options.eventLog, reportFile: options.runReport });
+
                 // Save args in restart script in case we need to reboot to recover from an error
                 util.saveArgs(argv, ARGS_FILE_ID)
-                    .then(() => {
+                    .then(eventLog.step('wait-for-signal', () => {
                         if (options.waitFor) {
                             logger.info('Waiting for', options.waitFor);
                             return ipc.once(options.waitFor);
                         }
                         return q();
-                    })
+                    }))
                     .then(() => {
                         // Whatever we're waiting for is done, so don't wait for
                         // that again in case of a reboot
                         return util.saveArgs(argv, ARGS_FILE_ID, ['--wait-for']);
                     })
-                    .then(() => {
+                    .then(eventLog.step('get-credentials', () => {
                         logger.info('Cluster starting.');
                         ipc.send(signals.CLUSTER_RUNNING);
 
@@ -329,10 +503,14 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                                 });
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('init-device', () => {
                         // Create the bigIp client object
                         bigIp = optionsForTest.bigIp || new BigIp({ loggerOptions });
+                        if (options.dryRun) {
+                            logger.info('Dry run. Changes will be recorded but not made.');
+                            bigIp.setDryRun(true);
+                        }
 
                         logger.info('Initializing BIG-IP.');
                         return bigIp.init(
@@ -343,14 +521,20 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                                 port: options.port,
                                 passwordIsUrl: typeof options.passwordUrl !== 'undefined',
                                 passwordEncrypted: options.passwordEncrypted,
+                                tokenAuth: options.tokenAuth,
+                                loginProviderName: options.loginProviderName,
+                                tokenTimeout: options.tokenTimeout,
+                                maxConcurrentRequests: options.maxConcurrentRequests,
+                                requestTimeoutMs: options.requestTimeoutMs,
+                                tls: commonOptions.getTlsOptions(options),
                                 clOptions: providerOptions
                             }
                         );
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('wait-for-ready', () => {
                         logger.info('Waiting for BIG-IP to be ready.');
                         return bigIp.ready();
-                    })
+                    }))
                     .then(() => {
                         logger.info('BIG-IP is ready.');
 
@@ -360,13 +544,13 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                         }
                         return q();
                     })
-                    .then(() => {
+                    .then(eventLog.step('cloud-provider-ready', () => {
                         if (options.cloud) {
                             return provider.bigIpReady();
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('add-bigiq-peer', () => {
                         // Primary BIG-IQ initiates peering with secondary BIG-IQ
                         if (options.primary
                             && options.bigIqFailoverPeerIp
@@ -381,15 +565,42 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                             );
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('config-sync-ip', () => {
                         if (options.configSyncIp) {
                             logger.info('Setting config sync ip.');
                             return bigIp.cluster.configSyncIp(options.configSyncIp);
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('failover-addresses', () => {
+                        if (options.failoverAddress.length > 0) {
+                            logger.info('Setting unicast failover addresses.');
+                            return bigIp.cluster.unicastFailoverAddresses(options.failoverAddress);
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('multicast-failover', () => {
+                        if (options.multicastInterface) {
+                            logger.info('Setting multicast failover.');
+                            return bigIp.cluster.multicastFailover(
+                                options.multicastInterface,
+                                {
+                                    ip: options.multicastIp,
+                                    port: options.multicastPort
+                                }
+                            );
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('mirror-ip', () => {
+                        if (options.mirrorIp || options.mirrorSecondaryIp) {
+                            logger.info('Setting mirroring addresses.');
+                            return bigIp.cluster.mirrorIp(options.mirrorIp, options.mirrorSecondaryIp);
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('create-group', () => {
                         if (options.createGroup && bigIp.isBigIp()) {
                             if (!options.deviceGroup || !options.syncType) {
                                 throw new Error('Create device group: device-group and sync-type required.');
@@ -412,12 +623,17 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                             );
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('store-credentials', (response) => {
                         logger.debug(response);
 
                         // If we are using cloud storage and are the primary, store our credentials
                         if (options.cloud && options.primary && bigIp.isBigIp()) {
+                            if (options.dryRun) {
+                                logger.info('Dry run. Not storing credentials.');
+                                return q();
+                            }
+
                             logger.info('Storing credentials.');
                             return util.tryUntil(
                                 provider,
@@ -426,8 +642,8 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                             );
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('get-primary-credentials', (response) => {
                         logger.debug(response);
 
                         // options.cloud set indicates that the provider must use some storage
@@ -442,8 +658,8 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                             );
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('join-group', (response) => {
                         // Don't log the response here - it has the credentials in it
                         if (options.cloud && options.joinGroup && bigIp.isBigIp()) {
                             logger.info('Got primary credentials.');
@@ -471,8 +687,89 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                             );
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('bootstrap-group', (response) => {
+                        logger.debug(response);
+
+                        if (options.bootstrapGroup && bigIp.isBigIp()) {
+                            if (!options.deviceGroup || (options.member.length === 0 && !options.memberUri)) {
+                                throw new Error(
+                                    'Bootstrap device group: device-group and member or member-uri required.'
+                                );
+                            }
+
+                            return getMembers(options, providerOptions, loggerOptions, optionsForTest)
+                                .then((members) => {
+                                    logger.info('Bootstrapping group', options.deviceGroup, 'with', members);
+                                    return bigIp.cluster.bootstrapDeviceGroup(
+                                        options.deviceGroup,
+                                        members,
+                                        {
+                                            type: options.syncType,
+                                            remoteUser: options.remoteUser,
+                                            remotePassword:
+                                                options.remotePassword || options.remotePasswordUrl,
+                                            remotePort: options.remotePort,
+                                            passwordIsUrl: typeof options.remotePasswordUrl !== 'undefined',
+                                            passwordEncrypted: options.passwordEncrypted,
+                                            concurrency: options.concurrency,
+                                            autoSync: options.autoSync,
+                                            saveOnAutoSync: options.saveOnAutoSync,
+                                            fullLoadOnSync: options.fullLoadOnSync,
+                                            asmSync: options.asmSync,
+                                            networkFailover: options.networkFailover
+                                        }
+                                    );
+                                })
+                                .then((report) => {
+                                    // eslint-disable-next-line no-console
+                                    console.log(JSON.stringify(report, null, 4));
+
+                                    if (!report.ok) {
+                                        const failed = report.members
+                                            .filter((member) => {
+                                                return member.failedStep;
+                                            })
+                                            .map((member) => {
+                                                return `${member.host} (${member.failedStep})`;
+                                            });
+                                        return q.reject(new Error(
+                                            `Bootstrap of ${options.deviceGroup} failed for: `
+                                            + `${failed.join(', ')}`
+                                        ));
+                                    }
+                                    return q();
+                                });
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('traffic-group', (response) => {
+                        logger.debug(response);
+
+                        if (options.trafficGroup && bigIp.isBigIp()) {
+                            logger.info('Configuring traffic group', options.trafficGroup);
+                            return bigIp.cluster.createTrafficGroup(
+                                options.trafficGroup,
+                                {
+                                    haOrder: options.haOrder.length > 0 ? options.haOrder : undefined,
+                                    autoFailback: options.autoFailback,
+                                    autoFailbackTime: options.autoFailbackTime,
+                                    haLoadFactor: options.haLoadFactor
+                                }
+                            )
+                                .then(() => {
+                                    return bigIp.cluster.moveToTrafficGroup(
+                                        options.trafficGroup,
+                                        {
+                                            selfIps: options.floatingSelfIp,
+                                            virtualAddresses: options.virtualAddress
+                                        }
+                                    );
+                                });
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('remove-from-cluster', (response) => {
                         logger.debug(response);
 
                         if (options.removeFromCluster) {
@@ -480,12 +777,91 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                             return bigIp.cluster.removeFromCluster(options.device);
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('replace-member', (response) => {
+                        logger.debug(response);
+
+                        if (options.replaceMember && bigIp.isBigIp()) {
+                            if (!options.newHost) {
+                                throw new Error('Replace member: new-host required.');
+                            }
+
+                            logger.info('Replacing', options.replaceMember, 'with', options.newHost);
+                            return bigIp.cluster.replaceMember(
+                                options.replaceMember,
+                                options.newHost,
+                                options.remoteUser,
+                                options.remotePassword || options.remotePasswordUrl,
+                                {
+                                    port: options.remotePort,
+                                    passwordIsUrl: typeof options.remotePasswordUrl !== 'undefined',
+                                    passwordEncrypted: options.passwordEncrypted
+                                }
+                            )
+                                .then((report) => {
+                                    logger.info(
+                                        'Replaced', report.oldDevice, 'with', report.newDevice,
+                                        'in', report.deviceGroups.join(', ')
+                                    );
+                                });
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('delete-traffic-group', (response) => {
                         logger.debug(response);
+
+                        if (options.deleteTrafficGroup && bigIp.isBigIp()) {
+                            logger.info('Deleting traffic group', options.deleteTrafficGroup);
+                            return bigIp.cluster.deleteTrafficGroup(options.deleteTrafficGroup);
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('failover', (response) => {
+                        logger.debug(response);
+
+                        if (options.failover && bigIp.isBigIp()) {
+                            return bigIp.cluster.failover({
+                                trafficGroup: options.failover === true ? undefined : options.failover,
+                                device: options.failoverDevice,
+                                verify: options.verifyFailover
+                            })
+                                .then((trafficGroups) => {
+                                    trafficGroups.forEach((trafficGroup) => {
+                                        logger.info(
+                                            'Traffic group',
+                                            trafficGroup.name,
+                                            'failed over to',
+                                            trafficGroup.activeDevice || 'peer (not verified)'
+                                        );
+                                    });
+                                });
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('cluster-status', (response) => {
+                        logger.debug(response);
+
+                        if (options.status) {
+                            logger.info('Getting cluster health.');
+                            return bigIp.cluster.getClusterHealth()
+                                .then((health) => {
+                                    logger.info('Cluster health:', health.health);
+                                    // eslint-disable-next-line no-console
+                                    console.log(JSON.stringify(health, null, 4));
+                                });
+                        }
+                        return q();
+                    }))
+                    .then(eventLog.step('wait-for-active', (response) => {
+                        logger.debug(response);
+
+                        if (options.status) {
+                            return q();
+                        }
+
                         logger.info('Waiting for BIG-IP to be active.');
                         return bigIp.active();
-                    })
+                    }))
                     .catch((err) => {
                         let message;
 
@@ -495,6 +871,8 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                             message = err.message;
                         }
 
+                        eventLog.finish(err || new Error(message));
+
                         if (err) {
                             if (err instanceof ActiveError || err.name === 'ActiveError') {
                                 logger.warn('BIG-IP active check failed.');
@@ -507,15 +885,35 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
 
                         const error = `Cluster failed: ${message}`;
                         util.logError(error, loggerOptions);
-                        util.logAndExit(error, 'error', 1);
 
-                        exiting = true;
+                        failure = error;
                         return q();
                     })
-                    .done((response) => {
+                    .then((response) => {
                         logger.debug(response);
 
-                        if ((!rebooting || !options.reboot) && !exiting) {
+                        if (!bigIp) {
+                            return q();
+                        }
+
+                        bigIp.logRequestStats(logger);
+                        return bigIp.logout();
+                    })
+                    .catch((err) => {
+                        logger.warn('Logout failed:', err && err.message ? err.message : err);
+                    })
+                    .done(() => {
+                        eventLog.finish();
+
+                        if (options.dryRun && bigIp) {
+                            bigIp.logPlan(logger);
+                        }
+
+                        if (failure) {
+                            util.logAndExit(failure, 'error', 1);
+                        }
+
+                        if ((!rebooting || !options.reboot) && !failure) {
                             ipc.send(options.signal || signals.CLUSTER_DONE);
                         }
 
@@ -527,12 +925,12 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
                         if (!rebooting) {
                             util.deleteArgs(ARGS_FILE_ID);
 
-                            if (!exiting) {
+                            if (!failure) {
                                 util.logAndExit('Cluster finished.');
                             }
                         } else if (!options.reboot) {
                             // If we are rebooting, but we were called with --no-reboot, send signal
-                            if (!exiting) {
+                            if (!failure) {
                                 util.logAndExit('Cluster finished. Reboot required but not rebooting.');
                             }
                         } else {
@@ -572,3 +970,42 @@ const localCryptoUtil = require('../lib/localCryptoUtil');
         runner.run(process.argv);
     }
 }());
+
+/**
+ * Gets the members for --bootstrap-group from --member and --member-uri
+ *
+ * @param {Object} options         - Parsed command line options.
+ * @param {Object} providerOptions - Options for the node provider.
+ * @param {Object} loggerOptions   - Options for the logger.
+ * @param {Object} optionsForTest  - Options used during testing.
+ *
+ * @returns {Promise} A promise which is resolved with the member addresses.
+ */
+function getMembers(options, providerOptions, loggerOptions, optionsForTest) {
+    if (!options.memberUri) {
+        return q(options.member);
+    }
+
+    const provider = optionsForTest.nodeProvider || cloudProviderFactory.getCloudProvider(
+        'generic',
+        {
+            loggerOptions,
+            clOptions: options
+        }
+    );
+    const addressType = options.memberAddressType || 'private';
+
+    return provider.init(providerOptions)
+        .then(() => {
+            return provider.getNodesFromUri(options.memberUri);
+        })
+        .then((nodes) => {
+            const members = options.member.slice();
+            nodes.forEach((node) => {
+                if (node.ip[addressType]) {
+                    members.push(node.ip[addressType]);
+                }
+            });
+            return members;
+        });
+}
@@ -0,0 +1,376 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+const options = require('commander');
+const path = require('path');
+const fs = require('fs');
+
+const LOG_ID = 'licenseReport.js';
+
+const util = require('../lib/util');
+const localCryptoUtil = require('../lib/localCryptoUtil');
+const cloudProviderFactory = require('../lib/cloudProviderFactory');
+const BigIq = require('../lib/bigIq');
+const Logger = require('../lib/logger');
+
+const TABLE_COLUMNS = [
+    { title: 'ASSIGNMENT', key: 'id' },
+    { title: 'DEVICE NAME', key: 'deviceName' },
+    { title: 'ADDRESS', key: 'deviceAddress' },
+    { title: 'MAC ADDRESS', key: 'macAddress' },
+    { title: 'REG KEY', key: 'regKey' },
+    { title: 'INSTANCE', key: 'instanceId' },
+    { title: 'STATUS', key: 'status' }
+];
+
+(function run() {
+    const runner = {
+        /**
+         * Runs the license report script
+         *
+         * @param {String[]} argv - The process arguments
+         * @param {Object}   testOpts - Options used during testing
+         * @param {Object}   testOpts.cloudProvider - CloudProvider object to use for testing
+         * @param {Object}   testOpts.bigIq - BigIq object to use for testing
+         * @param {Function} cb - Optional cb to call when done
+         */
+        run(argv, testOpts, cb) {
+            const DEFAULT_LOG_FILE = '/var/log/cloudlibs/licenseReport.log';
+            const REQUIRED_OPTIONS = ['cloud', 'bigIqHost', 'bigIqUser', 'licensePoolName'];
+            const REQUIRED_UNIQUE_OPTIONS = [['bigIqPassword', 'bigIqPasswordUri']];
+            const KEYS_TO_MASK = ['--provider-options', '--big-iq-password'];
+            const FORMATS = ['json', 'table'];
+
+            const providerOptions = {};
+            const loggerOptions = {};
+            const optionsForTest = {};
+
+            let provider;
+            let bigIq;
+            let loggableArgs;
+
+            Object.assign(optionsForTest, testOpts);
+
+            try {
+                /* eslint-disable max-len */
+                options
+                    .version('4.22.0')
+                    .option(
+                        '--cloud <cloud_provider>',
+                        'Cloud provider (aws | azure | etc.)'
+                    )
+                    .option(
+                        '--provider-options <cloud_options>',
+                        'Options specific to cloud_provider. Ex: param1:value1,param2:value2',
+                        util.map,
+                        providerOptions
+                    )
+                    .option(
+                        '--big-iq-host <ip_address or FQDN>',
+                        'IP address or FQDN of BIG-IQ'
+                    )
+                    .option(
+                        '--big-iq-user <user>',
+                        'BIG-IQ admin user name'
+                    )
+                    .option(
+                        '--big-iq-password [password]',
+                        'BIG-IQ admin user password.'
+                    )
+                    .option(
+                        '--big-iq-password-uri [password_uri]',
+                        'URI (file, http(s), arn) to location that contains BIG-IQ admin user password. Use this or --big-iq-password.'
+                    )
+                    .option(
+                        '--big-iq-password-encrypted',
+                        'Indicates that the BIG-IQ password is encrypted.'
+                    )
+                    .option(
+                        '--license-pool-name <pool_name>',
+                        'Name of BIG-IQ license pool.'
+                    )
+                    .option(
+                        '--no-unreachable',
+                        'Do not use the unreachable API even if it is supported by BIG-IQ.'
+                    )
+                    .option(
+                        '--revoke',
+                        'Revoke license assignments which do not match an instance. Default is to only report them.'
+                    )
+                    .option(
+                        '--max-revoke <number>',
+                        'With --revoke, the maximum number of assignments to revoke. If more are orphaned, nothing is revoked. Default 5.',
+                        parseInt
+                    )
+                    .option(
+                        '--format <json | table>',
+                        'Format of the report. Default is table.', 'table'
+                    )
+                    .option(
+                        '--log-level <level>',
+                        'Log level (none, error, warn, info, verbose, debug, silly). Default is info.', 'info'
+                    )
+                    .option(
+                        '-o, --output <file>',
+                        `Log to file. Default is ${DEFAULT_LOG_FILE}`, DEFAULT_LOG_FILE
+                    )
+                    .option(
+                        'console',
+                        'Log to console. Default false (log to file only).'
+                    )
+                    .parse(argv);
+                /* eslint-enable max-len */
+
+                loggerOptions.console = options.console;
+                loggerOptions.logLevel = options.logLevel;
+                loggerOptions.fileName = options.output;
+                loggerOptions.module = module;
+
+                if (loggerOptions.fileName) {
+                    const dirName = path.dirname(loggerOptions.fileName);
+                    if (!fs.existsSync(dirName)) {
+                        fs.mkdirSync(dirName);
+                    }
+                }
+
+                this.logger = Logger.getLogger(loggerOptions);
+                util.setLoggerOptions(loggerOptions);
+                localCryptoUtil.setLoggerOptions(loggerOptions);
+
+                // Log the input, but don't log passwords
+                loggableArgs = argv.slice();
+                for (let i = 0; i < loggableArgs.length; i++) {
+                    if (KEYS_TO_MASK.indexOf(loggableArgs[i]) !== -1) {
+                        loggableArgs[i + 1] = '*******';
+                    }
+                }
+                this.logger.info(LOG_ID, `${loggableArgs[1]} called with`, loggableArgs.join(' '));
+
+                for (let i = 0; i < REQUIRED_OPTIONS.length; i++) {
+                    if (!options[REQUIRED_OPTIONS[i]]) {
+                        util.logAndExit(
+                            `${REQUIRED_OPTIONS[i]} is a required command line option.`,
+                            'error',
+                            1
+                        );
+                        return;
+                    }
+                }
+
+                for (let i = 0; i < REQUIRED_UNIQUE_OPTIONS.length; i++) {
+                    const foundOpts = Object.keys(options).filter((opt) => {
+                        return REQUIRED_UNIQUE_OPTIONS[i].indexOf(opt) > -1;
+                    });
+                    if (foundOpts.length !== 1) {
+                        const opts = (foundOpts.length > 0 ? foundOpts : REQUIRED_UNIQUE_OPTIONS[i]);
+                        util.logAndExit(
+                            `Must include ${foundOpts.length > 1 ? 'only ' : ''}one of the `
+                            + `following command line options: ${opts.join(', ')}`,
+                            'error',
+                            1
+                        );
+                        return;
+                    }
+                }
+
+                if (FORMATS.indexOf(options.format) === -1) {
+                    util.logAndExit(`format must be one of: ${FORMATS.join(', ')}`, 'error', 1);
+                    return;
+                }
+
+                provider = optionsForTest.cloudProvider;
+                if (!provider) {
+                    provider = cloudProviderFactory.getCloudProvider(
+                        options.cloud,
+                        {
+                            loggerOptions,
+                            clOptions: options
+                        }
+                    );
+                }
+
+                bigIq = optionsForTest.bigIq || new BigIq({ loggerOptions });
+
+                let credentialsPromise;
+                if (providerOptions.secretData) {
+                    credentialsPromise = localCryptoUtil.decryptData(
+                        providerOptions.secretData,
+                        providerOptions.secretPrivateKeyFolder,
+                        providerOptions.secretPrivateKeyName,
+                        {
+                            encryptedKey: providerOptions.secretKey,
+                            iv: providerOptions.secretIv
+                        }
+                    );
+                } else {
+                    credentialsPromise = q();
+                }
+
+                let instances;
+
+                credentialsPromise
+                    .then((credentials) => {
+                        if (credentials) {
+                            providerOptions.secret = credentials;
+                        }
+                        this.logger.info(LOG_ID, 'Initializing cloud provider');
+                        return provider.init(providerOptions);
+                    })
+                    .then(() => {
+                        this.logger.info(LOG_ID, 'Getting instances');
+                        return provider.getInstances();
+                    })
+                    .then((response) => {
+                        instances = response || {};
+                        this.logger.silly(LOG_ID, 'instances', JSON.stringify(instances));
+
+                        this.logger.info(LOG_ID, 'Initializing BIG-IQ');
+                        return bigIq.init(
+                            options.bigIqHost,
+                            options.bigIqUser,
+                            options.bigIqPassword || options.bigIqPasswordUri,
+                            {
+                                passwordIsUri: typeof options.bigIqPasswordUri !== 'undefined',
+                                passwordEncrypted: options.bigIqPasswordEncrypted
+                            }
+                        );
+                    })
+                    .then(() => {
+                        this.logger.info(
+                            LOG_ID,
+                            options.revoke ? 'Reconciling' : 'Reporting on',
+                            'license assignments in pool',
+                            options.licensePoolName
+                        );
+                        return bigIq.reconcileLicenseAssignments(
+                            options.licensePoolName,
+                            instances,
+                            {
+                                revoke: !!options.revoke,
+                                maxRevoke: options.maxRevoke,
+                                noUnreachable: !options.unreachable
+                            }
+                        );
+                    })
+                    .then((report) => {
+                        this.logger.info(
+                            LOG_ID,
+                            'assignments:', report.assignments.length,
+                            'orphaned:', report.orphaned,
+                            'revoked:', report.revoked.length,
+                            'failed:', report.failed.length
+                        );
+
+                        if (options.format === 'json') {
+                            console.log(JSON.stringify(report)); // eslint-disable-line no-console
+                        } else {
+                            console.log(formatTable(report)); // eslint-disable-line no-console
+                        }
+
+                        if (report.failed.length > 0) {
+                            return q.reject(
+                                new Error(`Failed to revoke ${report.failed.length} assignment(s)`)
+                            );
+                        }
+
+                        return q();
+                    })
+                    .catch((err) => {
+                        if (err && err.code && err.message) {
+                            this.logger.error(LOG_ID, 'error code:', err.code, 'message:', err.message);
+                        } else {
+                            this.logger.error(LOG_ID, 'error:', err && err.message ? err.message : err);
+                        }
+                        return err;
+                    })
+                    .done((err) => {
+                        if (cb) {
+                            cb(err);
+                        }
+
+                        // Exit so that any listeners don't keep us alive
+                        util.logAndExit('licenseReport finished.', err ? 'error' : undefined, err ? 1 : 0);
+                    });
+            } catch (err) {
+                if (this.logger) {
+                    this.logger.error(LOG_ID, 'error:', err && err.message ? err.message : err);
+                }
+
+                if (cb) {
+                    cb();
+                }
+            }
+        }
+    };
+
+    module.exports = runner;
+
+    // If we're called from the command line, run
+    // This allows for test code to call us as a module
+    if (!module.parent) {
+        runner.run(process.argv);
+    }
+}());
+
+function formatTable(report) {
+    const rows = report.assignments.map((assignment) => {
+        let status = assignment.orphaned ? 'orphaned' : 'ok';
+        if (report.revoked.indexOf(assignment.id) !== -1) {
+            status = 'revoked';
+        } else if (report.failed.find((failure) => { return failure.id === assignment.id; })) {
+            status = 'revoke failed';
+        }
+
+        return TABLE_COLUMNS.map((column) => {
+            const value = column.key === 'status' ? status : assignment[column.key];
+            return typeof value === 'undefined' ? '-' : String(value);
+        });
+    });
+
+    const widths = TABLE_COLUMNS.map((column, index) => {
+        return rows.reduce((width, row) => {
+            return Math.max(width, row[index].length);
+        }, column.title.length);
+    });
+
+    const formatRow = function (cells) {
+        return cells
+            .map((cell, index) => {
+                return cell + ' '.repeat(widths[index] - cell.length);
+            })
+            .join('  ')
+            .trim();
+    };
+
+    const lines = [formatRow(TABLE_COLUMNS.map((column) => { return column.title; }))];
+    rows.forEach((row) => {
+        lines.push(formatRow(row));
+    });
+
+    lines.push('');
+    lines.push(`Pool: ${report.poolName}`);
+    lines.push(`Assignments: ${report.assignments.length}, orphaned: ${report.orphaned}`);
+    if (report.dryRun) {
+        lines.push('Dry run. Use --revoke to revoke orphaned assignments.');
+    } else {
+        lines.push(`Revoked: ${report.revoked.length}, failed: ${report.failed.length}`);
+    }
+
+    return lines.join('\n');
+}
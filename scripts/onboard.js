@@ -23,11 +23,15 @@ const ActiveError = require('../lib/activeError');
 const ipc = require('../lib/ipc');
 const signals = require('../lib/signals');
 const util = require('../lib/util');
+const eventLog = require('../lib/eventLog');
+const proxyUtil = require('../lib/proxyUtil');
 const metricsCollector = require('../lib/metricsCollector');
 const commonOptions = require('./commonOptions');
 const cloudProviderFactory = require('../lib/cloudProviderFactory');
 const localCryptoUtil = require('../lib/localCryptoUtil');
 const cryptoUtil = require('../lib/cryptoUtil');
+const onboardConfig = require('../lib/onboardConfig');
+const configDrift = require('../lib/configDrift');
 
 (function run() {
     const runner = {
@@ -82,7 +86,7 @@ const cryptoUtil = require('../lib/cryptoUtil');
             let logFileName;
             let bigIp;
             let rebooting;
-            let exiting;
+            let failure;
             let index;
             let randomUser;
 
@@ -106,6 +110,267 @@ const cryptoUtil = require('../lib/cryptoUtil');
                 }
             };
 
+            /**
+             * Applies values from a --config-file document. Values already given on the
+             * command line take precedence over values from the document.
+             */
+            /* eslint-disable no-param-reassign */
+            const applyConfigFile = function (config, options) {
+                const asString = function (value) {
+                    return typeof value === 'string' ? value : String(value);
+                };
+                const mergeMap = function (fromConfig, container, otherContainer) {
+                    Object.keys(fromConfig || {}).forEach((key) => {
+                        if (!Object.prototype.hasOwnProperty.call(container, key)
+                            && !Object.prototype.hasOwnProperty.call(otherContainer || {}, key)) {
+                            container[key] = asString(fromConfig[key]);
+                        }
+                    });
+                };
+                const setIfUnset = function (optionName, value) {
+                    if (typeof value !== 'undefined' && typeof options[optionName] === 'undefined') {
+                        options[optionName] = value;
+                    }
+                };
+                const license = config.license || {};
+                const bigIq = license.bigIq;
+
+                setIfUnset('hostname', config.hostname);
+                setIfUnset('tz', config.timezone);
+
+                if (config.dns && options.dns.length === 0) {
+                    options.dns = config.dns.slice();
+                }
+                if (config.ntp && options.ntp.length === 0) {
+                    options.ntp = config.ntp.slice();
+                }
+
+                mergeMap(config.globalSettings, globalSettings);
+                mergeMap(config.dbVars, dbVars);
+                mergeMap(config.provision, provisionModules, provisionModule);
+
+                (config.users || []).forEach((user) => {
+                    const onCommandLine = updateUsers.find((updateUser) => {
+                        return updateUser.user === user.user;
+                    });
+                    if (!onCommandLine) {
+                        updateUsers.push(Object.assign({}, user));
+                    }
+                });
+
+                // Licensing options are all or nothing - do not mix a reg key from one
+                // source with a license pool from the other
+                if (options.license || options.addOn.length > 0 || options.licensePool) {
+                    return;
+                }
+
+                setIfUnset('license', license.registrationKey);
+                if (license.addOnKeys) {
+                    options.addOn = license.addOnKeys.slice();
+                }
+
+                if (bigIq) {
+                    options.licensePool = true;
+                    setIfUnset('bigIqHost', bigIq.host);
+                    setIfUnset('bigIqUser', bigIq.user);
+                    setIfUnset('bigIqPassword', bigIq.password);
+                    setIfUnset('bigIqPasswordUri', bigIq.passwordUri);
+                    setIfUnset('bigIqPasswordEncrypted', bigIq.passwordEncrypted);
+                    setIfUnset('licensePoolName', bigIq.poolName);
+                    setIfUnset('skuKeyword1', bigIq.skuKeyword1);
+                    setIfUnset('skuKeyword2', bigIq.skuKeyword2);
+                    setIfUnset('unitOfMeasure', bigIq.unitOfMeasure);
+                    setIfUnset('tenant', bigIq.tenant);
+                    setIfUnset('bigIpMgmtAddress', bigIq.bigIpMgmtAddress);
+                    setIfUnset('bigIpMgmtPort', bigIq.bigIpMgmtPort);
+                    setIfUnset('revoke', bigIq.revoke);
+                    if (bigIq.unreachable === false) {
+                        options.unreachable = false;
+                    }
+                }
+            };
+            /* eslint-enable no-param-reassign */
+
+            /**
+             * Reads the --config-file document, if any, and resolves the hostname
+             * if it was given both as an option and as a global setting
+             */
+            const readConfigFile = function (options) {
+                let promise = q();
+
+                if (options.configFile) {
+                    logger.info('Reading config file.');
+                    promise = onboardConfig.load(
+                        options.configFile,
+                        {
+                            clOptions: providerOptions,
+                            logger
+                        }
+                    )
+                        .then((config) => {
+                            applyConfigFile(config, options);
+                        });
+                }
+
+                return promise.then(() => {
+                    // Use hostname if both hostname and global-settings hostname are set
+                    if (globalSettings && options.hostname) {
+                        if (globalSettings.hostname || globalSettings.hostName) {
+                            logger.info('Using host-name option to override global-settings hostname');
+                            delete globalSettings.hostName;
+                            delete globalSettings.hostname;
+                        }
+                    }
+                });
+            };
+
+            /**
+             * Builds the desired state for {@link module:configDrift} from the options
+             */
+            const getDesiredState = function (options) {
+                const desiredSettings = Object.assign({}, globalSettings);
+                let hostname = options.hostname;
+
+                // A global-settings hostname is set via onboard.hostname, so check it that way
+                if (!hostname) {
+                    hostname = desiredSettings.hostname || desiredSettings.hostName;
+                }
+                delete desiredSettings.hostname;
+                delete desiredSettings.hostName;
+
+                if (bigIp.isBigIp()) {
+                    desiredSettings.guiSetup = 'disabled';
+                }
+
+                return {
+                    hostname,
+                    globalSettings: desiredSettings,
+                    dbVars,
+                    provision: Object.assign({}, provisionModule, provisionModules),
+                    ntp: options.ntp,
+                    timezone: options.tz,
+                    dns: options.dns,
+                    users: updateUsers
+                };
+            };
+
+            /**
+             * Handles --check and --reconcile. Compares the device with the desired state,
+             * logs the differences and, for --reconcile, applies only those differences.
+             * Licensing, passwords and other one time actions are not part of this.
+             */
+            const checkDrift = function (options) {
+                let desired;
+                let driftFound = false;
+
+                logger.info(options.reconcile ? 'Reconcile starting.' : 'Drift check starting.');
+
+                readConfigFile(options)
+                    .then(eventLog.step('get-credentials', () => {
+                        if (!options.user) {
+                            logger.info('Generating temporary user.');
+                            return cryptoUtil.nextRandomUser();
+                        }
+
+                        return q(
+                            {
+                                user: options.user,
+                                password: options.password || options.passwordUrl
+                            }
+                        );
+                    }))
+                    .then(eventLog.step('init-device', (credentials) => {
+                        randomUser = credentials.user; // we need this info later to delete it
+
+                        bigIp = optionsForTest.bigIp || new BigIp({ loggerOptions });
+
+                        logger.info('Initializing device.');
+                        return bigIp.init(
+                            options.host,
+                            credentials.user,
+                            credentials.password,
+                            {
+                                port: options.port,
+                                passwordIsUrl: typeof options.passwordUrl !== 'undefined',
+                                passwordEncrypted: options.passwordEncrypted,
+                                tokenAuth: options.tokenAuth,
+                                loginProviderName: options.loginProviderName,
+                                tokenTimeout: options.tokenTimeout,
+                                maxConcurrentRequests: options.maxConcurrentRequests,
+                                requestTimeoutMs: options.requestTimeoutMs,
+                                tls: commonOptions.getTlsOptions(options),
+                                clOptions: providerOptions
+                            }
+                        );
+                    }))
+                    .then(eventLog.step('wait-for-ready', () => {
+                        logger.info('Waiting for device to be ready.');
+                        return bigIp.ready();
+                    }))
+                    .then(eventLog.step('read-config', () => {
+                        logger.info('Reading current configuration.');
+                        desired = getDesiredState(options);
+                        return configDrift.getDrift(bigIp, desired);
+                    }))
+                    .then(eventLog.step('handle-drift', (drift) => {
+                        driftFound = drift.length > 0;
+                        logger.info('Configuration drift:', JSON.stringify(drift));
+
+                        if (driftFound && options.reconcile) {
+                            return configDrift.reconcile(bigIp, desired, drift);
+                        }
+
+                        return q();
+                    }))
+                    .catch((err) => {
+                        const message = err && err.message ? err.message : 'unknown reason';
+                        const mode = options.reconcile ? 'reconcile' : 'check';
+                        const error = `Onboard ${mode} failed: ${message}`;
+                        eventLog.finish(err || new Error(message));
+                        util.logError(error, loggerOptions);
+
+                        failure = error;
+                        return q();
+                    })
+                    .then(() => {
+                        if (!bigIp) {
+                            return q();
+                        }
+
+                        bigIp.logRequestStats(logger);
+                        return bigIp.logout();
+                    })
+                    .catch((err) => {
+                        logger.warn('Logout failed:', err && err.message ? err.message : err);
+                    })
+                    .done(() => {
+                        if (!options.user) {
+                            logger.info('Deleting temporary user.');
+                            util.deleteUser(randomUser);
+                        }
+
+                        if (failure) {
+                            util.logAndExit(failure, 'error', 1);
+                        }
+
+                        eventLog.finish();
+
+                        if (!failure) {
+                            if (driftFound && options.check) {
+                                util.logAndExit('Configuration drift detected.', 'warn', 2);
+                            } else if (driftFound) {
+                                util.logAndExit('Configuration reconciled.');
+                            } else {
+                                util.logAndExit('No configuration drift.');
+                            }
+                        }
+
+                        if (cb) {
+                            cb();
+                        }
+                    });
+            };
+
             /**
              * Control whether to load f5-cloud-libs-{provider} library.
              * There are cases where the cloud name is needed, but a cloud provider is not.
@@ -117,6 +382,18 @@ const cryptoUtil = require('../lib/cryptoUtil');
             try {
                 /* eslint-disable max-len */
                 const options = commonOptions.getCommonOptions(DEFAULT_LOG_FILE)
+                    .option(
+                        '--event-log <file>',
+                        'Append structured JSON line events (step started/finished/failed) to file.'
+                    )
+                    .option(
+                        '--run-report <file>',
+                        'Write a JSON report of the outcome of each step to file when the script finishes.'
+                    )
+                    .option(
+                        '--config-file <path|url>',
+                        'Path or URL (file, http(s), arn, etc.) of a JSON or YAML document describing hostname, DNS, NTP, db vars, users, provisioning and licensing. See schema/onboard.schema.json. Command line options override values in the document.'
+                    )
                     .option(
                         '--ntp <ntp_server>',
                         'Set NTP server. For multiple NTP servers, use multiple --ntp entries.',
@@ -183,7 +460,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                     )
                     .option(
                         '    --license-pool-name <pool_name>',
-                        '    Name of BIG-IQ license pool.'
+                        '    Name of BIG-IQ license pool. For fallback pools, use a comma separated list of pools to try in order.',
+                        util.list
                     )
                     .option(
                         '    --sku-keyword-1 [sku_keyword_1]',
@@ -308,6 +586,18 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         '--force-reboot',
                         'Force a reboot at the end. This may be necessary for certain configurations. Option --force-reboot and --no-reboot cannot be specified simultaneously.'
                     )
+                    .option(
+                        '--dry-run',
+                        'Do not make any changes. Log the ordered list of requests that would have been made (passwords masked) instead. The device is still read from and no reboot is done.'
+                    )
+                    .option(
+                        '--check',
+                        'Do not make any changes. Compare the hostname, global settings, db vars, provisioning, NTP, DNS and users on the device with the desired values from the other options and log the differences as JSON. Exits with code 2 if there are differences.'
+                    )
+                    .option(
+                        '--reconcile',
+                        'Compare the device with the desired values as for --check and apply only the differences. Licensing, passwords of existing users and other one time actions are skipped.'
+                    )
                     .parse(argv);
                 /* eslint-enable max-len */
 
@@ -326,7 +616,11 @@ const cryptoUtil = require('../lib/cryptoUtil');
                 logger = Logger.getLogger(loggerOptions);
                 ipc.setLoggerOptions(loggerOptions);
                 util.setLoggerOptions(loggerOptions);
+                eventLog.setLoggerOptions(loggerOptions);
+                proxyUtil.setLoggerOptions(loggerOptions);
+                proxyUtil.setProxy(options.proxy, { noProxy: options.proxyBypass });
                 metricsCollector.setLoggerOptions(loggerOptions);
+                onboardConfig.setLoggerOptions(loggerOptions);
 
                 // Remove specific options with no provided value
                 OPTIONS_TO_UNDEFINE.forEach((opt) => {
@@ -369,6 +663,15 @@ const cryptoUtil = require('../lib/cryptoUtil');
                     util.logAndExit(error, 'error', 1);
                 }
 
+                if ([options.check, options.reconcile, options.dryRun].filter(Boolean).length > 1) {
+                    const error = 'Only one of --check, --reconcile and --dry-run can be specified.';
+
+                    ipc.send(signals.CLOUD_LIBS_ERROR);
+
+                    util.logError(error, loggerOptions);
+                    util.logAndExit(error, 'error', 1);
+                }
+
                 if (options.user && !(options.password || options.passwordUrl)) {
                     const error = 'If specifying --user, --password or --password-url is required.';
 
@@ -386,15 +689,6 @@ const cryptoUtil = require('../lib/cryptoUtil');
                     util.runInBackgroundAndExit(process, logFileName);
                 }
 
-                // Use hostname if both hostname and global-settings hostname are set
-                if (globalSettings && options.hostname) {
-                    if (globalSettings.hostname || globalSettings.hostName) {
-                        logger.info('Using host-name option to override global-settings hostname');
-                        delete globalSettings.hostName;
-                        delete globalSettings.hostname;
-                    }
-                }
-
                 // Check whether a cloud provider is required
                 if (options.cloud && shouldLoadProviderLibrary(options)) {
                     provider = optionsForTest.cloudProvider;
@@ -407,31 +701,42 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         );
                     }
                 }
+
+                eventLog.start('onboard', { fileName: options.eventLog, reportFile: options.runReport });
+
+                if (options.check || options.reconcile) {
+                    checkDrift(options);
+                    return;
+                }
+
                 // Start processing...
 
                 // Save args in restart script in case we need to reboot to recover from an error
                 util.saveArgs(argv, ARGS_FILE_ID)
-                    .then(() => {
+                    .then(eventLog.step('wait-for-signal', () => {
                         if (options.waitFor) {
                             logger.info('Waiting for', options.waitFor);
                             return ipc.once(options.waitFor);
                         }
 
                         return q();
-                    })
+                    }))
                     .then(() => {
                         // Whatever we're waiting for is done, so don't wait for
                         // that again in case of a reboot
                         return util.saveArgs(argv, ARGS_FILE_ID, ARGS_TO_STRIP);
                     })
-                    .then(() => {
+                    .then(eventLog.step('read-config-file', () => {
+                        return readConfigFile(options);
+                    }))
+                    .then(eventLog.step('init-cloud-provider', () => {
                         if (provider) {
                             logger.info('Initializing cloud provider');
                             return provider.init(providerOptions);
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('read-password-data', () => {
                         logger.info('Onboard starting.');
                         ipc.send(signals.ONBOARD_RUNNING);
 
@@ -476,8 +781,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                                 });
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('get-credentials', () => {
                         if (!options.user) {
                             logger.info('Generating temporary user.');
                             return cryptoUtil.nextRandomUser();
@@ -489,12 +794,16 @@ const cryptoUtil = require('../lib/cryptoUtil');
                                 password: options.password || options.passwordUrl
                             }
                         );
-                    })
-                    .then((credentials) => {
+                    }))
+                    .then(eventLog.step('init-device', (credentials) => {
                         randomUser = credentials.user; // we need this info later to delete it
 
                         // Create the bigIp client object
                         bigIp = optionsForTest.bigIp || new BigIp({ loggerOptions });
+                        if (options.dryRun) {
+                            logger.info('Dry run. Changes will be recorded but not made.');
+                            bigIp.setDryRun(true);
+                        }
 
                         logger.info('Initializing device.');
                         return bigIp.init(
@@ -505,23 +814,29 @@ const cryptoUtil = require('../lib/cryptoUtil');
                                 port: options.port,
                                 passwordIsUrl: typeof options.passwordUrl !== 'undefined',
                                 passwordEncrypted: options.passwordEncrypted,
+                                tokenAuth: options.tokenAuth,
+                                loginProviderName: options.loginProviderName,
+                                tokenTimeout: options.tokenTimeout,
+                                maxConcurrentRequests: options.maxConcurrentRequests,
+                                requestTimeoutMs: options.requestTimeoutMs,
+                                tls: commonOptions.getTlsOptions(options),
                                 clOptions: providerOptions
                             }
                         );
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('wait-for-ready', () => {
                         logger.info('Waiting for device to be ready.');
                         return bigIp.ready();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('set-admin-password', () => {
                         logger.info('Device is ready.');
                         // Set admin password
                         if (options.bigIqPasswordDataUri) {
                             return bigIp.onboard.updateUser('admin', bigIqPasswordData.admin);
                         }
                         return q();
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('primary-key', () => {
                         const deferred = q.defer();
                         // Set the PrimaryKey if it's not set, using either a random passphrase or
                         // a passphrase provided via --password-data-uri
@@ -573,15 +888,15 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return deferred.promise;
-                    })
-                    .then(() => {
+                    }))
+                    .then(eventLog.step('ssl-port', () => {
                         if (options.sslPort) {
                             logger.info('Setting SSL port.');
                             return bigIp.onboard.sslPort(options.sslPort);
                         }
 
                         return q();
-                    })
+                    }))
                     .then((response) => {
                         let portIndex;
 
@@ -603,7 +918,7 @@ const cryptoUtil = require('../lib/cryptoUtil');
 
                         return q();
                     })
-                    .then((response) => {
+                    .then(eventLog.step('root-password', (response) => {
                         logger.debug(response);
 
                         if (Object.keys(rootPasswords).length > 0) {
@@ -616,8 +931,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('cloud-root-password', (response) => {
                         logger.debug(response);
 
                         if (options.cloud && options.bigIqPasswordDataUri) {
@@ -629,8 +944,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                             );
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('update-users', (response) => {
                         const promises = [];
 
                         logger.debug(response);
@@ -652,8 +967,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('ntp', (response) => {
                         let ntpBody;
 
                         logger.debug(response);
@@ -678,8 +993,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('dns', (response) => {
                         logger.debug(response);
 
                         if (options.dns.length > 0) {
@@ -694,8 +1009,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('hostname', (response) => {
                         logger.debug(response);
 
                         if (options.hostname) {
@@ -704,8 +1019,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('global-settings', (response) => {
                         logger.debug(response);
 
                         // BIG-IP and BIG-IQ disable their setup gui differently.
@@ -720,8 +1035,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('db-vars', (response) => {
                         logger.debug(response);
 
                         if (Object.keys(dbVars).length > 0) {
@@ -730,8 +1045,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('license', (response) => {
                         logger.debug(response);
 
                         const registrationKey = options.license;
@@ -796,8 +1111,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('provision-module', (response) => {
                         logger.debug(response);
 
                         if (Object.keys(provisionModule).length > 0) {
@@ -806,8 +1121,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('provision-modules', (response) => {
                         logger.debug(response);
 
                         if (Object.keys(provisionModules).length > 0) {
@@ -816,8 +1131,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('update-sigs', (response) => {
                         logger.debug(response);
 
                         if (options.updateSigs) {
@@ -829,8 +1144,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('create-license-pool', (response) => {
                         logger.debug(response);
 
                         const names = Object.keys(createLicensePool);
@@ -840,8 +1155,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                             return bigIp.onboard.createLicensePool(names[0], regKey);
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('create-reg-key-pool', (response) => {
                         logger.debug(response);
 
                         const names = Object.keys(createRegKeyPool);
@@ -852,8 +1167,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                             return bigIp.onboard.createRegKeyPool(names[0], regKeys);
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('install-ilx-packages', (response) => {
                         logger.debug(response);
 
                         if (options.installIlxPackage) {
@@ -868,13 +1183,13 @@ const cryptoUtil = require('../lib/cryptoUtil');
                             }
                         }
                         return q();
-                    })
+                    }))
                     .then(() => {
                         // Have installed the ilx package(s); strip out args, including --install-ilx-package
                         ARGS_TO_STRIP.push('--install-ilx-package');
                         return util.saveArgs(argv, ARGS_FILE_ID, ARGS_TO_STRIP);
                     })
-                    .then(() => {
+                    .then(eventLog.step('bigiq-setup', () => {
                         if (bigIp.isBigIq()) {
                             // Disable the BIG-IQ setup gui. BIG-IP is done
                             // via global settings and is handled with other global
@@ -889,18 +1204,18 @@ const cryptoUtil = require('../lib/cryptoUtil');
                             );
                         }
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('save-config', (response) => {
                         logger.debug(response);
                         logger.info('Saving config.');
                         return bigIp.save();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('wait-for-active', (response) => {
                         logger.debug(response);
                         logger.info('Waiting for device to be active.');
                         return bigIp.active();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('ping', (response) => {
                         logger.debug(response);
                         let address;
                         if (options.ping) {
@@ -910,10 +1225,10 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('send-metrics', (response) => {
                         logger.debug(response);
-                        if (Object.keys(metrics).length > 0) {
+                        if (Object.keys(metrics).length > 0 && !options.dryRun) {
                             logger.info('Sending metrics');
                             metrics.action = 'onboard';
                             metrics.cloudLibsVersion = options.version();
@@ -921,13 +1236,20 @@ const cryptoUtil = require('../lib/cryptoUtil');
                         }
 
                         return q();
-                    })
-                    .then((response) => {
+                    }))
+                    .then(eventLog.step('check-reboot-required', (response) => {
                         logger.debug(response);
                         logger.info('Device onboard complete.');
                         return bigIp.rebootRequired();
-                    })
+                    }))
                     .then((response) => {
+                        if (options.dryRun) {
+                            if (response === true || options.forceReboot) {
+                                logger.info('Dry run. Not rebooting.');
+                            }
+                            return q();
+                        }
+
                         if (response === true) {
                             logger.warn('Reboot required.');
                             rebooting = true;
@@ -943,20 +1265,20 @@ const cryptoUtil = require('../lib/cryptoUtil');
 
                         return q();
                     })
-                    .then(() => {
+                    .then(eventLog.step('reboot', () => {
                         if (rebooting) {
                             logger.info('Rebooting and exiting. Will continue after reboot.');
                             return util.reboot(bigIp, { signalOnly: !options.reboot });
                         }
                         return q();
-                    })
-                    .then(() => {
-                        if (!rebooting && provider && options.signalResource) {
+                    }))
+                    .then(eventLog.step('signal-provider', () => {
+                        if (!rebooting && provider && options.signalResource && !options.dryRun) {
                             logger.info('Signalling provider that instance provisioned.');
                             return provider.signalInstanceProvisioned();
                         }
                         return q();
-                    })
+                    }))
                     .catch((err) => {
                         let message;
 
@@ -966,6 +1288,8 @@ const cryptoUtil = require('../lib/cryptoUtil');
                             message = err.message;
                         }
 
+                        eventLog.finish(err || new Error(message));
+
                         if (err) {
                             if (err instanceof ActiveError || err.name === 'ActiveError') {
                                 logger.warn('Device active check failed.');
@@ -978,20 +1302,42 @@ const cryptoUtil = require('../lib/cryptoUtil');
 
                         const error = `Onboard failed: ${message}`;
                         util.logError(error, loggerOptions);
-                        util.logAndExit(error, 'error', 1);
 
-                        exiting = true;
+                        failure = error;
                         return q();
                     })
-                    .done((response) => {
+                    .then((response) => {
                         logger.debug(response);
 
+                        if (!bigIp) {
+                            return q();
+                        }
+
+                        bigIp.logRequestStats(logger);
+                        return bigIp.logout();
+                    })
+                    .catch((err) => {
+                        logger.warn('Logout failed:', err && err.message ? err.message : err);
+                    })
+                    .done(() => {
+                        eventLog.finish();
+
                         if (!options.user) {
                             logger.info('Deleting temporary user.');
                             util.deleteUser(randomUser);
                         }
 
-                        if ((!rebooting || !options.reboot) && !exiting) {
+                        if (options.dryRun && bigIp) {
+                            bigIp.logPlan(logger);
+                        }
+
+                        if (failure) {
+                            util.logAndExit(failure, 'error', 1);
+                        }
+
+                        // A dry run has not onboarded anything, so do not let scripts
+                        // waiting on us think that it has
+                        if ((!rebooting || !options.reboot) && !failure && !options.dryRun) {
                             ipc.send(options.signal || signals.ONBOARD_DONE);
                         }
 
@@ -1001,12 +1347,12 @@ const cryptoUtil = require('../lib/cryptoUtil');
 
                         if (!rebooting) {
                             util.deleteArgs(ARGS_FILE_ID);
-                            if (!exiting) {
+                            if (!failure) {
                                 util.logAndExit('Onboard finished.');
                             }
                         } else if (!options.reboot) {
                             // If we are rebooting, but we were called with --no-reboot, send signal
-                            if (!exiting) {
+                            if (!failure) {
                                 util.logAndExit('Onboard finished. Reboot required but not rebooting.');
                             }
                         } else {
@@ -1017,7 +1363,9 @@ const cryptoUtil = require('../lib/cryptoUtil');
                 // If another script has signaled an error, exit, marking ourselves as DONE
                 ipc.once(signals.CLOUD_LIBS_ERROR)
                     .then(() => {
-                        ipc.send(options.signal || signals.ONBOARD_DONE);
+                        if (!options.dryRun) {
+                            ipc.send(options.signal || signals.ONBOARD_DONE);
+                        }
                         util.logAndExit('ERROR signaled from other script. Exiting');
                     });
 
@@ -107,6 +107,109 @@ module.exports = {
             });
     },
 
+    testTls(test) {
+        const caFile = '/tmp/authnTestsCa';
+        fs.writeFileSync(caFile, 'myCa');
+
+        test.expect(3);
+        authn.authenticate('myHost', 'myUser', 'myPassword', {
+            product: 'BIG-IP',
+            tls: {
+                ca: `file://${caFile}`,
+                fingerprint: 'AB:CD'
+            }
+        })
+            .then((icontrol) => {
+                test.strictEqual(icontrol.tls.ca, 'myCa');
+                test.strictEqual(icontrol.tls.fingerprint, 'AB:CD');
+                test.strictEqual(icontrol.strict, true);
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                fs.unlinkSync(caFile);
+                test.done();
+            });
+    },
+
+    testNoTlsNotStrict(test) {
+        test.expect(1);
+        authn.authenticate('myHost', 'myUser', 'myPassword', { product: 'BIG-IP' })
+            .then((icontrol) => {
+                test.strictEqual(icontrol.strict, false);
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testBigIpTokenAuth: {
+        setUp(callback) {
+            utilMock.getProduct = () => {
+                return q('BIG-IP');
+            };
+            callback();
+        },
+
+        testDefaultLoginProvider(test) {
+            test.expect(3);
+            authn.authenticate('myHost', 'myUser', 'myPassword', { tokenAuth: true })
+                .then((icontrol) => {
+                    const request = icontrolMock.getRequest('create', '/shared/authn/login');
+                    test.strictEqual(request.loginProviderName, 'tmos');
+                    test.strictEqual(icontrol.authToken, token);
+                    test.strictEqual(icontrol.loginProviderName, 'tmos');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testLoginProviderName(test) {
+            test.expect(1);
+            authn.authenticate(
+                'myHost',
+                'myUser',
+                'myPassword',
+                { tokenAuth: true, loginProviderName: 'myProvider' }
+            )
+                .then(() => {
+                    const request = icontrolMock.getRequest('create', '/shared/authn/login');
+                    test.strictEqual(request.loginProviderName, 'myProvider');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTokenTimeout(test) {
+            test.expect(1);
+            authn.authenticate('myHost', 'myUser', 'myPassword', { tokenAuth: true, tokenTimeout: '3600' })
+                .then(() => {
+                    test.deepEqual(
+                        icontrolMock.getRequest('modify', `/shared/authz/tokens/${token}`),
+                        { timeout: 3600 }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
     testPasswordUrl(test) {
         const host = 'myHost';
         const user = 'myUser';
@@ -33,6 +33,9 @@ let bigIpList;
 let bigIpCreate;
 let bigIpReady;
 let bigIpDeviceInfo;
+let bigIpLogout;
+let memberNames;
+let loggedOut;
 
 // Our tests cause too many event listeners. Turn off the check.
 process.setMaxListeners(0);
@@ -256,6 +259,364 @@ module.exports = {
         }
     },
 
+    testBootstrapDeviceGroup: {
+        setUp(callback) {
+            memberNames = {
+                host1: 'device1',
+                host2: 'device2',
+                host3: 'device3'
+            };
+
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: ['/Common/localhostname']
+                }
+            );
+            icontrolMock.when('list', '/tm/cm/device-group/', []);
+            icontrolMock.when('list', '/tm/cm/device/~Common~device1', getDevice('device1', '10.0.0.1'));
+            icontrolMock.when('list', '/tm/cm/device/~Common~device2', getDevice('device2', '10.0.0.2'));
+            icontrolMock.when('list', '/tm/cm/device/~Common~device3', getDevice('device3', '10.0.0.3'));
+            icontrolMock.when('list', '/tm/cm/sync-status', getSyncStatus('green', 'In Sync', []));
+
+            bigIpReady = BigIp.prototype.ready;
+            bigIpDeviceInfo = BigIp.prototype.deviceInfo;
+
+            // The code under test creates its own BigIp for each member, so
+            // we need to do dependency injection a little differently
+            BigIp.prototype.ready = function ready() {
+                return q();
+            };
+            BigIp.prototype.deviceInfo = function deviceInfo() {
+                return q({
+                    hostname: memberNames[this.host] || localHostname
+                });
+            };
+
+            loggedOut = [];
+            bigIpLogout = BigIp.prototype.logout;
+            BigIp.prototype.logout = function logout() {
+                loggedOut.push(`${this.host} ${this.port}`);
+                return q();
+            };
+
+            callback();
+        },
+
+        tearDown(callback) {
+            BigIp.prototype.ready = bigIpReady;
+            BigIp.prototype.deviceInfo = bigIpDeviceInfo;
+            BigIp.prototype.logout = bigIpLogout;
+            callback();
+        },
+
+        testBasic(test) {
+            test.expect(6);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['host1', 'host2', 'host3'],
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.deepEqual(
+                        report,
+                        {
+                            deviceGroup,
+                            seed: localHostname,
+                            ok: true,
+                            members: ['1', '2', '3'].map((index) => {
+                                return {
+                                    host: `host${index}`,
+                                    name: `device${index}`,
+                                    trusted: true,
+                                    inGroup: true,
+                                    inSync: true,
+                                    failedStep: undefined,
+                                    error: undefined
+                                };
+                            })
+                        }
+                    );
+
+                    const trustRequests = ['1', '2', '3'].map(() => {
+                        const request = icontrolMock.getRequest('create', '/tm/cm/add-to-trust');
+                        return `${request.deviceName} ${request.device}`;
+                    });
+                    test.deepEqual(trustRequests, ['device1 host1', 'device2 host2', 'device3 host3']);
+
+                    const groupRequest = icontrolMock.getRequest('create', '/tm/cm/device-group/');
+                    test.strictEqual(groupRequest.type, 'sync-only');
+                    test.deepEqual(groupRequest.devices, [localHostname]);
+
+                    test.strictEqual(
+                        icontrolMock.getNumRequests(
+                            'create', `/tm/cm/device-group/~Common~${deviceGroup}/devices`
+                        ),
+                        3
+                    );
+                    test.strictEqual(
+                        icontrolMock.getRequest('create', '/tm/cm').utilCmdArgs,
+                        `config-sync  to-group ${deviceGroup}`
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err && err.message ? err.message : err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testMemberOptions(test) {
+            test.expect(3);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['host1:8443', { host: 'host2', user: 'otherUser', password: 'otherPassword' }],
+                { type: 'sync-failover', retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.strictEqual(report.ok, true);
+
+                    icontrolMock.getRequest('create', '/tm/cm/add-to-trust');
+                    test.strictEqual(
+                        icontrolMock.getRequest('create', '/tm/cm/add-to-trust').username,
+                        'otherUser'
+                    );
+                    test.strictEqual(
+                        icontrolMock.getRequest('create', '/tm/cm/device-group/').type,
+                        'sync-failover'
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err && err.message ? err.message : err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testIpv6Members(test) {
+            memberNames['2001:db8::1'] = 'device1';
+            memberNames['2001:db8::2'] = 'device2';
+
+            test.expect(3);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['2001:db8::1', '[2001:db8::2]:8443'],
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.strictEqual(report.ok, true);
+                    test.deepEqual(
+                        report.members.map((member) => {
+                            return `${member.host} ${member.name}`;
+                        }),
+                        ['2001:db8::1 device1', '2001:db8::2 device2']
+                    );
+                    test.deepEqual(loggedOut.sort(), ['2001:db8::1 443', '2001:db8::2 8443']);
+                })
+                .catch((err) => {
+                    test.ok(false, err && err.message ? err.message : err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testLogsOutOnError(test) {
+            icontrolMock.fail('create', '/tm/cm/device-group/', { code: 400, message: 'bad group' });
+
+            test.expect(2);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['host1', 'host2'],
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then(() => {
+                    test.ok(false, 'should have thrown bad group');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('bad group'), -1);
+                    test.deepEqual(loggedOut.sort(), ['host1 443', 'host2 443']);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testMemberFailure(test) {
+            icontrolMock.when('list', '/tm/cm/device/~Common~device2', getDevice('device2', 'none'));
+
+            test.expect(5);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['host1', 'host2', 'host3'],
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.strictEqual(report.ok, false);
+                    test.strictEqual(report.members[1].failedStep, 'connect');
+                    test.strictEqual(report.members[1].error, 'No config sync IP.');
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/add-to-trust'), 2);
+                    test.deepEqual(
+                        report.members.map((member) => {
+                            return member.inSync;
+                        }),
+                        [true, false, true]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err && err.message ? err.message : err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotInSync(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/sync-status',
+                getSyncStatus('yellow', 'Changes Pending', ['Recommended action: Synchronize to group foo'])
+            );
+
+            test.expect(3);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['host1', 'host2'],
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.strictEqual(report.ok, false);
+                    test.deepEqual(
+                        report.members.map((member) => {
+                            return `${member.inGroup} ${member.failedStep}`;
+                        }),
+                        ['true sync', 'true sync']
+                    );
+                    test.strictEqual(report.members[0].error, 'Not in sync: recommended action: sync foo');
+                })
+                .catch((err) => {
+                    test.ok(false, err && err.message ? err.message : err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testConcurrency(test) {
+            let active = 0;
+            let maxActive = 0;
+
+            memberNames.host4 = 'device4';
+            memberNames.host5 = 'device5';
+            icontrolMock.when('list', '/tm/cm/device/~Common~device4', getDevice('device4', '10.0.0.4'));
+            icontrolMock.when('list', '/tm/cm/device/~Common~device5', getDevice('device5', '10.0.0.5'));
+
+            BigIp.prototype.deviceInfo = function deviceInfo() {
+                if (!memberNames[this.host]) {
+                    return q({ hostname: localHostname });
+                }
+
+                active += 1;
+                maxActive = Math.max(active, maxActive);
+                return q.delay(10)
+                    .then(() => {
+                        active -= 1;
+                        return { hostname: memberNames[this.host] };
+                    });
+            };
+
+            test.expect(2);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['host1', 'host2', 'host3', 'host4', 'host5'],
+                { concurrency: 2, retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.strictEqual(report.ok, true);
+                    test.strictEqual(maxActive, 2);
+                })
+                .catch((err) => {
+                    test.ok(false, err && err.message ? err.message : err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDryRun(test) {
+            bigIp.setDryRun(true);
+
+            test.expect(4);
+            bigIp.cluster.bootstrapDeviceGroup(
+                deviceGroup,
+                ['host1', 'host2'],
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.strictEqual(report.ok, true);
+                    test.strictEqual(report.members[0].inSync, false);
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/add-to-trust'), 0);
+                    test.deepEqual(
+                        bigIp.getPlan().map((request) => {
+                            return `${request.method} ${request.path}`;
+                        }),
+                        [
+                            'create /tm/cm/add-to-trust',
+                            'create /tm/cm/add-to-trust',
+                            'create /tm/cm/device-group/',
+                            `create /tm/cm/device-group/~Common~${deviceGroup}/devices`,
+                            `create /tm/cm/device-group/~Common~${deviceGroup}/devices`,
+                            'create /tm/cm'
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err && err.message ? err.message : err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testMissingParameters(test) {
+            test.expect(4);
+            bigIp.cluster.bootstrapDeviceGroup(undefined, ['host1'])
+                .then(() => {
+                    test.ok(false, 'should have thrown missing device group');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'deviceGroup is required');
+                    return bigIp.cluster.bootstrapDeviceGroup(deviceGroup, []);
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown missing members');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'members must be a non-empty array');
+                    return bigIp.cluster.bootstrapDeviceGroup(deviceGroup, [{ port: 443 }]);
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown invalid member');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'Invalid member: {"port":443}');
+                    return bigIp.cluster.bootstrapDeviceGroup(deviceGroup, ['host1:foo']);
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown invalid port');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'Invalid member: "host1:foo"');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
     testCreateDeviceGroup: {
         testAlreadyExistsWithDeviceInGroup(test) {
             const devices = ['someDevice'];
@@ -542,6 +903,77 @@ module.exports = {
         },
     },
 
+    testCreateTrafficGroup: {
+        testBasic(test) {
+            icontrolMock.fail('list', '/tm/cm/traffic-group/~Common~tg1', { code: 404 });
+
+            test.expect(1);
+            bigIp.cluster.createTrafficGroup(
+                'tg1',
+                {
+                    haOrder: ['bigip1', '/Common/bigip2'],
+                    autoFailback: true,
+                    autoFailbackTime: 120,
+                    haLoadFactor: 2
+                },
+                util.NO_RETRY
+            )
+                .then(() => {
+                    test.deepEqual(
+                        icontrolMock.getRequest('create', '/tm/cm/traffic-group'),
+                        {
+                            name: 'tg1',
+                            haOrder: ['/Common/bigip1', '/Common/bigip2'],
+                            failoverMethod: 'ha-order',
+                            autoFailbackEnabled: 'true',
+                            autoFailbackTime: 120,
+                            haLoadFactor: 2
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testExists(test) {
+            test.expect(1);
+            bigIp.cluster.createTrafficGroup('tg1', { autoFailback: false }, util.NO_RETRY)
+                .then(() => {
+                    test.deepEqual(
+                        icontrolMock.getRequest('modify', '/tm/cm/traffic-group/~Common~tg1'),
+                        {
+                            name: 'tg1',
+                            autoFailbackEnabled: 'false'
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testMissingName(test) {
+            test.expect(1);
+            bigIp.cluster.createTrafficGroup()
+                .then(() => {
+                    test.ok(false, 'should have thrown missing name');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'trafficGroup is required');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
     testDeleteDeviceGroup: {
         testDeviceGroupDoesntExist(test) {
             icontrolMock.when('list', '/tm/cm/device-group/', [{ name: 'def' }]);
@@ -596,34 +1028,254 @@ module.exports = {
         }
     },
 
-    testConfigSync: {
-        testSetConfigSyncIp(test) {
-            const ip = '1.2.3.4';
-
+    testDeleteTrafficGroup: {
+        setUp(callback) {
             icontrolMock.when(
                 'list',
-                '/shared/identified-devices/config/device-info',
-                {
-                    hostname: localHostname
-                }
+                '/tm/cm/traffic-group',
+                [
+                    { name: 'traffic-group-1' },
+                    { name: 'tg1' }
+                ]
             );
+            callback();
+        },
 
-            test.expect(3);
-            bigIp.cluster.configSyncIp(ip)
+        testBasic(test) {
+            test.expect(1);
+            bigIp.cluster.deleteTrafficGroup('tg1', util.NO_RETRY)
                 .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, 'modify');
-                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device/~Common~${localHostname}`);
-                    test.deepEqual(icontrolMock.lastCall.body, { configsyncIp: ip });
+                    test.strictEqual(icontrolMock.lastCall.method, 'delete');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.ok(false, err);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testSyncBasic(test) {
+        testDoesNotExist(test) {
+            test.expect(1);
+            bigIp.cluster.deleteTrafficGroup('foo', util.NO_RETRY)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, 'list');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testFailover: {
+        setUp(callback) {
+            icontrolMock.when(
+                'list',
+                '/shared/identified-devices/config/device-info',
+                {
+                    hostname: 'bigip1'
+                }
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/traffic-group/stats',
+                getTrafficGroupStats({ 'traffic-group-1': 'bigip1', tg2: 'bigip2' })
+            );
+            icontrolMock.whenNext(
+                'list',
+                '/tm/cm/traffic-group/stats',
+                getTrafficGroupStats({ 'traffic-group-1': 'bigip2', tg2: 'bigip2' })
+            );
+            callback();
+        },
+
+        testBasic(test) {
+            test.expect(2);
+            bigIp.cluster.failover({ retryOptions: util.NO_RETRY })
+                .then((response) => {
+                    test.deepEqual(
+                        icontrolMock.getRequest('create', '/tm/sys/failover'),
+                        {
+                            command: 'run',
+                            utilCmdArgs: 'standby'
+                        }
+                    );
+                    test.deepEqual(
+                        response,
+                        [
+                            {
+                                name: 'traffic-group-1',
+                                previousActiveDevice: 'bigip1',
+                                activeDevice: 'bigip2'
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTrafficGroupAndDevice(test) {
+            test.expect(1);
+            bigIp.cluster.failover({
+                trafficGroup: 'traffic-group-1',
+                device: 'bigip2',
+                retryOptions: util.NO_RETRY
+            })
+                .then(() => {
+                    test.strictEqual(
+                        icontrolMock.getRequest('create', '/tm/sys/failover').utilCmdArgs,
+                        'standby traffic-group traffic-group-1 device bigip2'
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotActiveHere(test) {
+            test.expect(2);
+            bigIp.cluster.failover({ trafficGroup: 'tg2', retryOptions: util.NO_RETRY })
+                .then(() => {
+                    test.ok(false, 'should have thrown not active');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'Traffic group tg2 is not active on this device (bigip1)');
+                    test.strictEqual(icontrolMock.getRequest('create', '/tm/sys/failover'), undefined);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotFound(test) {
+            test.expect(1);
+            bigIp.cluster.failover({ trafficGroup: 'foo', retryOptions: util.NO_RETRY })
+                .then(() => {
+                    test.ok(false, 'should have thrown not found');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'Traffic group foo not found');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNothingActive(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/traffic-group/stats',
+                getTrafficGroupStats({ 'traffic-group-1': 'bigip2' })
+            );
+
+            test.expect(2);
+            bigIp.cluster.failover({ retryOptions: util.NO_RETRY })
+                .then((response) => {
+                    test.deepEqual(response, []);
+                    test.strictEqual(icontrolMock.getRequest('create', '/tm/sys/failover'), undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testPeerDoesNotBecomeActive(test) {
+            icontrolMock.reset();
+            icontrolMock.when(
+                'list',
+                '/shared/identified-devices/config/device-info',
+                {
+                    hostname: 'bigip1'
+                }
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/traffic-group/stats',
+                getTrafficGroupStats({ 'traffic-group-1': 'bigip1', tg2: 'bigip2' })
+            );
+
+            test.expect(1);
+            bigIp.cluster.failover({ retryOptions: util.NO_RETRY })
+                .then(() => {
+                    test.ok(false, 'should have thrown peer not active');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(
+                        err.message.indexOf('Peer did not become active for traffic-group-1'),
+                        -1
+                    );
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoVerify(test) {
+            test.expect(1);
+            bigIp.cluster.failover({ verify: false })
+                .then((response) => {
+                    test.deepEqual(
+                        response,
+                        [
+                            {
+                                name: 'traffic-group-1',
+                                previousActiveDevice: 'bigip1',
+                                activeDevice: undefined
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testConfigSync: {
+        testSetConfigSyncIp(test) {
+            const ip = '1.2.3.4';
+
+            icontrolMock.when(
+                'list',
+                '/shared/identified-devices/config/device-info',
+                {
+                    hostname: localHostname
+                }
+            );
+
+            test.expect(3);
+            bigIp.cluster.configSyncIp(ip)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, 'modify');
+                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device/~Common~${localHostname}`);
+                    test.deepEqual(icontrolMock.lastCall.body, { configsyncIp: ip });
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testSyncBasic(test) {
             test.expect(4);
             bigIp.cluster.sync('to-group', deviceGroup)
                 .then(() => {
@@ -805,59 +1457,44 @@ module.exports = {
         }
     },
 
-    testGetCmSyncStatus: {
-        testBasic(test) {
+    testFailoverAddresses: {
+        setUp(callback) {
             icontrolMock.when(
                 'list',
-                '/tm/cm/sync-status',
+                '/shared/identified-devices/config/device-info',
                 {
-                    entries: {
-                        'https://localhost/mgmt/tm/cm/sync-status/0': {
-                            nestedStats: {
-                                entries: {
-                                    color: {
-                                        description: 'red'
-                                    },
-                                    'https://localhost/mgmt/tm/cm/syncStatus/0/details': {
-                                        nestedStats: {
-                                            entries: {
-                                                'https://localhost/mgmt/tm/cm/syncStatus/0/details/0': {
-                                                    nestedStats: {
-                                                        entries: {
-                                                            details: {
-                                                                description: 'iAmDisconnected: disconnected'
-                                                            }
-                                                        }
-                                                    }
-                                                },
-                                                'https://localhost/mgmt/tm/cm/syncStatus/0/details/1': {
-                                                    nestedStats: {
-                                                        entries: {
-                                                            details: {
-                                                                description: 'iAmConnected: connected'
-                                                            }
-                                                        }
-                                                    }
-                                                }
-                                            }
-                                        }
-                                    }
-                                }
-                            }
-                        }
-                    },
-                    kind: 'tm:cm:sync-status:sync-statusstats',
-                    selfLink: 'https://localhost/mgmt/tm/cm/sync-status?ver=13.0.0'
+                    hostname: localHostname
                 }
             );
+            callback();
+        },
 
-            test.expect(4);
-            bigIp.cluster.getCmSyncStatus()
-                .then((response) => {
-                    test.strictEqual(response.connected.length, 1);
-                    test.notStrictEqual(response.connected.indexOf('iAmConnected'), -1);
-                    test.strictEqual(response.disconnected.length, 1);
-                    test.notStrictEqual(response.disconnected.indexOf('iAmDisconnected'), -1);
+        testUnicast(test) {
+            test.expect(2);
+            bigIp.cluster.unicastFailoverAddresses(
+                [
+                    '10.0.1.1',
+                    '10.0.2.1:1027',
+                    '[2001:db8::1]:1028',
+                    '2001:db8::2',
+                    { ip: '10.0.3.1', port: 1029 }
+                ],
+                util.NO_RETRY
+            )
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device/~Common~${localHostname}`);
+                    test.deepEqual(
+                        icontrolMock.lastCall.body,
+                        {
+                            unicastAddress: [
+                                { ip: '10.0.1.1', port: 1026 },
+                                { ip: '10.0.2.1', port: 1027 },
+                                { ip: '2001:db8::1', port: 1028 },
+                                { ip: '2001:db8::2', port: 1026 },
+                                { ip: '10.0.3.1', port: 1029 }
+                            ]
+                        }
+                    );
                 })
                 .catch((err) => {
                     test.ok(false, err.message);
@@ -867,32 +1504,11 @@ module.exports = {
                 });
         },
 
-        testNoEntries(test) {
-            icontrolMock.when(
-                'list',
-                '/tm/cm/sync-status',
-                {
-                    entries: {
-                        'https://localhost/mgmt/tm/cm/sync-status/0': {
-                            nestedStats: {
-                                entries: {
-                                    color: {
-                                        description: 'red'
-                                    }
-                                }
-                            }
-                        }
-                    },
-                    kind: 'tm:cm:sync-status:sync-statusstats',
-                    selfLink: 'https://localhost/mgmt/tm/cm/sync-status?ver=13.0.0'
-                }
-            );
-
-            test.expect(2);
-            bigIp.cluster.getCmSyncStatus()
-                .then((response) => {
-                    test.strictEqual(response.connected.length, 0);
-                    test.strictEqual(response.disconnected.length, 0);
+        testUnicastNone(test) {
+            test.expect(1);
+            bigIp.cluster.unicastFailoverAddresses([], util.NO_RETRY)
+                .then(() => {
+                    test.deepEqual(icontrolMock.lastCall.body, { unicastAddress: 'none' });
                 })
                 .catch((err) => {
                     test.ok(false, err.message);
@@ -900,58 +1516,35 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
-        }
-    },
-
-    testIsInDeviceGroup: {
-        testGroupDoesNotExist(test) {
-            icontrolMock.when(
-                'list',
-                '/tm/cm/device-group/',
-                [
-                    {
-                        name: 'foo'
-                    }
-                ]
-            );
+        },
 
+        testUnicastBadPort(test) {
             test.expect(1);
-            bigIp.cluster.isInDeviceGroup(localHostname, deviceGroup)
-                .then((isInGroup) => {
-                    test.strictEqual(isInGroup, false);
+            bigIp.cluster.unicastFailoverAddresses(['10.0.1.1:foo'], util.NO_RETRY)
+                .then(() => {
+                    test.ok(false, 'should have thrown bad address');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.strictEqual(err.message, 'Invalid failover address: "10.0.1.1:foo"');
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testInGroup(test) {
-            icontrolMock.when(
-                'list',
-                '/tm/cm/device-group/',
-                [
-                    {
-                        name: deviceGroup
-                    }
-                ]
-            );
-            icontrolMock.when(
-                'list',
-                `/tm/cm/device-group/${deviceGroup}/devices`,
-                [
-                    {
-                        name: localHostname
-                    }
-                ]
-            );
-
-            test.expect(1);
-            bigIp.cluster.isInDeviceGroup(localHostname, deviceGroup)
-                .then((isInGroup) => {
-                    test.ok(isInGroup);
+        testMulticast(test) {
+            test.expect(2);
+            bigIp.cluster.multicastFailover('eth0', undefined, util.NO_RETRY)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device/~Common~${localHostname}`);
+                    test.deepEqual(
+                        icontrolMock.lastCall.body,
+                        {
+                            multicastInterface: 'eth0',
+                            multicastIp: '224.0.0.245',
+                            multicastPort: 62960
+                        }
+                    );
                 })
                 .catch((err) => {
                     test.ok(false, err.message);
@@ -961,21 +1554,18 @@ module.exports = {
                 });
         },
 
-        testNotInGroup(test) {
-            icontrolMock.when(
-                'list',
-                `/tm/cm/device-group/${deviceGroup}/devices`,
-                [
-                    {
-                        name: 'someOtherDevice'
-                    }
-                ]
-            );
-
+        testMulticastOptions(test) {
             test.expect(1);
-            bigIp.cluster.isInDeviceGroup(localHostname, deviceGroup)
-                .then((isInGroup) => {
-                    test.ok(!isInGroup);
+            bigIp.cluster.multicastFailover('eth1', { ip: '224.0.0.246', port: 62961 }, util.NO_RETRY)
+                .then(() => {
+                    test.deepEqual(
+                        icontrolMock.lastCall.body,
+                        {
+                            multicastInterface: 'eth1',
+                            multicastIp: '224.0.0.246',
+                            multicastPort: 62961
+                        }
+                    );
                 })
                 .catch((err) => {
                     test.ok(false, err.message);
@@ -983,23 +1573,13 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
-        }
-    },
-
-    testIsInTrustGroup: {
-        testInGroup(test) {
-            icontrolMock.when(
-                'list',
-                '/tm/cm/trust-domain/Root',
-                {
-                    caDevices: [`/Common/${localHostname}`]
-                }
-            );
+        },
 
+        testMulticastDisable(test) {
             test.expect(1);
-            bigIp.cluster.isInTrustGroup(localHostname)
-                .then((isInGroup) => {
-                    test.ok(isInGroup);
+            bigIp.cluster.multicastFailover('none', undefined, util.NO_RETRY)
+                .then(() => {
+                    test.deepEqual(icontrolMock.lastCall.body, { multicastInterface: 'none' });
                 })
                 .catch((err) => {
                     test.ok(false, err.message);
@@ -1009,22 +1589,35 @@ module.exports = {
                 });
         },
 
-        testNotInGroup(test) {
-            icontrolMock.when(
-                'list',
-                '/tm/cm/trust-domain/Root',
-                {
-                    caDevices: ['/Common/notMe']
-                }
-            );
+        testMirrorIp(test) {
+            test.expect(2);
+            bigIp.cluster.mirrorIp('10.0.1.1', '10.0.2.1', util.NO_RETRY)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device/~Common~${localHostname}`);
+                    test.deepEqual(
+                        icontrolMock.lastCall.body,
+                        {
+                            mirrorIp: '10.0.1.1',
+                            mirrorSecondaryIp: '10.0.2.1'
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
 
+        testMirrorIpRequired(test) {
             test.expect(1);
-            bigIp.cluster.isInTrustGroup(localHostname)
-                .then((isInGroup) => {
-                    test.ok(!isInGroup);
+            bigIp.cluster.mirrorIp()
+                .then(() => {
+                    test.ok(false, 'should have thrown required');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.strictEqual(err.message, 'primaryIp or secondaryIp is required');
                 })
                 .finally(() => {
                     test.done();
@@ -1032,148 +1625,293 @@ module.exports = {
         }
     },
 
-    testJoinCluster: {
+    testGetClusterHealth: {
         setUp(callback) {
-            icontrolMock.reset();
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: ['/Common/bigip1', '/Common/bigip2']
+                }
+            );
             icontrolMock.when(
                 'list',
                 '/tm/cm/device',
+                [
+                    getDevice('bigip1', '10.0.1.1', 'active', true),
+                    getDevice('bigip2', '10.0.1.2', 'standby', false)
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/',
                 [
                     {
-                        hostname: localHostname,
-                        selfDevice: 'true'
+                        name: 'failoverGroup',
+                        type: 'sync-failover',
+                        autoSync: 'enabled',
+                        networkFailover: 'enabled'
+                    },
+                    {
+                        name: 'device_trust_group',
+                        type: 'sync-only',
+                        autoSync: 'enabled',
+                        networkFailover: 'disabled'
                     }
                 ]
             );
             icontrolMock.when(
                 'list',
-                '/tm/cm/trust-domain/Root',
-                {
-                    caDevices: ['foo', 'bar']
-                }
+                '/tm/cm/device-group/failoverGroup/devices',
+                [{ name: 'bigip1' }, { name: 'bigip2' }]
             );
             icontrolMock.when(
-                'create',
-                '/tm/cm/add-to-trust',
-                {}
+                'list',
+                '/tm/cm/device-group/device_trust_group/devices',
+                [{ name: 'bigip1' }, { name: 'bigip2' }]
             );
             icontrolMock.when(
-                'create',
-                '/tm/cm/device-group/~Common~myDeviceGroup/devices',
-                {}
+                'list',
+                '/tm/cm/sync-status',
+                getSyncStatus('green', 'In Sync', ['bigip2: connected'])
             );
             icontrolMock.when(
-                'create',
-                '/tm/cm/add-to-trust',
-                {}
+                'list',
+                '/tm/cm/traffic-group/stats',
+                getStats([
+                    {
+                        deviceName: '/Common/bigip1',
+                        trafficGroup: '/Common/traffic-group-1',
+                        failoverState: 'active',
+                        nextActive: 'false'
+                    },
+                    {
+                        deviceName: '/Common/bigip2',
+                        trafficGroup: '/Common/traffic-group-1',
+                        failoverState: 'standby',
+                        nextActive: 'true'
+                    }
+                ])
             );
             icontrolMock.when(
                 'list',
-                '/tm/cm/device-group/',
-                [
+                '/tm/cm/device-group/stats',
+                getStats([
                     {
-                        name: 'datasync-global-dg'
+                        device: 'bigip1',
+                        devicegroup: 'failoverGroup',
+                        lssTime: '2020-05-01T10:00:00.000Z',
+                        commitIdTime: '2020-05-01T09:59:00.000Z'
+                    },
+                    {
+                        device: 'bigip2',
+                        devicegroup: 'failoverGroup',
+                        lssTime: '2020-05-01T10:00:01.000Z',
+                        commitIdTime: '2020-05-01T09:59:00.000Z'
                     }
-                ]
+                ])
             );
+            callback();
+        },
+
+        testHealthy(test) {
+            test.expect(8);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then((health) => {
+                    test.strictEqual(health.health, 'healthy');
+                    test.deepEqual(health.problems, []);
+                    test.strictEqual(health.device, 'bigip1');
+                    test.deepEqual(health.trustDomain.members, ['bigip1', 'bigip2']);
+                    test.deepEqual(
+                        health.devices[0],
+                        {
+                            name: 'bigip1',
+                            hostname: 'bigip1.example.com',
+                            managementIp: '192.0.2.1',
+                            self: true,
+                            failoverState: 'active',
+                            version: '14.1.2',
+                            configSyncIp: '10.0.1.1',
+                            failoverAddresses: ['10.0.1.1:1026'],
+                            mirrorIp: undefined,
+                            mirrorSecondaryIp: undefined
+                        }
+                    );
+                    test.deepEqual(
+                        health.deviceGroups[0],
+                        {
+                            name: 'failoverGroup',
+                            type: 'sync-failover',
+                            autoSync: true,
+                            networkFailover: true,
+                            devices: [
+                                {
+                                    name: 'bigip1',
+                                    lastSyncTime: '2020-05-01T10:00:00.000Z',
+                                    commitIdTime: '2020-05-01T09:59:00.000Z'
+                                },
+                                {
+                                    name: 'bigip2',
+                                    lastSyncTime: '2020-05-01T10:00:01.000Z',
+                                    commitIdTime: '2020-05-01T09:59:00.000Z'
+                                }
+                            ]
+                        }
+                    );
+                    test.deepEqual(
+                        health.syncStatus,
+                        {
+                            status: 'In Sync',
+                            color: 'green',
+                            summary: 'All devices in sync',
+                            connected: ['bigip2'],
+                            disconnected: []
+                        }
+                    );
+                    test.deepEqual(
+                        health.trafficGroups,
+                        [
+                            {
+                                name: 'traffic-group-1',
+                                activeDevice: 'bigip1',
+                                devices: [
+                                    { name: 'bigip1', failoverState: 'active', nextActive: false },
+                                    { name: 'bigip2', failoverState: 'standby', nextActive: true }
+                                ]
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDisconnected(test) {
             icontrolMock.when(
                 'list',
                 '/tm/cm/sync-status',
-                {
-                    entries: {
-                        'https://localhost/mgmt/tm/cm/sync-status/0': {
-                            nestedStats: {
-                                entries: {
-                                    color: {
-                                        description: 'green'
-                                    }
-                                }
-                            }
-                        }
-                    }
-                }
+                getSyncStatus('red', 'Disconnected', ['bigip2: disconnected'])
             );
+
+            test.expect(2);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then((health) => {
+                    test.strictEqual(health.health, 'unhealthy');
+                    test.deepEqual(
+                        health.problems,
+                        [
+                            { severity: 'unhealthy', message: 'Devices disconnected: bigip2' },
+                            { severity: 'unhealthy', message: 'Sync status is Disconnected' }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testActiveOnMultipleDevices(test) {
             icontrolMock.when(
                 'list',
-                '/tm/cm/device/~Common~remoteHost',
-                {
-                    configsyncIp: '1.2.3.4'
-                }
+                '/tm/cm/traffic-group/stats',
+                getStats([
+                    {
+                        deviceName: '/Common/bigip1',
+                        trafficGroup: '/Common/traffic-group-1',
+                        failoverState: 'active'
+                    },
+                    {
+                        deviceName: '/Common/bigip2',
+                        trafficGroup: '/Common/traffic-group-1',
+                        failoverState: 'active'
+                    }
+                ])
             );
 
+            test.expect(2);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then((health) => {
+                    test.strictEqual(health.health, 'unhealthy');
+                    test.deepEqual(
+                        health.problems,
+                        [
+                            {
+                                severity: 'unhealthy',
+                                // eslint-disable-next-line max-len
+                                message: 'Traffic group traffic-group-1 is active on multiple devices: bigip1, bigip2'
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDegraded(test) {
             icontrolMock.when(
                 'list',
-                '/shared/identified-devices/config/device-info',
-                {
-                    hostname: localHostname,
-                    managementAddress: '5.6.7.8',
-                    version: '12.1.0'
-                }
+                '/tm/cm/device',
+                [
+                    getDevice('bigip1', '10.0.1.1', 'active', true),
+                    getDevice('bigip2', 'none', 'offline', false)
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/sync-status',
+                getSyncStatus('yellow', 'Changes Pending', ['bigip2: connected'])
             );
 
-            utilCallInSerial = util.callInSerial;
-            bigIpList = BigIp.prototype.list;
-            bigIpCreate = BigIp.prototype.create;
-            bigIpReady = BigIp.prototype.ready;
-            bigIpDeviceInfo = BigIp.prototype.deviceInfo;
-
-            // In this test, the code under test creates its own remoteBigIp object
-            // so we need to do dependency injection a little differently
-            /* eslint-disable prefer-spread, prefer-rest-params */
-            BigIp.prototype.list = function list() {
-                return icontrolMock.list.apply(icontrolMock, arguments);
-            };
-            BigIp.prototype.create = function create() {
-                return icontrolMock.create.apply(icontrolMock, arguments);
-            };
-            /* eslint-enable prefer-spread, prefer-rest-params */
-            BigIp.prototype.ready = function ready() {
-                return q();
-            };
-            BigIp.prototype.deviceInfo = function deviceInfo() {
-                return q({
-                    hostname: 'remoteHost',
-                    managementAddress: '5.6.7.8',
-                    version: '12.1.0'
+            test.expect(2);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then((health) => {
+                    test.strictEqual(health.health, 'degraded');
+                    test.deepEqual(
+                        health.problems,
+                        [
+                            { severity: 'degraded', message: 'Sync status is Changes Pending' },
+                            { severity: 'degraded', message: 'Device bigip2 is offline' },
+                            { severity: 'degraded', message: 'Device bigip2 has no config sync address' },
+                            { severity: 'degraded', message: 'Device bigip2 has no failover addresses' }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
                 });
-            };
-
-            callback();
-        },
-
-        tearDown(callback) {
-            BigIp.prototype.list = bigIpList;
-            BigIp.prototype.create = bigIpCreate;
-            BigIp.prototype.ready = bigIpReady;
-            BigIp.prototype.deviceInfo = bigIpDeviceInfo;
-            util.callInSerial = utilCallInSerial;
-            callback();
-        },
-
-        testMissingParameters(test) {
-            test.expect(1);
-            test.throws(() => {
-                bigIp.cluster.joinCluster();
-            });
-            test.done();
         },
 
-        testBasic(test) {
+        testNotInTrustDomain(test) {
             icontrolMock.when(
-                'create',
-                '/tm/cm',
-                {}
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: ['/Common/bigip1']
+                }
             );
 
-            test.expect(3);
-            bigIp.cluster.joinCluster(
-                deviceGroup, 'remoteHost', 'remoteUser', 'remotePassword', false, { syncDelay: 5 }
-            )
-                .then(() => {
-                    const syncRequest = icontrolMock.getRequest('create', '/tm/cm');
-                    test.strictEqual(syncRequest.command, 'run');
-                    test.notStrictEqual(syncRequest.utilCmdArgs.indexOf('to-group'), -1);
-                    test.notStrictEqual(syncRequest.utilCmdArgs.indexOf(deviceGroup), -1);
+            test.expect(2);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then((health) => {
+                    test.strictEqual(health.health, 'unhealthy');
+                    test.strictEqual(
+                        health.problems[0].message,
+                        'Device bigip2 is in failoverGroup but not in the trust domain'
+                    );
                 })
                 .catch((err) => {
                     test.ok(false, err);
@@ -1183,39 +1921,54 @@ module.exports = {
                 });
         },
 
-        testBelow121(test) {
-            BigIp.prototype.deviceInfo = function deviceInfo() {
-                return q({
-                    hostname: 'remoteHost',
-                    managementAddress: '5.6.7.8',
-                    version: '12.0.0'
+        testNoDeviceGroupStats(test) {
+            icontrolMock.fail('list', '/tm/cm/device-group/stats');
+
+            test.expect(2);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then((health) => {
+                    test.strictEqual(health.health, 'healthy');
+                    test.strictEqual(health.deviceGroups[0].devices[0].lastSyncTime, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
                 });
-            };
+        },
+
+        testStandalone(test) {
             icontrolMock.when(
                 'list',
-                '/shared/identified-devices/config/device-info',
+                '/tm/cm/trust-domain/Root',
                 {
-                    hostname: localHostname,
-                    managementAddress: '5.6.7.8',
-                    version: '12.0.0'
+                    caDevices: ['/Common/bigip1']
                 }
             );
             icontrolMock.when(
-                'modify',
-                `/tm/cm/device-group/datasync-global-dg/devices/${localHostname}`,
-                {}
+                'list',
+                '/tm/cm/device',
+                [
+                    getDevice('bigip1', 'none', 'active', true)
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/',
+                []
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/sync-status',
+                getSyncStatus('green', 'Standalone', [])
             );
 
-            test.expect(1);
-            bigIp.cluster.joinCluster(
-                deviceGroup, 'remoteHost', 'remoteUser', 'remotePassword', false, { syncDelay: 5 }
-            )
-                .then(() => {
-                    const syncRequest =
-                        icontrolMock.getRequest(
-                            'modify', `/tm/cm/device-group/datasync-global-dg/devices/${localHostname}`
-                        );
-                    test.deepEqual(syncRequest, { 'set-sync-leader': true });
+            test.expect(2);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then((health) => {
+                    test.strictEqual(health.health, 'healthy');
+                    test.deepEqual(health.deviceGroups, []);
                 })
                 .catch((err) => {
                     test.ok(false, err);
@@ -1225,48 +1978,47 @@ module.exports = {
                 });
         },
 
-        testMultipleDevices(test) {
-            icontrolMock.when(
-                'create',
-                '/tm/cm',
-                {}
-            );
+        testError(test) {
+            icontrolMock.fail('list', '/tm/cm/device');
+
+            test.expect(1);
+            bigIp.cluster.getClusterHealth(util.NO_RETRY)
+                .then(() => {
+                    test.ok(false, 'should have thrown');
+                })
+                .catch(() => {
+                    test.ok(true);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
 
+    testGetCmSyncStatus: {
+        testStatus(test) {
             icontrolMock.when(
                 'list',
-                '/tm/cm/device',
-                [
-                    {
-                        hostname: 'foo',
-                        selfDevice: 'false'
-                    },
-                    {
-                        hostname: localHostname,
-                        selfDevice: 'true'
-                    }
-                ]
+                '/tm/cm/sync-status',
+                getSyncStatus('yellow', 'Changes Pending', ['iAmConnected: connected'])
             );
 
-            test.expect(1);
-            bigIp.cluster.joinCluster(
-                deviceGroup, 'remoteHost', 'remoteUser', 'remotePassword', false, { syncDelay: 5 }
-            )
-                .then(() => {
-                    const addToTrustRequest = icontrolMock.getRequest('create', '/tm/cm/add-to-trust');
-                    test.strictEqual(addToTrustRequest.deviceName, localHostname);
+            test.expect(3);
+            bigIp.cluster.getCmSyncStatus(util.NO_RETRY)
+                .then((response) => {
+                    test.strictEqual(response.status, 'Changes Pending');
+                    test.strictEqual(response.color, 'yellow');
+                    test.strictEqual(response.summary, 'There is a possible change conflict');
                 })
                 .catch((err) => {
-                    test.ok(false, err);
+                    test.ok(false, err.message);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testRecommendedAction(test) {
-            const recommendedGroup = 'otherDeviceGroup';
-
-            /* eslint-disable max-len */
+        testBasic(test) {
             icontrolMock.when(
                 'list',
                 '/tm/cm/sync-status',
@@ -1281,11 +2033,20 @@ module.exports = {
                                     'https://localhost/mgmt/tm/cm/syncStatus/0/details': {
                                         nestedStats: {
                                             entries: {
-                                                1: {
+                                                'https://localhost/mgmt/tm/cm/syncStatus/0/details/0': {
                                                     nestedStats: {
                                                         entries: {
                                                             details: {
-                                                                description: `Recommended action: to group ${recommendedGroup}`
+                                                                description: 'iAmDisconnected: disconnected'
+                                                            }
+                                                        }
+                                                    }
+                                                },
+                                                'https://localhost/mgmt/tm/cm/syncStatus/0/details/1': {
+                                                    nestedStats: {
+                                                        entries: {
+                                                            details: {
+                                                                description: 'iAmConnected: connected'
                                                             }
                                                         }
                                                     }
@@ -1296,68 +2057,549 @@ module.exports = {
                                 }
                             }
                         }
-                    }
+                    },
+                    kind: 'tm:cm:sync-status:sync-statusstats',
+                    selfLink: 'https://localhost/mgmt/tm/cm/sync-status?ver=13.0.0'
                 }
             );
-            /* eslint-enable max-len */
-
-            icontrolMock.when(
-                'create',
-                '/tm/cm',
-                {}
-            );
 
-            test.expect(3);
-            bigIp.cluster.joinCluster(
-                deviceGroup,
-                'remoteHost',
-                'remoteUser',
-                'remotePassword',
-                false,
-                { syncDelay: 5, syncCompDelay: 5 }
-            )
-                .then(() => {
-                    test.ok(false, 'Should have been rejected due to our mock.');
+            test.expect(4);
+            bigIp.cluster.getCmSyncStatus()
+                .then((response) => {
+                    test.strictEqual(response.connected.length, 1);
+                    test.notStrictEqual(response.connected.indexOf('iAmConnected'), -1);
+                    test.strictEqual(response.disconnected.length, 1);
+                    test.notStrictEqual(response.disconnected.indexOf('iAmDisconnected'), -1);
                 })
-                .catch(() => {
-                    // promise will be rejected because our final syncComplete never passes because
-                    // we mocked it, but check that the last sync request was for the recommendedGroup
-                    let syncRequest = icontrolMock.getRequest('create', '/tm/cm');
-                    let lastSyncRequest;
-
-                    while (syncRequest) {
-                        lastSyncRequest = syncRequest;
-                        syncRequest = icontrolMock.getRequest('create', '/tm/cm');
-                    }
-                    test.strictEqual(lastSyncRequest.command, 'run');
-                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf('to-group'), -1);
-                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf(recommendedGroup), -1);
+                .catch((err) => {
+                    test.ok(false, err.message);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testLocal(test) {
-            const remoteIp = '1.2.3.4';
+        testNoEntries(test) {
             icontrolMock.when(
-                'create',
-                '/tm/cm',
-                {}
+                'list',
+                '/tm/cm/sync-status',
+                {
+                    entries: {
+                        'https://localhost/mgmt/tm/cm/sync-status/0': {
+                            nestedStats: {
+                                entries: {
+                                    color: {
+                                        description: 'red'
+                                    }
+                                }
+                            }
+                        }
+                    },
+                    kind: 'tm:cm:sync-status:sync-statusstats',
+                    selfLink: 'https://localhost/mgmt/tm/cm/sync-status?ver=13.0.0'
+                }
             );
 
-            test.expect(1);
-            bigIp.cluster.joinCluster(
-                deviceGroup,
-                remoteIp,
-                'remoteUser',
-                'remotePassword',
-                true,
-                { syncDelay: 5 }
-            )
-                .then(() => {
-                    const addToTrustRequest = icontrolMock.getRequest('create', '/tm/cm/add-to-trust');
-                    test.strictEqual(addToTrustRequest.device, remoteIp);
+            test.expect(2);
+            bigIp.cluster.getCmSyncStatus()
+                .then((response) => {
+                    test.strictEqual(response.connected.length, 0);
+                    test.strictEqual(response.disconnected.length, 0);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testIsInDeviceGroup: {
+        testGroupDoesNotExist(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/',
+                [
+                    {
+                        name: 'foo'
+                    }
+                ]
+            );
+
+            test.expect(1);
+            bigIp.cluster.isInDeviceGroup(localHostname, deviceGroup)
+                .then((isInGroup) => {
+                    test.strictEqual(isInGroup, false);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testInGroup(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/',
+                [
+                    {
+                        name: deviceGroup
+                    }
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                `/tm/cm/device-group/${deviceGroup}/devices`,
+                [
+                    {
+                        name: localHostname
+                    }
+                ]
+            );
+
+            test.expect(1);
+            bigIp.cluster.isInDeviceGroup(localHostname, deviceGroup)
+                .then((isInGroup) => {
+                    test.ok(isInGroup);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotInGroup(test) {
+            icontrolMock.when(
+                'list',
+                `/tm/cm/device-group/${deviceGroup}/devices`,
+                [
+                    {
+                        name: 'someOtherDevice'
+                    }
+                ]
+            );
+
+            test.expect(1);
+            bigIp.cluster.isInDeviceGroup(localHostname, deviceGroup)
+                .then((isInGroup) => {
+                    test.ok(!isInGroup);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testIsInTrustGroup: {
+        testInGroup(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: [`/Common/${localHostname}`]
+                }
+            );
+
+            test.expect(1);
+            bigIp.cluster.isInTrustGroup(localHostname)
+                .then((isInGroup) => {
+                    test.ok(isInGroup);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotInGroup(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: ['/Common/notMe']
+                }
+            );
+
+            test.expect(1);
+            bigIp.cluster.isInTrustGroup(localHostname)
+                .then((isInGroup) => {
+                    test.ok(!isInGroup);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testJoinCluster: {
+        setUp(callback) {
+            icontrolMock.reset();
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device',
+                [
+                    {
+                        hostname: localHostname,
+                        selfDevice: 'true'
+                    }
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: ['foo', 'bar']
+                }
+            );
+            icontrolMock.when(
+                'create',
+                '/tm/cm/add-to-trust',
+                {}
+            );
+            icontrolMock.when(
+                'create',
+                '/tm/cm/device-group/~Common~myDeviceGroup/devices',
+                {}
+            );
+            icontrolMock.when(
+                'create',
+                '/tm/cm/add-to-trust',
+                {}
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/',
+                [
+                    {
+                        name: 'datasync-global-dg'
+                    }
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/sync-status',
+                {
+                    entries: {
+                        'https://localhost/mgmt/tm/cm/sync-status/0': {
+                            nestedStats: {
+                                entries: {
+                                    color: {
+                                        description: 'green'
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device/~Common~remoteHost',
+                {
+                    configsyncIp: '1.2.3.4'
+                }
+            );
+
+            icontrolMock.when(
+                'list',
+                '/shared/identified-devices/config/device-info',
+                {
+                    hostname: localHostname,
+                    managementAddress: '5.6.7.8',
+                    version: '12.1.0'
+                }
+            );
+
+            utilCallInSerial = util.callInSerial;
+            bigIpList = BigIp.prototype.list;
+            bigIpCreate = BigIp.prototype.create;
+            bigIpReady = BigIp.prototype.ready;
+            bigIpDeviceInfo = BigIp.prototype.deviceInfo;
+
+            // In this test, the code under test creates its own remoteBigIp object
+            // so we need to do dependency injection a little differently
+            /* eslint-disable prefer-spread, prefer-rest-params */
+            BigIp.prototype.list = function list() {
+                return icontrolMock.list.apply(icontrolMock, arguments);
+            };
+            BigIp.prototype.create = function create() {
+                return icontrolMock.create.apply(icontrolMock, arguments);
+            };
+            /* eslint-enable prefer-spread, prefer-rest-params */
+            BigIp.prototype.ready = function ready() {
+                return q();
+            };
+            BigIp.prototype.deviceInfo = function deviceInfo() {
+                return q({
+                    hostname: 'remoteHost',
+                    managementAddress: '5.6.7.8',
+                    version: '12.1.0'
+                });
+            };
+
+            callback();
+        },
+
+        tearDown(callback) {
+            BigIp.prototype.list = bigIpList;
+            BigIp.prototype.create = bigIpCreate;
+            BigIp.prototype.ready = bigIpReady;
+            BigIp.prototype.deviceInfo = bigIpDeviceInfo;
+            util.callInSerial = utilCallInSerial;
+            callback();
+        },
+
+        testMissingParameters(test) {
+            test.expect(1);
+            test.throws(() => {
+                bigIp.cluster.joinCluster();
+            });
+            test.done();
+        },
+
+        testBasic(test) {
+            icontrolMock.when(
+                'create',
+                '/tm/cm',
+                {}
+            );
+
+            test.expect(3);
+            bigIp.cluster.joinCluster(
+                deviceGroup, 'remoteHost', 'remoteUser', 'remotePassword', false, { syncDelay: 5 }
+            )
+                .then(() => {
+                    const syncRequest = icontrolMock.getRequest('create', '/tm/cm');
+                    test.strictEqual(syncRequest.command, 'run');
+                    test.notStrictEqual(syncRequest.utilCmdArgs.indexOf('to-group'), -1);
+                    test.notStrictEqual(syncRequest.utilCmdArgs.indexOf(deviceGroup), -1);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testBelow121(test) {
+            BigIp.prototype.deviceInfo = function deviceInfo() {
+                return q({
+                    hostname: 'remoteHost',
+                    managementAddress: '5.6.7.8',
+                    version: '12.0.0'
+                });
+            };
+            icontrolMock.when(
+                'list',
+                '/shared/identified-devices/config/device-info',
+                {
+                    hostname: localHostname,
+                    managementAddress: '5.6.7.8',
+                    version: '12.0.0'
+                }
+            );
+            icontrolMock.when(
+                'modify',
+                `/tm/cm/device-group/datasync-global-dg/devices/${localHostname}`,
+                {}
+            );
+
+            test.expect(1);
+            bigIp.cluster.joinCluster(
+                deviceGroup, 'remoteHost', 'remoteUser', 'remotePassword', false, { syncDelay: 5 }
+            )
+                .then(() => {
+                    const syncRequest =
+                        icontrolMock.getRequest(
+                            'modify', `/tm/cm/device-group/datasync-global-dg/devices/${localHostname}`
+                        );
+                    test.deepEqual(syncRequest, { 'set-sync-leader': true });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testMultipleDevices(test) {
+            icontrolMock.when(
+                'create',
+                '/tm/cm',
+                {}
+            );
+
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device',
+                [
+                    {
+                        hostname: 'foo',
+                        selfDevice: 'false'
+                    },
+                    {
+                        hostname: localHostname,
+                        selfDevice: 'true'
+                    }
+                ]
+            );
+
+            test.expect(1);
+            bigIp.cluster.joinCluster(
+                deviceGroup, 'remoteHost', 'remoteUser', 'remotePassword', false, { syncDelay: 5 }
+            )
+                .then(() => {
+                    const addToTrustRequest = icontrolMock.getRequest('create', '/tm/cm/add-to-trust');
+                    test.strictEqual(addToTrustRequest.deviceName, localHostname);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+        testDryRun(test) {
+            BigIp.prototype.create = bigIpCreate;
+            bigIp.setDryRun(true);
+
+            test.expect(3);
+            bigIp.cluster.joinCluster(
+                deviceGroup, 'remoteHost', 'remoteUser', 'remotePassword', false, { syncDelay: 5 }
+            )
+                .then(() => {
+                    const plan = bigIp.getPlan().map((request) => {
+                        return `${request.host} ${request.method} ${request.path}`;
+                    });
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/add-to-trust'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm'), 0);
+                    test.deepEqual(
+                        plan,
+                        [
+                            'remoteHost create /tm/cm/add-to-trust',
+                            `remoteHost create /tm/cm/device-group/~Common~${deviceGroup}/devices`,
+                            'remoteHost create /tm/cm'
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testRecommendedAction(test) {
+            const recommendedGroup = 'otherDeviceGroup';
+
+            /* eslint-disable max-len */
+            icontrolMock.when(
+                'list',
+                '/tm/cm/sync-status',
+                {
+                    entries: {
+                        'https://localhost/mgmt/tm/cm/sync-status/0': {
+                            nestedStats: {
+                                entries: {
+                                    color: {
+                                        description: 'red'
+                                    },
+                                    'https://localhost/mgmt/tm/cm/syncStatus/0/details': {
+                                        nestedStats: {
+                                            entries: {
+                                                1: {
+                                                    nestedStats: {
+                                                        entries: {
+                                                            details: {
+                                                                description: `Recommended action: to group ${recommendedGroup}`
+                                                            }
+                                                        }
+                                                    }
+                                                }
+                                            }
+                                        }
+                                    }
+                                }
+                            }
+                        }
+                    }
+                }
+            );
+            /* eslint-enable max-len */
+
+            icontrolMock.when(
+                'create',
+                '/tm/cm',
+                {}
+            );
+
+            test.expect(3);
+            bigIp.cluster.joinCluster(
+                deviceGroup,
+                'remoteHost',
+                'remoteUser',
+                'remotePassword',
+                false,
+                { syncDelay: 5, syncCompDelay: 5 }
+            )
+                .then(() => {
+                    test.ok(false, 'Should have been rejected due to our mock.');
+                })
+                .catch(() => {
+                    // promise will be rejected because our final syncComplete never passes because
+                    // we mocked it, but check that the last sync request was for the recommendedGroup
+                    let syncRequest = icontrolMock.getRequest('create', '/tm/cm');
+                    let lastSyncRequest;
+
+                    while (syncRequest) {
+                        lastSyncRequest = syncRequest;
+                        syncRequest = icontrolMock.getRequest('create', '/tm/cm');
+                    }
+                    test.strictEqual(lastSyncRequest.command, 'run');
+                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf('to-group'), -1);
+                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf(recommendedGroup), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testLocal(test) {
+            const remoteIp = '1.2.3.4';
+            icontrolMock.when(
+                'create',
+                '/tm/cm',
+                {}
+            );
+
+            test.expect(1);
+            bigIp.cluster.joinCluster(
+                deviceGroup,
+                remoteIp,
+                'remoteUser',
+                'remotePassword',
+                true,
+                { syncDelay: 5 }
+            )
+                .then(() => {
+                    const addToTrustRequest = icontrolMock.getRequest('create', '/tm/cm/add-to-trust');
+                    test.strictEqual(addToTrustRequest.device, remoteIp);
                 })
                 .catch((err) => {
                     test.ok(false, err);
@@ -1514,39 +2756,319 @@ module.exports = {
                     test.ok(false, 'Should have been resolved due to syncCompDevices.');
                 })
                 .finally(() => {
-                    // check that the last sync request was for the recommendedGroup
-                    let syncRequest = icontrolMock.getRequest('create', '/tm/cm');
-                    let lastSyncRequest;
-
-                    while (syncRequest) {
-                        lastSyncRequest = syncRequest;
-                        syncRequest = icontrolMock.getRequest('create', '/tm/cm');
-                    }
-                    test.strictEqual(lastSyncRequest.command, 'run');
-                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf('to-group'), -1);
-                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf(recommendedGroup), -1);
+                    // check that the last sync request was for the recommendedGroup
+                    let syncRequest = icontrolMock.getRequest('create', '/tm/cm');
+                    let lastSyncRequest;
+
+                    while (syncRequest) {
+                        lastSyncRequest = syncRequest;
+                        syncRequest = icontrolMock.getRequest('create', '/tm/cm');
+                    }
+                    test.strictEqual(lastSyncRequest.command, 'run');
+                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf('to-group'), -1);
+                    test.notStrictEqual(lastSyncRequest.utilCmdArgs.indexOf(recommendedGroup), -1);
+                    test.done();
+                });
+        }
+    },
+
+    testModifyTrafficGroup(test) {
+        test.expect(1);
+        bigIp.cluster.modifyTrafficGroup('tg1', { haLoadFactor: 3 }, util.NO_RETRY)
+            .then(() => {
+                test.deepEqual(
+                    icontrolMock.getRequest('modify', '/tm/cm/traffic-group/~Common~tg1'),
+                    { haLoadFactor: 3 }
+                );
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testMoveToTrafficGroup: {
+        setUp(callback) {
+            icontrolMock.when('create', '/tm/transaction/', { transId: '1234' });
+            icontrolMock.when('modify', '/tm/transaction/1234', { state: 'COMPLETED' });
+            callback();
+        },
+
+        testBasic(test) {
+            test.expect(3);
+            bigIp.cluster.moveToTrafficGroup(
+                'tg1',
+                {
+                    selfIps: ['floating-self'],
+                    virtualAddresses: ['10.0.0.10']
+                }
+            )
+                .then(() => {
+                    test.deepEqual(
+                        icontrolMock.getRequest('modify', '/tm/net/self/~Common~floating-self'),
+                        { trafficGroup: '/Common/tg1' }
+                    );
+                    test.deepEqual(
+                        icontrolMock.getRequest('modify', '/tm/ltm/virtual-address/~Common~10.0.0.10'),
+                        { trafficGroup: '/Common/tg1' }
+                    );
+                    test.deepEqual(
+                        icontrolMock.getRequest('modify', '/tm/transaction/1234'),
+                        { state: 'VALIDATING' }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNothingToMove(test) {
+            test.expect(1);
+            bigIp.cluster.moveToTrafficGroup('tg1', {})
+                .then(() => {
+                    test.strictEqual(icontrolMock.getRequest('create', '/tm/transaction/'), undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testRemoveFromCluster: {
+        setUp(callback) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/',
+                [
+                    {
+                        name: deviceGroup
+                    }
+                ]
+            );
+            callback();
+        },
+
+        testOneDevice(test) {
+            const device1 = 'device1';
+            const device2 = 'device2';
+
+            icontrolMock.when(
+                'list',
+                `/tm/cm/device-group/${deviceGroup}/devices`,
+                [
+                    {
+                        name: device1
+                    },
+                    {
+                        name: device2
+                    }
+                ]
+            );
+
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: [`/Common/${device1}`, `/Common/${device2}`]
+                }
+            );
+
+            icontrolMock.when(
+                'create',
+                '/tm/cm/remove-from-trust',
+                {}
+            );
+
+            test.expect(2);
+            bigIp.cluster.removeFromCluster(device1)
+                .then(() => {
+                    const modifyFromDeviceGroupRequest =
+                        icontrolMock.getRequest('modify', `/tm/cm/device-group/${deviceGroup}`);
+                    const removeFromTrustRequest =
+                        icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+
+                    test.deepEqual(modifyFromDeviceGroupRequest.devices, [device2]);
+                    test.strictEqual(removeFromTrustRequest.deviceName, device1);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTwoDevices(test) {
+            const device1 = 'device1';
+            const device2 = 'device2';
+
+            icontrolMock.when(
+                'list',
+                `/tm/cm/device-group/${deviceGroup}/devices`,
+                [
+                    {
+                        name: device1
+                    },
+                    {
+                        name: device2
+                    }
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: [`/Common/${device1}`, `/Common/${device2}`]
+                }
+            );
+
+            icontrolMock.when(
+                'create',
+                '/tm/cm/remove-from-trust',
+                {}
+            );
+
+            test.expect(3);
+            bigIp.cluster.removeFromCluster([device1, device2])
+                .then(() => {
+                    const modifyFromDeviceGroupRequest =
+                        icontrolMock.getRequest('modify', `/tm/cm/device-group/${deviceGroup}`);
+                    let removeFromTrustRequest =
+                        icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+
+                    test.deepEqual(modifyFromDeviceGroupRequest.devices, []);
+                    test.strictEqual(removeFromTrustRequest.deviceName, device1);
+                    removeFromTrustRequest = icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+                    test.strictEqual(removeFromTrustRequest.deviceName, device2);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testRemoveFromDeviceGroup: {
+        testInGroup(test) {
+            const device1 = 'device1';
+            const device2 = 'device2';
+
+            icontrolMock.when(
+                'list',
+                `/tm/cm/device-group/${deviceGroup}/devices`,
+                [
+                    {
+                        name: device1
+                    },
+                    {
+                        name: device2
+                    }
+                ]
+            );
+
+            test.expect(3);
+            bigIp.cluster.removeFromDeviceGroup(device1, deviceGroup)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, 'modify');
+                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}`);
+                    test.deepEqual(
+                        icontrolMock.lastCall.body,
+                        {
+                            devices: [device2]
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testArrayInGroup(test) {
+            const device1 = 'device1';
+            const device2 = 'device2';
+            const keepMe = 'keepMe';
+
+            icontrolMock.when(
+                'list',
+                `/tm/cm/device-group/${deviceGroup}/devices`,
+                [
+                    {
+                        name: device1
+                    },
+                    {
+                        name: device2
+                    },
+                    {
+                        name: keepMe
+                    }
+                ]
+            );
+
+            test.expect(3);
+            bigIp.cluster.removeFromDeviceGroup(['device1', 'device2'], deviceGroup)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, 'modify');
+                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}`);
+                    test.deepEqual(
+                        icontrolMock.lastCall.body,
+                        {
+                            devices: [keepMe]
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
                     test.done();
                 });
-        }
-    },
+        },
+
+        testNotInGroup(test) {
+            const device1 = 'device1';
+            const device2 = 'device2';
 
-    testRemoveFromCluster: {
-        setUp(callback) {
             icontrolMock.when(
                 'list',
-                '/tm/cm/device-group/',
+                `/tm/cm/device-group/${deviceGroup}/devices`,
                 [
                     {
-                        name: deviceGroup
+                        name: device2
                     }
                 ]
             );
-            callback();
+
+            test.expect(2);
+            bigIp.cluster.removeFromDeviceGroup(device1, deviceGroup)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, 'list');
+                    test.strictEqual(
+                        icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}/devices`
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
         },
 
-        testOneDevice(test) {
+        validateSkipAsmGroups(test) {
             const device1 = 'device1';
-            const device2 = 'device2';
 
             icontrolMock.when(
                 'list',
@@ -1554,18 +3076,66 @@ module.exports = {
                 [
                     {
                         name: device1
-                    },
-                    {
-                        name: device2
                     }
                 ]
             );
 
+            test.expect(2);
+            bigIp.cluster.removeFromDeviceGroup(device1, 'datasync-foo-dg')
+                .then(() => {
+                    test.notStrictEqual(icontrolMock.lastCall.method, 'list');
+                    test.notStrictEqual(
+                        icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}/devices`
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testRemoveAllFromDeviceGroup: {
+        testBasic(test) {
+            test.expect(3);
+            bigIp.cluster.removeAllFromDeviceGroup('abc')
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, ('modify'));
+                    test.strictEqual(icontrolMock.lastCall.path, '/tm/cm/device-group/abc');
+                    test.deepEqual(icontrolMock.lastCall.body, { devices: [] });
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDeviceTrustGroup(test) {
+            test.expect(1);
+            bigIp.cluster.removeAllFromDeviceGroup('device_trust_group')
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, '');
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testRemoveFromTrust: {
+        testInTrust(test) {
             icontrolMock.when(
                 'list',
                 '/tm/cm/trust-domain/Root',
                 {
-                    caDevices: [`/Common/${device1}`, `/Common/${device2}`]
+                    caDevices: ['/Common/someOtherDevice', `/Common/${localHostname}`]
                 }
             );
 
@@ -1575,343 +3145,490 @@ module.exports = {
                 {}
             );
 
-            test.expect(2);
-            bigIp.cluster.removeFromCluster(device1)
+            test.expect(3);
+            bigIp.cluster.removeFromTrust(localHostname)
                 .then(() => {
-                    const modifyFromDeviceGroupRequest =
-                        icontrolMock.getRequest('modify', `/tm/cm/device-group/${deviceGroup}`);
-                    const removeFromTrustRequest =
-                        icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+                    test.strictEqual(icontrolMock.lastCall.method, 'create');
+                    test.strictEqual(icontrolMock.lastCall.path, '/tm/cm/remove-from-trust');
+                    test.strictEqual(icontrolMock.lastCall.body.deviceName, localHostname);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
 
-                    test.deepEqual(modifyFromDeviceGroupRequest.devices, [device2]);
-                    test.strictEqual(removeFromTrustRequest.deviceName, device1);
+        testArrayInTrust(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: ['/Common/device1', '/Common/device2', '/Common/someOtherDevice']
+                }
+            );
+
+            icontrolMock.when(
+                'create',
+                '/tm/cm/remove-from-trust',
+                {}
+            );
+
+            test.expect(2);
+            bigIp.cluster.removeFromTrust(['device1', 'device2'])
+                .then(() => {
+                    let request = icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+                    test.deepEqual(
+                        request,
+                        {
+                            command: 'run',
+                            name: 'Root',
+                            caDevice: true,
+                            deviceName: 'device1'
+                        }
+                    );
+                    request = icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+                    test.deepEqual(
+                        request,
+                        {
+                            command: 'run',
+                            name: 'Root',
+                            caDevice: true,
+                            deviceName: 'device2'
+                        }
+                    );
                 })
                 .catch((err) => {
-                    test.ok(false, err);
+                    test.ok(false, err.message);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testTwoDevices(test) {
-            const device1 = 'device1';
-            const device2 = 'device2';
+        testNotInTrust(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/cm/trust-domain/Root',
+                {
+                    caDevices: ['/Common/someOtherDevice']
+                }
+            );
+
+            test.expect(2);
+            bigIp.cluster.removeFromTrust(localHostname)
+                .then(() => {
+                    test.strictEqual(icontrolMock.lastCall.method, 'list');
+                    test.strictEqual(icontrolMock.lastCall.path, '/tm/cm/trust-domain/Root');
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
 
+    testReplaceMember: {
+        setUp(callback) {
             icontrolMock.when(
                 'list',
-                `/tm/cm/device-group/${deviceGroup}/devices`,
+                '/tm/cm/device',
                 [
-                    {
-                        name: device1
-                    },
-                    {
-                        name: device2
-                    }
+                    getDevice('bigip1', '10.0.0.1', 'active', true),
+                    getDevice('bigip2', '10.0.0.2', 'offline')
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/sync-status',
+                getSyncStatus('red', 'Disconnected', ['bigip1: connected', 'bigip2: disconnected'])
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/',
+                [
+                    { name: 'device_trust_group' },
+                    { name: 'datasync-global-dg' },
+                    { name: 'failoverGroup' }
                 ]
             );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/failoverGroup/devices',
+                [{ name: 'bigip1' }, { name: 'bigip2' }]
+            );
             icontrolMock.when(
                 'list',
                 '/tm/cm/trust-domain/Root',
                 {
-                    caDevices: [`/Common/${device1}`, `/Common/${device2}`]
+                    caDevices: ['/Common/bigip1', '/Common/bigip2']
                 }
             );
-
             icontrolMock.when(
-                'create',
-                '/tm/cm/remove-from-trust',
-                {}
+                'list',
+                '/tm/cm/traffic-group/stats',
+                getTrafficGroupStats({ 'traffic-group-1': 'bigip1' })
             );
+            icontrolMock.when('list', '/tm/cm/device/~Common~bigip3', getDevice('bigip3', '10.0.0.3'));
 
-            test.expect(3);
-            bigIp.cluster.removeFromCluster([device1, device2])
-                .then(() => {
-                    const modifyFromDeviceGroupRequest =
-                        icontrolMock.getRequest('modify', `/tm/cm/device-group/${deviceGroup}`);
-                    let removeFromTrustRequest =
-                        icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+            bigIpReady = BigIp.prototype.ready;
+            bigIpDeviceInfo = BigIp.prototype.deviceInfo;
+
+            // The code under test creates its own BigIp for the replacement, so
+            // we need to do dependency injection a little differently
+            BigIp.prototype.ready = function ready() {
+                return q();
+            };
+            BigIp.prototype.deviceInfo = function deviceInfo() {
+                return q({
+                    hostname: this.host === 'newHost' ? 'bigip3' : 'bigip1',
+                    version: '14.1.2'
+                });
+            };
+
+            loggedOut = [];
+            bigIpLogout = BigIp.prototype.logout;
+            BigIp.prototype.logout = function logout() {
+                loggedOut.push(this.host);
+                return q();
+            };
+
+            callback();
+        },
+
+        tearDown(callback) {
+            BigIp.prototype.ready = bigIpReady;
+            BigIp.prototype.deviceInfo = bigIpDeviceInfo;
+            BigIp.prototype.logout = bigIpLogout;
+            callback();
+        },
 
-                    test.deepEqual(modifyFromDeviceGroupRequest.devices, []);
-                    test.strictEqual(removeFromTrustRequest.deviceName, device1);
-                    removeFromTrustRequest = icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
-                    test.strictEqual(removeFromTrustRequest.deviceName, device2);
+        testBasic(test) {
+            // The replacement lists /tm/cm/device after this device does
+            icontrolMock.whenNext('list', '/tm/cm/device', [getDevice('bigip3', '10.0.0.3', 'active', true)]);
+            icontrolMock.whenNext('list', '/tm/cm/sync-status', getSyncStatus('green', 'In Sync', []));
+
+            test.expect(7);
+            bigIp.cluster.replaceMember(
+                'bigip2',
+                'newHost',
+                'admin',
+                'password',
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.deepEqual(
+                        report,
+                        {
+                            oldDevice: 'bigip2',
+                            newDevice: 'bigip3',
+                            deviceGroups: ['failoverGroup'],
+                            trafficGroups: [{ name: 'traffic-group-1', activeDevice: 'bigip1' }]
+                        }
+                    );
+                    test.deepEqual(
+                        icontrolMock.getRequest('modify', '/tm/cm/device-group/failoverGroup'),
+                        { devices: ['bigip1'] }
+                    );
+                    test.strictEqual(
+                        icontrolMock.getRequest('create', '/tm/cm/remove-from-trust').deviceName,
+                        'bigip2'
+                    );
+                    test.strictEqual(icontrolMock.getNumRequests('delete', '/tm/cm/trust-domain'), 1);
+
+                    const trustRequest = icontrolMock.getRequest('create', '/tm/cm/add-to-trust');
+                    test.strictEqual(`${trustRequest.deviceName} ${trustRequest.device}`, 'bigip3 newHost');
+                    test.strictEqual(
+                        icontrolMock.getRequest('create', '/tm/cm/device-group/~Common~failoverGroup/devices')
+                            .name,
+                        'bigip3'
+                    );
+                    test.deepEqual(loggedOut, ['newHost']);
                 })
                 .catch((err) => {
-                    test.ok(false, err);
+                    test.ok(false, err && err.message ? err.message : err);
                 })
                 .finally(() => {
                     test.done();
                 });
-        }
-    },
-
-    testRemoveFromDeviceGroup: {
-        testInGroup(test) {
-            const device1 = 'device1';
-            const device2 = 'device2';
+        },
 
+        testOldDeviceOnline(test) {
             icontrolMock.when(
                 'list',
-                `/tm/cm/device-group/${deviceGroup}/devices`,
+                '/tm/cm/device',
                 [
-                    {
-                        name: device1
-                    },
-                    {
-                        name: device2
-                    }
+                    getDevice('bigip1', '10.0.0.1', 'active', true),
+                    getDevice('bigip2', '10.0.0.2', 'standby')
                 ]
             );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/sync-status',
+                getSyncStatus('green', 'In Sync', ['bigip1: connected', 'bigip2: connected'])
+            );
 
-            test.expect(3);
-            bigIp.cluster.removeFromDeviceGroup(device1, deviceGroup)
+            test.expect(2);
+            bigIp.cluster.replaceMember(
+                'bigip2', 'newHost', 'admin', 'password', { retryOptions: util.NO_RETRY }
+            )
                 .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, 'modify');
-                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}`);
-                    test.deepEqual(
-                        icontrolMock.lastCall.body,
-                        {
-                            devices: [device2]
-                        }
-                    );
+                    test.ok(false, 'should have thrown still online');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.strictEqual(err.message, 'bigip2 is still online (standby). Not replacing it.');
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/remove-from-trust'), 0);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testArrayInGroup(test) {
-            const device1 = 'device1';
-            const device2 = 'device2';
-            const keepMe = 'keepMe';
-
+        testOldDeviceGone(test) {
+            // The replacement lists /tm/cm/device after this device does
+            icontrolMock.whenNext('list', '/tm/cm/device', [getDevice('bigip3', '10.0.0.3', 'active', true)]);
             icontrolMock.when(
                 'list',
-                `/tm/cm/device-group/${deviceGroup}/devices`,
+                '/tm/cm/device',
                 [
-                    {
-                        name: device1
-                    },
-                    {
-                        name: device2
-                    },
-                    {
-                        name: keepMe
-                    }
+                    getDevice('bigip1', '10.0.0.1', 'active', true)
                 ]
             );
+            icontrolMock.when(
+                'list',
+                '/tm/cm/device-group/failoverGroup/devices',
+                [{ name: 'bigip1' }]
+            );
+            icontrolMock.whenNext('list', '/tm/cm/sync-status', getSyncStatus('green', 'In Sync', []));
 
             test.expect(3);
-            bigIp.cluster.removeFromDeviceGroup(['device1', 'device2'], deviceGroup)
-                .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, 'modify');
-                    test.strictEqual(icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}`);
-                    test.deepEqual(
-                        icontrolMock.lastCall.body,
-                        {
-                            devices: [keepMe]
-                        }
+            bigIp.cluster.replaceMember(
+                'bigip2',
+                'newHost',
+                'admin',
+                'password',
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then((report) => {
+                    test.deepEqual(report.deviceGroups, ['failoverGroup']);
+                    test.strictEqual(
+                        icontrolMock.getNumRequests('modify', '/tm/cm/device-group/failoverGroup'),
+                        0
                     );
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/remove-from-trust'), 0);
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.ok(false, err && err.message ? err.message : err);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testNotInGroup(test) {
-            const device1 = 'device1';
-            const device2 = 'device2';
-
-            icontrolMock.when(
+        testReplacementInTrust(test) {
+            icontrolMock.whenNext(
                 'list',
-                `/tm/cm/device-group/${deviceGroup}/devices`,
+                '/tm/cm/device',
                 [
-                    {
-                        name: device2
-                    }
+                    getDevice('bigip3', '10.0.0.3', 'active', true),
+                    getDevice('bigip4', '10.0.0.4', 'standby')
                 ]
             );
 
-            test.expect(2);
-            bigIp.cluster.removeFromDeviceGroup(device1, deviceGroup)
+            test.expect(4);
+            bigIp.cluster.replaceMember(
+                'bigip2', 'newHost', 'admin', 'password', { retryOptions: util.NO_RETRY }
+            )
                 .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, 'list');
-                    test.strictEqual(
-                        icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}/devices`
-                    );
+                    test.ok(false, 'should have thrown in trust');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.strictEqual(err.message, 'bigip3 is in trust with bigip4. Not replacing bigip2.');
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/remove-from-trust'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('delete', '/tm/cm/trust-domain'), 0);
+                    test.deepEqual(loggedOut, ['newHost']);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        validateSkipAsmGroups(test) {
-            const device1 = 'device1';
-
+        testReplacementInCluster(test) {
             icontrolMock.when(
                 'list',
-                `/tm/cm/device-group/${deviceGroup}/devices`,
+                '/tm/cm/device',
                 [
-                    {
-                        name: device1
-                    }
+                    getDevice('bigip1', '10.0.0.1', 'active', true),
+                    getDevice('bigip2', '10.0.0.2', 'offline'),
+                    getDevice('bigip3', '10.0.0.3', 'standby')
                 ]
             );
 
-            test.expect(2);
-            bigIp.cluster.removeFromDeviceGroup(device1, 'datasync-foo-dg')
+            test.expect(3);
+            bigIp.cluster.replaceMember(
+                'bigip2', 'newHost', 'admin', 'password', { retryOptions: util.NO_RETRY }
+            )
                 .then(() => {
-                    test.notStrictEqual(icontrolMock.lastCall.method, 'list');
-                    test.notStrictEqual(
-                        icontrolMock.lastCall.path, `/tm/cm/device-group/${deviceGroup}/devices`
-                    );
+                    test.ok(false, 'should have thrown in cluster');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.strictEqual(err.message, 'bigip3 is already in the cluster. Not replacing bigip2.');
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/remove-from-trust'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('delete', '/tm/cm/trust-domain'), 0);
                 })
                 .finally(() => {
                     test.done();
                 });
-        }
-    },
+        },
+
+        testReplacementNoConfigSyncIp(test) {
+            icontrolMock.when('list', '/tm/cm/device/~Common~bigip3', getDevice('bigip3', 'none'));
 
-    testRemoveAllFromDeviceGroup: {
-        testBasic(test) {
             test.expect(3);
-            bigIp.cluster.removeAllFromDeviceGroup('abc')
+            bigIp.cluster.replaceMember(
+                'bigip2', 'newHost', 'admin', 'password', { retryOptions: util.NO_RETRY }
+            )
                 .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, ('modify'));
-                    test.strictEqual(icontrolMock.lastCall.path, '/tm/cm/device-group/abc');
-                    test.deepEqual(icontrolMock.lastCall.body, { devices: [] });
+                    test.ok(false, 'should have thrown no config sync ip');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.notStrictEqual(err.message.indexOf('No config sync IP.'), -1);
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/remove-from-trust'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('delete', '/tm/cm/trust-domain'), 0);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testDeviceTrustGroup(test) {
+        testReplaceSelf(test) {
             test.expect(1);
-            bigIp.cluster.removeAllFromDeviceGroup('device_trust_group')
+            bigIp.cluster.replaceMember(
+                'bigip1', 'newHost', 'admin', 'password', { retryOptions: util.NO_RETRY }
+            )
                 .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, '');
+                    test.ok(false, 'should have thrown replace self');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.strictEqual(
+                        err.message,
+                        'Can not replace this device (bigip1). Run on a surviving member.'
+                    );
                 })
                 .finally(() => {
                     test.done();
                 });
-        }
-    },
-
-    testRemoveFromTrust: {
-        testInTrust(test) {
-            icontrolMock.when(
-                'list',
-                '/tm/cm/trust-domain/Root',
-                {
-                    caDevices: ['/Common/someOtherDevice', `/Common/${localHostname}`]
-                }
-            );
-
-            icontrolMock.when(
-                'create',
-                '/tm/cm/remove-from-trust',
-                {}
-            );
+        },
 
-            test.expect(3);
-            bigIp.cluster.removeFromTrust(localHostname)
+        testNotInSync(test) {
+            // The replacement lists /tm/cm/device after this device does
+            icontrolMock.whenNext('list', '/tm/cm/device', [getDevice('bigip3', '10.0.0.3', 'active', true)]);
+            test.expect(1);
+            bigIp.cluster.replaceMember(
+                'bigip2',
+                'newHost',
+                'admin',
+                'password',
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
                 .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, 'create');
-                    test.strictEqual(icontrolMock.lastCall.path, '/tm/cm/remove-from-trust');
-                    test.strictEqual(icontrolMock.lastCall.body.deviceName, localHostname);
+                    test.ok(false, 'should have thrown not in sync');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.notStrictEqual(err.message.indexOf('bigip3 did not sync:'), -1);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testArrayInTrust(test) {
-            icontrolMock.when(
+        testTrafficGroupMoved(test) {
+            // The replacement lists /tm/cm/device after this device does
+            icontrolMock.whenNext('list', '/tm/cm/device', [getDevice('bigip3', '10.0.0.3', 'active', true)]);
+            icontrolMock.whenNext(
                 'list',
-                '/tm/cm/trust-domain/Root',
-                {
-                    caDevices: ['/Common/device1', '/Common/device2', '/Common/someOtherDevice']
-                }
+                '/tm/cm/traffic-group/stats',
+                getTrafficGroupStats({ 'traffic-group-1': 'bigip3' })
             );
+            icontrolMock.whenNext('list', '/tm/cm/sync-status', getSyncStatus('green', 'In Sync', []));
 
-            icontrolMock.when(
-                'create',
-                '/tm/cm/remove-from-trust',
-                {}
-            );
+            test.expect(1);
+            bigIp.cluster.replaceMember(
+                'bigip2',
+                'newHost',
+                'admin',
+                'password',
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
+                .then(() => {
+                    test.ok(false, 'should have thrown ownership changed');
+                })
+                .catch((err) => {
+                    test.strictEqual(
+                        err.message,
+                        'Traffic group ownership changed: traffic-group-1 (bigip1 -> undefined)'
+                    );
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDryRun(test) {
+            // The replacement lists /tm/cm/device after this device does
+            icontrolMock.whenNext('list', '/tm/cm/device', [getDevice('bigip3', '10.0.0.3', 'active', true)]);
+            bigIp.setDryRun(true);
 
             test.expect(2);
-            bigIp.cluster.removeFromTrust(['device1', 'device2'])
+            bigIp.cluster.replaceMember(
+                'bigip2',
+                'newHost',
+                'admin',
+                'password',
+                { retryOptions: util.NO_RETRY, syncRetryOptions: util.NO_RETRY }
+            )
                 .then(() => {
-                    let request = icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/cm/remove-from-trust'), 0);
                     test.deepEqual(
-                        request,
-                        {
-                            command: 'run',
-                            name: 'Root',
-                            caDevice: true,
-                            deviceName: 'device1'
-                        }
-                    );
-                    request = icontrolMock.getRequest('create', '/tm/cm/remove-from-trust');
-                    test.deepEqual(
-                        request,
-                        {
-                            command: 'run',
-                            name: 'Root',
-                            caDevice: true,
-                            deviceName: 'device2'
-                        }
+                        bigIp.getPlan().map((request) => {
+                            return `${request.host} ${request.method} ${request.path}`;
+                        }),
+                        [
+                            'host modify /tm/cm/device-group/failoverGroup',
+                            'host create /tm/cm/remove-from-trust',
+                            'newHost delete /tm/cm/trust-domain',
+                            'host create /tm/cm/add-to-trust',
+                            'host create /tm/cm/device-group/~Common~failoverGroup/devices',
+                            'host create /tm/cm'
+                        ]
                     );
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.ok(false, err && err.message ? err.message : err);
                 })
                 .finally(() => {
                     test.done();
                 });
         },
 
-        testNotInTrust(test) {
-            icontrolMock.when(
-                'list',
-                '/tm/cm/trust-domain/Root',
-                {
-                    caDevices: ['/Common/someOtherDevice']
-                }
-            );
-
+        testMissingParameters(test) {
             test.expect(2);
-            bigIp.cluster.removeFromTrust(localHostname)
+            bigIp.cluster.replaceMember(undefined, 'newHost')
                 .then(() => {
-                    test.strictEqual(icontrolMock.lastCall.method, 'list');
-                    test.strictEqual(icontrolMock.lastCall.path, '/tm/cm/trust-domain/Root');
+                    test.ok(false, 'should have thrown missing old device');
                 })
                 .catch((err) => {
-                    test.ok(false, err.message);
+                    test.strictEqual(err.message, 'oldDeviceName is required');
+                    return bigIp.cluster.replaceMember('bigip2');
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown missing new host');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'newHost is required');
                 })
                 .finally(() => {
                     test.done();
@@ -1967,3 +3684,107 @@ module.exports = {
         }
     }
 };
+
+function getDevice(name, configsyncIp, failoverState, selfDevice) {
+    return {
+        name,
+        hostname: `${name}.example.com`,
+        managementIp: selfDevice ? '192.0.2.1' : '192.0.2.2',
+        selfDevice: selfDevice ? 'true' : 'false',
+        failoverState,
+        version: '14.1.2',
+        configsyncIp,
+        mirrorIp: 'any6',
+        mirrorSecondaryIp: 'any6',
+        unicastAddress: configsyncIp === 'none' ? 'none' : [
+            {
+                effectiveIp: configsyncIp,
+                effectivePort: 1026,
+                ip: configsyncIp,
+                port: 1026
+            }
+        ]
+    };
+}
+
+function getSyncStatus(color, status, details) {
+    const SUMMARIES = {
+        green: 'All devices in sync',
+        yellow: 'There is a possible change conflict',
+        red: 'One or more devices are disconnected'
+    };
+    const detailEntries = {};
+
+    details.forEach((detail, index) => {
+        detailEntries[`https://localhost/mgmt/tm/cm/syncStatus/0/details/${index}`] = {
+            nestedStats: {
+                entries: {
+                    details: {
+                        description: detail
+                    }
+                }
+            }
+        };
+    });
+
+    return {
+        entries: {
+            'https://localhost/mgmt/tm/cm/sync-status/0': {
+                nestedStats: {
+                    entries: {
+                        color: {
+                            description: color
+                        },
+                        status: {
+                            description: status
+                        },
+                        summary: {
+                            description: SUMMARIES[color]
+                        },
+                        'https://localhost/mgmt/tm/cm/syncStatus/0/details': {
+                            nestedStats: {
+                                entries: detailEntries
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+}
+
+function getStats(statsList) {
+    const entries = {};
+
+    statsList.forEach((stats, index) => {
+        const nestedEntries = {};
+        Object.keys(stats).forEach((statName) => {
+            nestedEntries[statName] = {
+                description: stats[statName]
+            };
+        });
+        entries[`https://localhost/mgmt/tm/cm/stats/${index}`] = {
+            nestedStats: {
+                entries: nestedEntries
+            }
+        };
+    });
+
+    return { entries };
+}
+
+function getTrafficGroupStats(activeDevices) {
+    const stats = [];
+
+    Object.keys(activeDevices).forEach((trafficGroup) => {
+        ['bigip1', 'bigip2'].forEach((device) => {
+            stats.push({
+                deviceName: `/Common/${device}`,
+                trafficGroup: `/Common/${trafficGroup}`,
+                failoverState: activeDevices[trafficGroup] === device ? 'active' : 'standby'
+            });
+        });
+    });
+
+    return getStats(stats);
+}
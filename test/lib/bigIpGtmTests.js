@@ -105,6 +105,38 @@ module.exports = {
                 });
         },
 
+        testIpv6(test) {
+            const ipv6VirtualServers = [
+                {
+                    name: 'vs3',
+                    ip: '2001:db8::3',
+                    port: 8080
+                }
+            ];
+
+            bigIp.gtm.updateServer(serverName, ipv6VirtualServers)
+                .then(() => {
+                    const request = icontrolMock.getRequest(
+                        'modify', `/tm/gtm/server/~Common~${serverName}`
+                    );
+                    test.deepEqual(
+                        request.virtualServers,
+                        [
+                            {
+                                name: 'vs3',
+                                destination: '2001:db8::3.8080'
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
         testDataCenter(test) {
             const datacenter = 'myDatacenter';
             bigIp.gtm.updateServer(serverName, virtualServers, { datacenter })
@@ -151,6 +183,132 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
+        },
+
+        testRemovesStale(test) {
+            icontrolMock.when(
+                'list',
+                `/tm/gtm/server/~Common~${serverName}/virtual-servers`,
+                [{ name: 'vs1' }, { name: 'vs3' }]
+            );
+
+            bigIp.gtm.updateServer(serverName, virtualServers)
+                .then((summary) => {
+                    const request = icontrolMock.getRequest(
+                        'modify', `/tm/gtm/server/~Common~${serverName}`
+                    );
+                    test.deepEqual(
+                        request.virtualServers.map((virtualServer) => {
+                            return virtualServer.name;
+                        }),
+                        ['vs1', 'vs2']
+                    );
+                    test.deepEqual(summary, {
+                        added: ['vs2'],
+                        removed: ['vs3'],
+                        unchanged: ['vs1']
+                    });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testKeepStale(test) {
+            icontrolMock.when(
+                'list',
+                `/tm/gtm/server/~Common~${serverName}/virtual-servers`,
+                [
+                    {
+                        name: 'vs3',
+                        fullPath: 'vs3',
+                        destination: '7.8.9.0:8080',
+                        enabled: true
+                    },
+                    {
+                        name: 'vs4',
+                        fullPath: 'vs4',
+                        destination: '2001:db8::4.8080',
+                        disabled: true
+                    }
+                ]
+            );
+
+            bigIp.gtm.updateServer(serverName, virtualServers, { keepStale: true })
+                .then((summary) => {
+                    const request = icontrolMock.getRequest(
+                        'modify', `/tm/gtm/server/~Common~${serverName}`
+                    );
+                    test.deepEqual(
+                        request.virtualServers.slice(2),
+                        [
+                            { name: 'vs3', destination: '7.8.9.0:8080', enabled: true },
+                            { name: 'vs4', destination: '2001:db8::4.8080', disabled: true }
+                        ]
+                    );
+                    test.deepEqual(summary.removed, []);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testEnabledState(test) {
+            const states = [
+                {
+                    name: 'vs1',
+                    ip: '1.2.3.4',
+                    port: 8080,
+                    enabled: true
+                },
+                {
+                    name: 'vs2',
+                    ip: '4.5.6.7',
+                    port: 8080,
+                    enabled: false
+                }
+            ];
+
+            bigIp.gtm.updateServer(serverName, states)
+                .then(() => {
+                    const request = icontrolMock.getRequest(
+                        'modify', `/tm/gtm/server/~Common~${serverName}`
+                    );
+                    test.strictEqual(request.virtualServers[0].enabled, true);
+                    test.strictEqual(request.virtualServers[1].disabled, true);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testCommands(test) {
+            const commands = [];
+            bigIp.gtm.updateServer(serverName, virtualServers, { commands })
+                .then(() => {
+                    test.strictEqual(
+                        icontrolMock.getRequest('modify', `/tm/gtm/server/~Common~${serverName}`),
+                        undefined
+                    );
+                    test.strictEqual(commands.length, 1);
+                    test.strictEqual(commands[0].method, 'modify');
+                    test.strictEqual(commands[0].path, `/tm/gtm/server/~Common~${serverName}`);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
         }
     },
 
@@ -206,6 +364,22 @@ module.exports = {
                 });
         },
 
+        testRecordType(test) {
+            bigIp.gtm.updatePool(poolName, serverName, virtualServers, { recordType: 'aaaa' })
+                .then(() => {
+                    const request = icontrolMock.getRequest(
+                        'modify', `/tm/gtm/pool/aaaa/~Common~${poolName}`
+                    );
+                    test.notStrictEqual(request, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
         testPartiton(test) {
             const partition = 'myPartition';
             bigIp.gtm.setPartition(partition);
@@ -222,6 +396,59 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
+        },
+
+        testRemovesStale(test) {
+            icontrolMock.when(
+                'list',
+                `/tm/gtm/pool/a/~Common~${poolName}/members`,
+                [{ name: `${serverName}:vs2` }, { name: `${serverName}:vs3` }]
+            );
+
+            bigIp.gtm.updatePool(poolName, serverName, virtualServers)
+                .then((summary) => {
+                    test.deepEqual(summary, {
+                        added: [`${serverName}:vs1`],
+                        removed: [`${serverName}:vs3`],
+                        unchanged: [`${serverName}:vs2`]
+                    });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testRatioOrderAndState(test) {
+            const members = [
+                {
+                    name: 'vs1',
+                    ratio: '3',
+                    order: 0,
+                    enabled: 'false'
+                }
+            ];
+
+            bigIp.gtm.updatePool(poolName, serverName, members)
+                .then(() => {
+                    const request = icontrolMock.getRequest('modify', `/tm/gtm/pool/a/~Common~${poolName}`);
+                    test.deepEqual(request.members, [
+                        {
+                            name: `${serverName}:vs1`,
+                            ratio: 3,
+                            memberOrder: 0,
+                            disabled: true
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
         }
     }
 };
@@ -578,6 +578,39 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
+        },
+
+        testDryRun(test) {
+            const regKey = '1234-5678-ABCD-EFGH';
+
+            icontrolMock.when(
+                'list',
+                '/tm/shared/licensing/registration',
+                {}
+            );
+            bigIp.setDryRun(true);
+
+            test.expect(3);
+            bigIp.onboard.license({ registrationKey: regKey })
+                .then((response) => {
+                    test.strictEqual(response, 'Dry run. License not installed.');
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/sys/license'), 0);
+                    test.deepEqual(
+                        bigIp.getPlan()[1],
+                        {
+                            host: 'host',
+                            method: 'create',
+                            path: '/tm/sys/license',
+                            body: { command: 'install', registrationKey: regKey }
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
         }
     },
 
@@ -770,6 +803,33 @@ module.exports = {
                         });
                 }
             }
+        },
+
+        testDryRun(test) {
+            let bigIqInitCalled = false;
+            BigIq.prototype.init = () => {
+                bigIqInitCalled = true;
+                return q();
+            };
+            bigIp.setDryRun(true);
+
+            test.expect(3);
+            bigIp.onboard.licenseViaBigIq('bigIqHost', 'user', 'password', 'myPool', 'aws')
+                .then(() => {
+                    const plan = bigIp.getPlan();
+                    test.strictEqual(bigIqInitCalled, false);
+                    test.strictEqual(plan.length, 1);
+                    test.deepEqual(
+                        [plan[0].host, plan[0].method, plan[0].path, plan[0].body.cloud],
+                        ['bigIqHost', 'licenseViaBigIq', 'myPool', 'aws']
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
         }
     },
 
@@ -997,6 +1057,26 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
+        },
+
+        testDryRun(test) {
+            bigIp.setDryRun(true);
+
+            test.expect(3);
+            bigIp.onboard.setRootPassword('rootPassword', undefined, { enableRoot: true })
+                .then(() => {
+                    test.strictEqual(shellCommand, undefined);
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/shared/authn/root'), 0);
+                    test.deepEqual(
+                        bigIp.getPlan()[0].body,
+                        { oldPassword: '********', newPassword: '********' }
+                    );
+                }).catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
         }
     },
 
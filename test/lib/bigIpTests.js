@@ -431,6 +431,53 @@ module.exports = {
                 });
         },
 
+        testTokenAuthOptions(test) {
+            let authnOptions;
+            authnMock.authenticate = function authenticate(host, user, password, options) {
+                authnOptions = options;
+                return q.resolve(icontrolMock);
+            };
+
+            test.expect(3);
+            bigIp.init('host', 'user', 'password', {
+                tokenAuth: true,
+                loginProviderName: 'myProvider',
+                tokenTimeout: 3600
+            })
+                .then(() => {
+                    test.strictEqual(authnOptions.tokenAuth, true);
+                    test.strictEqual(authnOptions.loginProviderName, 'myProvider');
+                    test.strictEqual(authnOptions.tokenTimeout, 3600);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testConnectionOptions(test) {
+            let authnOptions;
+            authnMock.authenticate = function authenticate(host, user, password, options) {
+                authnOptions = options;
+                return q.resolve(icontrolMock);
+            };
+
+            test.expect(2);
+            bigIp.init('host', 'user', 'password', { maxConcurrentRequests: 4, requestTimeoutMs: 1000 })
+                .then(() => {
+                    test.strictEqual(authnOptions.maxConcurrentRequests, 4);
+                    test.strictEqual(authnOptions.requestTimeoutMs, 1000);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
         testNotInitialized(test) {
             bigIp = new BigIp();
 
@@ -513,6 +560,50 @@ module.exports = {
         }
     },
 
+    testLogout: {
+        testToken(test) {
+            let logoutCalled = false;
+            icontrolMock.authToken = 'myToken';
+            icontrolMock.logout = () => {
+                logoutCalled = true;
+                return q();
+            };
+
+            test.expect(1);
+            bigIp.logout()
+                .then(() => {
+                    test.strictEqual(logoutCalled, true);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoToken(test) {
+            let logoutCalled = false;
+            icontrolMock.authToken = undefined;
+            icontrolMock.logout = () => {
+                logoutCalled = true;
+                return q();
+            };
+
+            test.expect(1);
+            bigIp.logout()
+                .then(() => {
+                    test.strictEqual(logoutCalled, false);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
     testList(test) {
         test.expect(1);
         bigIp.list()
@@ -863,6 +954,252 @@ module.exports = {
         }
     },
 
+    testGetLicenseInfo: {
+        testBasic(test) {
+            icontrolMock.when('list', '/tm/sys/license', getLicenseStats());
+
+            test.expect(1);
+            bigIp.getLicenseInfo(utilMock.NO_RETRY)
+                .then((license) => {
+                    test.deepEqual(
+                        license,
+                        {
+                            registrationKey: 'AAAAA-BBBBB-CCCCC-DDDDD-EEEEEEE',
+                            licensedVersion: '14.1.0',
+                            platformId: 'Z100',
+                            licensedOnDate: '2020-01-01',
+                            licenseStartDate: '2019-12-31',
+                            licenseEndDate: '2030-01-01',
+                            serviceCheckDate: '2029-12-01',
+                            evaluationStart: undefined,
+                            evaluationEnd: undefined,
+                            expiration: '2030-01-01',
+                            activeModules: [
+                                {
+                                    name: 'BIG-IP, VE',
+                                    key: 'AAAAA-BBBBB-CCCCC-DDDDD-EEEEEEE',
+                                    features: ['Rate Shaping', 'APM, Limited'],
+                                    addOn: false,
+                                    expiration: undefined
+                                },
+                                {
+                                    name: 'IPI Subscription, 1Yr, VE',
+                                    key: 'FFFFF-GGGGGGG',
+                                    features: ['IP Intelligence'],
+                                    addOn: true,
+                                    expiration: '2031-01-01'
+                                }
+                            ],
+                            addOnKeys: ['FFFFF-GGGGGGG']
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotLicensed(test) {
+            icontrolMock.when('list', '/tm/sys/license', { kind: 'tm:sys:license:licensestats' });
+
+            test.expect(1);
+            bigIp.getLicenseInfo(utilMock.NO_RETRY)
+                .then((license) => {
+                    test.strictEqual(license, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testFeaturesFromDescription(test) {
+            const licenseStats = getLicenseStats();
+            const licenseEntry = licenseStats.entries['https://localhost/mgmt/tm/sys/license/0'];
+            const modules = licenseEntry.nestedStats.entries['active-modules'].nestedStats.entries;
+            Object.keys(modules).forEach((moduleLink) => {
+                modules[moduleLink] = { nestedStats: { entries: {} } };
+            });
+            icontrolMock.when('list', '/tm/sys/license', licenseStats);
+
+            test.expect(2);
+            bigIp.getLicenseInfo(utilMock.NO_RETRY)
+                .then((license) => {
+                    test.deepEqual(
+                        license.activeModules[0],
+                        {
+                            name: 'BIG-IP, VE',
+                            key: 'AAAAA-BBBBB-CCCCC-DDDDD-EEEEEEE',
+                            features: ['Rate Shaping', 'APM, Limited'],
+                            addOn: false,
+                            expiration: undefined
+                        }
+                    );
+                    test.deepEqual(license.addOnKeys, ['FFFFF-GGGGGGG']);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testCheckLicenseExpiry: {
+        testNothingExpiring(test) {
+            icontrolMock.when('list', '/tm/sys/license', getLicenseStats());
+
+            test.expect(3);
+            bigIp.checkLicenseExpiry(undefined, utilMock.NO_RETRY)
+                .then((report) => {
+                    test.strictEqual(report.ok, true);
+                    test.strictEqual(report.warningDays, 30);
+                    test.deepEqual(report.expiring, []);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testExpiringWithinWindow(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/sys/license',
+                getLicenseStats({ licenseEndDate: daysFromToday(10), serviceCheckDate: daysFromToday(-5) })
+            );
+
+            test.expect(2);
+            bigIp.checkLicenseExpiry({ warningDays: 14 }, utilMock.NO_RETRY)
+                .then((report) => {
+                    test.strictEqual(report.ok, false);
+                    test.deepEqual(
+                        report.expiring,
+                        [
+                            {
+                                name: 'licenseEndDate',
+                                date: daysFromToday(10).replace(/\//g, '-'),
+                                daysRemaining: 10,
+                                expired: false
+                            },
+                            {
+                                name: 'serviceCheckDate',
+                                date: daysFromToday(-5).replace(/\//g, '-'),
+                                daysRemaining: -5,
+                                expired: true
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testAddOnExpiring(test) {
+            icontrolMock.when('list', '/tm/sys/license', getLicenseStats(undefined, daysFromToday(3)));
+
+            test.expect(2);
+            bigIp.checkLicenseExpiry(undefined, utilMock.NO_RETRY)
+                .then((report) => {
+                    test.strictEqual(report.ok, false);
+                    test.deepEqual(
+                        report.expiring,
+                        [
+                            {
+                                name: 'addOnExpiration',
+                                key: 'FFFFF-GGGGGGG',
+                                module: 'IPI Subscription, 1Yr, VE',
+                                date: daysFromToday(3).replace(/\//g, '-'),
+                                daysRemaining: 3,
+                                expired: false
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testInvalidDate(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/sys/license',
+                getLicenseStats({ licenseEndDate: 'never' }, '2031/13/01')
+            );
+
+            test.expect(2);
+            bigIp.checkLicenseExpiry(undefined, utilMock.NO_RETRY)
+                .then((report) => {
+                    test.strictEqual(report.ok, false);
+                    test.deepEqual(
+                        report.expiring.map((expiring) => {
+                            return `${expiring.name} ${expiring.date} ${expiring.invalid}`;
+                        }),
+                        ['licenseEndDate never true', 'addOnExpiration 2031-13-01 true']
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testOutsideWindow(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/sys/license',
+                getLicenseStats({ licenseEndDate: daysFromToday(10) })
+            );
+
+            test.expect(1);
+            bigIp.checkLicenseExpiry({ warningDays: 5 }, utilMock.NO_RETRY)
+                .then((report) => {
+                    test.strictEqual(report.ok, true);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotLicensed(test) {
+            icontrolMock.when('list', '/tm/sys/license', {});
+
+            test.expect(2);
+            bigIp.checkLicenseExpiry(undefined, utilMock.NO_RETRY)
+                .then((report) => {
+                    test.strictEqual(report.ok, false);
+                    test.strictEqual(report.license, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
     testGetPassword(test) {
         bigIp.getPassword()
             .then((response) => {
@@ -1127,6 +1464,37 @@ module.exports = {
                     });
             },
 
+            testKeepsConnectionOptions(test) {
+                const stats = { requests: 5 };
+
+                bigIp.initOptions = {
+                    passwordIsUrl: true
+                };
+                bigIp.icontrol = Object.create(icontrolMock);
+                bigIp.icontrol.maxConcurrentRequests = 2;
+                bigIp.icontrol.requestTimeoutMs = 1000;
+                bigIp.icontrol.stats = stats;
+                utilMock.getDataFromUrl = function getDataFromUrl() {
+                    return q('newPassword');
+                };
+
+                test.expect(4);
+                bigIp.loadUcs('/tmp/foo')
+                    .then(() => {
+                        test.strictEqual(bigIp.icontrol.password, 'newPassword');
+                        test.strictEqual(bigIp.icontrol.maxConcurrentRequests, 2);
+                        test.strictEqual(bigIp.icontrol.requestTimeoutMs, 1000);
+                        test.strictEqual(bigIp.icontrol.getStats().requests, 5);
+                    })
+                    .catch((err) => {
+                        test.ok(false, err);
+                    })
+                    .finally(() => {
+                        childProcessMock.execFile = realExecFile;
+                        test.done();
+                    });
+            },
+
             testGetDataFromUrlError(test) {
                 const message = 'getDataFromUrl error';
 
@@ -1940,5 +2308,467 @@ module.exports = {
                     test.done();
                 });
         }
+    },
+
+    testLogRequestStats(test) {
+        const messages = [];
+        const logger = {
+            info() {
+                messages.push(Array.prototype.slice.call(arguments).join(' '));
+            }
+        };
+        const stats = { requests: 2, errors: 0 };
+
+        bigIp.icontrol = Object.create(icontrolMock);
+        bigIp.icontrol.getStats = () => {
+            return stats;
+        };
+
+        bigIp.logRequestStats(logger);
+        test.deepEqual(messages, [`Request stats: ${JSON.stringify(stats)}`]);
+        test.done();
+    },
+
+    testDryRun: {
+        setUp(callback) {
+            bigIp.setDryRun(true);
+            callback();
+        },
+
+        testWritesRecorded(test) {
+            test.expect(5);
+            bigIp.create('/foo/bar', { foo: 'bar' })
+                .then(() => {
+                    return bigIp.modify('/hello/world', { roger: 'dodger' });
+                })
+                .then(() => {
+                    return bigIp.replace('/hello/world', { hello: 'world' });
+                })
+                .then(() => {
+                    return bigIp.delete('/okie/dokie');
+                })
+                .then(() => {
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/foo/bar'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('modify', '/hello/world'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('replace', '/hello/world'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('delete', '/okie/dokie'), 0);
+                    test.deepEqual(
+                        bigIp.getPlan(),
+                        [
+                            {
+                                host: 'host',
+                                method: 'create',
+                                path: '/foo/bar',
+                                body: { foo: 'bar' }
+                            },
+                            {
+                                host: 'host',
+                                method: 'modify',
+                                path: '/hello/world',
+                                body: { roger: 'dodger' }
+                            },
+                            {
+                                host: 'host',
+                                method: 'replace',
+                                path: '/hello/world',
+                                body: { hello: 'world' }
+                            },
+                            {
+                                host: 'host',
+                                method: 'delete',
+                                path: '/okie/dokie',
+                                body: undefined
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testReadsSent(test) {
+            icontrolMock.when('list', '/foo/bar', { foo: 'bar' });
+
+            test.expect(3);
+            bigIp.list('/foo/bar')
+                .then((response) => {
+                    test.deepEqual(response, { foo: 'bar' });
+                    test.strictEqual(icontrolMock.getNumRequests('list', '/foo/bar'), 1);
+                    test.deepEqual(bigIp.getPlan(), []);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testLogPlan(test) {
+            const messages = [];
+            const logger = {
+                info() {
+                    messages.push(Array.prototype.slice.call(arguments).join(' '));
+                }
+            };
+
+            test.expect(1);
+            bigIp.create('/foo/bar', { foo: 'bar' })
+                .then(() => {
+                    return bigIp.delete('/foo/bar');
+                })
+                .then(() => {
+                    bigIp.logPlan(logger);
+                    test.deepEqual(
+                        messages,
+                        [
+                            'Dry run. Requests that would have been made:',
+                            '1. create host /foo/bar {"foo":"bar"}',
+                            '2. delete host /foo/bar '
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testBodyCopied(test) {
+            const body = { foo: 'bar' };
+
+            test.expect(1);
+            bigIp.create('/foo/bar', body)
+                .then(() => {
+                    body.foo = 'changed';
+                    test.deepEqual(bigIp.getPlan()[0].body, { foo: 'bar' });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testCreateOrModify(test) {
+            icontrolMock.fail('list', '/tm/ltm/pool/~Common~myPool', { code: 404 });
+            icontrolMock.when('list', '/tm/ltm/node/~Common~myNode', {});
+
+            test.expect(4);
+            bigIp.createOrModify('/tm/ltm/pool', { name: 'myPool' })
+                .then(() => {
+                    return bigIp.createOrModify('/tm/ltm/node', { name: 'myNode' });
+                })
+                .then(() => {
+                    const plan = bigIp.getPlan();
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/ltm/pool'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('modify', '/tm/ltm/node/~Common~myNode'), 0);
+                    test.deepEqual(
+                        plan[0],
+                        {
+                            host: 'host',
+                            method: 'create',
+                            path: '/tm/ltm/pool',
+                            body: { name: 'myPool' }
+                        }
+                    );
+                    test.deepEqual(
+                        plan[1],
+                        {
+                            host: 'host',
+                            method: 'modify',
+                            path: '/tm/ltm/node/~Common~myNode',
+                            body: { name: 'myNode' }
+                        }
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTransaction(test) {
+            const commands = [
+                {
+                    method: 'create',
+                    path: '/bar/foo',
+                    body: {
+                        foo: 'bar'
+                    }
+                },
+                {
+                    method: 'delete',
+                    path: '/okie/dokie'
+                }
+            ];
+
+            test.expect(3);
+            bigIp.transaction(commands)
+                .then(() => {
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/transaction/'), 0);
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/bar/foo'), 0);
+                    test.deepEqual(
+                        bigIp.getPlan(),
+                        [
+                            {
+                                host: 'host',
+                                method: 'transaction',
+                                path: '/tm/transaction/',
+                                body: commands
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testRunTask(test) {
+            const commandBody = { foo: 'bar' };
+
+            test.expect(2);
+            bigIp.runTask(DUMMY_TASK_PATH, commandBody)
+                .then(() => {
+                    test.strictEqual(icontrolMock.getNumRequests('list', `${DUMMY_TASK_PATH}/undefined`), 0);
+                    test.deepEqual(
+                        bigIp.getPlan(),
+                        [{
+                            host: 'host',
+                            method: 'create',
+                            path: DUMMY_TASK_PATH,
+                            body: commandBody
+                        }]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testPing(test) {
+            test.expect(2);
+            bigIp.ping('1.2.3.4')
+                .then((response) => {
+                    test.strictEqual(response, true);
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/util/ping'), 0);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testSecretsMasked(test) {
+            test.expect(2);
+            bigIp.create('/shared/authn/root', { oldPassword: 'foo', newPassword: 'bar' })
+                .then(() => {
+                    return bigIp.transaction([
+                        {
+                            method: 'modify',
+                            path: '/tm/auth/user/admin',
+                            body: { password: 'hello', shell: 'bash' }
+                        }
+                    ]);
+                })
+                .then(() => {
+                    const plan = bigIp.getPlan();
+                    test.deepEqual(plan[0].body, { oldPassword: '********', newPassword: '********' });
+                    test.deepEqual(plan[1].body[0].body, { password: '********', shell: 'bash' });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testSharedPlan(test) {
+            const otherBigIp = new BigIp();
+            otherBigIp.host = 'otherHost';
+            otherBigIp.isInitialized = true;
+            otherBigIp.setDryRun(true, bigIp.plan);
+
+            test.expect(1);
+            bigIp.create('/foo/bar', {})
+                .then(() => {
+                    return otherBigIp.create('/bar/foo', {});
+                })
+                .then(() => {
+                    test.deepEqual(
+                        bigIp.getPlan().map((request) => {
+                            return `${request.host} ${request.path}`;
+                        }),
+                        ['host /foo/bar', 'otherHost /bar/foo']
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotDryRun(test) {
+            bigIp.setDryRun(false);
+
+            test.expect(2);
+            bigIp.create('/foo/bar', { foo: 'bar' })
+                .then(() => {
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/foo/bar'), 1);
+                    test.deepEqual(bigIp.getPlan(), []);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testChangeLog: {
+        testSuccessfulWritesRecorded(test) {
+            const changes = [];
+            bigIp.setChangeLog(changes);
+            icontrolMock.fail('create', '/tm/net/self', { code: 400, message: 'conflict' });
+
+            test.expect(1);
+            bigIp.create('/tm/net/vlan', { name: 'external' }, undefined, utilMock.NO_RETRY)
+                .then(() => {
+                    return bigIp.delete('/tm/net/route/~Common~foo', undefined, undefined, utilMock.NO_RETRY);
+                })
+                .then(() => {
+                    return bigIp.create(
+                        '/tm/net/self',
+                        { name: 'self_external' },
+                        undefined,
+                        utilMock.NO_RETRY
+                    );
+                })
+                .catch(() => {
+                    test.deepEqual(
+                        changes,
+                        [
+                            {
+                                method: 'create',
+                                path: '/tm/net/vlan',
+                                name: 'external'
+                            },
+                            {
+                                method: 'delete',
+                                path: '/tm/net/route/~Common~foo',
+                                name: undefined
+                            }
+                        ]
+                    );
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testStopRecording(test) {
+            const changes = [];
+            bigIp.setChangeLog(changes);
+            bigIp.setChangeLog();
+
+            test.expect(1);
+            bigIp.create('/tm/net/vlan', { name: 'external' })
+                .then(() => {
+                    test.deepEqual(changes, []);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
     }
 };
+
+function daysFromToday(days) {
+    const now = new Date();
+    const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + days));
+    const pad = function (value) {
+        return value < 10 ? `0${value}` : `${value}`;
+    };
+    return `${date.getUTCFullYear()}/${pad(date.getUTCMonth() + 1)}/${pad(date.getUTCDate())}`;
+}
+
+function getLicenseStats(dates, addOnExpiration) {
+    const licenseDates = {
+        licensedOnDate: '2020/01/01',
+        licenseStartDate: '2019/12/31',
+        licenseEndDate: '2030/01/01',
+        serviceCheckDate: '2029/12/01'
+    };
+    Object.assign(licenseDates, dates);
+
+    const entries = {
+        registrationKey: { description: 'AAAAA-BBBBB-CCCCC-DDDDD-EEEEEEE' },
+        licensedVersion: { description: '14.1.0' },
+        platformId: { description: 'Z100' },
+        'active-modules': {
+            nestedStats: {
+                entries: {
+                    // eslint-disable-next-line max-len
+                    'https://localhost/mgmt/tm/sys/license/0/active-modules/%22BIG-IP,%20VE%7CAAAAA-BBBBB-CCCCC-DDDDD-EEEEEEE%7CRate%20Shaping%7CAPM,%20Limited%22': {
+                        nestedStats: {
+                            entries: {
+                                featureModules: { description: '{ "Rate Shaping" "APM, Limited" }' },
+                                key: { description: 'AAAAA-BBBBB-CCCCC-DDDDD-EEEEEEE' }
+                            }
+                        }
+                    },
+                    // eslint-disable-next-line max-len
+                    'https://localhost/mgmt/tm/sys/license/0/active-modules/%22IPI%20Subscription,%201Yr,%20VE%7CFFFFF-GGGGGGG%7CIP%20Intelligence%22': {
+                        nestedStats: {
+                            entries: {
+                                featureModules: { description: '{ "IP Intelligence" }' },
+                                key: { description: 'FFFFF-GGGGGGG' },
+                                expirationDate: { description: addOnExpiration || '2031/01/01' }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    };
+
+    Object.keys(licenseDates).forEach((name) => {
+        entries[name] = { description: licenseDates[name] };
+    });
+
+    return {
+        kind: 'tm:sys:license:licensestats',
+        entries: {
+            'https://localhost/mgmt/tm/sys/license/0': {
+                nestedStats: {
+                    entries
+                }
+            }
+        }
+    };
+}
@@ -316,5 +316,79 @@ module.exports = {
                     test.done();
                 });
         }
+    },
+
+    testGetAssignments: {
+        setUp(callback) {
+            icontrolMock.when(
+                'list',
+                `${LICENSE_PATH}?$select=uuid,name`,
+                [
+                    {
+                        name: poolName,
+                        uuid: poolUuid
+                    }
+                ]
+            );
+
+            icontrolMock.when(
+                'list',
+                `${LICENSE_PATH}${poolUuid}/members/`,
+                [
+                    {
+                        deviceName: bigIpHostname,
+                        deviceAddress: '1.2.3.4:443',
+                        uuid: licenseUuid
+                    },
+                    {
+                        uuid: '2000'
+                    }
+                ]
+            );
+
+            callback();
+        },
+
+        testBasic(test) {
+            test.expect(1);
+            provider.getAssignments(icontrolMock, poolName)
+                .then((assignments) => {
+                    test.deepEqual(
+                        assignments,
+                        [
+                            {
+                                id: licenseUuid,
+                                deviceName: bigIpHostname,
+                                deviceAddress: '1.2.3.4'
+                            },
+                            {
+                                id: '2000',
+                                deviceName: undefined,
+                                deviceAddress: undefined
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testPoolNotFound(test) {
+            test.expect(1);
+            provider.getAssignments(icontrolMock, 'foo')
+                .then(() => {
+                    test.ok(false, 'should have thrown no pool');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'No license pool found with name: foo');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
     }
 };
@@ -536,6 +536,166 @@ module.exports = {
         }
     },
 
+    testGetAssignments: {
+        setUp(callback) {
+            icontrolMock.when(
+                'list',
+                `${LICENSE_PATH}?$select=id,name`,
+                [
+                    {
+                        name: poolName,
+                        id: poolUuid
+                    }
+                ]
+            );
+
+            icontrolMock.when(
+                'list',
+                `${LICENSE_PATH}${poolUuid}/offerings?$select=licenseState`,
+                [
+                    {
+                        licenseState: {
+                            registrationKey: regKey
+                        }
+                    },
+                    {
+                        licenseState: {
+                            registrationKey: '0002'
+                        }
+                    },
+                    {}
+                ]
+            );
+
+            icontrolMock.when(
+                'list',
+                `${LICENSE_PATH}${poolUuid}/offerings/${regKey}/members`,
+                [
+                    {
+                        deviceName: bigIpHostname,
+                        deviceAddress: '1.2.3.4',
+                        macAddress: '01:02:03:04:05:06',
+                        deviceMachineId: 'abcd',
+                        id: memberId
+                    }
+                ]
+            );
+
+            icontrolMock.when(
+                'list',
+                `${LICENSE_PATH}${poolUuid}/offerings/0002/members`,
+                {
+                    deviceName: 'foo',
+                    id: '2000'
+                }
+            );
+
+            callback();
+        },
+
+        testBasic(test) {
+            test.expect(1);
+            provider.getAssignments(icontrolMock, poolName)
+                .then((assignments) => {
+                    test.deepEqual(
+                        assignments,
+                        [
+                            {
+                                regKey,
+                                id: memberId,
+                                deviceName: bigIpHostname,
+                                deviceAddress: '1.2.3.4',
+                                macAddress: '01:02:03:04:05:06',
+                                machineId: 'abcd'
+                            },
+                            {
+                                regKey: '0002',
+                                id: '2000',
+                                deviceName: 'foo',
+                                deviceAddress: undefined,
+                                macAddress: undefined,
+                                machineId: undefined
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testGetMembersError(test) {
+            icontrolMock.fail('list', `${LICENSE_PATH}${poolUuid}/offerings/${regKey}/members`);
+
+            test.expect(1);
+            provider.getAssignments(icontrolMock, poolName)
+                .then(() => {
+                    test.ok(false, 'should have thrown');
+                })
+                .catch(() => {
+                    test.ok(true);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testGetCapacity(test) {
+        icontrolMock.when(
+            'list',
+            `${LICENSE_PATH}?$select=id,name`,
+            [
+                {
+                    name: poolName,
+                    id: poolUuid
+                }
+            ]
+        );
+        icontrolMock.when(
+            'list',
+            `${LICENSE_PATH}${poolUuid}/offerings?$select=licenseState`,
+            [
+                {
+                    licenseState: {
+                        registrationKey: regKey
+                    }
+                },
+                {
+                    licenseState: {
+                        registrationKey: '0002'
+                    }
+                }
+            ]
+        );
+        icontrolMock.when(
+            'list',
+            `${LICENSE_PATH}${poolUuid}/offerings/${regKey}/members`,
+            [
+                {
+                    deviceName: bigIpHostname,
+                    id: memberId
+                }
+            ]
+        );
+        icontrolMock.when('list', `${LICENSE_PATH}${poolUuid}/offerings/0002/members`, []);
+
+        test.expect(1);
+        provider.getCapacity(icontrolMock, poolName)
+            .then((capacity) => {
+                test.deepEqual(capacity, { total: 2, used: 1, available: 1 });
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
     testGetLicenseTimeout(test) {
         test.deepEqual(provider.getLicenseTimeout(), { maxRetries: 40, retryIntervalMs: 5000 });
         test.done();
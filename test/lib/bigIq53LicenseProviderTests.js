@@ -236,6 +236,153 @@ module.exports = {
         }
     },
 
+    testGetAssignments: {
+        setUp(callback) {
+            icontrolMock.when(
+                'list',
+                '/cm/device/licensing/pool/regkey/licenses?$select=id,name',
+                [
+                    {
+                        name: poolName,
+                        id: 'pool1'
+                    },
+                    {
+                        name: 'otherPool',
+                        id: 'pool2'
+                    }
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/cm/device/licensing/pool/utility/licenses?$select=id,name',
+                []
+            );
+            icontrolMock.fail(
+                'list',
+                '/cm/device/licensing/pool/volume/licenses?$select=id,name'
+            );
+
+            icontrolMock.when(
+                'list',
+                // eslint-disable-next-line max-len
+                "/shared/index/config?$filter=(%20(%20'kind'%20eq%20'cm:device:licensing:pool:purchased-pool:licenses:licensepoolmemberstate'%20or%20'kind'%20eq%20'cm:device:licensing:pool:utility:licenses:regkey:offerings:offering:members:grantmemberstate'%20or%20'kind'%20eq%20'cm:device:licensing:pool:volume:licenses:regkey:offerings:offering:members:memberstate'%20or%20'kind'%20eq%20'cm:device:licensing:pool:regkey:licenses:item:offerings:regkey:members:regkeypoollicensememberstate'%20))&$select=deviceAddress,deviceMachineId,deviceName,macAddress,selfLink",
+                [
+                    {
+                        deviceAddress: '1.2.3.4',
+                        deviceMachineId: 'abcd',
+                        deviceName: 'bigip1',
+                        macAddress: '01:02:03:04:05:06',
+                        // eslint-disable-next-line max-len
+                        selfLink: 'https://localhost/mgmt/cm/device/licensing/pool/regkey/licenses/pool1/offerings/ABCDE-FGHIJ/members/5678'
+                    },
+                    {
+                        deviceAddress: '5.6.7.8',
+                        deviceName: 'bigip2',
+                        // eslint-disable-next-line max-len
+                        selfLink: 'https://localhost/mgmt/cm/device/licensing/pool/regkey/licenses/pool2/offerings/KLMNO-PQRST/members/9012'
+                    }
+                ]
+            );
+            callback();
+        },
+
+        testBasic(test) {
+            test.expect(1);
+            provider.getAssignments(icontrolMock, poolName)
+                .then((assignments) => {
+                    test.deepEqual(
+                        assignments,
+                        [
+                            {
+                                id: '5678',
+                                deviceName: 'bigip1',
+                                deviceAddress: '1.2.3.4',
+                                macAddress: '01:02:03:04:05:06',
+                                machineId: 'abcd',
+                                regKey: 'ABCDE-FGHIJ'
+                            }
+                        ]
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testPoolNotFound(test) {
+            test.expect(1);
+            provider.getAssignments(icontrolMock, 'foo')
+                .then(() => {
+                    test.ok(false, 'should have thrown no pool');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'No license pool found with name: foo');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testGetCapacity(test) {
+            icontrolMock.when(
+                'list',
+                '/cm/device/licensing/pool/regkey/licenses/pool1/offerings?$select=licenseState',
+                [
+                    {
+                        licenseState: {
+                            registrationKey: 'ABCDE-FGHIJ'
+                        }
+                    },
+                    {
+                        licenseState: {
+                            registrationKey: 'UVWXY-ZABCD'
+                        }
+                    }
+                ]
+            );
+
+            test.expect(1);
+            provider.getCapacity(icontrolMock, poolName)
+                .then((capacity) => {
+                    test.deepEqual(capacity, { total: 2, used: 1, available: 1 });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testGetCapacityUnknown(test) {
+            icontrolMock.when(
+                'list',
+                '/cm/device/licensing/pool/utility/licenses?$select=id,name',
+                [
+                    {
+                        name: 'utilityPool',
+                        id: 'pool3'
+                    }
+                ]
+            );
+
+            test.expect(1);
+            provider.getCapacity(icontrolMock, 'utilityPool')
+                .then((capacity) => {
+                    test.strictEqual(capacity, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
     testGetLicenseTimeout(test) {
         test.deepEqual(provider.getLicenseTimeout(), { maxRetries: 40, retryIntervalMs: 5000 });
         test.done();
@@ -28,6 +28,7 @@ let provider;
 let icontrolMock;
 let BigIq53ProviderMock;
 let bigIq53RevokeCalled;
+let bigIq53GetAssignmentsCalled;
 
 module.exports = {
     setUp(callback) {
@@ -37,12 +38,20 @@ module.exports = {
         icontrolMock.reset();
 
         bigIq53RevokeCalled = false;
+        bigIq53GetAssignmentsCalled = false;
 
         BigIq53ProviderMock = require('../../lib/bigIq53LicenseProvider');
         BigIq53ProviderMock.prototype.revoke = () => {
             bigIq53RevokeCalled = true;
             return q(true);
         };
+        BigIq53ProviderMock.prototype.getAssignments = () => {
+            bigIq53GetAssignmentsCalled = true;
+            return q([]);
+        };
+        BigIq53ProviderMock.prototype.getCapacity = () => {
+            return q({ total: 1, used: 0, available: 1 });
+        };
 
         BigIqProvider = require('../../lib/bigIq54LicenseProvider');
         provider = new BigIqProvider();
@@ -238,6 +247,35 @@ module.exports = {
         }
     },
 
+    testGetAssignments(test) {
+        test.expect(2);
+        provider.getAssignments(icontrolMock, poolName)
+            .then((assignments) => {
+                test.ok(bigIq53GetAssignmentsCalled);
+                test.deepEqual(assignments, []);
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testGetCapacity(test) {
+        test.expect(1);
+        provider.getCapacity(icontrolMock, poolName)
+            .then((capacity) => {
+                test.deepEqual(capacity, { total: 1, used: 0, available: 1 });
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
     testGetLicenseTimeout(test) {
         test.deepEqual(provider.getLicenseTimeout(), { maxRetries: 40, retryIntervalMs: 5000 });
         test.done();
@@ -0,0 +1,476 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+
+const poolName = 'myLicensePool';
+const LICENSE_PATH = '/cm/device/tasks/licensing/pool/member-management/';
+const taskId = 1234;
+
+let util;
+let BigIqProvider;
+let provider;
+let icontrolMock;
+let BigIq53ProviderMock;
+let bigIq53RevokeCalled;
+let installedLicense;
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        util = require('../../../f5-cloud-libs').util;
+        icontrolMock = require('../testUtil/icontrolMock');
+        icontrolMock.reset();
+
+        bigIq53RevokeCalled = false;
+        BigIq53ProviderMock = require('../../lib/bigIq53LicenseProvider');
+        BigIq53ProviderMock.prototype.revoke = () => {
+            bigIq53RevokeCalled = true;
+            return q(true);
+        };
+
+        BigIqProvider = require('../../lib/bigIq60LicenseProvider');
+        /* eslint-enable global-require */
+
+        provider = new BigIqProvider();
+        provider.bigIp = {
+            user: 'user',
+            password: 'password'
+        };
+        provider.getLicenseTimeout = () => { return util.SHORT_RETRY; };
+        callback();
+    },
+
+    tearDown(callback) {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+        callback();
+    },
+
+    testConstructor: {
+        testSetLogger(test) {
+            const logger = {
+                a: 1,
+                b: 2
+            };
+
+            provider = new BigIqProvider({}, { logger });
+            test.deepEqual(provider.logger, logger);
+            test.done();
+        },
+
+        testLoggerOptions(test) {
+            const loggerOptions = {
+                a: 1,
+                b: 2
+            };
+
+            test.doesNotThrow(() => {
+                // eslint-disable-next-line no-new
+                new BigIqProvider({ loggerOptions });
+            });
+            test.done();
+        }
+    },
+
+    testGetUnmanagedDeviceLicense: {
+        setUp(callback) {
+            installedLicense = undefined;
+
+            icontrolMock.when(
+                'create',
+                LICENSE_PATH,
+                {
+                    id: taskId
+                }
+            );
+
+            icontrolMock.when(
+                'list',
+                LICENSE_PATH + taskId,
+                {
+                    status: 'FINISHED',
+                    licenseText: 'this is your license'
+                }
+            );
+
+            provider.bigIp.onboard = {
+                installLicense(licenseText) {
+                    installedLicense = licenseText;
+                    return q();
+                }
+            };
+            provider.bigIp.deviceInfo = () => {
+                return q({
+                    baseMac: '01:02:03:04:05:06',
+                    managementAddress: '10.0.0.1',
+                    hostname: 'bigip1'
+                });
+            };
+
+            callback();
+        },
+
+        testUnreachable: {
+            testBasic(test) {
+                test.expect(2);
+                provider.getUnmanagedDeviceLicense(
+                    icontrolMock,
+                    poolName,
+                    undefined,
+                    '443',
+                    { cloud: 'aws', skuKeyword1: 'sku1', unitOfMeasure: 'hourly' }
+                )
+                    .then(() => {
+                        test.deepEqual(
+                            icontrolMock.getRequest('create', LICENSE_PATH),
+                            {
+                                command: 'assign',
+                                licensePoolName: poolName,
+                                address: '10.0.0.1',
+                                assignmentType: 'UNREACHABLE',
+                                macAddress: '01:02:03:04:05:06',
+                                hypervisor: 'aws',
+                                tenant: 'mgmtAddress=10.0.0.1,hostname=bigip1',
+                                skuKeyword1: 'sku1',
+                                skuKeyword2: undefined,
+                                unitOfMeasure: 'hourly'
+                            }
+                        );
+                        test.strictEqual(installedLicense, 'this is your license');
+                    })
+                    .catch((err) => {
+                        test.ok(false, err.message);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testExplicitMacHypervisorAndTenant(test) {
+                test.expect(3);
+                provider.getUnmanagedDeviceLicense(
+                    icontrolMock,
+                    poolName,
+                    '1.2.3.4',
+                    '443',
+                    {
+                        cloud: 'aws',
+                        hypervisor: 'kvm',
+                        macAddress: 'aa:bb:cc:dd:ee:ff',
+                        tenant: 'myTenant'
+                    }
+                )
+                    .then(() => {
+                        const licenseRequest = icontrolMock.getRequest('create', LICENSE_PATH);
+                        test.strictEqual(licenseRequest.hypervisor, 'kvm');
+                        test.strictEqual(licenseRequest.macAddress, 'aa:bb:cc:dd:ee:ff');
+                        test.strictEqual(licenseRequest.tenant, 'myTenant');
+                    })
+                    .catch((err) => {
+                        test.ok(false, err.message);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testNoHypervisor(test) {
+                test.expect(1);
+                provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', {})
+                    .then(() => {
+                        test.ok(false, 'should have thrown no hypervisor');
+                    })
+                    .catch((err) => {
+                        test.notStrictEqual(err.message.indexOf('hypervisor is required'), -1);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testBadHypervisor(test) {
+                test.expect(1);
+                provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', { cloud: 'foo' })
+                    .then(() => {
+                        test.ok(false, 'should have thrown bad hypervisor');
+                    })
+                    .catch((err) => {
+                        test.notStrictEqual(err.message.indexOf('Unsupported hypervisor foo'), -1);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testNoMacAddress(test) {
+                provider.bigIp.deviceInfo = () => {
+                    return q({});
+                };
+
+                test.expect(1);
+                provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', { cloud: 'aws' })
+                    .then(() => {
+                        test.ok(false, 'should have thrown no MAC address');
+                    })
+                    .catch((err) => {
+                        test.notStrictEqual(err.message.indexOf('MAC address'), -1);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testNoLicenseText(test) {
+                icontrolMock.when(
+                    'list',
+                    LICENSE_PATH + taskId,
+                    {
+                        status: 'FINISHED'
+                    }
+                );
+
+                test.expect(1);
+                provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', { cloud: 'aws' })
+                    .then(() => {
+                        test.ok(false, 'should have thrown no license text');
+                    })
+                    .catch((err) => {
+                        test.strictEqual(err.message, 'No license text returned from BIG-IQ');
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            }
+        },
+
+        testReachable: {
+            testBasic(test) {
+                test.expect(2);
+                provider.getUnmanagedDeviceLicense(
+                    icontrolMock,
+                    poolName,
+                    '1.2.3.4',
+                    '8443',
+                    { noUnreachable: true, tenant: 'myTenant' }
+                )
+                    .then(() => {
+                        test.deepEqual(
+                            icontrolMock.getRequest('create', LICENSE_PATH),
+                            {
+                                command: 'assign',
+                                licensePoolName: poolName,
+                                address: '1.2.3.4',
+                                port: '8443',
+                                user: 'user',
+                                password: 'password',
+                                skuKeyword1: undefined,
+                                skuKeyword2: undefined,
+                                unitOfMeasure: undefined,
+                                tenant: 'myTenant'
+                            }
+                        );
+                        test.strictEqual(installedLicense, undefined);
+                    })
+                    .catch((err) => {
+                        test.ok(false, err.message);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            }
+        },
+
+        testTaskPolling: {
+            testWaitsForFinished(test) {
+                icontrolMock.when('list', LICENSE_PATH + taskId, { status: 'STARTED' });
+                icontrolMock.whenNext('list', LICENSE_PATH + taskId, { status: 'STARTED' });
+                icontrolMock.whenNext(
+                    'list',
+                    LICENSE_PATH + taskId,
+                    {
+                        status: 'FINISHED',
+                        licenseText: 'finally'
+                    }
+                );
+
+                test.expect(1);
+                provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', { cloud: 'aws' })
+                    .then(() => {
+                        test.strictEqual(installedLicense, 'finally');
+                    })
+                    .catch((err) => {
+                        test.ok(false, err.message);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testTaskFailed(test) {
+                icontrolMock.when(
+                    'list',
+                    LICENSE_PATH + taskId,
+                    {
+                        status: 'FAILED',
+                        errorMessage: 'no licenses available'
+                    }
+                );
+
+                test.expect(1);
+                provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', { cloud: 'aws' })
+                    .then(() => {
+                        test.ok(false, 'should have thrown task failure');
+                    })
+                    .catch((err) => {
+                        test.strictEqual(err.message, 'no licenses available');
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testTaskNeverFinishes(test) {
+                icontrolMock.when('list', LICENSE_PATH + taskId, { status: 'STARTED' });
+                provider.getLicenseTimeout = () => { return { maxRetries: 1, retryIntervalMs: 10 }; };
+
+                test.expect(1);
+                provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', { cloud: 'aws' })
+                    .then(() => {
+                        test.ok(false, 'should have thrown task timeout');
+                    })
+                    .catch((err) => {
+                        test.notStrictEqual(err.message.indexOf('status is STARTED'), -1);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            }
+        },
+
+        testCreateTaskNotRetried(test) {
+            icontrolMock.fail('create', LICENSE_PATH, { code: 504, message: 'gateway timeout' });
+
+            test.expect(2);
+            provider.getUnmanagedDeviceLicense(icontrolMock, poolName, '1.2.3.4', '443', { cloud: 'aws' })
+                .then(() => {
+                    test.ok(false, 'should have thrown create failure');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'gateway timeout');
+                    test.strictEqual(icontrolMock.getNumRequests('create', LICENSE_PATH), 1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testRevokeLicense: {
+        setUp(callback) {
+            icontrolMock.when('create', LICENSE_PATH, { id: taskId });
+            icontrolMock.when('list', LICENSE_PATH + taskId, { status: 'FINISHED' });
+            callback();
+        },
+
+        testBasic(test) {
+            const macAddress = '1234';
+            const ipAddress = '1.2.3.4';
+
+            test.expect(2);
+            provider.revoke(icontrolMock, poolName, { macAddress, mgmtIp: ipAddress })
+                .then(() => {
+                    test.deepEqual(
+                        icontrolMock.getRequest('create', LICENSE_PATH),
+                        {
+                            command: 'revoke',
+                            licensePoolName: poolName,
+                            address: ipAddress,
+                            assignmentType: 'UNREACHABLE',
+                            macAddress
+                        }
+                    );
+                    test.notStrictEqual(icontrolMock.getRequest('list', LICENSE_PATH + taskId), undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoMacAddress(test) {
+            test.expect(1);
+            provider.revoke(icontrolMock, poolName, { mgmtIp: '1.2.3.4' })
+                .then(() => {
+                    test.ok(false, 'should have thrown no MAC address');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('MAC address is required'), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testRevokeTaskFailed(test) {
+            icontrolMock.when(
+                'list',
+                LICENSE_PATH + taskId,
+                {
+                    status: 'FAILED',
+                    errorMessage: 'device not found'
+                }
+            );
+
+            test.expect(1);
+            provider.revoke(icontrolMock, poolName, { macAddress: '1234' })
+                .then(() => {
+                    test.ok(false, 'should have thrown task failure');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'device not found');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoUnreachable(test) {
+            test.expect(1);
+            provider.revoke(icontrolMock, poolName, { macAddress: '1234' }, { noUnreachable: true })
+                .then(() => {
+                    test.ok(bigIq53RevokeCalled);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testGetLicenseTimeout(test) {
+        provider = new BigIqProvider();
+        test.deepEqual(provider.getLicenseTimeout(), { maxRetries: 40, retryIntervalMs: 5000 });
+        test.done();
+    }
+};
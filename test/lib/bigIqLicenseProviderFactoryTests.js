@@ -50,6 +50,15 @@ module.exports = {
             test.done();
         },
 
+        test60(test) {
+            test.expect(3);
+            ['6.0.0', '7.1.0', '8.0.0'].forEach((version) => {
+                const provider = bigIqLicenseProviderFactory.getLicenseProviderByVersion(version);
+                test.strictEqual(provider.constructor.name, 'BigIq60LicenseProvider');
+            });
+            test.done();
+        },
+
         testPre50(test) {
             test.expect(1);
             try {
@@ -82,6 +91,22 @@ module.exports = {
             test.done();
         },
 
+        test60(test) {
+            test.expect(2);
+            [
+                sharedConstants.LICENSE_API_TYPES.UTILITY,
+                sharedConstants.LICENSE_API_TYPES.UTILITY_UNREACHABLE
+            ].forEach((type) => {
+                const provider = bigIqLicenseProviderFactory.getLicenseProviderByType(
+                    type,
+                    undefined,
+                    { version: '7.0.0' }
+                );
+                test.strictEqual(provider.constructor.name, 'BigIq60LicenseProvider');
+            });
+            test.done();
+        },
+
         testBadType(test) {
             test.expect(1);
             try {
@@ -28,12 +28,18 @@ const bigIqVersion = '5.2';
 const poolName = 'mypool';
 
 let BigIq;
+let LicensePoolsExhaustedError;
 let bigIq;
 let bigIqLicenseProviderFactoryMock;
 let authnMock;
 let icontrolMock;
 let utilMock;
 let revokeCalled;
+let revokedInstances;
+let capacities;
+let failingPools;
+let erroringPools;
+let instances;
 
 let licensingArgs;
 let apiTypeCalled;
@@ -89,6 +95,7 @@ module.exports = {
         };
 
         BigIq = require('../../../f5-cloud-libs').bigIq;
+        LicensePoolsExhaustedError = require('../../../f5-cloud-libs').licensePoolsExhaustedError;
         bigIq = new BigIq();
         bigIq.icontrol = icontrolMock;
 
@@ -282,6 +289,234 @@ module.exports = {
                             });
                     });
             }
+        },
+
+        testFallbackPools: {
+            setUp(callback) {
+                licensingArgs = [];
+                capacities = {};
+                failingPools = [];
+                erroringPools = [];
+
+                bigIqLicenseProviderFactoryMock.getLicenseProviderByVersion = function a() {
+                    return {
+                        getCapacity(bigIqControl, pool) {
+                            if (capacities[pool] instanceof Error) {
+                                return q.reject(capacities[pool]);
+                            }
+                            return q(capacities[pool]);
+                        },
+                        getUnmanagedDeviceLicense() {
+                            licensingArgs.push(arguments);
+                            if (failingPools.indexOf(arguments[1]) !== -1) {
+                                return q.reject(new Error(`No available licenses in ${arguments[1]}`));
+                            }
+                            if (erroringPools.indexOf(arguments[1]) !== -1) {
+                                return q.reject(new Error(`${arguments[1]} timed out`));
+                            }
+                            return q();
+                        }
+                    };
+                };
+
+                callback();
+            },
+
+            testFirstPoolHasCapacity(test) {
+                capacities.pool1 = { total: 2, used: 1, available: 1 };
+
+                test.expect(2);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp(['pool1', 'pool2'], '1.2.3.4', '8888');
+                    })
+                    .then(() => {
+                        test.strictEqual(licensingArgs.length, 1);
+                        test.strictEqual(licensingArgs[0][1], 'pool1');
+                    })
+                    .catch((err) => {
+                        test.ok(false, err);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testSkipsFullPool(test) {
+                capacities.pool1 = { total: 2, used: 2, available: 0 };
+
+                test.expect(2);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp(['pool1', 'pool2'], '1.2.3.4', '8888');
+                    })
+                    .then(() => {
+                        test.strictEqual(licensingArgs.length, 1);
+                        test.strictEqual(licensingArgs[0][1], 'pool2');
+                    })
+                    .catch((err) => {
+                        test.ok(false, err);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testFallsThroughOnLicenseFailure(test) {
+                failingPools = ['pool1'];
+                capacities.pool2 = new Error('capacity unknown');
+
+                test.expect(2);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp(['pool1', 'pool2'], '1.2.3.4', '8888');
+                    })
+                    .then(() => {
+                        test.strictEqual(licensingArgs.length, 2);
+                        test.strictEqual(licensingArgs[1][1], 'pool2');
+                    })
+                    .catch((err) => {
+                        test.ok(false, err);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testDoesNotFallThroughOnOtherErrors(test) {
+                erroringPools = ['pool1'];
+
+                test.expect(2);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp(['pool1', 'pool2'], '1.2.3.4', '8888');
+                    })
+                    .then(() => {
+                        test.ok(false, 'should have thrown');
+                    })
+                    .catch((err) => {
+                        test.strictEqual(err.message, 'pool1 timed out');
+                        test.strictEqual(licensingArgs.length, 1);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testSkuOptionsPerPool(test) {
+                test.expect(2);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp(
+                            [{ poolName: 'pool1', skuKeyword1: 'pool1Sku', unitOfMeasure: 'yearly' }],
+                            '1.2.3.4',
+                            '8888',
+                            { skuKeyword1: 'defaultSku', skuKeyword2: 'defaultSku2', unitOfMeasure: 'hourly' }
+                        );
+                    })
+                    .then(() => {
+                        test.strictEqual(licensingArgs[0][1], 'pool1');
+                        test.deepEqual(
+                            licensingArgs[0][4],
+                            {
+                                cloud: undefined,
+                                skuKeyword1: 'pool1Sku',
+                                skuKeyword2: 'defaultSku2',
+                                unitOfMeasure: 'yearly',
+                                tenant: undefined,
+                                hypervisor: undefined,
+                                macAddress: undefined,
+                                noUnreachable: undefined
+                            }
+                        );
+                    })
+                    .catch((err) => {
+                        test.ok(false, err);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testAllPoolsExhausted(test) {
+                capacities.pool1 = { total: 2, used: 2, available: 0 };
+                failingPools = ['pool2'];
+
+                test.expect(4);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp(['pool1', 'pool2'], '1.2.3.4', '8888');
+                    })
+                    .then(() => {
+                        test.ok(false, 'should have thrown pools exhausted');
+                    })
+                    .catch((err) => {
+                        test.strictEqual(err.name, 'LicensePoolsExhaustedError');
+                        test.ok(err instanceof LicensePoolsExhaustedError);
+                        test.strictEqual(
+                            err.message,
+                            'No license available in any pool: pool1 (0 of 2 available, pool is full), '
+                            + 'pool2 (capacity unknown, No available licenses in pool2)'
+                        );
+                        test.deepEqual(
+                            err.pools,
+                            [
+                                {
+                                    poolName: 'pool1',
+                                    capacity: { total: 2, used: 2, available: 0 },
+                                    error: 'pool is full'
+                                },
+                                {
+                                    poolName: 'pool2',
+                                    capacity: undefined,
+                                    error: 'No available licenses in pool2'
+                                }
+                            ]
+                        );
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testSinglePoolKeepsError(test) {
+                failingPools = ['pool1'];
+
+                test.expect(1);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp('pool1', '1.2.3.4', '8888');
+                    })
+                    .then(() => {
+                        test.ok(false, 'should have thrown');
+                    })
+                    .catch((err) => {
+                        test.strictEqual(err.message, 'No available licenses in pool1');
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testSinglePoolFull(test) {
+                capacities.pool1 = { total: 2, used: 2, available: 0 };
+
+                test.expect(2);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.licenseBigIp('pool1', '1.2.3.4', '8888');
+                    })
+                    .then(() => {
+                        test.ok(false, 'should have thrown pools exhausted');
+                    })
+                    .catch((err) => {
+                        test.ok(err instanceof LicensePoolsExhaustedError);
+                        test.strictEqual(licensingArgs.length, 0);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            }
         }
     },
 
@@ -336,6 +571,276 @@ module.exports = {
                             test.done();
                         });
                 });
+        },
+
+        testPoolList: {
+            setUp(callback) {
+                bigIqLicenseProviderFactoryMock.getLicenseProviderByVersion = function a() {
+                    return {
+                        revoke(icontrol, pool) {
+                            revokeCalled.push(pool);
+                            if (pool !== 'pool2') {
+                                return q.reject(new Error(`not assigned from ${pool}`));
+                            }
+                            return q();
+                        }
+                    };
+                };
+                revokeCalled = [];
+                callback();
+            },
+
+            testRevokesFromLaterPool(test) {
+                test.expect(1);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.revokeLicense(['pool1', 'pool2', 'pool3']);
+                    })
+                    .then(() => {
+                        test.deepEqual(revokeCalled, ['pool1', 'pool2']);
+                    })
+                    .catch((err) => {
+                        test.ok(false, err && err.message ? err.message : err);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testNotInAnyPool(test) {
+                test.expect(2);
+                bigIq.init('host', 'user', 'password')
+                    .then(() => {
+                        return bigIq.revokeLicense(['pool1', 'pool3']);
+                    })
+                    .then(() => {
+                        test.ok(false, 'should have thrown not assigned');
+                    })
+                    .catch((err) => {
+                        test.strictEqual(err.message, 'not assigned from pool3');
+                        test.deepEqual(revokeCalled, ['pool1', 'pool3']);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            }
+        }
+    },
+
+    testGetLicenseAssignments: {
+        testBasic(test) {
+            let poolNameSent;
+            bigIqLicenseProviderFactoryMock.getLicenseProviderByVersion = function a() {
+                return {
+                    getAssignments(bigIqControl, pool) {
+                        poolNameSent = pool;
+                        return q([{ id: '1234' }]);
+                    }
+                };
+            };
+
+            test.expect(2);
+            bigIq.init('host', 'user', 'password')
+                .then(() => {
+                    return bigIq.getLicenseAssignments(poolName);
+                })
+                .then((assignments) => {
+                    test.strictEqual(poolNameSent, poolName);
+                    test.deepEqual(assignments, [{ id: '1234' }]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testBadVersion(test) {
+            bigIqLicenseProviderFactoryMock.getLicenseProviderByVersion = function a() {
+                throw new Error('get by version failed');
+            };
+
+            test.expect(1);
+            bigIq.init('host', 'user', 'password')
+                .then(() => {
+                    return bigIq.getLicenseAssignments(poolName);
+                })
+                .then(() => {
+                    test.ok(false, 'getByVersion should have thrown');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'get by version failed');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testReconcileLicenseAssignments: {
+        setUp(callback) {
+            revokedInstances = [];
+
+            bigIqLicenseProviderFactoryMock.getLicenseProviderByVersion = function a() {
+                return {
+                    getAssignments() {
+                        return q([
+                            { id: 'byMachineId', machineId: 'machine1' },
+                            { id: 'byMac', macAddress: '01:02:03:04:05:06' },
+                            { id: 'byHostname', deviceName: 'host3' },
+                            { id: 'byIp', deviceAddress: '10.0.0.4' },
+                            { id: 'orphan1', deviceName: 'gone1', deviceAddress: '10.0.0.99' },
+                            { id: 'orphan2', machineId: 'gone2', macAddress: 'aa:bb:cc:dd:ee:ff' }
+                        ]);
+                    },
+                    revoke(bigIqControl, pool, instance, options) {
+                        revokedInstances.push({ instance, options });
+                        if (instance.machineId === 'gone2') {
+                            return q.reject(new Error('revoke failed'));
+                        }
+                        return q();
+                    }
+                };
+            };
+
+            instances = {
+                id1: { machineId: 'machine1' },
+                id2: { macAddress: '01:02:03:04:05:06'.toUpperCase() },
+                id3: { hostname: 'host3' },
+                id4: { mgmtIp: '10.0.0.1', privateIp: '10.0.0.4' }
+            };
+
+            callback();
+        },
+
+        testDryRun(test) {
+            test.expect(6);
+            bigIq.init('host', 'user', 'password')
+                .then(() => {
+                    return bigIq.reconcileLicenseAssignments(poolName, instances);
+                })
+                .then((report) => {
+                    test.strictEqual(report.dryRun, true);
+                    test.strictEqual(report.orphaned, 2);
+                    test.deepEqual(
+                        report.assignments.map((assignment) => {
+                            return assignment.instanceId;
+                        }),
+                        ['id1', 'id2', 'id3', 'id4', undefined, undefined]
+                    );
+                    test.deepEqual(
+                        report.assignments
+                            .filter((assignment) => {
+                                return assignment.orphaned;
+                            })
+                            .map((assignment) => {
+                                return assignment.id;
+                            }),
+                        ['orphan1', 'orphan2']
+                    );
+                    test.deepEqual(report.revoked, []);
+                    test.strictEqual(revokedInstances.length, 0);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testRevoke(test) {
+            test.expect(5);
+            bigIq.init('host', 'user', 'password')
+                .then(() => {
+                    return bigIq.reconcileLicenseAssignments(
+                        poolName,
+                        instances,
+                        { revoke: true, noUnreachable: true }
+                    );
+                })
+                .then((report) => {
+                    test.strictEqual(report.dryRun, false);
+                    test.deepEqual(report.revoked, ['orphan1']);
+                    test.deepEqual(report.failed, [{ id: 'orphan2', error: 'revoke failed' }]);
+                    test.deepEqual(
+                        revokedInstances[0],
+                        {
+                            instance: {
+                                hostname: 'gone1',
+                                mgmtIp: '10.0.0.99',
+                                macAddress: undefined,
+                                machineId: undefined
+                            },
+                            options: { noUnreachable: true }
+                        }
+                    );
+                    test.strictEqual(revokedInstances.length, 2);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoInstances(test) {
+            test.expect(1);
+            bigIq.init('host', 'user', 'password')
+                .then(() => {
+                    return bigIq.reconcileLicenseAssignments(poolName);
+                })
+                .then((report) => {
+                    test.strictEqual(report.orphaned, 6);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoInstancesRefusesRevoke(test) {
+            test.expect(2);
+            bigIq.init('host', 'user', 'password')
+                .then(() => {
+                    return bigIq.reconcileLicenseAssignments(poolName, {}, { revoke: true });
+                })
+                .then(() => {
+                    test.ok(false, 'should have refused to revoke');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('Refusing to revoke'), -1);
+                    test.strictEqual(revokedInstances.length, 0);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testMaxRevoke(test) {
+            test.expect(2);
+            bigIq.init('host', 'user', 'password')
+                .then(() => {
+                    return bigIq.reconcileLicenseAssignments(
+                        poolName,
+                        instances,
+                        { revoke: true, maxRevoke: 1 }
+                    );
+                })
+                .then(() => {
+                    test.ok(false, 'should have refused to revoke');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('more than the limit of 1'), -1);
+                    test.strictEqual(revokedInstances.length, 0);
+                })
+                .finally(() => {
+                    test.done();
+                });
         }
     }
 };
@@ -16,13 +16,22 @@
 
 'use strict';
 
+const fs = require('fs');
+const os = require('os');
 const Module = require('module');
 const path = require('path');
 const cloudProviderFactory = require('../../../f5-cloud-libs').cloudProviderFactory;
+const LocalProvider = require('../../../f5-cloud-libs').localProvider;
+const utilMock = require('../../../f5-cloud-libs').util;
 
 let realResolve;
 let constructorCalled;
 let calledPath;
+let pluginPath;
+
+function FooProvider() {
+    constructorCalled = true;
+}
 
 module.exports = {
     setUp(callback) {
@@ -134,6 +143,118 @@ module.exports = {
         test.done();
     },
 
+    testLocal(test) {
+        // eslint-disable-next-line no-underscore-dangle
+        Module._resolveFilename = realResolve;
+
+        test.expect(1);
+        test.ok(cloudProviderFactory.getCloudProvider('local') instanceof LocalProvider);
+        test.done();
+    },
+
+    testRegistry: {
+        setUp(callback) {
+            // eslint-disable-next-line no-underscore-dangle
+            Module._resolveFilename = realResolve;
+            callback();
+        },
+
+        tearDown(callback) {
+            cloudProviderFactory.unregisterProvider('foo');
+            callback();
+        },
+
+        testRegisterProvider(test) {
+            cloudProviderFactory.registerProvider('foo', FooProvider);
+
+            test.expect(2);
+            test.notStrictEqual(cloudProviderFactory.getRegisteredProviders().indexOf('foo'), -1);
+            cloudProviderFactory.getCloudProvider('foo');
+            test.ok(constructorCalled, 'constructor was not called');
+            test.done();
+        },
+
+        testUriMatchers(test) {
+            const uriMatchers = [
+                'foo://',
+                /^foo:\/\//,
+                (uri) => {
+                    return uri.startsWith('foo://');
+                }
+            ];
+
+            test.expect(uriMatchers.length * 2);
+            uriMatchers.forEach((uriMatcher) => {
+                constructorCalled = false;
+                cloudProviderFactory.registerProvider('foo', FooProvider, { uriMatcher });
+                cloudProviderFactory.getCloudProvider(null, {}, { storageUri: 'foo://bucket/file' });
+                test.ok(constructorCalled, 'constructor was not called');
+                test.strictEqual(cloudProviderFactory.matchProvider({ storageUri: 'bar://file' }), null);
+            });
+            test.done();
+        },
+
+        testUnregisterProvider(test) {
+            cloudProviderFactory.registerProvider('foo', FooProvider);
+            cloudProviderFactory.unregisterProvider('foo');
+
+            test.expect(1);
+            test.throws(() => {
+                cloudProviderFactory.getCloudProvider('foo');
+            });
+            test.done();
+        },
+
+        testBadRegistration(test) {
+            test.expect(3);
+            test.throws(() => {
+                cloudProviderFactory.registerProvider();
+            });
+            test.throws(() => {
+                cloudProviderFactory.registerProvider('foo', 'notAConstructor');
+            });
+            test.throws(() => {
+                cloudProviderFactory.registerProvider('foo', FooProvider, { uriMatcher: 1 });
+            });
+            test.done();
+        },
+
+        testPluginPath: {
+            setUp(callback) {
+                pluginPath = fs.mkdtempSync(path.join(os.tmpdir(), 'cloudProviderFactoryTests'));
+                fs.mkdirSync(path.join(pluginPath, 'f5-cloud-libs-foo'));
+                fs.writeFileSync(
+                    path.join(pluginPath, 'f5-cloud-libs-foo', 'index.js'),
+                    `module.exports = {
+                        provider: function provider() { this.isFoo = true; },
+                        uriMatcher: 'foo://'
+                    };`
+                );
+                cloudProviderFactory.setPluginPaths([pluginPath]);
+                callback();
+            },
+
+            tearDown(callback) {
+                cloudProviderFactory.setPluginPaths([]);
+                utilMock.removeDirectorySync(pluginPath);
+                callback();
+            },
+
+            testByName(test) {
+                test.expect(2);
+                test.deepEqual(cloudProviderFactory.getPluginPaths(), [pluginPath]);
+                test.ok(cloudProviderFactory.getCloudProvider('foo').isFoo);
+                test.done();
+            },
+
+            testByUri(test) {
+                test.expect(1);
+                test.ok(cloudProviderFactory.getCloudProvider(null, {}, { storageUri: 'foo://file' }).isFoo);
+                test.done();
+            }
+        }
+    },
+
     testNotSupported(test) {
         test.expect(1);
         test.throws(() => {
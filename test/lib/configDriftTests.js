@@ -0,0 +1,608 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+const icontrolMock = require('../testUtil/icontrolMock');
+
+const NOT_FOUND = {
+    code: 404,
+    message: 'not found'
+};
+
+let BigIp;
+let configDrift;
+let authnMock;
+let utilMock;
+let bigIp;
+let onboardCalls;
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        BigIp = require('../../lib/bigIp');
+        configDrift = require('../../lib/configDrift');
+        utilMock = require('../../lib/util');
+        authnMock = require('../../lib/authn');
+        /* eslint-enable global-require */
+
+        authnMock.authenticate = (host, user, password) => {
+            icontrolMock.password = password;
+            return q.resolve(icontrolMock);
+        };
+        utilMock.getProduct = () => {
+            return q('BIG-IP');
+        };
+
+        onboardCalls = {};
+
+        bigIp = new BigIp();
+        bigIp.ready = () => {
+            return q();
+        };
+        bigIp.init('host', 'user', 'password')
+            .then(() => {
+                bigIp.icontrol = icontrolMock;
+                ['hostname', 'globalSettings', 'setDbVars', 'provision', 'updateUser'].forEach((method) => {
+                    bigIp.onboard[method] = function onboardMock() {
+                        onboardCalls[method] = arguments;
+                        return q();
+                    };
+                });
+                icontrolMock.reset();
+                callback();
+            });
+    },
+
+    tearDown(callback) {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+        callback();
+    },
+
+    testGetDrift: {
+        testNoDesiredState(test) {
+            test.expect(2);
+            configDrift.getDrift(bigIp, {})
+                .then((drift) => {
+                    test.deepEqual(drift, []);
+                    test.strictEqual(Object.keys(icontrolMock.numRequests).length, 0);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testGlobalSettings(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/sys/global-settings',
+                {
+                    hostname: 'bigip1',
+                    guiSetup: 'enabled',
+                    consoleInactivityTimeout: 0
+                }
+            );
+
+            test.expect(1);
+            configDrift.getDrift(
+                bigIp,
+                {
+                    hostname: 'bigip2',
+                    globalSettings: {
+                        guiSetup: 'disabled',
+                        consoleInactivityTimeout: '0'
+                    }
+                }
+            )
+                .then((drift) => {
+                    test.deepEqual(drift, [
+                        {
+                            type: 'hostname',
+                            name: 'hostname',
+                            desired: 'bigip2',
+                            current: 'bigip1'
+                        },
+                        {
+                            type: 'globalSettings',
+                            name: 'guiSetup',
+                            desired: 'disabled',
+                            current: 'enabled'
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDbVars(test) {
+            icontrolMock.when('list', '/tm/sys/db/foo', { value: 'bar' });
+            icontrolMock.when('list', '/tm/sys/db/hello', { value: 'world' });
+
+            test.expect(1);
+            configDrift.getDrift(bigIp, { dbVars: { foo: 'bar', hello: 'everyone' } })
+                .then((drift) => {
+                    test.deepEqual(drift, [
+                        {
+                            type: 'dbVars',
+                            name: 'hello',
+                            desired: 'everyone',
+                            current: 'world'
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testProvision(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/sys/provision/',
+                [
+                    {
+                        name: 'ltm',
+                        level: 'nominal'
+                    },
+                    {
+                        name: 'asm',
+                        level: 'none'
+                    }
+                ]
+            );
+
+            test.expect(1);
+            configDrift.getDrift(bigIp, { provision: { ltm: 'nominal', asm: 'nominal' } })
+                .then((drift) => {
+                    test.deepEqual(drift, [
+                        {
+                            type: 'provision',
+                            name: 'asm',
+                            desired: 'nominal',
+                            current: 'none'
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNtpAndDns(test) {
+            icontrolMock.when(
+                'list',
+                '/tm/sys/ntp',
+                {
+                    servers: ['1.2.3.4'],
+                    timezone: 'UTC'
+                }
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/sys/dns',
+                {
+                    nameServers: ['5.6.7.8', '1.1.1.1']
+                }
+            );
+
+            test.expect(1);
+            configDrift.getDrift(
+                bigIp,
+                {
+                    ntp: ['1.2.3.4', '2.3.4.5'],
+                    timezone: 'UTC',
+                    dns: ['1.1.1.1', '5.6.7.8']
+                }
+            )
+                .then((drift) => {
+                    test.deepEqual(drift, [
+                        {
+                            type: 'ntp',
+                            name: 'servers',
+                            desired: ['1.2.3.4', '2.3.4.5'],
+                            current: ['1.2.3.4']
+                        },
+                        {
+                            type: 'dns',
+                            name: 'nameServers',
+                            desired: ['1.1.1.1', '5.6.7.8'],
+                            current: ['5.6.7.8', '1.1.1.1']
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testUsers(test) {
+            icontrolMock.when('list', '/tm/auth/user/user1', { shell: 'tmsh' });
+            icontrolMock.fail('list', '/tm/auth/user/user2', NOT_FOUND);
+
+            test.expect(1);
+            configDrift.getDrift(
+                bigIp,
+                {
+                    users: [
+                        {
+                            user: 'user1',
+                            password: 'secret',
+                            role: 'admin',
+                            shell: 'bash'
+                        },
+                        {
+                            user: 'user2',
+                            password: 'secret',
+                            role: 'guest'
+                        }
+                    ]
+                }
+            )
+                .then((drift) => {
+                    test.deepEqual(drift, [
+                        {
+                            type: 'users',
+                            name: 'user2',
+                            desired: { role: 'guest' },
+                            current: undefined
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNetwork(test) {
+            icontrolMock.when('list', '/tm/net/vlan/~Common~external', { mtu: 1500, tag: 4094 });
+            icontrolMock.when(
+                'list',
+                '/tm/net/vlan/~Common~external/interfaces',
+                [
+                    {
+                        name: '1.1',
+                        untagged: true
+                    }
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/net/self/~Common~self_external',
+                {
+                    address: '10.0.1.10/24',
+                    vlan: '/Common/external',
+                    allowService: ['tcp:443', 'tcp:22'],
+                    trafficGroup: '/Common/traffic-group-local-only'
+                }
+            );
+            icontrolMock.fail('list', '/tm/net/route/~Common~default', NOT_FOUND);
+
+            test.expect(1);
+            configDrift.getDrift(
+                bigIp,
+                {
+                    vlans: [
+                        {
+                            name: 'external',
+                            nic: '1.1',
+                            mtu: '1500'
+                        }
+                    ],
+                    selfIps: [
+                        {
+                            name: 'self_external',
+                            address: '10.0.1.10',
+                            vlan: 'external',
+                            allow: 'tcp:22 tcp:443'
+                        }
+                    ],
+                    routes: [
+                        {
+                            name: 'default',
+                            network: '10.0.3.0',
+                            gw: '10.0.1.1'
+                        }
+                    ]
+                }
+            )
+                .then((drift) => {
+                    test.deepEqual(drift, [
+                        {
+                            type: 'routes',
+                            name: 'default',
+                            desired: {
+                                network: '10.0.3.0/24',
+                                gw: '10.0.1.1'
+                            },
+                            current: undefined
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testVlanDrift(test) {
+            icontrolMock.when('list', '/tm/net/vlan/~Common~external', { mtu: 1500 });
+            icontrolMock.when(
+                'list',
+                '/tm/net/vlan/~Common~external/interfaces',
+                [
+                    {
+                        name: '1.1',
+                        untagged: true
+                    }
+                ]
+            );
+
+            test.expect(1);
+            configDrift.getDrift(
+                bigIp,
+                {
+                    vlans: [
+                        {
+                            name: 'external',
+                            nic: '1.2'
+                        }
+                    ]
+                }
+            )
+                .then((drift) => {
+                    test.deepEqual(drift[0].current, { nic: '1.1', tagged: false });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testError(test) {
+            icontrolMock.fail('list', '/tm/sys/db/foo', { code: 500, message: 'oops' });
+
+            test.expect(1);
+            configDrift.getDrift(bigIp, { dbVars: { foo: 'bar' } })
+                .then(() => {
+                    test.ok(false, 'should have thrown');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('oops'), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testReconcile: {
+        testNoDrift(test) {
+            test.expect(1);
+            configDrift.reconcile(bigIp, {}, [])
+                .then(() => {
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/sys/config'), 0);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testOnlyDriftApplied(test) {
+            const desired = {
+                hostname: 'bigip2',
+                dbVars: {
+                    foo: 'bar',
+                    hello: 'everyone'
+                },
+                ntp: ['1.2.3.4'],
+                timezone: 'UTC',
+                dns: ['1.1.1.1']
+            };
+            const drift = [
+                {
+                    type: 'hostname',
+                    name: 'hostname',
+                    desired: 'bigip2',
+                    current: 'bigip1'
+                },
+                {
+                    type: 'dbVars',
+                    name: 'hello',
+                    desired: 'everyone',
+                    current: 'world'
+                },
+                {
+                    type: 'timezone',
+                    name: 'timezone',
+                    desired: 'UTC',
+                    current: 'America/Los_Angeles'
+                }
+            ];
+
+            test.expect(5);
+            configDrift.reconcile(bigIp, desired, drift)
+                .then(() => {
+                    test.strictEqual(onboardCalls.hostname[0], 'bigip2');
+                    test.deepEqual(onboardCalls.setDbVars[0], { hello: 'everyone' });
+                    test.deepEqual(icontrolMock.getRequest('modify', '/tm/sys/ntp'), { timezone: 'UTC' });
+                    test.strictEqual(icontrolMock.getNumRequests('modify', '/tm/sys/dns'), 0);
+                    test.deepEqual(icontrolMock.getRequest('create', '/tm/sys/config'), { command: 'save' });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testUsers(test) {
+            const desired = {
+                users: [
+                    {
+                        user: 'user1',
+                        passwordUrl: 'file:///tmp/password',
+                        shell: 'bash'
+                    }
+                ]
+            };
+            const drift = [
+                {
+                    type: 'users',
+                    name: 'user1',
+                    desired: { shell: 'bash' },
+                    current: undefined
+                }
+            ];
+
+            test.expect(2);
+            configDrift.reconcile(bigIp, desired, drift)
+                .then(() => {
+                    test.deepEqual(
+                        Array.prototype.slice.call(onboardCalls.updateUser, 0, 4),
+                        ['user1', 'file:///tmp/password', undefined, 'bash']
+                    );
+                    test.deepEqual(onboardCalls.updateUser[4], { passwordIsUrl: true });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNetwork(test) {
+            const desired = {
+                vlans: [
+                    {
+                        name: 'external',
+                        nic: '1.1',
+                        tag: 4094
+                    }
+                ],
+                selfIps: [
+                    {
+                        name: 'self_external',
+                        address: '10.0.1.10',
+                        vlan: 'external'
+                    }
+                ],
+                routes: [
+                    {
+                        name: 'default',
+                        network: '10.0.3.0',
+                        gw: '10.0.1.1'
+                    },
+                    {
+                        name: 'other',
+                        network: '10.0.2.0/24',
+                        gw: '10.0.1.1'
+                    }
+                ]
+            };
+            const drift = [
+                {
+                    type: 'vlans',
+                    name: 'external'
+                },
+                {
+                    type: 'selfIps',
+                    name: 'self_external'
+                },
+                {
+                    type: 'routes',
+                    name: 'default'
+                }
+            ];
+
+            icontrolMock.when('list', '/tm/net/vlan/~Common~external', {});
+            icontrolMock.fail('list', '/tm/net/self/~Common~self_external', NOT_FOUND);
+            icontrolMock.fail('list', '/tm/net/route/~Common~default', NOT_FOUND);
+
+            test.expect(4);
+            configDrift.reconcile(bigIp, desired, drift)
+                .then(() => {
+                    test.deepEqual(
+                        icontrolMock.getRequest('modify', '/tm/net/vlan/~Common~external'),
+                        {
+                            name: 'external',
+                            interfaces: [
+                                {
+                                    name: '1.1',
+                                    tagged: true
+                                }
+                            ],
+                            tag: 4094
+                        }
+                    );
+                    test.deepEqual(
+                        icontrolMock.getRequest('create', '/tm/net/self'),
+                        {
+                            name: 'self_external',
+                            address: '10.0.1.10/24',
+                            vlan: '/Common/external',
+                            allowService: 'default'
+                        }
+                    );
+                    test.deepEqual(
+                        icontrolMock.getRequest('create', '/tm/net/route'),
+                        {
+                            name: 'default',
+                            network: '10.0.3.0/24',
+                            gw: '10.0.1.1'
+                        }
+                    );
+                    test.strictEqual(icontrolMock.getNumRequests('create', '/tm/net/route'), 1);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    }
+};
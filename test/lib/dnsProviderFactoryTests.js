@@ -17,6 +17,7 @@
 'use strict';
 
 const dnsProviderFactory = require('../../../f5-cloud-libs').dnsProviderFactory;
+const Rfc2136DnsProvider = require('../../../f5-cloud-libs').rfc2136DnsProvider;
 
 module.exports = {
     testSupported(test) {
@@ -27,6 +28,42 @@ module.exports = {
         test.done();
     },
 
+    testRfc2136(test) {
+        test.expect(1);
+        test.ok(dnsProviderFactory.getDnsProvider('rfc2136') instanceof Rfc2136DnsProvider);
+        test.done();
+    },
+
+    testRegisterProvider(test) {
+        let constructorCalled = false;
+        function MyDnsProvider() {
+            constructorCalled = true;
+        }
+
+        test.expect(3);
+        dnsProviderFactory.registerProvider('foo', MyDnsProvider);
+        test.notStrictEqual(dnsProviderFactory.getRegisteredProviders().indexOf('foo'), -1);
+        dnsProviderFactory.getDnsProvider('foo');
+        test.ok(constructorCalled, 'constructor was not called');
+
+        dnsProviderFactory.unregisterProvider('foo');
+        test.throws(() => {
+            dnsProviderFactory.getDnsProvider('foo');
+        });
+        test.done();
+    },
+
+    testBadRegistration(test) {
+        test.expect(2);
+        test.throws(() => {
+            dnsProviderFactory.registerProvider();
+        });
+        test.throws(() => {
+            dnsProviderFactory.registerProvider('foo', 'notAConstructor');
+        });
+        test.done();
+    },
+
     testNotSupported(test) {
         test.expect(1);
         test.throws(() => {
@@ -0,0 +1,236 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const q = require('q');
+
+const EVENT_FILE = '/tmp/eventLogTests.events';
+const REPORT_FILE = '/tmp/eventLogTests.report';
+
+let eventLog;
+
+function readEvents() {
+    return fs.readFileSync(EVENT_FILE, 'utf8')
+        .trim()
+        .split('\n')
+        .map((line) => {
+            return JSON.parse(line);
+        });
+}
+
+function removeFiles() {
+    [EVENT_FILE, REPORT_FILE].forEach((file) => {
+        if (fs.existsSync(file)) {
+            fs.unlinkSync(file);
+        }
+    });
+}
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        eventLog = require('../../lib/eventLog');
+        removeFiles();
+        callback();
+    },
+
+    tearDown(callback) {
+        eventLog.finish();
+        removeFiles();
+        callback();
+    },
+
+    testStart(test) {
+        eventLog.start('myScript', { fileName: EVENT_FILE, instanceId: 'myInstance' });
+
+        const events = readEvents();
+        test.strictEqual(events.length, 1);
+        test.strictEqual(events[0].event, 'run-started');
+        test.strictEqual(events[0].script, 'myScript');
+        test.strictEqual(events[0].instanceId, 'myInstance');
+        test.strictEqual(events[0].pid, process.pid);
+        test.strictEqual(eventLog.isStarted(), true);
+        test.done();
+    },
+
+    testNoFile(test) {
+        eventLog.start('myScript');
+        test.strictEqual(fs.existsSync(EVENT_FILE), false);
+        test.done();
+    },
+
+    testStep: {
+        testFinished(test) {
+            eventLog.start('myScript', { fileName: EVENT_FILE });
+
+            const step = eventLog.step('myStep', (value) => {
+                return q(value + 1);
+            });
+
+            test.expect(4);
+            step(1)
+                .then((response) => {
+                    const events = readEvents();
+                    test.strictEqual(response, 2);
+                    test.deepEqual(
+                        events.map((event) => {
+                            return event.event;
+                        }),
+                        ['run-started', 'step-started', 'step-finished']
+                    );
+                    test.strictEqual(events[2].step, 'myStep');
+                    test.strictEqual(typeof events[2].durationMs, 'number');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testFailed(test) {
+            eventLog.start('myScript', { fileName: EVENT_FILE });
+
+            const step = eventLog.step('myStep', () => {
+                const err = new Error('foo failed');
+                err.code = 400;
+                return q.reject(err);
+            });
+
+            test.expect(4);
+            step()
+                .then(() => {
+                    test.ok(false, 'should have failed');
+                })
+                .catch((err) => {
+                    const events = readEvents();
+                    test.strictEqual(err.message, 'foo failed');
+                    test.strictEqual(events[2].event, 'step-failed');
+                    test.strictEqual(events[2].error, 'foo failed');
+                    test.strictEqual(events[2].errorCode, 400);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testThrows(test) {
+            const step = eventLog.step('myStep', () => {
+                throw new Error('foo thrown');
+            });
+
+            test.expect(1);
+            step()
+                .then(() => {
+                    test.ok(false, 'should have failed');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'foo thrown');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotStarted(test) {
+            const step = eventLog.step('myStep', () => {
+                return 'foo';
+            });
+
+            test.expect(2);
+            step()
+                .then((response) => {
+                    test.strictEqual(response, 'foo');
+                    test.strictEqual(fs.existsSync(EVENT_FILE), false);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testSetInstanceId(test) {
+        eventLog.start('myScript', { fileName: EVENT_FILE, instanceId: 'foo' });
+        eventLog.setInstanceId('bar');
+        eventLog.finish();
+
+        const events = readEvents();
+        test.strictEqual(events[0].instanceId, 'foo');
+        test.strictEqual(events[1].instanceId, 'bar');
+        test.done();
+    },
+
+    testFinish: {
+        testReport(test) {
+            eventLog.start('myScript', { reportFile: REPORT_FILE, instanceId: 'myInstance' });
+
+            test.expect(6);
+            eventLog.step('one', () => {
+                return q();
+            })()
+                .then(() => {
+                    return eventLog.step('two', () => {
+                        return q.reject(new Error('two failed'));
+                    })();
+                })
+                .catch((err) => {
+                    eventLog.finish(err);
+
+                    const report = JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8'));
+                    test.strictEqual(report.script, 'myScript');
+                    test.strictEqual(report.instanceId, 'myInstance');
+                    test.strictEqual(report.status, 'failed');
+                    test.strictEqual(report.error, 'two failed');
+                    test.deepEqual(
+                        report.steps.map((step) => {
+                            return `${step.name}:${step.status}`;
+                        }),
+                        ['one:finished', 'two:failed']
+                    );
+                    test.strictEqual(report.steps[1].error, 'two failed');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testFinishedEvent(test) {
+            eventLog.start('myScript', { fileName: EVENT_FILE });
+            const report = eventLog.finish();
+
+            const events = readEvents();
+            test.strictEqual(report.status, 'finished');
+            test.strictEqual(events[1].event, 'run-finished');
+            test.strictEqual(eventLog.isStarted(), false);
+            test.done();
+        },
+
+        testOnlyOnce(test) {
+            eventLog.start('myScript', { fileName: EVENT_FILE });
+            eventLog.finish(new Error('foo'));
+
+            test.strictEqual(eventLog.finish(), undefined);
+            test.strictEqual(readEvents().length, 2);
+            test.done();
+        }
+    }
+};
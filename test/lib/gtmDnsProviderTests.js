@@ -20,6 +20,7 @@ const q = require('q');
 const GtmDnsProvider = require('../../../f5-cloud-libs').gtmDnsProvider;
 
 let BigIp;
+let BigIpGtm;
 let bigIpMock;
 let icontrolMock;
 
@@ -33,6 +34,7 @@ module.exports = {
     setUp(callback) {
         /* eslint-disable global-require */
         BigIp = require('../../lib/bigIp');
+        BigIpGtm = require('../../lib/bigIpGtm');
         icontrolMock = require('../testUtil/icontrolMock');
 
         bigIpMock = new BigIp();
@@ -63,9 +65,11 @@ module.exports = {
         bigIpMock.gtm = {
             updateServer() {
                 functionCalls.bigIp.gtm.updateServer = arguments;
+                return q({ added: [], removed: [], unchanged: [] });
             },
             updatePool() {
                 functionCalls.bigIp.gtm.updatePool = arguments;
+                return q({ added: [], removed: [], unchanged: [] });
             },
             setPartition() {
                 functionCalls.bigIp.gtm.setPartition = arguments;
@@ -115,10 +119,18 @@ module.exports = {
 
     testUpdateServerAndPool: {
         setUp(callback) {
-            instances = {
-                1: 'one',
-                2: 'two'
-            };
+            instances = [
+                {
+                    name: 'one',
+                    ip: '1.2.3.4',
+                    port: '1234'
+                },
+                {
+                    name: 'two',
+                    ip: '5.6.7.8',
+                    port: '1234'
+                }
+            ];
 
             providerOptions = {
                 host: 'myHost',
@@ -145,7 +157,44 @@ module.exports = {
                     test.deepEqual(functionCalls.bigIp.gtm.updateServer[1], instances);
                     test.strictEqual(functionCalls.bigIp.gtm.updatePool[0], 'myPool');
                     test.strictEqual(functionCalls.bigIp.gtm.updatePool[1], 'myServer');
-                    test.strictEqual(functionCalls.bigIp.gtm.updatePool[2], instances);
+                    test.deepEqual(functionCalls.bigIp.gtm.updatePool[2], instances);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testIpv6(test) {
+            const ipv6Instances = [
+                {
+                    name: 'three',
+                    ip: '2001:db8::3',
+                    port: '1234'
+                }
+            ];
+            instances.push(ipv6Instances[0]);
+
+            icontrolMock.when('list', '/tm/gtm/pool/a', []);
+            icontrolMock.when('list', '/tm/gtm/pool/aaaa', []);
+
+            test.expect(4);
+            gtmDnsProvider.init(providerOptions)
+                .then(() => {
+                    return gtmDnsProvider.update(instances);
+                })
+                .then(() => {
+                    test.deepEqual(functionCalls.bigIp.gtm.updateServer[1], instances);
+                    test.deepEqual(functionCalls.bigIp.gtm.updatePool[2], ipv6Instances);
+                    test.strictEqual(functionCalls.bigIp.gtm.updatePool[3].recordType, 'aaaa');
+                    test.deepEqual(
+                        icontrolMock.getRequest('create', '/tm/gtm/pool/aaaa'),
+                        {
+                            name: 'myPool'
+                        }
+                    );
                 })
                 .catch((err) => {
                     test.ok(false, err);
@@ -363,14 +412,59 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
+        },
+
+        testStaleAaaaPoolEmptied(test) {
+            icontrolMock.when('list', '/tm/gtm/pool/aaaa', [{ name: 'myPool' }]);
+
+            test.expect(3);
+            gtmDnsProvider.init(providerOptions)
+                .then(() => {
+                    return gtmDnsProvider.update(instances);
+                })
+                .then(() => {
+                    test.strictEqual(functionCalls.bigIp.gtm.updatePool[3].recordType, 'aaaa');
+                    test.deepEqual(functionCalls.bigIp.gtm.updatePool[2], []);
+                    test.strictEqual(icontrolMock.getRequest('create', '/tm/gtm/pool/aaaa'), undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testAaaaPoolNotCreatedWithoutInstances(test) {
+            icontrolMock.when('list', '/tm/gtm/pool/a', [{ name: 'myPool' }]);
+            icontrolMock.when('list', '/tm/gtm/pool/aaaa', []);
+
+            test.expect(2);
+            gtmDnsProvider.init(providerOptions)
+                .then(() => {
+                    return gtmDnsProvider.update(instances);
+                })
+                .then(() => {
+                    test.strictEqual(functionCalls.bigIp.gtm.updatePool[3].recordType, 'a');
+                    test.strictEqual(icontrolMock.getRequest('create', '/tm/gtm/pool/aaaa'), undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
         }
     },
 
     testOptions(test) {
-        instances = {
-            1: 'one',
-            2: 'two'
-        };
+        instances = [
+            {
+                name: 'one',
+                ip: '1.2.3.4',
+                port: '1234'
+            }
+        ];
 
         providerOptions = {
             host: 'myHost',
@@ -396,6 +490,7 @@ module.exports = {
                     monitor: 'myVsMonitor'
                 });
                 test.deepEqual(functionCalls.bigIp.gtm.updatePool[3], {
+                    recordType: 'a',
                     loadBalancingMode: 'myLoadBalancingMode',
                     monitor: 'myPoolMonitor'
                 });
@@ -407,5 +502,184 @@ module.exports = {
             .finally(() => {
                 test.done();
             });
+    },
+
+    testReconcile: {
+        setUp(callback) {
+            instances = [
+                {
+                    name: 'one',
+                    ip: '1.2.3.4',
+                    port: '1234',
+                    ratio: 2,
+                    order: 1
+                },
+                {
+                    name: 'two',
+                    ip: '5.6.7.8',
+                    port: '1234',
+                    enabled: false
+                }
+            ];
+
+            providerOptions = {
+                host: 'myHost',
+                user: 'myUser',
+                password: 'myPassword',
+                serverName: 'myServer',
+                poolName: 'myPool',
+                datacenter: 'myDatacenter'
+            };
+
+            bigIpMock.gtm = new BigIpGtm(bigIpMock);
+
+            icontrolMock.when('list', '/tm/gtm/pool/a', [{ name: 'myPool' }]);
+            icontrolMock.when(
+                'list',
+                '/tm/gtm/server/~Common~myServer/virtual-servers',
+                [
+                    { name: 'one', destination: '1.2.3.4:1234' },
+                    { name: 'three', destination: '9.10.11.12:1234' }
+                ]
+            );
+            icontrolMock.when(
+                'list',
+                '/tm/gtm/pool/a/~Common~myPool/members',
+                [
+                    { name: 'myServer:one' },
+                    { name: 'myServer:three' }
+                ]
+            );
+
+            callback();
+        },
+
+        testSummary(test) {
+            test.expect(2);
+            gtmDnsProvider.init(providerOptions)
+                .then(() => {
+                    return gtmDnsProvider.update(instances);
+                })
+                .then((summary) => {
+                    test.deepEqual(summary.virtualServers, {
+                        added: ['two'],
+                        removed: ['three'],
+                        unchanged: ['one']
+                    });
+                    test.deepEqual(summary.pools, {
+                        a: {
+                            added: ['myServer:two'],
+                            removed: ['myServer:three'],
+                            unchanged: ['myServer:one']
+                        }
+                    });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testStaleRemovedAfterPool(test) {
+            test.expect(3);
+            gtmDnsProvider.init(providerOptions)
+                .then(() => {
+                    return gtmDnsProvider.update(instances);
+                })
+                .then(() => {
+                    const firstServerRequest = icontrolMock.getRequest(
+                        'modify', '/tm/gtm/server/~Common~myServer'
+                    );
+                    const lastServerRequest = icontrolMock.getRequest(
+                        'modify', '/tm/gtm/server/~Common~myServer'
+                    );
+                    const poolRequest = icontrolMock.getRequest('modify', '/tm/gtm/pool/a/~Common~myPool');
+
+                    // stale virtual server is kept until the pool no longer refers to it
+                    test.deepEqual(
+                        firstServerRequest.virtualServers[2],
+                        { name: 'three', destination: '9.10.11.12:1234' }
+                    );
+                    test.deepEqual(lastServerRequest.virtualServers, [
+                        {
+                            name: 'one',
+                            destination: '1.2.3.4:1234'
+                        },
+                        {
+                            name: 'two',
+                            destination: '5.6.7.8:1234',
+                            disabled: true
+                        }
+                    ]);
+                    test.deepEqual(poolRequest.members, [
+                        {
+                            name: 'myServer:one',
+                            ratio: 2,
+                            memberOrder: 1
+                        },
+                        {
+                            name: 'myServer:two',
+                            disabled: true
+                        }
+                    ]);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTransaction(test) {
+            let transactionCommands;
+            bigIpMock.transaction = (commands) => {
+                transactionCommands = commands;
+                return q();
+            };
+            providerOptions.transaction = 'true';
+
+            test.expect(4);
+            gtmDnsProvider.init(providerOptions)
+                .then(() => {
+                    return gtmDnsProvider.update(instances);
+                })
+                .then(() => {
+                    test.deepEqual(
+                        transactionCommands.map((command) => {
+                            return command.path;
+                        }),
+                        [
+                            '/tm/gtm/server/~Common~myServer',
+                            '/tm/gtm/pool/a/~Common~myPool',
+                            '/tm/gtm/server/~Common~myServer'
+                        ]
+                    );
+                    test.deepEqual(
+                        transactionCommands[0].body.virtualServers.map((virtualServer) => {
+                            return virtualServer.name;
+                        }),
+                        ['one', 'two', 'three']
+                    );
+                    test.deepEqual(
+                        transactionCommands[2].body.virtualServers.map((virtualServer) => {
+                            return virtualServer.name;
+                        }),
+                        ['one', 'two']
+                    );
+                    test.strictEqual(
+                        icontrolMock.getRequest('modify', '/tm/gtm/server/~Common~myServer'),
+                        undefined
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
     }
 };
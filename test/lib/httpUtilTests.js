@@ -212,6 +212,22 @@ module.exports = {
                 });
         },
 
+        testTls(test) {
+            test.expect(3);
+            httpUtil.request('GET', 'https://www.example.com', { tls: { pfx: 'myPfx', passphrase: 'foo' } })
+                .then(() => {
+                    test.strictEqual(https.lastRequest.pfx, 'myPfx');
+                    test.strictEqual(https.lastRequest.passphrase, 'foo');
+                    test.strictEqual(https.lastRequest.rejectUnauthorized, true);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
         testHttps(test) {
             test.expect(1);
             httpUtil.request('GET', 'https://www.example.com')
@@ -16,11 +16,46 @@
 
 'use strict';
 
+const EventEmitter = require('events').EventEmitter;
+const q = require('q');
 const IControl = require('../../../f5-cloud-libs').iControl;
 const httpMock = require('../testUtil/httpMock');
 
 let iControl;
 
+// https stand-in which holds each request until the test responds to it
+function getHoldingHttps() {
+    const pending = [];
+
+    return {
+        pending,
+        request(options, cb) {
+            const clientRequest = new EventEmitter();
+            clientRequest.options = options;
+            clientRequest.write = () => { };
+            clientRequest.setTimeout = (timeout, onTimeout) => {
+                clientRequest.onTimeout = onTimeout;
+            };
+            clientRequest.destroy = (err) => {
+                clientRequest.emit('error', err);
+            };
+            clientRequest.end = () => {
+                pending.push(clientRequest);
+            };
+            clientRequest.respond = () => {
+                const response = new EventEmitter();
+                response.statusCode = 200;
+                response.headers = { 'content-type': 'application/json' };
+                pending.splice(pending.indexOf(clientRequest), 1);
+                cb(response);
+                response.emit('data', '{"foo":"bar"}');
+                response.emit('end');
+            };
+            return clientRequest;
+        }
+    };
+}
+
 module.exports = {
     setUp(callback) {
         iControl = new IControl();
@@ -72,6 +107,257 @@ Token is valid for 1.2.3.4 and received from 6.7.8.9.`;
             });
     },
 
+    testTokenExpired: {
+        testLogin(test) {
+            const loginBodies = [];
+            const create = IControl.prototype.create;
+
+            iControl = new IControl({
+                authToken: 'oldToken',
+                loginProviderName: 'tmos',
+                user: 'myUser',
+                password: 'myPassword'
+            });
+            iControl.https = httpMock;
+            iControl.create = function createMock(path, body, options) {
+                if (path === '/shared/authn/login') {
+                    loginBodies.push(body);
+                    httpMock.setResponse({ message: 'Success' }, { 'Content-Type': 'application/json' }, 200);
+                    return q({ token: { token: 'newToken' } });
+                }
+                return create.call(this, path, body, options);
+            };
+            httpMock.setResponse({ message: 'Unauthorized' }, { 'Content-Type': 'application/json' }, 401);
+
+            test.expect(3);
+            iControl.list('somepath')
+                .then((data) => {
+                    test.deepEqual(data, { message: 'Success' });
+                    test.deepEqual(
+                        loginBodies,
+                        [{ username: 'myUser', password: 'myPassword', loginProviderName: 'tmos' }]
+                    );
+                    test.strictEqual(httpMock.lastRequest.headers['X-F5-Auth-Token'], 'newToken');
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoRefresh(test) {
+            iControl = new IControl({ authToken: 'oldToken' });
+            iControl.https = httpMock;
+            httpMock.setResponse({ message: 'Unauthorized' }, { 'Content-Type': 'application/json' }, 401);
+
+            test.expect(1);
+            iControl.list('somepath')
+                .then(() => {
+                    test.ok(false, 'should have been rejected');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.code, 401);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testExtendAuthToken(test) {
+        iControl = new IControl({ authToken: 'foofoofoo' });
+        iControl.https = httpMock;
+
+        test.expect(3);
+        iControl.extendAuthToken('3600')
+            .then(() => {
+                test.strictEqual(httpMock.lastRequest.method, 'PATCH');
+                test.strictEqual(httpMock.lastRequest.path, '/mgmt/shared/authz/tokens/foofoofoo');
+                test.deepEqual(JSON.parse(httpMock.clientRequest.data), { timeout: 3600 });
+            })
+            .catch((err) => {
+                test.ok(false, err.message);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testLogout(test) {
+        iControl = new IControl({ authToken: 'foofoofoo' });
+        iControl.https = httpMock;
+
+        test.expect(3);
+        iControl.logout()
+            .then(() => {
+                test.strictEqual(httpMock.lastRequest.method, 'DELETE');
+                test.strictEqual(httpMock.lastRequest.path, '/mgmt/shared/authz/tokens/foofoofoo');
+                test.strictEqual(iControl.authToken, undefined);
+            })
+            .catch((err) => {
+                test.ok(false, err.message);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testTls(test) {
+        iControl = new IControl({
+            strict: true,
+            tls: {
+                cert: 'myCert',
+                key: 'myKey',
+                ca: 'myCa'
+            }
+        });
+        iControl.https = httpMock;
+
+        test.expect(4);
+        iControl.list('somepath')
+            .then(() => {
+                test.strictEqual(httpMock.lastRequest.cert, 'myCert');
+                test.strictEqual(httpMock.lastRequest.key, 'myKey');
+                test.strictEqual(httpMock.lastRequest.ca, 'myCa');
+                test.strictEqual(httpMock.lastRequest.rejectUnauthorized, true);
+            })
+            .catch((err) => {
+                test.ok(false, err.message);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testKeepAliveAgent(test) {
+        iControl = new IControl();
+        iControl.https = httpMock;
+
+        test.expect(2);
+        iControl.list('somepath')
+            .then(() => {
+                test.strictEqual(httpMock.lastRequest.agent, iControl.httpsAgent);
+                test.strictEqual(iControl.httpsAgent.keepAlive, true);
+            })
+            .catch((err) => {
+                test.ok(false, err.message);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testMaxConcurrentRequests(test) {
+        const holdingHttps = getHoldingHttps();
+        const pending = holdingHttps.pending;
+        const promises = [];
+
+        iControl = new IControl({ maxConcurrentRequests: 2 });
+        iControl.https = holdingHttps;
+
+        for (let i = 0; i < 4; i++) {
+            promises.push(iControl.list(`/path${i}`));
+        }
+
+        test.expect(7);
+        test.strictEqual(pending.length, 2);
+        test.strictEqual(iControl.getStats().queued, 2);
+
+        pending[0].respond();
+        test.strictEqual(pending.length, 2);
+        test.strictEqual(pending[1].options.path, '/mgmt/path2');
+
+        pending[0].respond();
+        pending[0].respond();
+        pending[0].respond();
+
+        q.all(promises)
+            .then((responses) => {
+                const stats = iControl.getStats();
+                test.strictEqual(responses.length, 4);
+                test.strictEqual(stats.requests, 4);
+                test.strictEqual(stats.active + stats.queued, 0);
+            })
+            .catch((err) => {
+                test.ok(false, err.message);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testTimeout: {
+        testDefault(test) {
+            const holdingHttps = getHoldingHttps();
+
+            iControl = new IControl();
+            iControl.https = holdingHttps;
+
+            test.expect(4);
+            const promise = iControl.list('somepath');
+            holdingHttps.pending[0].onTimeout();
+
+            promise
+                .then(() => {
+                    test.ok(false, 'should have timed out');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.code, 'ETIMEDOUT');
+                    test.strictEqual(iControl.requestTimeoutMs, 300000);
+                    test.strictEqual(iControl.getStats().timeouts, 1);
+                    test.strictEqual(iControl.getStats().active, 0);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testPerRequest(test) {
+            const realSetTimeout = httpMock.clientRequest.setTimeout;
+            let timeoutSet;
+
+            iControl = new IControl({ requestTimeoutMs: 1000 });
+            iControl.https = httpMock;
+            httpMock.clientRequest.setTimeout = (timeout) => {
+                timeoutSet = timeout;
+            };
+
+            test.expect(1);
+            iControl.list('somepath', { timeout: 5 })
+                .then(() => {
+                    test.strictEqual(timeoutSet, 5);
+                })
+                .catch((err) => {
+                    test.ok(false, err.message);
+                })
+                .finally(() => {
+                    httpMock.clientRequest.setTimeout = realSetTimeout;
+                    test.done();
+                });
+        }
+    },
+
+    testStats(test) {
+        iControl = new IControl();
+        iControl.https = httpMock;
+        httpMock.setResponse({ message: 'oops' }, { 'Content-Type': 'application/json' }, 400);
+
+        test.expect(4);
+        iControl.list('somepath')
+            .catch(() => {
+                const stats = iControl.getStats();
+                test.strictEqual(stats.requests, 1);
+                test.strictEqual(stats.errors, 1);
+                test.strictEqual(stats.active, 0);
+                test.strictEqual(typeof stats.averageLatencyMs, 'number');
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
     testBadJsonResponse(test) {
         httpMock.setResponse('badjson', { 'Content-Type': 'application/json' });
         iControl.list('somepath')
@@ -20,6 +20,9 @@ const q = require('q');
 const fsMock = require('fs');
 
 const realWriteFile = fsMock.writeFile;
+const realMkdir = fsMock.mkdir;
+const realAccess = fsMock.access;
+const realUnlink = fsMock.unlink;
 
 const passphrase = 'abc123';
 
@@ -90,6 +93,9 @@ module.exports = {
             delete require.cache[key];
         });
         fsMock.writeFile = realWriteFile;
+        fsMock.mkdir = realMkdir;
+        fsMock.access = realAccess;
+        fsMock.unlink = realUnlink;
         callback();
     },
 
@@ -0,0 +1,547 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CloudProvider = require('../../lib/cloudProvider');
+const LocalProvider = require('../../lib/localProvider');
+const util = require('../../lib/util');
+
+let storagePath;
+let testProvider;
+
+function storeUcs(file, maxCopies) {
+    return testProvider.storeUcs(path.join(storagePath, file), maxCopies, 'ucsAutosave_');
+}
+
+// Our tests cause too many event listeners. Turn off the check.
+process.setMaxListeners(0);
+
+module.exports = {
+    setUp(callback) {
+        const uniqueId = Math.random().toString(36).substring(2, 8);
+        storagePath = path.join(os.tmpdir(), `localProviderTests${uniqueId}`);
+        fs.mkdirSync(storagePath);
+        testProvider = new LocalProvider({
+            clOptions: {
+                user: 'myUser',
+                password: 'myPassword'
+            }
+        });
+        testProvider.init({ storagePath, instanceId: 'one', mgmtIp: '10.0.0.2' })
+            .then(() => {
+                callback();
+            });
+    },
+
+    tearDown(callback) {
+        util.removeDirectorySync(storagePath);
+        callback();
+    },
+
+    testConstructor(test) {
+        test.ok(testProvider.hasFeature(CloudProvider.FEATURE_MESSAGING));
+        test.ok(testProvider.hasFeature(CloudProvider.FEATURE_ENCRYPTION));
+        test.done();
+    },
+
+    testInit: {
+        testNoStoragePath(test) {
+            test.expect(1);
+            testProvider.init({})
+                .then(() => {
+                    test.ok(false, 'should have thrown no storagePath');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('storagePath'), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testCreatesStorageDirectories(test) {
+            const nestedPath = path.join(storagePath, 'shared', 'autoscale');
+
+            test.expect(1);
+            testProvider.init({ storagePath: nestedPath })
+                .then(() => {
+                    test.deepEqual(
+                        fs.readdirSync(nestedPath).sort(),
+                        ['backup', 'credentials', 'instances', 'keys', 'messages']
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testStoragePathNotDirectory(test) {
+            const filePath = path.join(storagePath, 'notADirectory');
+            fs.writeFileSync(filePath, 'foo');
+
+            test.expect(1);
+            testProvider.init({ storagePath: filePath })
+                .then(() => {
+                    test.ok(false, 'should have rejected');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.code, 'ENOTDIR');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testAutoscaleRegistersInstance(test) {
+            test.expect(3);
+            testProvider.init(
+                {
+                    storagePath,
+                    instanceId: 'two',
+                    mgmtIp: '10.0.0.3',
+                    publicIp: '1.2.3.4'
+                },
+                { autoscale: true }
+            )
+                .then(() => {
+                    return testProvider.getInstances();
+                })
+                .then((instances) => {
+                    test.strictEqual(instances.two.mgmtIp, '10.0.0.3');
+                    test.strictEqual(instances.two.privateIp, '10.0.0.3');
+                    test.strictEqual(instances.two.publicIp, '1.2.3.4');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testGetInstanceId(test) {
+        test.expect(1);
+        testProvider.getInstanceId()
+            .then((instanceId) => {
+                test.strictEqual(instanceId, 'one');
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testInstances: {
+        testPutAndGet(test) {
+            test.expect(3);
+            testProvider.putInstance('one', { privateIp: '10.0.0.2', isPrimary: true })
+                .then(() => {
+                    return testProvider.getInstances();
+                })
+                .then((instances) => {
+                    test.strictEqual(instances.one.privateIp, '10.0.0.2');
+                    test.strictEqual(instances.one.isPrimary, false);
+                    test.strictEqual(instances.one.providerVisible, true);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testExpired(test) {
+            const instanceFile = path.join(storagePath, 'instances', 'old.json');
+            fs.writeFileSync(instanceFile, JSON.stringify({ lastUpdate: new Date(2000, 1, 1) }));
+
+            test.expect(1);
+            testProvider.getInstances()
+                .then((instances) => {
+                    test.strictEqual(instances.old.providerVisible, false);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testPrimary: {
+        testElectPrimary(test) {
+            const instances = {
+                one: { privateIp: '10.0.0.10', providerVisible: true },
+                two: { privateIp: '10.0.0.9', providerVisible: true },
+                three: { privateIp: '10.0.0.1', providerVisible: false }
+            };
+
+            test.expect(1);
+            testProvider.electPrimary(instances)
+                .then((primaryId) => {
+                    test.strictEqual(primaryId, 'two');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testElectPrimaryExternal(test) {
+            const instances = {
+                one: { privateIp: '10.0.0.1', providerVisible: true },
+                two: { privateIp: '10.0.0.2', providerVisible: true, external: true }
+            };
+
+            test.expect(1);
+            testProvider.electPrimary(instances)
+                .then((primaryId) => {
+                    test.strictEqual(primaryId, 'two');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testElectPrimaryNone(test) {
+            test.expect(1);
+            testProvider.electPrimary({ one: { providerVisible: false } })
+                .then(() => {
+                    test.ok(false, 'should have thrown no primary');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'No possible primary found');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testPrimaryElected(test) {
+            test.expect(3);
+            testProvider.putInstance('one', { privateIp: '10.0.0.2' })
+                .then(() => {
+                    return testProvider.primaryElected('one');
+                })
+                .then(() => {
+                    return testProvider.getInstances();
+                })
+                .then((instances) => {
+                    test.strictEqual(instances.one.isPrimary, true);
+                    return testProvider.getPrimaryStatus();
+                })
+                .then((primaryStatus) => {
+                    test.strictEqual(primaryStatus.instanceId, 'one');
+                    test.strictEqual(primaryStatus.status, CloudProvider.STATUS_OK);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testPrimaryInvalidated(test) {
+            test.expect(1);
+            testProvider.primaryElected('one')
+                .then(() => {
+                    return testProvider.primaryInvalidated('one');
+                })
+                .then(() => {
+                    return testProvider.getPrimaryStatus();
+                })
+                .then((primaryStatus) => {
+                    test.strictEqual(primaryStatus, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testCredentials: {
+        testPutAndGet(test) {
+            test.expect(2);
+            testProvider.putPrimaryCredentials()
+                .then(() => {
+                    return testProvider.getPrimaryCredentials();
+                })
+                .then((credentials) => {
+                    test.deepEqual(credentials, { username: 'myUser', password: 'myPassword' });
+
+                    const stats = fs.statSync(path.join(storagePath, 'credentials', 'primary.json'));
+                    // eslint-disable-next-line no-bitwise
+                    test.strictEqual(stats.mode & 0o777, 0o600);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotStored(test) {
+            test.expect(1);
+            testProvider.getPrimaryCredentials()
+                .then(() => {
+                    test.ok(false, 'should have thrown no credentials');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'No primary credentials stored');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testPublicKeys: {
+        testPutAndGet(test) {
+            test.expect(1);
+            testProvider.putPublicKey('one', 'myPublicKey')
+                .then(() => {
+                    return testProvider.getPublicKey('one');
+                })
+                .then((publicKey) => {
+                    test.strictEqual(publicKey, 'myPublicKey');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNotStored(test) {
+            test.expect(1);
+            testProvider.getPublicKey('two')
+                .then(() => {
+                    test.ok(false, 'should have thrown no public key');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'No public key for two');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testMessages: {
+        testSendAndGet(test) {
+            test.expect(2);
+            testProvider.sendMessage(
+                CloudProvider.MESSAGE_ADD_TO_CLUSTER,
+                { toInstanceId: 'one', fromInstanceId: 'two', data: 'first' }
+            )
+                .then(() => {
+                    return testProvider.sendMessage(
+                        CloudProvider.MESSAGE_SYNC_COMPLETE,
+                        { toInstanceId: 'one', fromInstanceId: 'two', data: 'second' }
+                    );
+                })
+                .then(() => {
+                    return testProvider.getMessages([], { toInstanceId: 'one' });
+                })
+                .then((messages) => {
+                    test.deepEqual(
+                        messages.map((message) => { return message.data; }),
+                        ['first', 'second']
+                    );
+                    return testProvider.getMessages([], { toInstanceId: 'one' });
+                })
+                .then((messages) => {
+                    test.strictEqual(messages.length, 0);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testFiltered(test) {
+            test.expect(3);
+            testProvider.sendMessage(
+                CloudProvider.MESSAGE_ADD_TO_CLUSTER,
+                { toInstanceId: 'one', fromInstanceId: 'two', data: 'join' }
+            )
+                .then(() => {
+                    return testProvider.sendMessage(
+                        CloudProvider.MESSAGE_SYNC_COMPLETE,
+                        { toInstanceId: 'two', fromInstanceId: 'one', data: 'synced' }
+                    );
+                })
+                .then(() => {
+                    return testProvider.getMessages(
+                        [CloudProvider.MESSAGE_SYNC_COMPLETE],
+                        { toInstanceId: 'one' }
+                    );
+                })
+                .then((messages) => {
+                    test.strictEqual(messages.length, 0);
+                    return testProvider.getMessages(
+                        [CloudProvider.MESSAGE_ADD_TO_CLUSTER],
+                        { toInstanceId: 'one' }
+                    );
+                })
+                .then((messages) => {
+                    test.strictEqual(messages.length, 1);
+                    test.deepEqual(messages[0], {
+                        action: CloudProvider.MESSAGE_ADD_TO_CLUSTER,
+                        toInstanceId: 'one',
+                        fromInstanceId: 'two',
+                        data: 'join'
+                    });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testUcs: {
+        setUp(callback) {
+            ['ucsAutosave_1.ucs', 'ucsAutosave_2.ucs', 'ucsAutosave_3.ucs'].forEach((file, index) => {
+                const ucsFile = path.join(storagePath, file);
+                const mtime = new Date(2020, 1, index + 1);
+                fs.writeFileSync(ucsFile, file);
+                fs.utimesSync(ucsFile, mtime, mtime);
+            });
+            callback();
+        },
+
+        testStoreUcs(test) {
+            test.expect(1);
+            storeUcs('ucsAutosave_1.ucs', 2)
+                .then(() => {
+                    return storeUcs('ucsAutosave_2.ucs', 2);
+                })
+                .then(() => {
+                    return storeUcs('ucsAutosave_3.ucs', 2);
+                })
+                .then(() => {
+                    test.deepEqual(
+                        fs.readdirSync(path.join(storagePath, 'backup')).sort(),
+                        ['ucsAutosave_2.ucs', 'ucsAutosave_3.ucs']
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testStoreUcsMissingFile(test) {
+            test.expect(2);
+            storeUcs('ucsAutosave_missing.ucs', 2)
+                .then(() => {
+                    test.ok(false, 'should have rejected');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.code, 'ENOENT');
+                    test.deepEqual(fs.readdirSync(path.join(storagePath, 'backup')), []);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testGetStoredUcs(test) {
+            test.expect(1);
+            storeUcs('ucsAutosave_1.ucs', 7)
+                .then(() => {
+                    return storeUcs('ucsAutosave_2.ucs', 7);
+                })
+                .then(() => {
+                    return testProvider.getStoredUcs();
+                })
+                .then((ucsData) => {
+                    let data = '';
+                    ucsData.on('data', (chunk) => {
+                        data += chunk;
+                    });
+                    ucsData.on('end', () => {
+                        test.strictEqual(data, 'ucsAutosave_2.ucs');
+                        test.done();
+                    });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                    test.done();
+                });
+        },
+
+        testNoStoredUcs(test) {
+            test.expect(1);
+            testProvider.getStoredUcs()
+                .then((ucsData) => {
+                    test.strictEqual(ucsData, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDeleteStoredUcs(test) {
+            test.expect(1);
+            storeUcs('ucsAutosave_1.ucs', 7)
+                .then(() => {
+                    return testProvider.deleteStoredUcs('ucsAutosave_1.ucs');
+                })
+                .then(() => {
+                    test.deepEqual(fs.readdirSync(path.join(storagePath, 'backup')), []);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    }
+};
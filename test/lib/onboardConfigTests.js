@@ -0,0 +1,288 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const q = require('q');
+
+let onboardConfig;
+let utilMock;
+let readDataArgs;
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        utilMock = require('../../lib/util');
+        onboardConfig = require('../../lib/onboardConfig');
+        /* eslint-enable global-require */
+
+        readDataArgs = undefined;
+        callback();
+    },
+
+    tearDown(callback) {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+        callback();
+    },
+
+    testSchemaPath(test) {
+        test.expect(1);
+        test.ok(fs.existsSync(onboardConfig.SCHEMA_PATH));
+        test.done();
+    },
+
+    testParse: {
+        testJson(test) {
+            test.expect(1);
+            test.deepEqual(
+                onboardConfig.parse('{"hostname": "bigip1", "dns": ["1.2.3.4"]}'),
+                { hostname: 'bigip1', dns: ['1.2.3.4'] }
+            );
+            test.done();
+        },
+
+        testYaml(test) {
+            test.expect(1);
+            test.deepEqual(
+                onboardConfig.parse('hostname: bigip1\ndbVars:\n  foo.bar: 1\n'),
+                { hostname: 'bigip1', dbVars: { 'foo.bar': 1 } }
+            );
+            test.done();
+        },
+
+        testBuffer(test) {
+            test.expect(1);
+            test.deepEqual(
+                onboardConfig.parse(utilMock.createBufferFrom('hostname: bigip1')),
+                { hostname: 'bigip1' }
+            );
+            test.done();
+        },
+
+        testObject(test) {
+            const config = { hostname: 'bigip1' };
+            test.expect(1);
+            test.strictEqual(onboardConfig.parse(config), config);
+            test.done();
+        },
+
+        testBadData(test) {
+            test.expect(1);
+            test.throws(() => {
+                onboardConfig.parse('hostname: [bigip1');
+            }, /Unable to parse onboard config/);
+            test.done();
+        }
+    },
+
+    testValidate: {
+        testValid(test) {
+            test.expect(1);
+            test.doesNotThrow(() => {
+                onboardConfig.validate({
+                    hostname: 'bigip1',
+                    dns: ['1.2.3.4'],
+                    ntp: ['0.pool.ntp.org'],
+                    timezone: 'UTC',
+                    globalSettings: { guiSetup: 'disabled' },
+                    dbVars: { 'provision.extramb': 500 },
+                    users: [{ user: 'user1', passwordUrl: 'file:///tmp/pass', role: 'admin' }],
+                    provision: { ltm: 'nominal' },
+                    license: {
+                        bigIq: {
+                            host: 'bigiq',
+                            user: 'admin',
+                            password: 'secret',
+                            poolName: 'pool1'
+                        }
+                    }
+                });
+            });
+            test.done();
+        },
+
+        testUnknownProperty(test) {
+            test.expect(1);
+            test.throws(() => {
+                onboardConfig.validate({ foo: 'bar' });
+            }, /Invalid onboard config/);
+            test.done();
+        },
+
+        testBadProvisionLevel(test) {
+            test.expect(1);
+            test.throws(() => {
+                onboardConfig.validate({ provision: { ltm: 'lots' } });
+            }, /Invalid onboard config/);
+            test.done();
+        },
+
+        testUserWithoutPassword(test) {
+            test.expect(1);
+            test.throws(() => {
+                onboardConfig.validate({ users: [{ user: 'user1' }] });
+            }, /Invalid onboard config/);
+            test.done();
+        },
+
+        testRegKeyAndBigIq(test) {
+            test.expect(1);
+            test.throws(() => {
+                onboardConfig.validate({
+                    license: {
+                        registrationKey: 'ABCDE',
+                        bigIq: {
+                            host: 'bigiq',
+                            user: 'admin',
+                            password: 'secret',
+                            poolName: 'pool1'
+                        }
+                    }
+                });
+            }, /Invalid onboard config/);
+            test.done();
+        },
+
+        testPoolList(test) {
+            const config = {
+                license: {
+                    bigIq: {
+                        host: 'bigiq',
+                        user: 'admin',
+                        password: 'secret',
+                        poolName: ['pool1', 'pool2']
+                    }
+                }
+            };
+
+            test.expect(2);
+            test.doesNotThrow(() => {
+                onboardConfig.validate(config);
+            });
+            test.throws(() => {
+                config.license.bigIq.poolName = [];
+                onboardConfig.validate(config);
+            }, /Invalid onboard config/);
+            test.done();
+        }
+    },
+
+    testLoad: {
+        setUp(callback) {
+            utilMock.readData = function readData() {
+                readDataArgs = arguments;
+                return q('hostname: bigip1');
+            };
+            callback();
+        },
+
+        testPath(test) {
+            test.expect(3);
+            onboardConfig.load('/config/onboard.yaml')
+                .then((config) => {
+                    test.strictEqual(readDataArgs[0], 'file:///config/onboard.yaml');
+                    test.strictEqual(readDataArgs[1], true);
+                    test.deepEqual(config, { hostname: 'bigip1' });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testUri(test) {
+            const uri = 'arn:aws:s3:::myBucket/onboard.yaml';
+            const options = { clOptions: { foo: 'bar' } };
+
+            test.expect(2);
+            onboardConfig.load(uri, options)
+                .then(() => {
+                    test.strictEqual(readDataArgs[0], uri);
+                    test.deepEqual(readDataArgs[2], options);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testInvalid(test) {
+            utilMock.readData = function readData() {
+                return q('hostname: 1234\nfoo: bar');
+            };
+
+            test.expect(1);
+            onboardConfig.load('/config/onboard.yaml')
+                .then(() => {
+                    test.ok(false, 'should have thrown invalid config');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('Invalid onboard config'), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testReadError(test) {
+            utilMock.readData = function readData() {
+                return q.reject(new Error('ENOENT'));
+            };
+
+            test.expect(1);
+            onboardConfig.load('/config/onboard.yaml')
+                .then(() => {
+                    test.ok(false, 'should have thrown read error');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'ENOENT');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testLogger(test) {
+            const loggedMessages = [];
+            const logger = {
+                silly() {},
+                info() {
+                    loggedMessages.push(Array.prototype.slice.call(arguments));
+                }
+            };
+
+            utilMock.readData = function readData() {
+                return q.reject(new Error('ENOENT'));
+            };
+
+            test.expect(1);
+            onboardConfig.load('/config/onboard.yaml', { logger })
+                .catch(() => {
+                    test.deepEqual(loggedMessages, [['Unable to load onboard config', 'ENOENT']]);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    }
+};
@@ -0,0 +1,277 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+
+let promises;
+let BigIp;
+let BigIpCluster;
+let util;
+let authnMock;
+let icontrolMock;
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        promises = require('../../../f5-cloud-libs').promises;
+        BigIp = require('../../../f5-cloud-libs').bigIp;
+        BigIpCluster = require('../../../f5-cloud-libs').bigIpCluster;
+        util = require('../../../f5-cloud-libs').util;
+        authnMock = require('../../../f5-cloud-libs').authn;
+        icontrolMock = require('../testUtil/icontrolMock');
+        /* eslint-enable global-require */
+
+        icontrolMock.reset();
+        authnMock.authenticate = function authenticate() {
+            return q(icontrolMock);
+        };
+
+        callback();
+    },
+
+    tearDown(callback) {
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+        callback();
+    },
+
+    testWrap: {
+        testResolved(test) {
+            const wrapped = promises.wrap({
+                foo() {
+                    return q('bar');
+                }
+            });
+
+            const promise = wrapped.foo();
+            test.ok(promise instanceof Promise);
+
+            test.expect(2);
+            promise
+                .then((response) => {
+                    test.strictEqual(response, 'bar');
+                    test.done();
+                });
+        },
+
+        testRejected(test) {
+            const wrapped = promises.wrap({
+                foo() {
+                    return q.reject(new Error('bad'));
+                }
+            });
+
+            test.expect(1);
+            wrapped.foo()
+                .catch((err) => {
+                    test.strictEqual(err.message, 'bad');
+                    test.done();
+                });
+        },
+
+        testThis(test) {
+            const target = {
+                value: 'bar',
+                foo() {
+                    return this.getValue();
+                },
+                getValue() {
+                    test.strictEqual(this, target);
+                    return q(this.value);
+                }
+            };
+
+            test.expect(2);
+            promises.wrap(target).foo()
+                .then((response) => {
+                    test.strictEqual(response, 'bar');
+                    test.done();
+                });
+        },
+
+        testNotPromise(test) {
+            const wrapped = promises.wrap({
+                foo: 'bar',
+                hello() {
+                    return 'world';
+                }
+            });
+
+            test.strictEqual(wrapped.foo, 'bar');
+            test.strictEqual(wrapped.hello(), 'world');
+            test.done();
+        },
+
+        testSet(test) {
+            const target = { foo: 'baz' };
+            const wrapped = promises.wrap(target);
+
+            wrapped.foo = 'bar';
+            test.strictEqual(target.foo, 'bar');
+            test.done();
+        },
+
+        testReplacedMethod(test) {
+            const target = {
+                foo() {
+                    return q('bar');
+                }
+            };
+            const wrapped = promises.wrap(target);
+
+            target.foo = function foo() {
+                return q('baz');
+            };
+
+            test.expect(1);
+            wrapped.foo()
+                .then((response) => {
+                    test.strictEqual(response, 'baz');
+                    test.done();
+                });
+        },
+
+        testSameWrapper(test) {
+            const target = {};
+            const wrapped = promises.wrap(target);
+
+            test.strictEqual(promises.wrap(target), wrapped);
+            test.strictEqual(promises.wrap(wrapped), wrapped);
+            test.done();
+        },
+
+        testNested(test) {
+            const wrapped = promises.wrap(
+                {
+                    inner: {
+                        foo() {
+                            return q('bar');
+                        }
+                    }
+                },
+                ['inner']
+            );
+
+            test.ok(wrapped.inner.foo() instanceof Promise);
+            test.done();
+        },
+
+        testUnwrap(test) {
+            const target = {};
+
+            test.strictEqual(promises.unwrap(promises.wrap(target)), target);
+            test.strictEqual(promises.unwrap(target), target);
+            test.done();
+        }
+    },
+
+    testBigIp: {
+        testInstanceOf(test) {
+            const bigIp = new promises.bigIp(); // eslint-disable-line new-cap
+
+            test.ok(bigIp instanceof BigIp);
+            test.ok(bigIp instanceof promises.bigIp);
+            test.ok(bigIp.cluster instanceof BigIpCluster);
+            test.done();
+        },
+
+        testInitAndList(test) {
+            const bigIp = new promises.bigIp(); // eslint-disable-line new-cap
+
+            icontrolMock.when('list', '/tm/sys/foo', { foo: 'bar' });
+
+            test.expect(3);
+            promises.unwrap(bigIp).ready = function ready() {
+                return q();
+            };
+
+            const initPromise = bigIp.init('host', 'user', 'password', { product: 'BIG-IP' });
+            test.ok(initPromise instanceof Promise);
+
+            initPromise
+                .then(() => {
+                    test.strictEqual(bigIp.isBigIp(), true);
+                    return bigIp.list('/tm/sys/foo', undefined, util.NO_RETRY);
+                })
+                .then((response) => {
+                    test.deepEqual(response, { foo: 'bar' });
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .then(() => {
+                    test.done();
+                });
+        },
+
+        testNested(test) {
+            const bigIp = new promises.bigIp(); // eslint-disable-line new-cap
+
+            promises.unwrap(bigIp).isInitialized = true;
+            promises.unwrap(bigIp).icontrol = icontrolMock;
+            promises.unwrap(bigIp).ready = function ready() {
+                return q();
+            };
+            icontrolMock.when('list', '/tm/cm/device-group/', []);
+
+            test.expect(2);
+            const promise = bigIp.cluster.hasDeviceGroup('myGroup', util.NO_RETRY);
+            test.ok(promise instanceof Promise);
+            promise
+                .then((response) => {
+                    test.strictEqual(response, false);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .then(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testUtil(test) {
+        const funcToTry = function () {
+            return Promise.resolve('foo');
+        };
+
+        test.strictEqual(promises.util.getIpFamily('10.0.0.1'), 4);
+        test.strictEqual(promises.util.NO_RETRY, util.NO_RETRY);
+
+        test.expect(4);
+        const promise = promises.util.tryUntil(this, util.NO_RETRY, funcToTry);
+        test.ok(promise instanceof Promise);
+        promise
+            .then((response) => {
+                test.strictEqual(response, 'foo');
+                test.done();
+            });
+    },
+
+    testToNative(test) {
+        test.expect(2);
+        const promise = promises.toNative(q('foo'));
+        test.ok(promise instanceof Promise);
+        promise
+            .then((response) => {
+                test.strictEqual(response, 'foo');
+                test.done();
+            });
+    }
+};
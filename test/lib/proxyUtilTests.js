@@ -0,0 +1,359 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const net = require('net');
+const URL = require('url');
+
+const ENV_VARS = ['http_proxy', 'HTTP_PROXY', 'https_proxy', 'HTTPS_PROXY', 'no_proxy', 'NO_PROXY'];
+
+let proxyUtil;
+let httpUtil;
+let util;
+
+let targetServer;
+let proxyServer;
+let targetPort;
+let proxyUrl;
+let proxiedRequests;
+let proxyAuth;
+let savedEnv;
+
+// Stand-in for an egress proxy. Forwards absolute URI requests and tunnels CONNECT requests,
+// recording what it was asked to do.
+function startProxy(callback) {
+    proxyServer = http.createServer((req, res) => {
+        proxiedRequests.push({ method: req.method, url: req.url, headers: req.headers });
+
+        const parsedUrl = URL.parse(req.url);
+        const forward = http.request(
+            {
+                hostname: parsedUrl.hostname,
+                port: parsedUrl.port,
+                path: parsedUrl.path,
+                method: req.method,
+                headers: req.headers
+            },
+            (response) => {
+                res.writeHead(response.statusCode, response.headers);
+                response.pipe(res);
+            }
+        );
+        req.pipe(forward);
+    });
+
+    proxyServer.on('connect', (req, clientSocket) => {
+        proxiedRequests.push({ method: req.method, url: req.url, headers: req.headers });
+
+        if (proxyAuth && req.headers['proxy-authorization'] !== proxyAuth) {
+            clientSocket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+            return;
+        }
+
+        const parts = req.url.split(':');
+        const targetSocket = net.connect(parts[1], parts[0], () => {
+            clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+            targetSocket.pipe(clientSocket);
+            clientSocket.pipe(targetSocket);
+        });
+        targetSocket.on('error', () => {
+            clientSocket.destroy();
+        });
+    });
+
+    proxyServer.listen(0, '127.0.0.1', () => {
+        proxyUrl = `http://127.0.0.1:${proxyServer.address().port}`;
+        callback();
+    });
+}
+
+function closeServer(server, callback) {
+    if (server.closeAllConnections) {
+        server.closeAllConnections();
+    }
+    server.close(() => {
+        callback();
+    });
+}
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        proxyUtil = require('../../lib/proxyUtil');
+        httpUtil = require('../../lib/httpUtil');
+        util = require('../../lib/util');
+        /* eslint-enable global-require */
+
+        savedEnv = {};
+        ENV_VARS.forEach((envVar) => {
+            savedEnv[envVar] = process.env[envVar];
+            delete process.env[envVar];
+        });
+
+        proxiedRequests = [];
+        proxyAuth = undefined;
+
+        targetServer = http.createServer((req, res) => {
+            res.setHeader('Content-Type', 'application/json');
+            res.end(JSON.stringify({ path: req.url, host: req.headers.host }));
+        });
+        targetServer.listen(0, '127.0.0.1', () => {
+            targetPort = targetServer.address().port;
+            startProxy(callback);
+        });
+    },
+
+    tearDown(callback) {
+        ENV_VARS.forEach((envVar) => {
+            if (typeof savedEnv[envVar] === 'undefined') {
+                delete process.env[envVar];
+            } else {
+                process.env[envVar] = savedEnv[envVar];
+            }
+        });
+
+        proxyUtil.setProxy();
+
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+
+        closeServer(targetServer, () => {
+            closeServer(proxyServer, callback);
+        });
+    },
+
+    testGetProxy: {
+        testNone(test) {
+            test.strictEqual(proxyUtil.getProxy('https://www.example.com'), undefined);
+            test.done();
+        },
+
+        testExplicit(test) {
+            process.env.https_proxy = 'http://env.proxy:3128';
+            proxyUtil.setProxy('http://my.proxy:8080');
+
+            test.strictEqual(proxyUtil.getProxy('https://www.example.com').host, 'my.proxy:8080');
+            test.done();
+        },
+
+        testEnv(test) {
+            process.env.HTTPS_PROXY = 'http://https.proxy:3128';
+            process.env.HTTP_PROXY = 'http://http.proxy:3128';
+
+            test.strictEqual(proxyUtil.getProxy('https://www.example.com').hostname, 'https.proxy');
+            test.strictEqual(proxyUtil.getProxy('http://www.example.com').hostname, 'http.proxy');
+            test.done();
+        },
+
+        testNoProxy(test) {
+            proxyUtil.setProxy('http://my.proxy:8080', { noProxy: 'foo.com, .bar.com,baz.com:8443' });
+
+            test.strictEqual(proxyUtil.getProxy('https://foo.com/x'), undefined);
+            test.strictEqual(proxyUtil.getProxy('https://www.foo.com/x'), undefined);
+            test.strictEqual(proxyUtil.getProxy('https://a.bar.com/x'), undefined);
+            test.strictEqual(proxyUtil.getProxy('https://baz.com:8443/x'), undefined);
+            test.notStrictEqual(proxyUtil.getProxy('https://baz.com/x'), undefined);
+            test.notStrictEqual(proxyUtil.getProxy('https://notfoo.com/x'), undefined);
+            test.done();
+        },
+
+        testNoProxyEnv(test) {
+            proxyUtil.setProxy('http://my.proxy:8080');
+            process.env.NO_PROXY = '*';
+
+            test.strictEqual(proxyUtil.getProxy('https://www.example.com'), undefined);
+            test.done();
+        },
+
+        testHttpsProxyUrl(test) {
+            proxyUtil.setProxy('https://my.proxy:8080');
+
+            test.throws(() => {
+                proxyUtil.getProxy('https://www.example.com');
+            });
+            test.done();
+        }
+    },
+
+    testHttpUtil: {
+        testProxied(test) {
+            proxyUtil.setProxy(proxyUrl);
+
+            test.expect(3);
+            httpUtil.get(`http://127.0.0.1:${targetPort}/foo?bar=1`)
+                .then((response) => {
+                    test.deepEqual(response, { path: '/foo?bar=1', host: `127.0.0.1:${targetPort}` });
+                    test.strictEqual(proxiedRequests.length, 1);
+                    test.strictEqual(proxiedRequests[0].url, `http://127.0.0.1:${targetPort}/foo?bar=1`);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testEnv(test) {
+            process.env.http_proxy = proxyUrl;
+
+            test.expect(1);
+            httpUtil.get(`http://127.0.0.1:${targetPort}/foo`)
+                .then(() => {
+                    test.strictEqual(proxiedRequests.length, 1);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoProxy(test) {
+            proxyUtil.setProxy(proxyUrl, { noProxy: '127.0.0.1' });
+
+            test.expect(2);
+            httpUtil.get(`http://127.0.0.1:${targetPort}/foo`)
+                .then((response) => {
+                    test.strictEqual(response.path, '/foo');
+                    test.strictEqual(proxiedRequests.length, 0);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testProxyAuth(test) {
+            proxyUtil.setProxy(proxyUrl.replace('http://', 'http://user:pass@'));
+
+            test.expect(1);
+            httpUtil.get(`http://127.0.0.1:${targetPort}/foo`)
+                .then(() => {
+                    test.strictEqual(
+                        proxiedRequests[0].headers['proxy-authorization'],
+                        `Basic ${util.createBufferFrom('user:pass').toString('base64')}`
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testHttpsConnect(test) {
+            proxyUtil.setProxy(proxyUrl);
+
+            // The target is not TLS, so the handshake fails - but only after the tunnel is made
+            test.expect(2);
+            httpUtil.get(`https://127.0.0.1:${targetPort}/foo`)
+                .then(() => {
+                    test.ok(false, 'should have failed TLS handshake');
+                })
+                .catch(() => {
+                    test.strictEqual(proxiedRequests[0].method, 'CONNECT');
+                    test.strictEqual(proxiedRequests[0].url, `127.0.0.1:${targetPort}`);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testHttpsConnectRefused(test) {
+            proxyAuth = 'Basic foo';
+            proxyUtil.setProxy(proxyUrl);
+
+            test.expect(1);
+            httpUtil.get(`https://127.0.0.1:${targetPort}/foo`)
+                .then(() => {
+                    test.ok(false, 'should have been refused');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.code, 407);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testCreateTunnel(test) {
+        proxyAuth = `Basic ${util.createBufferFrom('user:pass').toString('base64')}`;
+        const proxy = URL.parse(proxyUrl.replace('http://', 'http://user:pass@'));
+
+        test.expect(1);
+        proxyUtil.createTunnel(proxy, '127.0.0.1', targetPort, (err, socket) => {
+            if (err) {
+                test.ok(false, err);
+                test.done();
+                return;
+            }
+
+            let data = '';
+            socket.on('data', (chunk) => {
+                data += chunk;
+            });
+            socket.on('end', () => {
+                test.notStrictEqual(data.indexOf('"path":"/tunneled"'), -1);
+                test.done();
+            });
+            socket.write('GET /tunneled HTTP/1.0\r\nHost: 127.0.0.1\r\n\r\n');
+        });
+    },
+
+    testGetDataFromUrl(test) {
+        proxyUtil.setProxy(proxyUrl);
+
+        test.expect(2);
+        util.getDataFromUrl(`http://127.0.0.1:${targetPort}/bar`)
+            .then((response) => {
+                test.strictEqual(response.path, '/bar');
+                test.strictEqual(proxiedRequests.length, 1);
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testDownload(test) {
+        proxyUtil.setProxy(proxyUrl);
+
+        test.expect(1);
+        util.download(`http://127.0.0.1:${targetPort}/baz`)
+            .then((fileName) => {
+                fs.unlinkSync(fileName);
+                test.strictEqual(proxiedRequests[0].url, `http://127.0.0.1:${targetPort}/baz`);
+            })
+            .catch((err) => {
+                test.ok(false, err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    }
+};
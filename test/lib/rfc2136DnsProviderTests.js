@@ -0,0 +1,571 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const dgram = require('dgram');
+const net = require('net');
+const Rfc2136DnsProvider = require('../../lib/rfc2136DnsProvider');
+const util = require('../../lib/util');
+
+const KEY_NAME = 'mykey';
+const KEY_SECRET = util.createBufferFrom('mySecretKeyMaterial').toString('base64');
+
+let server;
+let tcpServer;
+let port;
+let dnsProvider;
+let providerOptions;
+
+// what the fake server received and how it should respond
+let request;
+let responseOptions;
+
+// Our tests cause too many event listeners. Turn off the check.
+process.setMaxListeners(0);
+
+function readName(message, start) {
+    const labels = [];
+    let offset = start;
+
+    while (message[offset] !== 0) {
+        labels.push(message.slice(offset + 1, offset + 1 + message[offset]).toString());
+        offset += message[offset] + 1;
+    }
+
+    return { name: labels.join('.'), offset: offset + 1 };
+}
+
+function encodeName(name) {
+    const buffers = name.split('.').map((label) => {
+        return Buffer.concat([uint8(label.length), util.createBufferFrom(label)]);
+    });
+    return Buffer.concat(buffers.concat(uint8(0)));
+}
+
+function uint8(value) {
+    const buffer = util.createBufferAlloc(1);
+    buffer.writeUInt8(value, 0);
+    return buffer;
+}
+
+function copyBuffer(buffer) {
+    const copy = util.createBufferAlloc(buffer.length);
+    buffer.copy(copy);
+    return copy;
+}
+
+function uint16(value) {
+    const buffer = util.createBufferAlloc(2);
+    buffer.writeUInt16BE(value, 0);
+    return buffer;
+}
+
+function uint48(value) {
+    const buffer = util.createBufferAlloc(6);
+    buffer.writeUInt32BE(value, 2);
+    return buffer;
+}
+
+function hmac(algorithm, buffers) {
+    const mac = crypto.createHmac(algorithm, util.createBufferFrom(KEY_SECRET, 'base64'));
+    buffers.forEach((buffer) => {
+        mac.update(buffer);
+    });
+    return mac.digest();
+}
+
+function tsigVariables(algorithmName, timeSigned, error) {
+    return Buffer.concat([
+        encodeName(KEY_NAME),
+        uint16(255),
+        util.createBufferAlloc(4),
+        encodeName(algorithmName),
+        uint48(timeSigned),
+        uint16(300),
+        uint16(error),
+        uint16(0)
+    ]);
+}
+
+function parseRequest(message) {
+    const parsed = {
+        id: message.readUInt16BE(0),
+        opcode: message.readUInt16BE(2) >> 11, // eslint-disable-line no-bitwise
+        updates: []
+    };
+    const zone = readName(message, 12);
+    let offset = zone.offset + 4;
+
+    parsed.zone = zone.name;
+    parsed.zoneSection = message.slice(12, offset);
+
+    const numRecords = message.readUInt16BE(8) + message.readUInt16BE(10);
+    for (let i = 0; i < numRecords; i++) {
+        const recordOffset = offset;
+        const name = readName(message, offset);
+        const record = {
+            name: name.name,
+            type: message.readUInt16BE(name.offset),
+            class: message.readUInt16BE(name.offset + 2),
+            ttl: message.readUInt32BE(name.offset + 4)
+        };
+        const rdataLength = message.readUInt16BE(name.offset + 8);
+        record.rdata = message.slice(name.offset + 10, name.offset + 10 + rdataLength);
+        offset = name.offset + 10 + rdataLength;
+
+        if (record.type === 250) {
+            const algorithm = readName(record.rdata, 0);
+            const macSize = record.rdata.readUInt16BE(algorithm.offset + 8);
+            const unsigned = copyBuffer(message.slice(0, recordOffset));
+            unsigned.writeUInt16BE(message.readUInt16BE(10) - 1, 10);
+
+            parsed.tsig = {
+                algorithm: algorithm.name,
+                timeSigned: record.rdata.readUInt32BE(algorithm.offset + 2),
+                mac: record.rdata.slice(algorithm.offset + 10, algorithm.offset + 10 + macSize),
+                unsigned
+            };
+        } else {
+            parsed.updates.push(record);
+        }
+    }
+
+    return parsed;
+}
+
+function buildResponse(parsed) {
+    const signed = parsed.tsig && responseOptions.signed !== false;
+    const header = util.createBufferAlloc(12);
+    header.writeUInt16BE(parsed.id, 0);
+    // eslint-disable-next-line no-bitwise
+    header.writeUInt16BE(0x8000 | (5 << 11) | (responseOptions.rcode || 0), 2);
+    header.writeUInt16BE(1, 4);
+    header.writeUInt16BE(signed ? 1 : 0, 10);
+
+    const unsigned = Buffer.concat([header, parsed.zoneSection]);
+    if (!signed) {
+        return unsigned;
+    }
+
+    const timeSigned = Math.floor(Date.now() / 1000);
+    const tsigError = responseOptions.tsigError || 0;
+    const unsignedForMac = copyBuffer(unsigned);
+    unsignedForMac.writeUInt16BE(0, 10);
+    let mac = tsigError ? util.createBufferAlloc(0) : hmac('sha256', [
+        uint16(parsed.tsig.mac.length),
+        parsed.tsig.mac,
+        unsignedForMac,
+        tsigVariables(parsed.tsig.algorithm, timeSigned, tsigError)
+    ]);
+
+    if (responseOptions.badMac) {
+        mac = util.createBufferAlloc(mac.length);
+    }
+
+    const rdata = Buffer.concat([
+        encodeName(parsed.tsig.algorithm),
+        uint48(timeSigned),
+        uint16(300),
+        uint16(mac.length),
+        mac,
+        uint16(parsed.id),
+        uint16(tsigError),
+        uint16(0)
+    ]);
+
+    return Buffer.concat([
+        unsigned,
+        encodeName(KEY_NAME),
+        uint16(250),
+        uint16(255),
+        util.createBufferAlloc(4),
+        uint16(rdata.length),
+        rdata
+    ]);
+}
+
+function getAddresses(type) {
+    return request.updates.filter((record) => {
+        return record.type === type && record.class === 1;
+    }).map((record) => {
+        return record.rdata.toString('hex');
+    });
+}
+
+module.exports = {
+    setUp(callback) {
+        request = undefined;
+        responseOptions = {};
+
+        server = dgram.createSocket('udp4');
+        server.on('message', (message, remote) => {
+            request = parseRequest(message);
+            const response = buildResponse(request);
+
+            if (responseOptions.truncate) {
+                // eslint-disable-next-line no-bitwise
+                response.writeUInt16BE(response.readUInt16BE(2) | 0x0200, 2);
+            }
+
+            if (!responseOptions.noResponse) {
+                server.send(response, remote.port, remote.address);
+            }
+        });
+
+        tcpServer = net.createServer((socket) => {
+            socket.on('data', (data) => {
+                request = parseRequest(data.slice(2));
+                request.tcp = true;
+                if (responseOptions.closeTcp) {
+                    socket.end();
+                    return;
+                }
+                responseOptions.truncate = false;
+                const response = buildResponse(request);
+                socket.write(Buffer.concat([uint16(response.length), response]));
+            });
+        });
+
+        server.bind(0, '127.0.0.1', () => {
+            port = server.address().port;
+            tcpServer.listen(port, '127.0.0.1', () => {
+                providerOptions = {
+                    port,
+                    server: '127.0.0.1',
+                    zone: 'example.com',
+                    recordName: 'app',
+                    ttl: '60',
+                    keyName: KEY_NAME,
+                    keySecret: KEY_SECRET
+                };
+                dnsProvider = new Rfc2136DnsProvider();
+                callback();
+            });
+        });
+    },
+
+    tearDown(callback) {
+        server.close();
+        tcpServer.close(() => {
+            callback();
+        });
+    },
+
+    testInit: {
+        testMissingOptions(test) {
+            test.expect(3);
+            test.throws(() => {
+                dnsProvider.init({ zone: 'example.com', recordName: 'app' });
+            });
+            test.throws(() => {
+                dnsProvider.init({ server: '127.0.0.1', recordName: 'app' });
+            });
+            test.throws(() => {
+                dnsProvider.init({ server: '127.0.0.1', zone: 'example.com' });
+            });
+            test.done();
+        },
+
+        testBadAlgorithm(test) {
+            providerOptions.keyAlgorithm = 'foo';
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    test.ok(false, 'should have thrown bad algorithm');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'Unsupported TSIG algorithm foo');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testNoSecret(test) {
+            delete providerOptions.keySecret;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    test.ok(false, 'should have thrown no secret');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('keySecret'), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testUpdate: {
+        testRecords(test) {
+            const instances = [
+                { name: 'one', ip: '10.0.0.1', port: '443' },
+                { name: 'two', ip: '2001:db8::2', port: '443' },
+                { name: 'three', ip: '10.0.0.3', port: '443' }
+            ];
+
+            test.expect(6);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update(instances);
+                })
+                .then(() => {
+                    test.strictEqual(request.opcode, 5);
+                    test.strictEqual(request.zone, 'example.com');
+                    test.deepEqual(
+                        request.updates.filter((record) => {
+                            return record.class === 255;
+                        }).map((record) => {
+                            return `${record.name} ${record.type}`;
+                        }),
+                        ['app.example.com 1', 'app.example.com 28']
+                    );
+                    test.deepEqual(getAddresses(1), ['0a000001', '0a000003']);
+                    test.deepEqual(getAddresses(28), ['20010db8000000000000000000000002']);
+                    test.strictEqual(request.updates[1].ttl, 60);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testDeleteWhenNoInstances(test) {
+            test.expect(2);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([]);
+                })
+                .then(() => {
+                    test.strictEqual(request.updates.length, 2);
+                    test.deepEqual(getAddresses(1), []);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testRequestSigned(test) {
+            test.expect(2);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.strictEqual(request.tsig.algorithm, 'hmac-sha256');
+                    test.deepEqual(
+                        request.tsig.mac,
+                        hmac('sha256', [
+                            request.tsig.unsigned,
+                            tsigVariables('hmac-sha256', request.tsig.timeSigned, 0)
+                        ])
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testUnsigned(test) {
+            delete providerOptions.keyName;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.strictEqual(request.tsig, undefined);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTcp(test) {
+            providerOptions.protocol = 'tcp';
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(request.tcp);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTcpClosedWithoutResponse(test) {
+            providerOptions.protocol = 'tcp';
+            responseOptions.closeTcp = true;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(false, 'should have been rejected');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('closed without a response'), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTruncatedRetriesTcp(test) {
+            responseOptions.truncate = true;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(request.tcp);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    },
+
+    testErrors: {
+        testRcode(test) {
+            responseOptions.rcode = 5;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown refused');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'DNS update failed: REFUSED');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTsigError(test) {
+            responseOptions.rcode = 9;
+            responseOptions.tsigError = 16;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown bad sig');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'DNS update failed: NOTAUTH (BADSIG)');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testResponseNotSigned(test) {
+            responseOptions.signed = false;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown not signed');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'DNS update response is not signed');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testBadResponseSignature(test) {
+            responseOptions.badMac = true;
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(false, 'should have thrown bad signature');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'DNS update response signature is not valid');
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testTimeout(test) {
+            responseOptions.noResponse = true;
+            providerOptions.timeout = '100';
+
+            test.expect(1);
+            dnsProvider.init(providerOptions)
+                .then(() => {
+                    return dnsProvider.update([{ name: 'one', ip: '10.0.0.1' }]);
+                })
+                .then(() => {
+                    test.ok(false, 'should have timed out');
+                })
+                .catch((err) => {
+                    test.notStrictEqual(err.message.indexOf('No response from DNS server'), -1);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        }
+    }
+};
@@ -42,6 +42,7 @@ let loggerReceivedMessage;
 
 let argv;
 let funcCount;
+let delays;
 
 let logger;
 const LOGFILE = 'foo';
@@ -180,6 +181,12 @@ module.exports = {
             test.done();
         },
 
+        testList(test) {
+            test.deepEqual(util.list('pool1'), ['pool1']);
+            test.deepEqual(util.list('pool1, pool2 ,pool3'), ['pool1', 'pool2', 'pool3']);
+            test.done();
+        },
+
         testMap(test) {
             let container = {};
             let input = 'foo:bar, hello:world';
@@ -264,8 +271,81 @@ module.exports = {
         test.done();
     },
 
-    testIpToNumber(test) {
-        test.strictEqual(util.ipToNumber('10.11.12.13'), 168496141);
+    testIpToNumber: {
+        testBasic(test) {
+            test.strictEqual(util.ipToNumber('10.11.12.13'), 168496141);
+            test.done();
+        },
+
+        testIpv6(test) {
+            test.throws(() => {
+                util.ipToNumber('2001:db8::1');
+            });
+            test.done();
+        }
+    },
+
+    testGetIpFamily(test) {
+        test.strictEqual(util.getIpFamily('10.11.12.13'), 4);
+        test.strictEqual(util.getIpFamily('10.11.12.13/24'), 4);
+        test.strictEqual(util.getIpFamily('10.11.12.13%2'), 4);
+        test.strictEqual(util.getIpFamily('2001:db8::1'), 6);
+        test.strictEqual(util.getIpFamily('2001:db8::/64'), 6);
+        test.strictEqual(util.getIpFamily('fe80::1%3'), 6);
+        test.strictEqual(util.getIpFamily('10.11.12.13/33'), undefined);
+        test.strictEqual(util.getIpFamily('2001:db8::1/129'), undefined);
+        test.strictEqual(util.getIpFamily('aaa.com'), undefined);
+        test.strictEqual(util.getIpFamily(), undefined);
+        test.done();
+    },
+
+    testAddDefaultPrefixLength(test) {
+        test.strictEqual(util.addDefaultPrefixLength('10.11.12.13'), '10.11.12.13/24');
+        test.strictEqual(util.addDefaultPrefixLength('10.11.12.13/32'), '10.11.12.13/32');
+        test.strictEqual(util.addDefaultPrefixLength('2001:db8::1'), '2001:db8::1/64');
+        test.strictEqual(util.addDefaultPrefixLength('2001:db8::1/128'), '2001:db8::1/128');
+        test.strictEqual(util.addDefaultPrefixLength('default'), 'default');
+        test.strictEqual(util.addDefaultPrefixLength('default-inet6'), 'default-inet6');
+        test.done();
+    },
+
+    testCompareIps: {
+        testIpv4(test) {
+            test.ok(util.compareIps('10.0.0.2', '10.0.0.10') < 0);
+            test.ok(util.compareIps('10.0.0.10', '10.0.0.2') > 0);
+            test.strictEqual(util.compareIps('10.0.0.2', '10.0.0.2'), 0);
+            test.done();
+        },
+
+        testIpv6(test) {
+            test.ok(util.compareIps('2001:db8::2', '2001:db8::10') < 0);
+            test.ok(util.compareIps('2001:db8::ffff', '2001:db8:0:1::') < 0);
+            test.strictEqual(util.compareIps('2001:DB8:0::1', '2001:db8::1'), 0);
+            test.strictEqual(util.compareIps('::ffff:10.0.0.1', '::ffff:a00:1'), 0);
+            test.done();
+        },
+
+        testSort(test) {
+            const ips = ['2001:db8::1', 'foo', '10.0.0.10', '10.0.0.9', '::1'];
+            test.deepEqual(ips.sort(util.compareIps), ['10.0.0.9', '10.0.0.10', '::1', '2001:db8::1', 'foo']);
+            test.done();
+        }
+    },
+
+    testIpToBuffer(test) {
+        test.strictEqual(util.ipToBuffer('10.11.12.13').toString('hex'), '0a0b0c0d');
+        test.strictEqual(
+            util.ipToBuffer('2001:db8::1').toString('hex'),
+            '20010db8000000000000000000000001'
+        );
+        test.strictEqual(util.ipToBuffer('foo'), undefined);
+        test.done();
+    },
+
+    testCreateBufferAlloc(test) {
+        const buffer = util.createBufferAlloc(4);
+        test.strictEqual(buffer.length, 4);
+        test.strictEqual(buffer.toString('hex'), '00000000');
         test.done();
     },
 
@@ -657,6 +737,41 @@ module.exports = {
                 });
         },
 
+        testReadDataWithRegisteredProvider(test) {
+            const uri = 'mycloud://bucket/password';
+
+            providerMock.init = () => {
+                return q();
+            };
+            providerMock.getDataFromUri = (dataUri) => {
+                functionsCalled.providerMock.getDataFromUri = dataUri;
+                return q('password');
+            };
+
+            function MyCloudProvider() {
+                return providerMock;
+            }
+            cloudProviderFactoryMock.registerProvider(
+                'mycloud',
+                MyCloudProvider,
+                { uriMatcher: 'mycloud://' }
+            );
+
+            test.expect(2);
+            util.readData(uri, true)
+                .then((readPassword) => {
+                    test.strictEqual(functionsCalled.providerMock.getDataFromUri, uri);
+                    test.strictEqual(readPassword, 'password');
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    cloudProviderFactoryMock.unregisterProvider('mycloud');
+                    test.done();
+                });
+        },
+
         testCallsGetDataFromUrl(test) {
             const password = 'foobar';
             const passwordFile = '/tmp/mypass';
@@ -1925,6 +2040,327 @@ module.exports = {
                 .finally(() => {
                     test.done();
                 });
+        },
+
+        testBackoff: {
+            setUp(callback) {
+                delays = [];
+                callback();
+            },
+
+            testFixed(test) {
+                const func = function () {
+                    return q.reject(new Error('foo'));
+                };
+                const onRetry = function (err, info) {
+                    delays.push(info.delayMs);
+                };
+
+                test.expect(1);
+                util.tryUntil(this, { maxRetries: 3, retryIntervalMs: 5, onRetry }, func)
+                    .catch(() => {
+                        test.deepEqual(delays, [5, 5, 5]);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testExponential(test) {
+                const func = function () {
+                    return q.reject(new Error('foo'));
+                };
+                const onRetry = function (err, info) {
+                    delays.push(info.delayMs);
+                };
+
+                test.expect(1);
+                util.tryUntil(
+                    this,
+                    {
+                        maxRetries: 5,
+                        retryIntervalMs: 1,
+                        backoff: util.BACKOFF.EXPONENTIAL,
+                        maxIntervalMs: 10,
+                        onRetry
+                    },
+                    func
+                )
+                    .catch(() => {
+                        test.deepEqual(delays, [1, 2, 4, 8, 10]);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testExponentialMultiplier(test) {
+                const func = function () {
+                    return q.reject(new Error('foo'));
+                };
+                const onRetry = function (err, info) {
+                    delays.push(info.delayMs);
+                };
+
+                test.expect(1);
+                util.tryUntil(
+                    this,
+                    {
+                        maxRetries: 3,
+                        retryIntervalMs: 1,
+                        backoff: util.BACKOFF.EXPONENTIAL,
+                        backoffMultiplier: 3,
+                        onRetry
+                    },
+                    func
+                )
+                    .catch(() => {
+                        test.deepEqual(delays, [1, 3, 9]);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testExponentialJitter(test) {
+                const realRandom = Math.random;
+                const func = function () {
+                    return q.reject(new Error('foo'));
+                };
+                const onRetry = function (err, info) {
+                    delays.push(info.delayMs);
+                };
+
+                Math.random = function random() {
+                    return 0.5;
+                };
+
+                test.expect(1);
+                util.tryUntil(
+                    this,
+                    {
+                        maxRetries: 3,
+                        retryIntervalMs: 4,
+                        backoff: util.BACKOFF.EXPONENTIAL_JITTER,
+                        maxIntervalMs: 12,
+                        onRetry
+                    },
+                    func
+                )
+                    .catch(() => {
+                        test.deepEqual(delays, [2, 4, 6]);
+                    })
+                    .finally(() => {
+                        Math.random = realRandom;
+                        test.done();
+                    });
+            }
+        },
+
+        testDeadline(test) {
+            const func = function () {
+                funcCount += 1;
+                return q.reject(new Error('foo'));
+            };
+
+            test.expect(2);
+            util.tryUntil(this, { maxRetries: 100, retryIntervalMs: 20, deadlineMs: 50 }, func)
+                .then(() => {
+                    test.ok(false, 'func should never have resolved');
+                })
+                .catch((err) => {
+                    test.strictEqual(err.message, 'tryUntil: deadline reached: foo');
+                    test.ok(funcCount < 5);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testShouldRetry: {
+            testNoRetry(test) {
+                const func = function () {
+                    funcCount += 1;
+                    return q.reject({ code: 503, message: 'foo' });
+                };
+                const shouldRetry = function () {
+                    return false;
+                };
+
+                test.expect(2);
+                util.tryUntil(this, { maxRetries: 3, retryIntervalMs: 10, shouldRetry }, func)
+                    .then(() => {
+                        test.ok(false, 'func should never have resolved');
+                    })
+                    .catch((err) => {
+                        test.strictEqual(err.message, 'foo');
+                        test.strictEqual(funcCount, 1);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testRetryBadRequest(test) {
+                const func = function () {
+                    funcCount += 1;
+                    return q.reject({ code: 400, message: 'foo' });
+                };
+                const shouldRetry = function () {
+                    return true;
+                };
+
+                test.expect(1);
+                util.tryUntil(this, { maxRetries: 2, retryIntervalMs: 10, shouldRetry }, func)
+                    .catch(() => {
+                        test.strictEqual(funcCount, 3);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testUndefinedUsesDefault(test) {
+                const func = function () {
+                    funcCount += 1;
+                    return q.reject({ code: 400, message: 'foo' });
+                };
+                const shouldRetry = function () {
+                    return undefined;
+                };
+
+                test.expect(1);
+                util.tryUntil(this, { maxRetries: 2, retryIntervalMs: 10, shouldRetry }, func)
+                    .catch(() => {
+                        test.strictEqual(funcCount, 1);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            }
+        },
+
+        testOnRetry: {
+            testInfo(test) {
+                const infos = [];
+                const func = function () {
+                    return q.reject(new Error('foo'));
+                };
+                const onRetry = function (err, info) {
+                    infos.push({ message: err.message, info });
+                };
+
+                test.expect(1);
+                util.tryUntil(this, { maxRetries: 2, retryIntervalMs: 1, onRetry }, func)
+                    .catch(() => {
+                        test.deepEqual(infos, [
+                            { message: 'foo', info: { attempt: 1, delayMs: 1, retriesLeft: 1 } },
+                            { message: 'foo', info: { attempt: 2, delayMs: 1, retriesLeft: 0 } }
+                        ]);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            },
+
+            testHookError(test) {
+                const func = function () {
+                    funcCount += 1;
+                    if (funcCount < 2) {
+                        return q.reject(new Error('foo'));
+                    }
+                    return q('hello');
+                };
+                const onRetry = function () {
+                    throw new Error('bad hook');
+                };
+
+                test.expect(1);
+                util.tryUntil(this, { maxRetries: 2, retryIntervalMs: 1, onRetry }, func)
+                    .then((response) => {
+                        test.strictEqual(response, 'hello');
+                    })
+                    .catch((err) => {
+                        test.ok(false, err);
+                    })
+                    .finally(() => {
+                        test.done();
+                    });
+            }
+        }
+    },
+
+    testGetShouldRetry(test) {
+        const shouldRetry = util.getShouldRetry({
+            neverRetry: [401, 403, 404],
+            alwaysRetry: ['ECONNRESET', 503]
+        });
+
+        test.strictEqual(shouldRetry({ code: 401 }), false);
+        test.strictEqual(shouldRetry({ code: 404 }), false);
+        test.strictEqual(shouldRetry({ code: 'ECONNRESET' }), true);
+        test.strictEqual(shouldRetry({ code: 503 }), true);
+        test.strictEqual(shouldRetry({ code: 400 }), undefined);
+        test.strictEqual(shouldRetry(new Error('foo')), undefined);
+        test.strictEqual(shouldRetry(), undefined);
+        test.done();
+    },
+
+    testCallInSerial: {
+        testBasic(test) {
+            const calls = [];
+            const func = function (arg) {
+                calls.push(arg);
+                return q(arg);
+            };
+
+            test.expect(2);
+            util.callInSerial(this, [
+                { promise: func, arguments: ['one'] },
+                { promise: func, arguments: ['two'] }
+            ])
+                .then((results) => {
+                    test.deepEqual(calls, ['one', 'two']);
+                    test.deepEqual(results, ['one', 'two']);
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    test.done();
+                });
+        },
+
+        testEventLogSteps(test) {
+            /* eslint-disable global-require */
+            const eventLog = require('../../lib/eventLog');
+            const func = function () {
+                return q();
+            };
+
+            eventLog.start('myScript');
+
+            test.expect(1);
+            util.callInSerial(this, [
+                { promise: func, message: 'Creating foo' },
+                { promise: func, message: 'Creating bar' }
+            ])
+                .then(() => {
+                    const report = eventLog.finish();
+                    test.deepEqual(
+                        report.steps.map((step) => {
+                            return `${step.name}:${step.status}`;
+                        }),
+                        ['Creating foo:finished', 'Creating bar:finished']
+                    );
+                })
+                .catch((err) => {
+                    test.ok(false, err);
+                })
+                .finally(() => {
+                    eventLog.finish();
+                    test.done();
+                });
         }
     },
 
@@ -0,0 +1,384 @@
+/**
+ * Copyright 2018 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the 'License');
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an 'AS IS' BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+// End to end tests of the autoscale join, update and backup-ucs cluster actions
+// with the local cloud provider. Only BIG-IP is mocked.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const q = require('q');
+const CloudProvider = require('../../lib/cloudProvider');
+
+const deviceGroup = 'testDeviceGroup';
+
+const instanceInfo = {
+    one: { hostname: 'host1', mgmtIp: '10.0.0.1' },
+    two: { hostname: 'host2', mgmtIp: '10.0.0.2' }
+};
+
+// BIG-IP directories that the autoscale script uses. These are redirected to the temp directory.
+const BIG_IP_DIRS = ['/config/cloud', '/var/local/ucs', '/shared/tmp/ucs'];
+const REDIRECTED_FS_FUNCTIONS = [
+    'createReadStream',
+    'createWriteStream',
+    'existsSync',
+    'mkdirSync',
+    'readdir',
+    'unlinkSync',
+    'writeFile'
+];
+
+let tempDir;
+let storagePath;
+let fsFunctions;
+let BigIp;
+let authnMock;
+let icontrolMock;
+let cloudUtilMock;
+let cryptoUtilMock;
+let ipcMock;
+let bigIps;
+
+// Our tests cause too many event listeners. Turn off the check.
+process.setMaxListeners(0);
+
+function redirect(file) {
+    if (typeof file === 'string') {
+        const bigIpDir = BIG_IP_DIRS.find((dir) => {
+            return file.startsWith(dir);
+        });
+        if (bigIpDir) {
+            return path.join(tempDir, file);
+        }
+    }
+    return file;
+}
+
+function readStorage(dir) {
+    return fs.readdirSync(path.join(storagePath, dir)).map((file) => {
+        return JSON.parse(fs.readFileSync(path.join(storagePath, dir, file)).toString());
+    });
+}
+
+function getBigIp(instanceId) {
+    if (bigIps[instanceId]) {
+        return q(bigIps[instanceId]);
+    }
+
+    const info = instanceInfo[instanceId];
+    const bigIp = new BigIp();
+
+    bigIp.functionCalls = { joinCluster: [] };
+    bigIp.ready = () => {
+        return q();
+    };
+
+    return bigIp.init('localhost', 'admin', 'admin')
+        .then(() => {
+            bigIp.icontrol = icontrolMock;
+
+            bigIp.ready = () => {
+                return q();
+            };
+            bigIp.save = () => {
+                return q();
+            };
+            bigIp.loadUcs = () => {
+                return q();
+            };
+            bigIp.deviceInfo = () => {
+                return q({
+                    hostname: info.hostname,
+                    managementAddress: info.mgmtIp,
+                    version: '14.1.0'
+                });
+            };
+            bigIp.deviceState = () => {
+                return q({ configsyncIp: info.mgmtIp });
+            };
+            bigIp.installPrivateKey = () => {
+                return q();
+            };
+            bigIp.getPrivateKeyFilePath = () => {
+                return q(`/config/filestore/${instanceId}.key`);
+            };
+            bigIp.getPrivateKeyMetadata = () => {
+                return q({ passphrase: 'myPassphrase' });
+            };
+            bigIp.saveUcs = (ucsName) => {
+                fs.writeFileSync(redirect(`/var/local/ucs/${ucsName}.ucs`), `ucs from ${instanceId}`);
+                return q();
+            };
+            bigIp.onboard = {
+                updateUser() {
+                    return q();
+                }
+            };
+            bigIp.cluster = {
+                configSyncIp() {
+                    return q();
+                },
+                createDeviceGroup() {
+                    bigIp.functionCalls.createDeviceGroup = arguments;
+                    return q();
+                },
+                deleteDeviceGroup() {
+                    return q();
+                },
+                getCmSyncStatus() {
+                    return q({ connected: [], disconnected: [] });
+                },
+                joinCluster() {
+                    bigIp.functionCalls.joinCluster.push(arguments);
+                    return q(true);
+                },
+                removeFromCluster() {
+                    return q();
+                },
+                resetTrust() {
+                    return q();
+                }
+            };
+
+            bigIps[instanceId] = bigIp;
+            return bigIp;
+        });
+}
+
+function runAutoscale(instanceId, clusterAction) {
+    const deferred = q.defer();
+    const info = instanceInfo[instanceId];
+
+    // autoscale parses its options with the shared commander instance, so start fresh each run
+    ['commander', '../../scripts/commonOptions', '../../scripts/autoscale'].forEach((module) => {
+        delete require.cache[require.resolve(module)];
+    });
+    const autoscale = require('../../scripts/autoscale'); // eslint-disable-line global-require
+
+    const argv = [
+        'node', 'autoscale', '--password', 'foobar', '--device-group', deviceGroup,
+        '--cloud', 'local', '--log-level', 'none', '--cluster-action', clusterAction,
+        '--provider-options', `storagePath:${storagePath},instanceId:${instanceId},mgmtIp:${info.mgmtIp}`
+    ];
+
+    getBigIp(instanceId)
+        .then((bigIp) => {
+            icontrolMock.when('list', '/tm/sys/global-settings', { hostname: info.hostname });
+            autoscale.run(argv, { bigIp }, (err) => {
+                if (err) {
+                    deferred.reject(err);
+                } else {
+                    deferred.resolve();
+                }
+            });
+        });
+
+    return deferred.promise;
+}
+
+module.exports = {
+    setUp(callback) {
+        tempDir = path.join(os.tmpdir(), `autoscaleLocalTests${Math.random().toString(36).substring(2, 8)}`);
+        storagePath = path.join(tempDir, 'storage');
+        fs.mkdirSync(tempDir);
+        fs.mkdirSync(storagePath);
+        ['config', 'config/cloud', 'var', 'var/local', 'var/local/ucs', 'shared', 'shared/tmp']
+            .forEach((dir) => {
+                fs.mkdirSync(path.join(tempDir, dir));
+            });
+
+        fsFunctions = {};
+        REDIRECTED_FS_FUNCTIONS.forEach((name) => {
+            const original = fs[name];
+            fsFunctions[name] = original;
+            fs[name] = function redirected() {
+                const args = Array.prototype.slice.call(arguments);
+                args[0] = redirect(args[0]);
+                return original.apply(fs, args);
+            };
+        });
+
+        /* eslint-disable global-require */
+        BigIp = require('../../lib/bigIp');
+        authnMock = require('../../lib/authn');
+        cloudUtilMock = require('../../lib/util');
+        cryptoUtilMock = require('../../lib/cryptoUtil');
+        icontrolMock = require('../testUtil/icontrolMock');
+        ipcMock = require('../../lib/ipc');
+        /* eslint-enable global-require */
+
+        icontrolMock.reset();
+        authnMock.authenticate = () => {
+            return q.resolve(icontrolMock);
+        };
+
+        cloudUtilMock.logAndExit = () => {};
+        cloudUtilMock.saveArgs = () => {
+            return q();
+        };
+        cloudUtilMock.getProcessCount = () => {
+            return q('1');
+        };
+        cloudUtilMock.getProcessExecutionTimeWithPid = () => {
+            return q();
+        };
+        cloudUtilMock.runShellCommand = () => {
+            return q('OK');
+        };
+
+        // Messages are passed through unencrypted
+        cryptoUtilMock.generateRandomBytes = () => {
+            return q('0123456789abcdef');
+        };
+        cryptoUtilMock.generateKeyPair = () => {
+            return q('myPublicKey');
+        };
+        cryptoUtilMock.encrypt = (publicKey, data) => {
+            return q(data);
+        };
+        cryptoUtilMock.decrypt = (privateKeyPath, data) => {
+            return q(data);
+        };
+
+        // Just resolve right away, otherwise these tests never exit
+        ipcMock.once = () => {
+            return q();
+        };
+
+        bigIps = {};
+        callback();
+    },
+
+    tearDown(callback) {
+        REDIRECTED_FS_FUNCTIONS.forEach((name) => {
+            fs[name] = fsFunctions[name];
+        });
+
+        cloudUtilMock.removeDirectorySync(tempDir);
+        cloudUtilMock.removeDirectorySync(ipcMock.signalBasePath);
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+        callback();
+    },
+
+    testJoin(test) {
+        test.expect(5);
+        runAutoscale('one', 'join')
+            .then(() => {
+                const primary = JSON.parse(fs.readFileSync(path.join(storagePath, 'primary.json')));
+
+                test.strictEqual(primary.instanceId, 'one');
+                test.strictEqual(bigIps.one.functionCalls.createDeviceGroup[0], deviceGroup);
+                test.ok(fs.existsSync('/config/cloud/master'));
+
+                return runAutoscale('two', 'join');
+            })
+            .then(() => {
+                const messages = readStorage('messages');
+
+                test.strictEqual(messages.length, 1);
+                test.deepEqual(
+                    {
+                        action: messages[0].action,
+                        toInstanceId: messages[0].toInstanceId,
+                        fromInstanceId: messages[0].fromInstanceId,
+                        host: JSON.parse(messages[0].data).host
+                    },
+                    {
+                        action: CloudProvider.MESSAGE_ADD_TO_CLUSTER,
+                        toInstanceId: 'one',
+                        fromInstanceId: 'two',
+                        host: '10.0.0.2'
+                    }
+                );
+            })
+            .catch((err) => {
+                test.ok(false, err && err.message ? err.message : err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testUpdate(test) {
+        test.expect(4);
+        runAutoscale('one', 'join')
+            .then(() => {
+                return runAutoscale('two', 'join');
+            })
+            .then(() => {
+                return runAutoscale('one', 'update');
+            })
+            .then(() => {
+                const joinArgs = bigIps.one.functionCalls.joinCluster;
+                const messages = readStorage('messages');
+
+                test.strictEqual(joinArgs.length, 1);
+                test.deepEqual(
+                    [joinArgs[0][0], joinArgs[0][1], joinArgs[0][5].remoteHostname],
+                    [deviceGroup, '10.0.0.2', 'host2']
+                );
+                test.deepEqual(
+                    messages.map((message) => {
+                        return `${message.action} ${message.fromInstanceId} -> ${message.toInstanceId}`;
+                    }),
+                    [`${CloudProvider.MESSAGE_SYNC_COMPLETE} one -> two`]
+                );
+
+                return runAutoscale('two', 'update');
+            })
+            .then(() => {
+                test.deepEqual(readStorage('messages'), []);
+            })
+            .catch((err) => {
+                test.ok(false, err && err.message ? err.message : err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    },
+
+    testBackupUcs(test) {
+        test.expect(3);
+        runAutoscale('one', 'join')
+            .then(() => {
+                return runAutoscale('one', 'backup-ucs');
+            })
+            .then(() => {
+                const backups = fs.readdirSync(path.join(storagePath, 'backup'));
+                const storedInstance = JSON.parse(
+                    fs.readFileSync(path.join(storagePath, 'instances', 'one.json')).toString()
+                );
+
+                test.strictEqual(backups.length, 1);
+                test.strictEqual(
+                    fs.readFileSync(path.join(storagePath, 'backup', backups[0])).toString(),
+                    'ucs from one'
+                );
+                test.ok(storedInstance.lastBackup > new Date(1970, 1, 1).getTime());
+            })
+            .catch((err) => {
+                test.ok(false, err && err.message ? err.message : err);
+            })
+            .finally(() => {
+                test.done();
+            });
+    }
+};
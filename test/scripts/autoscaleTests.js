@@ -994,6 +994,57 @@ module.exports = {
                     });
                     test.done();
                 });
+            },
+
+            testPrivateIpv6(test) {
+                instances.one.privateIpv6 = '2001:db8::1';
+                instances.two.privateIpv6 = '2001:db8::2';
+
+                argv.push('--dns-ip-type', 'private-ipv6');
+                autoscale.run(argv, testOptions, () => {
+                    const updatedServers = gtmDnsProviderMock.functionCalls.update[0];
+                    test.strictEqual(updatedServers.length, 2);
+                    test.deepEqual(updatedServers[0], {
+                        name: instances.one.hostname,
+                        ip: '2001:db8::1',
+                        port: '1234'
+                    });
+                    test.deepEqual(updatedServers[1], {
+                        name: instances.two.hostname,
+                        ip: '2001:db8::2',
+                        port: '1234'
+                    });
+                    test.done();
+                });
+            },
+
+            testMemberOptions(test) {
+                argv.push(
+                    '--dns-member-ratio', 'host1:2',
+                    '--dns-member-ratio', 'host2:1',
+                    '--dns-member-order', 'host2:0',
+                    '--dns-disabled-member', 'host1'
+                );
+                autoscale.run(argv, testOptions, () => {
+                    const updatedServers = gtmDnsProviderMock.functionCalls.update[0];
+                    test.deepEqual(updatedServers, [
+                        {
+                            name: instances.one.hostname,
+                            ip: instances.one.privateIp,
+                            port: '1234',
+                            ratio: '2',
+                            enabled: false
+                        },
+                        {
+                            name: instances.two.hostname,
+                            ip: instances.two.privateIp,
+                            port: '1234',
+                            ratio: '1',
+                            order: '0'
+                        }
+                    ]);
+                    test.done();
+                });
             }
         }
     },
@@ -1443,6 +1494,22 @@ module.exports = {
             });
         }
     },
+    testLogoutFails(test) {
+        let loggedOut;
+        bigIpMock.logout = () => {
+            loggedOut = true;
+            return q.reject(new Error('logout failed'));
+        };
+        argv.push('--cluster-action', 'update');
+
+        test.expect(2);
+        autoscale.run(argv, testOptions, (err) => {
+            test.ok(loggedOut);
+            test.strictEqual(err, undefined);
+            test.done();
+        });
+    },
+
     testTagPrimaryCalled(test) {
         instances = {
             one: {
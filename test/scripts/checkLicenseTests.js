@@ -0,0 +1,208 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+
+let utilMock;
+let argv;
+let checkLicense;
+let realConsoleLog;
+
+let bigIpMock;
+let testOptions;
+let report;
+
+let functionsCalled;
+let output;
+let exitCode;
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        utilMock = require('../../lib/util');
+        /* eslint-enable global-require */
+
+        utilMock.logAndExit = (message, level, code) => {
+            exitCode = code;
+        };
+        utilMock.logError = () => { };
+
+        functionsCalled = {
+            bigIp: {}
+        };
+
+        report = {
+            license: {
+                registrationKey: 'AAAAA-BBBBB-CCCCC-DDDDD-EEEEEEE',
+                licenseEndDate: '2030-01-01'
+            },
+            warningDays: 30,
+            expiring: [],
+            ok: true
+        };
+
+        bigIpMock = {
+            init() {
+                functionsCalled.bigIp.init = arguments;
+                return q();
+            },
+            checkLicenseExpiry() {
+                functionsCalled.bigIp.checkLicenseExpiry = arguments;
+                return q(report);
+            }
+        };
+
+        testOptions = {
+            bigIp: bigIpMock
+        };
+
+        output = [];
+        exitCode = undefined;
+        realConsoleLog = console.log; // eslint-disable-line no-console
+        console.log = (message) => { // eslint-disable-line no-console
+            output.push(message);
+        };
+
+        // eslint-disable-next-line global-require
+        checkLicense = require('../../scripts/checkLicense');
+        argv = ['node', 'checkLicense.js', '--log-level', 'none', '--output', '/tmp/checkLicense.log',
+            '--user', 'myUser', '--password', 'myPassword'];
+
+        callback();
+    },
+
+    tearDown(callback) {
+        console.log = realConsoleLog; // eslint-disable-line no-console
+
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+        callback();
+    },
+
+    testRequiredOptions(test) {
+        argv = ['node', 'checkLicense.js', '--log-level', 'none', '--output', '/tmp/checkLicense.log',
+            '--user', 'myUser'];
+
+        checkLicense.run(argv, testOptions);
+        test.strictEqual(exitCode, 1);
+        test.strictEqual(functionsCalled.bigIp.checkLicenseExpiry, undefined);
+        test.done();
+    },
+
+    testBadWarningDays(test) {
+        argv.push('--warning-days', 'foo');
+
+        checkLicense.run(argv, testOptions);
+        test.strictEqual(exitCode, 1);
+        test.strictEqual(functionsCalled.bigIp.checkLicenseExpiry, undefined);
+        test.done();
+    },
+
+    testDefaults(test) {
+        test.expect(5);
+        checkLicense.run(argv, testOptions, (err) => {
+            const initArgs = functionsCalled.bigIp.init;
+            test.strictEqual(err, undefined);
+            test.strictEqual(initArgs[0], 'localhost');
+            test.strictEqual(initArgs[2], 'myPassword');
+            test.deepEqual(functionsCalled.bigIp.checkLicenseExpiry[0], { warningDays: 30 });
+            test.deepEqual(JSON.parse(output[0]), report);
+            test.done();
+        });
+    },
+
+    testOptions(test) {
+        argv = ['node', 'checkLicense.js', '--log-level', 'none', '--output', '/tmp/checkLicense.log',
+            '--host', '1.2.3.4', '--port', '8443', '--user', 'myUser', '--password-url', 'file:///foo',
+            '--password-encrypted', '--warning-days', '10'];
+
+        test.expect(4);
+        checkLicense.run(argv, testOptions, () => {
+            const initArgs = functionsCalled.bigIp.init;
+            test.strictEqual(initArgs[0], '1.2.3.4');
+            test.strictEqual(initArgs[2], 'file:///foo');
+            test.deepEqual(initArgs[3], { port: 8443, passwordIsUrl: true, passwordEncrypted: true });
+            test.deepEqual(functionsCalled.bigIp.checkLicenseExpiry[0], { warningDays: 10 });
+            test.done();
+        });
+    },
+
+    testExpiringDoesNotFailByDefault(test) {
+        report.ok = false;
+        report.expiring = [{ name: 'licenseEndDate', daysRemaining: 5, expired: false }];
+
+        test.expect(1);
+        checkLicense.run(argv, testOptions, (err) => {
+            test.strictEqual(err, undefined);
+            test.done();
+        });
+    },
+
+    testFailOnWarning(test) {
+        report.ok = false;
+        report.expiring = [{ name: 'licenseEndDate', daysRemaining: 5, expired: false }];
+        argv.push('--fail-on-warning');
+
+        test.expect(2);
+        checkLicense.run(argv, testOptions, (err) => {
+            test.strictEqual(err.message, 'License expiring: licenseEndDate');
+            test.strictEqual(output.length, 1);
+            test.done();
+        });
+    },
+
+    testFailOnAddOnAndInvalidDate(test) {
+        report.ok = false;
+        report.expiring = [
+            {
+                name: 'licenseEndDate',
+                date: 'never',
+                expired: false,
+                invalid: true
+            },
+            {
+                name: 'addOnExpiration',
+                key: 'FFFFF-GGGGGGG',
+                daysRemaining: 5,
+                expired: false
+            }
+        ];
+        argv.push('--fail-on-warning');
+
+        test.expect(1);
+        checkLicense.run(argv, testOptions, (err) => {
+            test.strictEqual(
+                err.message,
+                'License expiring: licenseEndDate (invalid date), addOnExpiration FFFFF-GGGGGGG'
+            );
+            test.done();
+        });
+    },
+
+    testNotLicensed(test) {
+        report.license = undefined;
+        report.ok = false;
+
+        test.expect(1);
+        checkLicense.run(argv, testOptions, (err) => {
+            test.strictEqual(err.message, 'BIG-IP is not licensed');
+            test.done();
+        });
+    }
+};
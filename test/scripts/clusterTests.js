@@ -29,6 +29,8 @@ let argv;
 let cluster;
 let realWriteFile;
 let realReadFile;
+let realConsoleLog;
+let output;
 
 let bigIpMock;
 let providerMock;
@@ -65,6 +67,8 @@ module.exports = {
         ipcMock = require('../../lib/ipc');
         localCryptoUtilMock = require('../../lib/localCryptoUtil');
 
+        exitMessage = undefined;
+        exitCode = undefined;
         utilMock.logAndExit = (message, level, code) => {
             exitMessage = message;
             exitCode = code;
@@ -97,6 +101,15 @@ module.exports = {
                 return q();
             },
 
+            logout() {
+                functionsCalled.bigIp.logout = arguments;
+                return q();
+            },
+
+            logRequestStats() {
+                functionsCalled.bigIp.logRequestStats = arguments;
+            },
+
             isBigIp() {
                 return true;
             },
@@ -291,6 +304,32 @@ module.exports = {
         });
     },
 
+    testLogoutBeforeExit(test) {
+        const events = [];
+        bigIpMock.ready = () => {
+            return q.reject(new Error('not ready'));
+        };
+        bigIpMock.logout = () => {
+            const deferred = q.defer();
+            setImmediate(() => {
+                events.push('logout');
+                deferred.resolve();
+            });
+            return deferred.promise;
+        };
+        utilMock.logAndExit = (message, level, code) => {
+            events.push('exit');
+            exitCode = code;
+        };
+
+        test.expect(2);
+        cluster.run(argv, testOptions, () => {
+            test.deepEqual(events, ['logout', 'exit']);
+            test.strictEqual(exitCode, 1);
+            test.done();
+        });
+    },
+
     testBigIqPrimaryRequiredOptions: {
         testNoRootPasswordURI(test) {
             argv.push('--primary', '--big-iq-failover-peer-ip', '1.2.3.4');
@@ -366,5 +405,475 @@ module.exports = {
                 test.done();
             });
         }
+    },
+
+    testFailoverAddresses: {
+        setUp(callback) {
+            bigIpMock.cluster.unicastFailoverAddresses = function unicastFailoverAddresses() {
+                functionsCalled.bigIp.cluster.unicastFailoverAddresses = arguments;
+                return q();
+            };
+            bigIpMock.cluster.multicastFailover = function multicastFailover() {
+                functionsCalled.bigIp.cluster.multicastFailover = arguments;
+                return q();
+            };
+            bigIpMock.cluster.mirrorIp = function mirrorIp() {
+                functionsCalled.bigIp.cluster.mirrorIp = arguments;
+                return q();
+            };
+            callback();
+        },
+
+        testNotSetByDefault(test) {
+            test.expect(3);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.cluster.unicastFailoverAddresses, undefined);
+                test.strictEqual(functionsCalled.bigIp.cluster.multicastFailover, undefined);
+                test.strictEqual(functionsCalled.bigIp.cluster.mirrorIp, undefined);
+                test.done();
+            });
+        },
+
+        testUnicast(test) {
+            argv.push('--failover-address', '10.0.1.1', '--failover-address', '10.0.2.1:1027');
+
+            test.expect(1);
+            cluster.run(argv, testOptions, () => {
+                test.deepEqual(
+                    functionsCalled.bigIp.cluster.unicastFailoverAddresses[0],
+                    ['10.0.1.1', '10.0.2.1:1027']
+                );
+                test.done();
+            });
+        },
+
+        testMulticast(test) {
+            argv.push('--multicast-interface', 'eth0', '--multicast-ip', '224.0.0.246',
+                '--multicast-port', '62961');
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                const multicastArgs = functionsCalled.bigIp.cluster.multicastFailover;
+                test.strictEqual(multicastArgs[0], 'eth0');
+                test.deepEqual(multicastArgs[1], { ip: '224.0.0.246', port: 62961 });
+                test.done();
+            });
+        },
+
+        testMirror(test) {
+            argv.push('--mirror-ip', '10.0.1.1', '--mirror-secondary-ip', '10.0.2.1');
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                const mirrorArgs = functionsCalled.bigIp.cluster.mirrorIp;
+                test.strictEqual(mirrorArgs[0], '10.0.1.1');
+                test.strictEqual(mirrorArgs[1], '10.0.2.1');
+                test.done();
+            });
+        }
+    },
+
+    testTrafficGroup: {
+        setUp(callback) {
+            bigIpMock.cluster.createTrafficGroup = function createTrafficGroup() {
+                functionsCalled.bigIp.cluster.createTrafficGroup = arguments;
+                return q();
+            };
+            bigIpMock.cluster.moveToTrafficGroup = function moveToTrafficGroup() {
+                functionsCalled.bigIp.cluster.moveToTrafficGroup = arguments;
+                return q();
+            };
+            bigIpMock.cluster.deleteTrafficGroup = function deleteTrafficGroup() {
+                functionsCalled.bigIp.cluster.deleteTrafficGroup = arguments;
+                return q();
+            };
+            bigIpMock.cluster.failover = function failover() {
+                functionsCalled.bigIp.cluster.failover = arguments;
+                return q([{ name: 'traffic-group-1', activeDevice: 'bigip2' }]);
+            };
+            callback();
+        },
+
+        testCreate(test) {
+            argv.push('--traffic-group', 'tg1', '--ha-order', 'bigip1', '--ha-order', 'bigip2',
+                '--auto-failback', '--auto-failback-time', '30', '--ha-load-factor', '2',
+                '--floating-self-ip', 'self1', '--virtual-address', '10.0.0.10');
+
+            test.expect(4);
+            cluster.run(argv, testOptions, () => {
+                const createArgs = functionsCalled.bigIp.cluster.createTrafficGroup;
+                const moveArgs = functionsCalled.bigIp.cluster.moveToTrafficGroup;
+                test.strictEqual(createArgs[0], 'tg1');
+                test.deepEqual(
+                    createArgs[1],
+                    {
+                        haOrder: ['bigip1', 'bigip2'],
+                        autoFailback: true,
+                        autoFailbackTime: 30,
+                        haLoadFactor: 2
+                    }
+                );
+                test.strictEqual(moveArgs[0], 'tg1');
+                test.deepEqual(moveArgs[1], { selfIps: ['self1'], virtualAddresses: ['10.0.0.10'] });
+                test.done();
+            });
+        },
+
+        testDelete(test) {
+            argv.push('--delete-traffic-group', 'tg1');
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.cluster.deleteTrafficGroup[0], 'tg1');
+                test.strictEqual(functionsCalled.bigIp.cluster.createTrafficGroup, undefined);
+                test.done();
+            });
+        },
+
+        testFailoverDevice(test) {
+            argv.push('--failover');
+
+            test.expect(1);
+            cluster.run(argv, testOptions, () => {
+                test.deepEqual(
+                    functionsCalled.bigIp.cluster.failover[0],
+                    { trafficGroup: undefined, device: undefined, verify: true }
+                );
+                test.done();
+            });
+        },
+
+        testFailoverTrafficGroup(test) {
+            argv.push('--failover', 'tg1', '--failover-device', 'bigip2', '--no-verify-failover');
+
+            test.expect(1);
+            cluster.run(argv, testOptions, () => {
+                test.deepEqual(
+                    functionsCalled.bigIp.cluster.failover[0],
+                    { trafficGroup: 'tg1', device: 'bigip2', verify: false }
+                );
+                test.done();
+            });
+        },
+
+        testFailoverFails(test) {
+            bigIpMock.cluster.failover = function failover() {
+                return q.reject(new Error('Peer did not become active for traffic-group-1'));
+            };
+            argv.push('--failover');
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(exitCode, 1);
+                test.notStrictEqual(exitMessage.indexOf('Peer did not become active'), -1);
+                test.done();
+            });
+        }
+    },
+
+    testBootstrapGroup: {
+        setUp(callback) {
+            bigIpMock.cluster.bootstrapDeviceGroup = function bootstrapDeviceGroup() {
+                functionsCalled.bigIp.cluster.bootstrapDeviceGroup = arguments;
+                return q({
+                    deviceGroup: 'myDeviceGroup',
+                    seed: 'bigip1',
+                    ok: true,
+                    members: []
+                });
+            };
+
+            realConsoleLog = console.log; // eslint-disable-line no-console
+            output = [];
+            console.log = (message) => { // eslint-disable-line no-console
+                output.push(message);
+            };
+
+            argv.push('--bootstrap-group', '--device-group', 'myDeviceGroup');
+            callback();
+        },
+
+        tearDown(callback) {
+            console.log = realConsoleLog; // eslint-disable-line no-console
+            delete testOptions.nodeProvider;
+            callback();
+        },
+
+        testMembers(test) {
+            argv.push('--member', '1.2.3.4', '--member', '5.6.7.8:8443', '--remote-user', 'admin',
+                '--remote-password', 'password', '--sync-type', 'sync-failover', '--concurrency', '2');
+
+            test.expect(5);
+            cluster.run(argv, testOptions, () => {
+                const bootstrapArgs = functionsCalled.bigIp.cluster.bootstrapDeviceGroup;
+                test.strictEqual(bootstrapArgs[0], 'myDeviceGroup');
+                test.deepEqual(bootstrapArgs[1], ['1.2.3.4', '5.6.7.8:8443']);
+                test.deepEqual(
+                    {
+                        type: bootstrapArgs[2].type,
+                        remoteUser: bootstrapArgs[2].remoteUser,
+                        remotePassword: bootstrapArgs[2].remotePassword,
+                        passwordIsUrl: bootstrapArgs[2].passwordIsUrl,
+                        concurrency: bootstrapArgs[2].concurrency
+                    },
+                    {
+                        type: 'sync-failover',
+                        remoteUser: 'admin',
+                        remotePassword: 'password',
+                        passwordIsUrl: false,
+                        concurrency: 2
+                    }
+                );
+                test.strictEqual(JSON.parse(output[0]).ok, true);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testMemberUri(test) {
+            testOptions.nodeProvider = {
+                init() {
+                    functionsCalled.nodeProvider = { init: arguments };
+                    return q();
+                },
+                getNodesFromUri(uri) {
+                    functionsCalled.nodeProvider.getNodesFromUri = uri;
+                    return q([
+                        { id: 'a', ip: { private: '10.0.0.1', public: '1.1.1.1' } },
+                        { id: 'b', ip: { private: '10.0.0.2', public: '2.2.2.2' } }
+                    ]);
+                }
+            };
+
+            argv.push('--member-uri', 'file:///tmp/members.json', '--member', '3.3.3.3',
+                '--member-address-type', 'public');
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.nodeProvider.getNodesFromUri, 'file:///tmp/members.json');
+                test.deepEqual(
+                    functionsCalled.bigIp.cluster.bootstrapDeviceGroup[1],
+                    ['3.3.3.3', '1.1.1.1', '2.2.2.2']
+                );
+                test.done();
+            });
+        },
+
+        testMemberFailures(test) {
+            bigIpMock.cluster.bootstrapDeviceGroup = function bootstrapDeviceGroup() {
+                return q({
+                    deviceGroup: 'myDeviceGroup',
+                    seed: 'bigip1',
+                    ok: false,
+                    members: [
+                        { host: '1.2.3.4', inGroup: true, inSync: true },
+                        { host: '5.6.7.8', failedStep: 'trust', error: 'Add to trust failed' }
+                    ]
+                });
+            };
+            argv.push('--member', '1.2.3.4', '--member', '5.6.7.8');
+
+            test.expect(3);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(JSON.parse(output[0]).members[1].failedStep, 'trust');
+                test.strictEqual(exitCode, 1);
+                test.notStrictEqual(exitMessage.indexOf('failed for: 5.6.7.8 (trust)'), -1);
+                test.done();
+            });
+        },
+
+        testMissingMembers(test) {
+            test.expect(3);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.cluster.bootstrapDeviceGroup, undefined);
+                test.strictEqual(exitCode, 1);
+                test.notStrictEqual(exitMessage.indexOf('member or member-uri required'), -1);
+                test.done();
+            });
+        }
+    },
+
+    testReplaceMember: {
+        setUp(callback) {
+            bigIpMock.cluster.replaceMember = function replaceMember() {
+                functionsCalled.bigIp.cluster.replaceMember = arguments;
+                return q({
+                    oldDevice: 'bigip2',
+                    newDevice: 'bigip3',
+                    deviceGroups: ['failoverGroup'],
+                    trafficGroups: []
+                });
+            };
+
+            argv.push('--replace-member', 'bigip2');
+            callback();
+        },
+
+        testReplace(test) {
+            argv.push('--new-host', '1.2.3.4', '--remote-user', 'admin', '--remote-password', 'password',
+                '--remote-port', '8443');
+
+            test.expect(4);
+            cluster.run(argv, testOptions, () => {
+                const replaceArgs = functionsCalled.bigIp.cluster.replaceMember;
+                test.deepEqual(
+                    Array.from(replaceArgs).slice(0, 4),
+                    ['bigip2', '1.2.3.4', 'admin', 'password']
+                );
+                test.strictEqual(replaceArgs[4].port, 8443);
+                test.strictEqual(replaceArgs[4].passwordIsUrl, false);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testReplaceFails(test) {
+            bigIpMock.cluster.replaceMember = function replaceMember() {
+                return q.reject(new Error('bigip2 is still online (standby). Not replacing it.'));
+            };
+            argv.push('--new-host', '1.2.3.4');
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(exitCode, 1);
+                test.notStrictEqual(exitMessage.indexOf('still online'), -1);
+                test.done();
+            });
+        },
+
+        testMissingNewHost(test) {
+            test.expect(3);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.cluster.replaceMember, undefined);
+                test.strictEqual(exitCode, 1);
+                test.notStrictEqual(exitMessage.indexOf('new-host required'), -1);
+                test.done();
+            });
+        }
+    },
+
+    testStatus: {
+        setUp(callback) {
+            bigIpMock.cluster.getClusterHealth = function getClusterHealth() {
+                functionsCalled.bigIp.cluster.getClusterHealth = arguments;
+                return q({ health: 'healthy', problems: [] });
+            };
+
+            realConsoleLog = console.log; // eslint-disable-line no-console
+            output = [];
+            console.log = (message) => { // eslint-disable-line no-console
+                output.push(message);
+            };
+
+            argv.push('--status');
+            callback();
+        },
+
+        tearDown(callback) {
+            console.log = realConsoleLog; // eslint-disable-line no-console
+            callback();
+        },
+
+        testHealthPrinted(test) {
+            test.expect(4);
+            cluster.run(argv, testOptions, () => {
+                test.notStrictEqual(functionsCalled.bigIp.cluster.getClusterHealth, undefined);
+                test.deepEqual(JSON.parse(output[0]), { health: 'healthy', problems: [] });
+                test.strictEqual(functionsCalled.bigIp.active, undefined);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testRemoteHost(test) {
+            argv = ['node', 'cluster.js', '--log-level', 'none', '--password', 'password',
+                '-u', 'user', '--host', '1.2.3.4', '--port', '8443', '--output', 'cluster.log', '--status'];
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.init[0], '1.2.3.4');
+                test.strictEqual(functionsCalled.bigIp.init[3].port, '8443');
+                test.done();
+            });
+        },
+
+        testConflictingOptions(test) {
+            const exits = [];
+            utilMock.logAndExit = (message, level, code) => {
+                exits.push({ message, code });
+            };
+
+            argv.push('--config-sync-ip', '1.2.3.4');
+            bigIpMock.cluster.configSyncIp = function configSyncIp() {
+                return q();
+            };
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(exits[0].message, '--status can not be combined with: configSyncIp');
+                test.strictEqual(exits[0].code, 1);
+                test.done();
+            });
+        }
+    },
+
+    testDryRun: {
+        setUp(callback) {
+            bigIpMock.setDryRun = function setDryRun() {
+                functionsCalled.bigIp.setDryRun = arguments;
+            };
+            bigIpMock.logPlan = function logPlan() {
+                functionsCalled.bigIp.logPlan = arguments;
+            };
+            argv.push('--dry-run');
+            callback();
+        },
+
+        testPlanLogged(test) {
+            test.expect(3);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.setDryRun[0], true);
+                test.notStrictEqual(functionsCalled.bigIp.logPlan, undefined);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testPlanLoggedOnFailure(test) {
+            let exitCodeWhenLogged;
+
+            bigIpMock.logPlan = function logPlan() {
+                exitCodeWhenLogged = exitCode;
+            };
+            bigIpMock.ready = () => {
+                return q.reject(new Error('not ready'));
+            };
+
+            test.expect(2);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(exitCodeWhenLogged, undefined);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testCredentialsNotStored(test) {
+            let credentialsStored = false;
+
+            providerMock = new ProviderMock();
+            providerMock.putPrimaryCredentials = function putPrimaryCredentials() {
+                credentialsStored = true;
+                return q();
+            };
+            testOptions.cloudProvider = providerMock;
+
+            argv.push('--cloud', 'aws', '--primary');
+
+            test.expect(1);
+            cluster.run(argv, testOptions, () => {
+                test.strictEqual(credentialsStored, false);
+                test.done();
+            });
+        }
     }
 };
@@ -0,0 +1,204 @@
+/**
+ * Copyright 2020 F5 Networks, Inc.
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *     http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing, software
+ * distributed under the License is distributed on an "AS IS" BASIS,
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+ * See the License for the specific language governing permissions and
+ * limitations under the License.
+ */
+
+'use strict';
+
+const q = require('q');
+
+let utilMock;
+let argv;
+let licenseReport;
+let realConsoleLog;
+
+let providerMock;
+let bigIqMock;
+let testOptions;
+
+let functionsCalled;
+let output;
+let exitCode;
+
+module.exports = {
+    setUp(callback) {
+        /* eslint-disable global-require */
+        utilMock = require('../../lib/util');
+        /* eslint-enable global-require */
+
+        utilMock.logAndExit = (message, level, code) => {
+            exitCode = code;
+        };
+        utilMock.logError = () => { };
+
+        functionsCalled = {
+            provider: {},
+            bigIq: {}
+        };
+
+        providerMock = {
+            init() {
+                functionsCalled.provider.init = arguments;
+                return q();
+            },
+            getInstances() {
+                return q({
+                    id1: { hostname: 'host1' }
+                });
+            }
+        };
+
+        bigIqMock = {
+            init() {
+                functionsCalled.bigIq.init = arguments;
+                return q();
+            },
+            reconcileLicenseAssignments() {
+                functionsCalled.bigIq.reconcileLicenseAssignments = arguments;
+                return q({
+                    poolName: 'myPool',
+                    dryRun: true,
+                    assignments: [
+                        {
+                            id: '1234',
+                            deviceName: 'host1',
+                            instanceId: 'id1',
+                            orphaned: false
+                        },
+                        {
+                            id: '5678',
+                            deviceName: 'host2',
+                            orphaned: true
+                        }
+                    ],
+                    orphaned: 1,
+                    revoked: [],
+                    failed: []
+                });
+            }
+        };
+
+        testOptions = {
+            cloudProvider: providerMock,
+            bigIq: bigIqMock
+        };
+
+        output = [];
+        exitCode = undefined;
+        realConsoleLog = console.log; // eslint-disable-line no-console
+        console.log = (message) => { // eslint-disable-line no-console
+            output.push(message);
+        };
+
+        // eslint-disable-next-line global-require
+        licenseReport = require('../../scripts/licenseReport');
+        argv = ['node', 'licenseReport.js', '--log-level', 'none', '--output', '/tmp/licenseReport.log',
+            '--cloud', 'aws', '--big-iq-host', 'myBigIq', '--big-iq-user', 'myUser',
+            '--big-iq-password', 'myPassword', '--license-pool-name', 'myPool'];
+
+        callback();
+    },
+
+    tearDown(callback) {
+        console.log = realConsoleLog; // eslint-disable-line no-console
+
+        Object.keys(require.cache).forEach((key) => {
+            delete require.cache[key];
+        });
+        callback();
+    },
+
+    testRequiredOptions(test) {
+        argv = ['node', 'licenseReport.js', '--log-level', 'none', '--output', '/tmp/licenseReport.log',
+            '--cloud', 'aws'];
+
+        licenseReport.run(argv, testOptions);
+        test.strictEqual(exitCode, 1);
+        test.strictEqual(functionsCalled.bigIq.reconcileLicenseAssignments, undefined);
+        test.done();
+    },
+
+    testBadFormat(test) {
+        argv.push('--format', 'xml');
+
+        licenseReport.run(argv, testOptions);
+        test.strictEqual(exitCode, 1);
+        test.done();
+    },
+
+    testDryRunByDefault(test) {
+        test.expect(4);
+        licenseReport.run(argv, testOptions, (err) => {
+            const reconcileArgs = functionsCalled.bigIq.reconcileLicenseAssignments;
+            test.strictEqual(err, undefined);
+            test.strictEqual(reconcileArgs[0], 'myPool');
+            test.deepEqual(reconcileArgs[1], { id1: { hostname: 'host1' } });
+            test.deepEqual(reconcileArgs[2], { revoke: false, maxRevoke: undefined, noUnreachable: false });
+            test.done();
+        });
+    },
+
+    testRevokeOptions(test) {
+        argv.push('--revoke', '--no-unreachable', '--max-revoke', '10');
+
+        test.expect(1);
+        licenseReport.run(argv, testOptions, () => {
+            test.deepEqual(
+                functionsCalled.bigIq.reconcileLicenseAssignments[2],
+                { revoke: true, maxRevoke: 10, noUnreachable: true }
+            );
+            test.done();
+        });
+    },
+
+    testTableFormat(test) {
+        test.expect(3);
+        licenseReport.run(argv, testOptions, () => {
+            const lines = output[0].split('\n');
+            test.strictEqual(lines[0].indexOf('ASSIGNMENT'), 0);
+            test.notStrictEqual(lines[2].indexOf('orphaned'), -1);
+            test.notStrictEqual(output[0].indexOf('Dry run'), -1);
+            test.done();
+        });
+    },
+
+    testJsonFormat(test) {
+        argv.push('--format', 'json');
+
+        test.expect(1);
+        licenseReport.run(argv, testOptions, () => {
+            test.strictEqual(JSON.parse(output[0]).orphaned, 1);
+            test.done();
+        });
+    },
+
+    testRevokeFailures(test) {
+        bigIqMock.reconcileLicenseAssignments = () => {
+            return q({
+                poolName: 'myPool',
+                dryRun: false,
+                assignments: [],
+                orphaned: 1,
+                revoked: [],
+                failed: [{ id: '5678', error: 'foo' }]
+            });
+        };
+
+        test.expect(1);
+        licenseReport.run(argv, testOptions, (err) => {
+            test.strictEqual(err.message, 'Failed to revoke 1 assignment(s)');
+            test.done();
+        });
+    }
+};
@@ -16,6 +16,7 @@
 
 'use strict';
 
+const fs = require('fs');
 const q = require('q');
 const BigIp = require('../../../f5-cloud-libs').bigIp;
 const icontrolMock = require('../testUtil/icontrolMock');
@@ -283,6 +284,39 @@ module.exports = {
         });
     },
 
+    testLogoutBeforeCleanup(test) {
+        argv = ['node', 'network', '--host', '1.2.3.4', '-p', 'bar', '--log-level', 'none'];
+        argv.push('--vlan', 'name:external,nic:1.1');
+
+        const events = [];
+        cryptoUtilMock.createRandomUser = () => {
+            return q({ user: 'my random user' });
+        };
+        icontrolMock.fail('create', '/tm/net/vlan', { code: 400, message: 'bad vlan' });
+        bigIp.logout = () => {
+            const deferred = q.defer();
+            setImmediate(() => {
+                events.push('logout');
+                deferred.reject(new Error('logout failed'));
+            });
+            return deferred.promise;
+        };
+        utilMock.deleteUser = () => {
+            events.push('deleteUser');
+        };
+        utilMock.logAndExit = (message, level, code) => {
+            events.push('exit');
+            exitCode = code;
+        };
+
+        test.expect(2);
+        network.run(argv, testOptions, () => {
+            test.deepEqual(events, ['logout', 'deleteUser', 'exit']);
+            test.strictEqual(exitCode, 1);
+            test.done();
+        });
+    },
+
     testSingleNic: {
         testBasic(test) {
             argv.push('--single-nic');
@@ -343,6 +377,56 @@ module.exports = {
             });
         },
 
+        testIpv6(test) {
+            argv.push('--default-gw', '2001:db8::1');
+            test.expect(1);
+            network.run(argv, testOptions, () => {
+                const request = icontrolMock.getRequest('create', '/tm/net/route');
+                test.deepEqual(
+                    request,
+                    {
+                        name: 'default-inet6',
+                        gw: '2001:db8::1',
+                        network: 'default-inet6'
+                    }
+                );
+                test.done();
+            });
+        },
+
+        testDualStack(test) {
+            argv.push('--default-gw', '1.2.3.4', '--default-gw', '2001:db8::1');
+            test.expect(2);
+            network.run(argv, testOptions, () => {
+                test.deepEqual(
+                    icontrolMock.getRequest('create', '/tm/net/route'),
+                    {
+                        name: 'default',
+                        gw: '1.2.3.4'
+                    }
+                );
+                test.deepEqual(
+                    icontrolMock.getRequest('create', '/tm/net/route'),
+                    {
+                        name: 'default-inet6',
+                        gw: '2001:db8::1',
+                        network: 'default-inet6'
+                    }
+                );
+                test.done();
+            });
+        },
+
+        testTwoOfSameFamily(test) {
+            argv.push('--default-gw', '1.2.3.4', '--default-gw', '1.2.3.5');
+            test.expect(2);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(exitCode, 1);
+                test.strictEqual(icontrolMock.getRequest('create', '/tm/net/route'), undefined);
+                test.done();
+            });
+        },
+
         testBadGateway(test) {
             argv.push('--default-gw', 'aaa.com');
             icontrolMock.fail(
@@ -418,6 +502,33 @@ module.exports = {
             });
         },
 
+        testIpv6(test) {
+            argv.push('--route', 'name:foo, gw:2001:db8::1, network:2001:db8:1::');
+            test.expect(1);
+            network.run(argv, testOptions, () => {
+                const request = icontrolMock.getRequest('create', '/tm/net/route');
+                test.deepEqual(
+                    request,
+                    {
+                        name: 'foo',
+                        gw: '2001:db8::1',
+                        network: '2001:db8:1::/64'
+                    }
+                );
+                test.done();
+            });
+        },
+
+        testAddressFamilyMismatch(test) {
+            argv.push('--route', 'name:foo, gw:2001:db8::1, network:10.1.0.0');
+            test.expect(2);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(exitCode, 1);
+                test.strictEqual(icontrolMock.getRequest('create', '/tm/net/route'), undefined);
+                test.done();
+            });
+        },
+
         testWithInterface(test) {
             argv.push('--route', 'name:foo, network:10.1.0.0, interface:int_name');
             test.expect(1);
@@ -453,6 +564,23 @@ module.exports = {
         });
     },
 
+    testManagementRouteIpv6(test) {
+        argv.push('--mgmt-route', 'name:foo, gw:2001:db8::1, network:default-inet6');
+        test.expect(1);
+        network.run(argv, testOptions, () => {
+            const request = icontrolMock.getRequest('create', '/tm/sys/management-route');
+            test.deepEqual(
+                request,
+                {
+                    name: 'foo',
+                    gateway: '2001:db8::1',
+                    network: 'default-inet6'
+                }
+            );
+            test.done();
+        });
+    },
+
     testVlan: {
         testBasic(test) {
             argv.push('--vlan', 'name:foo,nic:1.1');
@@ -555,6 +683,34 @@ module.exports = {
                 });
             },
 
+            testIpv6(test) {
+                argv.push('--self-ip', 'name:foo, address:2001:db8::10, vlan:bar');
+                test.expect(1);
+                network.run(argv, testOptions, () => {
+                    const request = icontrolMock.getRequest('create', '/tm/net/self');
+                    test.deepEqual(
+                        request,
+                        {
+                            name: 'foo',
+                            address: '2001:db8::10/64',
+                            vlan: '/Common/bar',
+                            allowService: 'default'
+                        }
+                    );
+                    test.done();
+                });
+            },
+
+            testBadAddress(test) {
+                argv.push('--self-ip', 'name:foo, address:1.2.3, vlan:bar');
+                test.expect(2);
+                network.run(argv, testOptions, () => {
+                    test.strictEqual(exitCode, 1);
+                    test.strictEqual(icontrolMock.getRequest('create', '/tm/net/self'), undefined);
+                    test.done();
+                });
+            },
+
             testTrafficGroup: {
                 testExistingTrafficGroup(test) {
                     argv.push('--self-ip',
@@ -775,5 +931,374 @@ module.exports = {
             test.notStrictEqual(strippedArgs.indexOf('--wait-for'), -1);
             test.done();
         });
+    },
+
+    testDryRun: {
+        testChangesRecorded(test) {
+            argv.push(
+                '--dry-run',
+                '--vlan', 'name:external,nic:1.1',
+                '--self-ip', 'name:self_external, address:1.2.3.4, vlan:external'
+            );
+
+            test.expect(4);
+            network.run(argv, testOptions, () => {
+                const paths = bigIp.getPlan().map((request) => {
+                    return `${request.method} ${request.path}`;
+                });
+
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/net/vlan'), 0);
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/net/self'), 0);
+                test.deepEqual(
+                    paths,
+                    [
+                        'create /tm/net/vlan',
+                        'create /tm/net/self',
+                        'create /tm/sys/config'
+                    ]
+                );
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testNoReboot(test) {
+            let rebootCalled = false;
+            utilMock.reboot = () => {
+                rebootCalled = true;
+                return q();
+            };
+
+            argv.push('--dry-run', '--force-reboot');
+
+            test.expect(2);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(rebootCalled, false);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        }
+    },
+
+    testCheck: {
+        setUp(callback) {
+            icontrolMock.when('list', '/tm/net/vlan/~Common~external', { mtu: 1500 });
+            icontrolMock.when(
+                'list',
+                '/tm/net/vlan/~Common~external/interfaces',
+                [
+                    {
+                        name: '1.1',
+                        untagged: true
+                    }
+                ]
+            );
+            icontrolMock.fail(
+                'list',
+                '/tm/net/self/~Common~self_external',
+                {
+                    code: 404,
+                    message: 'not found'
+                }
+            );
+            argv.push(
+                '--vlan', 'name:external,nic:1.1',
+                '--self-ip', 'name:self_external, address:1.2.3.4, vlan:external'
+            );
+            callback();
+        },
+
+        testDriftFound(test) {
+            argv.push('--check');
+
+            test.expect(3);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/net/self'), 0);
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/sys/config'), 0);
+                test.strictEqual(exitCode, 2);
+                test.done();
+            });
+        },
+
+        testNoDrift(test) {
+            argv = ['node', 'network', '--host', '1.2.3.4', '-u', 'foo', '-p', 'bar', '--log-level', 'none'];
+            argv.push('--check', '--vlan', 'name:external,nic:1.1');
+
+            test.expect(2);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(exitMessage, 'No network configuration drift.');
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testReconcile(test) {
+            argv.push('--reconcile');
+
+            test.expect(4);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/net/vlan'), 0);
+                test.strictEqual(icontrolMock.getNumRequests('modify', '/tm/net/vlan/~Common~external'), 0);
+                test.deepEqual(
+                    icontrolMock.getRequest('create', '/tm/net/self'),
+                    {
+                        name: 'self_external',
+                        address: '1.2.3.4/24',
+                        vlan: '/Common/external',
+                        allowService: 'default'
+                    }
+                );
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testCheckAndReconcile(test) {
+            argv.push('--check', '--reconcile');
+
+            test.expect(1);
+            network.run(argv, testOptions, () => {
+                test.notStrictEqual(logErrorMessage.indexOf('Only one of'), -1);
+                test.done();
+            });
+        }
+    },
+
+    testRollbackOnFailure: {
+        setUp(callback) {
+            argv.push(
+                '--rollback-on-failure',
+                '--vlan', 'name:external,nic:1.1',
+                '--self-ip', 'name:self_external, address:1.2.3.4, vlan:external'
+            );
+            callback();
+        },
+
+        testSnapshotSaved(test) {
+            test.expect(5);
+            network.run(argv, testOptions, () => {
+                const snapshotRequest = icontrolMock.getRequest('create', '/tm/sys/config');
+                const snapshotName = snapshotRequest.options[0].file;
+                test.strictEqual(snapshotRequest.command, 'save');
+                test.ok(/^f5-cloud-libs-network-\d+\.scf$/.test(snapshotName));
+                test.deepEqual(icontrolMock.getRequest('create', '/tm/sys/config'), { command: 'save' });
+                test.deepEqual(
+                    icontrolMock.getRequest('create', '/tm/util/bash'),
+                    {
+                        command: 'run',
+                        utilCmdArgs:
+                            `-c "rm -f /var/local/scf/${snapshotName} /var/local/scf/${snapshotName}.tar"`
+                    }
+                );
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testSnapshotFails(test) {
+            icontrolMock.fail('create', '/tm/sys/config', { code: 400, message: 'no space left' });
+
+            test.expect(3);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/sys/config'), 1);
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/net/vlan'), 0);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testSnapshotDeleteFails(test) {
+            icontrolMock.fail('create', '/tm/util/bash', { code: 400, message: 'rm failed' });
+
+            test.expect(1);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testRolledBack(test) {
+            icontrolMock.fail(
+                'create',
+                '/tm/net/self',
+                {
+                    code: 400,
+                    message: 'address conflict'
+                }
+            );
+
+            test.expect(5);
+            network.run(argv, testOptions, () => {
+                const snapshotFile = icontrolMock.getRequest('create', '/tm/sys/config').options[0].file;
+                const loadRequest = icontrolMock.getRequest('create', '/tm/sys/config');
+                test.strictEqual(loadRequest.command, 'load');
+                test.deepEqual(loadRequest.options, [{ file: snapshotFile }]);
+                test.notStrictEqual(exitMessage.indexOf('address conflict'), -1);
+                test.notStrictEqual(exitMessage.indexOf('rolled back 1 change(s)'), -1);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testUcs(test) {
+            const ucsCalls = {};
+            bigIp.saveUcs = function saveUcs() {
+                ucsCalls.saveUcs = arguments;
+                return q();
+            };
+            bigIp.loadUcs = function loadUcs() {
+                ucsCalls.loadUcs = arguments;
+                return q();
+            };
+            icontrolMock.fail(
+                'create',
+                '/tm/net/self',
+                {
+                    code: 400,
+                    message: 'address conflict'
+                }
+            );
+            argv[argv.indexOf('--host') + 1] = 'localhost';
+            argv.push('--rollback-on-failure', 'ucs');
+
+            test.expect(3);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(ucsCalls.loadUcs[0], `/var/local/ucs/${ucsCalls.saveUcs[0]}.ucs`);
+                test.deepEqual(ucsCalls.loadUcs[1], { noLicense: true });
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testRollbackFails(test) {
+            icontrolMock.fail(
+                'create',
+                '/tm/net/self',
+                {
+                    code: 400,
+                    message: 'address conflict'
+                }
+            );
+            bigIp.loadConfig = function loadConfig() {
+                return q.reject(new Error('load failed'));
+            };
+
+            test.expect(2);
+            network.run(argv, testOptions, () => {
+                test.notStrictEqual(exitMessage.indexOf('load failed'), -1);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testUcsRemoteHost(test) {
+            bigIp.saveUcs = function saveUcs() {
+                return q();
+            };
+            argv.push('--rollback-on-failure', 'ucs');
+
+            test.expect(3);
+            network.run(argv, testOptions, () => {
+                test.notStrictEqual(exitMessage.indexOf('only supported with --host localhost'), -1);
+                test.notStrictEqual(logErrorMessage.indexOf('only supported with --host localhost'), -1);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testNotWithoutFlag(test) {
+            argv = ['node', 'network', '--host', '1.2.3.4', '-u', 'foo', '-p', 'bar', '--log-level', 'none'];
+            argv.push('--vlan', 'name:external,nic:1.1');
+
+            test.expect(1);
+            network.run(argv, testOptions, () => {
+                test.strictEqual(icontrolMock.getNumRequests('create', '/tm/sys/config'), 1);
+                test.done();
+            });
+        }
+    },
+
+    testEventLog: {
+        setUp(callback) {
+            argv.push(
+                '--event-log', '/tmp/networkTests.events',
+                '--run-report', '/tmp/networkTests.report',
+                '--vlan', 'name:external,nic:1.1'
+            );
+            callback();
+        },
+
+        tearDown(callback) {
+            ['/tmp/networkTests.events', '/tmp/networkTests.report'].forEach((file) => {
+                if (fs.existsSync(file)) {
+                    fs.unlinkSync(file);
+                }
+            });
+            callback();
+        },
+
+        testFinished(test) {
+            test.expect(4);
+            network.run(argv, testOptions, () => {
+                const events = fs.readFileSync('/tmp/networkTests.events', 'utf8').trim().split('\n')
+                    .map((line) => {
+                        return JSON.parse(line);
+                    });
+                const report = JSON.parse(fs.readFileSync('/tmp/networkTests.report', 'utf8'));
+
+                test.strictEqual(events[0].event, 'run-started');
+                test.strictEqual(events[events.length - 1].event, 'run-finished');
+                test.strictEqual(report.status, 'finished');
+                test.notStrictEqual(
+                    report.steps.map((step) => {
+                        return step.name;
+                    }).indexOf('vlans'),
+                    -1
+                );
+                test.done();
+            });
+        },
+
+        testFailed(test) {
+            icontrolMock.fail(
+                'create',
+                '/tm/net/vlan',
+                {
+                    code: 400,
+                    message: 'vlan exists'
+                }
+            );
+
+            test.expect(3);
+            network.run(argv, testOptions, () => {
+                const report = JSON.parse(fs.readFileSync('/tmp/networkTests.report', 'utf8'));
+                const failed = report.steps.filter((step) => {
+                    return step.status === 'failed';
+                });
+
+                test.strictEqual(report.status, 'failed');
+                test.strictEqual(report.error, 'vlan exists');
+                test.deepEqual(
+                    failed.map((step) => {
+                        return step.name;
+                    }),
+                    ['vlans', 'Creating vlan external on interface 1.1   untagged']
+                );
+                test.done();
+            });
+        }
+    },
+
+    testProxy(test) {
+        const proxyUtil = require('../../lib/proxyUtil'); // eslint-disable-line global-require
+        argv.push('--proxy', 'http://my.proxy:3128', '--proxy-bypass', 'foo.com');
+
+        test.expect(2);
+        network.run(argv, testOptions, () => {
+            test.strictEqual(proxyUtil.getProxy('https://www.example.com').host, 'my.proxy:3128');
+            test.strictEqual(proxyUtil.getProxy('https://foo.com'), undefined);
+            proxyUtil.setProxy();
+            test.done();
+        });
     }
 };
@@ -42,6 +42,8 @@ let logErrorOptions;
 
 let bigIpMock;
 let providerMock;
+let configDriftMock;
+let driftFound;
 let localCryptoUtilMock;
 
 const testOptions = {};
@@ -79,6 +81,15 @@ module.exports = {
                 return q();
             },
 
+            logout() {
+                functionsCalled.bigIp.logout = arguments;
+                return q();
+            },
+
+            logRequestStats() {
+                functionsCalled.bigIp.logRequestStats = arguments;
+            },
+
             isBigIp() {
                 return true;
             },
@@ -340,6 +351,18 @@ module.exports = {
         }
     },
 
+    testRequestOptions(test) {
+        argv.push('--max-concurrent-requests', '4', '--request-timeout-ms', '1000');
+
+        test.expect(3);
+        onboard.run(argv, testOptions, () => {
+            test.strictEqual(functionsCalled.bigIp.init[3].maxConcurrentRequests, 4);
+            test.strictEqual(functionsCalled.bigIp.init[3].requestTimeoutMs, 1000);
+            test.notStrictEqual(functionsCalled.bigIp.logRequestStats, undefined);
+            test.done();
+        });
+    },
+
     testRequiredOptions: {
         testNoHost(test) {
             argv = ['node', 'onboard', '-u', 'foo', '-p', 'bar', '--log-level', 'none'];
@@ -476,6 +499,55 @@ module.exports = {
         });
     },
 
+    testLogout: {
+        testBeforeCleanup(test) {
+            argv = ['node', 'onboard', '--host', '1.2.3.4', '-p', 'bar', '--log-level', 'none'];
+
+            const events = [];
+            cryptoUtilMock.createRandomUser = () => {
+                return q({ user: 'my random user' });
+            };
+            bigIpMock.active = () => {
+                return q.reject(new Error('not active'));
+            };
+            bigIpMock.logout = () => {
+                const deferred = q.defer();
+                setImmediate(() => {
+                    events.push('logout');
+                    deferred.resolve();
+                });
+                return deferred.promise;
+            };
+            utilMock.deleteUser = () => {
+                events.push('deleteUser');
+            };
+            utilMock.logAndExit = (message, level, code) => {
+                events.push('exit');
+                exitCode = code;
+            };
+
+            test.expect(2);
+            onboard.run(argv, testOptions, () => {
+                test.deepEqual(events, ['logout', 'deleteUser', 'exit']);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testLogoutFails(test) {
+            bigIpMock.logout = () => {
+                return q.reject(new Error('logout failed'));
+            };
+
+            test.expect(2);
+            onboard.run(argv, testOptions, () => {
+                test.notStrictEqual(signalsSent.indexOf('ONBOARD_DONE'), -1);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        }
+    },
+
     testGlobalSettings: {
         testHostname(test) {
             let hostnameSet;
@@ -920,7 +992,7 @@ module.exports = {
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[0], bigIqHost);
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[1], bigIqUser);
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[2], bigIqPassword);
-                    test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[3], licensePool);
+                    test.deepEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[3], [licensePool]);
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[4], cloud);
                     test.deepEqual(
                         functionsCalled.bigIp.onboard.licenseViaBigIq[5],
@@ -975,7 +1047,7 @@ module.exports = {
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[0], bigIqHost);
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[1], bigIqUser);
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[2], bigIqPassword);
-                    test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[3], licensePool);
+                    test.deepEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[3], [licensePool]);
                     test.strictEqual(functionsCalled.bigIp.onboard.licenseViaBigIq[4], cloud);
                     test.deepEqual(
                         functionsCalled.bigIp.onboard.licenseViaBigIq[5],
@@ -1043,6 +1115,25 @@ module.exports = {
                 });
             },
 
+            testFallbackPools(test) {
+                argv.push(
+                    '--license-pool',
+                    '--big-iq-host', 'myBigIq',
+                    '--big-iq-user', 'myBigIqUser',
+                    '--big-iq-password', 'myBigIqPassword',
+                    '--license-pool-name', 'pool1, pool2,pool3'
+                );
+
+                test.expect(1);
+                onboard.run(argv, testOptions, () => {
+                    test.deepEqual(
+                        functionsCalled.bigIp.onboard.licenseViaBigIq[3],
+                        ['pool1', 'pool2', 'pool3']
+                    );
+                    test.done();
+                });
+            },
+
             testMissingParams(test) {
                 argv.push('--license-pool');
 
@@ -1152,5 +1243,376 @@ module.exports = {
             test.strictEqual(rebootCalled, true);
             test.done();
         });
+    },
+
+    testConfigFile: {
+        setUp(callback) {
+            utilMock.readData = function readData() {
+                functionsCalled.utilMock.readData = arguments;
+                return q([
+                    'hostname: bigip1.example.com',
+                    'dns:',
+                    '  - 10.0.0.2',
+                    'ntp:',
+                    '  - 0.pool.ntp.org',
+                    'timezone: UTC',
+                    'globalSettings:',
+                    '  guiSecurityBanner: disabled',
+                    'dbVars:',
+                    '  provision.extramb: 500',
+                    'users:',
+                    '  - user: user1',
+                    '    password: pass1',
+                    '    role: admin',
+                    'provision:',
+                    '  ltm: nominal',
+                    '  asm: nominal',
+                    'license:',
+                    '  registrationKey: ABCDE-FGHIJ'
+                ].join('\n'));
+            };
+
+            bigIpMock.onboard.hostname = function hostname() {
+                functionsCalled.bigIp.onboard.hostname = arguments;
+                return q();
+            };
+
+            callback();
+        },
+
+        testReadsFile(test) {
+            argv.push('--config-file', '/config/onboard.yaml');
+
+            test.expect(3);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.utilMock.readData[0], 'file:///config/onboard.yaml');
+                test.strictEqual(functionsCalled.utilMock.readData[1], true);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testUrl(test) {
+            const url = 'https://example.com/onboard.json';
+            argv.push('--config-file', url);
+
+            test.expect(1);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.utilMock.readData[0], url);
+                test.done();
+            });
+        },
+
+        testAppliesValues(test) {
+            const modifyCalls = [];
+
+            bigIpMock.modify = function modify() {
+                modifyCalls.push(arguments);
+                return q();
+            };
+
+            argv.push('--config-file', '/config/onboard.yaml');
+
+            test.expect(8);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.onboard.hostname[0], 'bigip1.example.com');
+                test.deepEqual(modifyCalls[0][1], { servers: ['0.pool.ntp.org'], timezone: 'UTC' });
+                test.deepEqual(modifyCalls[1][1], { 'name-servers': ['10.0.0.2'] });
+                test.deepEqual(
+                    functionsCalled.bigIp.onboard.globalSettings[0],
+                    { guiSecurityBanner: 'disabled', guiSetup: 'disabled' }
+                );
+                test.deepEqual(functionsCalled.bigIp.onboard.setDbVars[0], { 'provision.extramb': '500' });
+                test.deepEqual(bigIpMock.onboard.updatedUsers, [{
+                    user: 'user1',
+                    password: 'pass1',
+                    role: 'admin',
+                    shell: undefined
+                }]);
+                test.deepEqual(
+                    functionsCalled.bigIp.onboard.provision[0],
+                    { ltm: 'nominal', asm: 'nominal' }
+                );
+                test.strictEqual(functionsCalled.bigIp.onboard.license[0].registrationKey, 'ABCDE-FGHIJ');
+                test.done();
+            });
+        },
+
+        testCommandLineOverrides(test) {
+            const provisionCalls = [];
+
+            bigIpMock.onboard.provision = (provisionSettings) => {
+                provisionCalls.push(provisionSettings);
+                return q();
+            };
+
+            argv.push(
+                '--config-file', '/config/onboard.yaml',
+                '--hostname', 'override.example.com',
+                '--db', 'provision.extramb:1000',
+                '--module', 'asm:none',
+                '--update-user', 'user:user1,password:pass2',
+                '--license', '12345'
+            );
+
+            test.expect(5);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.onboard.hostname[0], 'override.example.com');
+                test.deepEqual(functionsCalled.bigIp.onboard.setDbVars[0], { 'provision.extramb': '1000' });
+                test.deepEqual(provisionCalls, [{ asm: 'none' }, { ltm: 'nominal' }]);
+                test.deepEqual(bigIpMock.onboard.updatedUsers, [{
+                    user: 'user1',
+                    password: 'pass2',
+                    role: undefined,
+                    shell: undefined
+                }]);
+                test.strictEqual(functionsCalled.bigIp.onboard.license[0].registrationKey, '12345');
+                test.done();
+            });
+        },
+
+        testLicensePool(test) {
+            utilMock.readData = function readData() {
+                return q(JSON.stringify({
+                    license: {
+                        bigIq: {
+                            host: 'myBigIq',
+                            user: 'myBigIqUser',
+                            passwordUri: 'file:///config/bigIqPassword',
+                            poolName: 'myPool',
+                            unreachable: false
+                        }
+                    }
+                }));
+            };
+
+            argv.push('--config-file', '/config/onboard.json', '--cloud', 'aws');
+
+            test.expect(6);
+            onboard.run(argv, testOptions, () => {
+                const args = functionsCalled.bigIp.onboard.licenseViaBigIq;
+                test.strictEqual(args[0], 'myBigIq');
+                test.strictEqual(args[1], 'myBigIqUser');
+                test.strictEqual(args[2], 'file:///config/bigIqPassword');
+                test.strictEqual(args[3], 'myPool');
+                test.strictEqual(args[5].passwordIsUri, true);
+                test.strictEqual(args[5].noUnreachable, true);
+                test.done();
+            });
+        },
+
+        testInvalidFile(test) {
+            utilMock.readData = function readData() {
+                return q('hostname: bigip1\nfoo: bar');
+            };
+
+            argv.push('--config-file', '/config/onboard.yaml');
+
+            test.expect(3);
+            onboard.run(argv, testOptions, () => {
+                test.notStrictEqual(exitMessage.indexOf('Invalid onboard config'), -1);
+                test.strictEqual(exitCode, 1);
+                test.strictEqual(functionsCalled.bigIp.init, undefined);
+                test.done();
+            });
+        }
+    },
+
+    testDryRun: {
+        setUp(callback) {
+            bigIpMock.setDryRun = function setDryRun() {
+                functionsCalled.bigIp.setDryRun = arguments;
+            };
+            bigIpMock.logPlan = function logPlan() {
+                functionsCalled.bigIp.logPlan = arguments;
+            };
+            argv.push('--dry-run');
+            callback();
+        },
+
+        testPlanLogged(test) {
+            test.expect(3);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.bigIp.setDryRun[0], true);
+                test.notStrictEqual(functionsCalled.bigIp.logPlan, undefined);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testPlanLoggedOnFailure(test) {
+            let exitCodeWhenLogged;
+
+            bigIpMock.logPlan = function logPlan() {
+                exitCodeWhenLogged = exitCode;
+            };
+            bigIpMock.onboard.setDbVars = function setDbVars() {
+                return q.reject(new Error('oops'));
+            };
+            argv.push('--db', 'foo:bar');
+
+            test.expect(2);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(exitCodeWhenLogged, undefined);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        },
+
+        testNoDoneSignal(test) {
+            test.expect(1);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(signalsSent.indexOf(signals.ONBOARD_DONE), -1);
+                test.done();
+            });
+        },
+
+        testNoReboot(test) {
+            argv.push('--force-reboot');
+
+            bigIpMock.rebootRequired = function rebootRequired() {
+                functionsCalled.bigIp.rebootRequired = arguments;
+                return q(true);
+            };
+
+            test.expect(2);
+            onboard.run(argv, testOptions, () => {
+                test.ifError(rebootRequested);
+                test.strictEqual(signalsSent.indexOf('REBOOT_REQUIRED'), -1);
+                test.done();
+            });
+        },
+
+        testNoMetrics(test) {
+            argv.push('--metrics', 'key1:value1');
+
+            test.expect(1);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.metrics.upload, undefined);
+                test.done();
+            });
+        }
+    },
+
+    testCheck: {
+        setUp(callback) {
+            /* eslint-disable-next-line global-require */
+            configDriftMock = require('../../lib/configDrift');
+            configDriftMock.getDrift = function getDrift() {
+                functionsCalled.configDrift.getDrift = arguments;
+                return q(driftFound);
+            };
+            configDriftMock.reconcile = function reconcile() {
+                functionsCalled.configDrift.reconcile = arguments;
+                return q();
+            };
+            functionsCalled.configDrift = {};
+            driftFound = [
+                {
+                    type: 'dbVars',
+                    name: 'foo',
+                    desired: 'bar',
+                    current: 'baz'
+                }
+            ];
+            callback();
+        },
+
+        testDesiredState(test) {
+            argv.push(
+                '--check',
+                '--hostname', 'bigip1',
+                '--global-setting', 'hostname:bigip2',
+                '--global-setting', 'consoleInactivityTimeout:0',
+                '--db', 'foo:bar',
+                '--module', 'ltm:nominal',
+                '--ntp', '1.2.3.4',
+                '--tz', 'UTC',
+                '--dns', '5.6.7.8',
+                '--update-user', 'user:user1,password:secret,role:admin'
+            );
+
+            test.expect(4);
+            onboard.run(argv, testOptions, () => {
+                const desired = functionsCalled.configDrift.getDrift[1];
+                test.strictEqual(desired.hostname, 'bigip1');
+                test.deepEqual(
+                    desired.globalSettings,
+                    {
+                        consoleInactivityTimeout: '0',
+                        guiSetup: 'disabled'
+                    }
+                );
+                test.deepEqual(
+                    {
+                        dbVars: desired.dbVars,
+                        provision: desired.provision,
+                        ntp: desired.ntp,
+                        timezone: desired.timezone,
+                        dns: desired.dns
+                    },
+                    {
+                        dbVars: { foo: 'bar' },
+                        provision: { ltm: 'nominal' },
+                        ntp: ['1.2.3.4'],
+                        timezone: 'UTC',
+                        dns: ['5.6.7.8']
+                    }
+                );
+                test.strictEqual(desired.users[0].user, 'user1');
+                test.done();
+            });
+        },
+
+        testDriftFound(test) {
+            argv.push('--check', '--db', 'foo:bar');
+
+            test.expect(4);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(functionsCalled.configDrift.reconcile, undefined);
+                test.strictEqual(functionsCalled.bigIp.onboard.setDbVars, undefined);
+                test.strictEqual(functionsCalled.bigIp.save, undefined);
+                test.strictEqual(exitCode, 2);
+                test.done();
+            });
+        },
+
+        testNoDrift(test) {
+            driftFound = [];
+            argv.push('--check', '--db', 'foo:bar');
+
+            test.expect(2);
+            onboard.run(argv, testOptions, () => {
+                test.strictEqual(exitMessage, 'No configuration drift.');
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testReconcile(test) {
+            argv.push('--reconcile', '--db', 'foo:bar');
+
+            test.expect(3);
+            onboard.run(argv, testOptions, () => {
+                test.deepEqual(functionsCalled.configDrift.reconcile[2], driftFound);
+                test.strictEqual(functionsCalled.bigIp.onboard.license, undefined);
+                test.strictEqual(exitCode, undefined);
+                test.done();
+            });
+        },
+
+        testError(test) {
+            configDriftMock.getDrift = function getDrift() {
+                return q.reject(new Error('oops'));
+            };
+            argv.push('--check', '--db', 'foo:bar');
+
+            test.expect(2);
+            onboard.run(argv, testOptions, () => {
+                test.notStrictEqual(exitMessage.indexOf('oops'), -1);
+                test.strictEqual(exitCode, 1);
+                test.done();
+            });
+        }
     }
 };
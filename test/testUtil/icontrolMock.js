@@ -54,6 +54,15 @@ module.exports = {
         this.refreshToken = refreshToken;
     },
 
+    extendAuthToken(timeout) {
+        return this.modify(`/shared/authz/tokens/${this.authToken}`, { timeout: parseInt(timeout, 10) });
+    },
+
+    logout() {
+        this.authToken = undefined;
+        return q();
+    },
+
     numRequests: {},
     requestMap: {},
     responseMap: {},